@@ -23,6 +23,18 @@ const envVarsSchema = Joi.object()
     SMTP_USERNAME: Joi.string().description('username for email server'),
     SMTP_PASSWORD: Joi.string().description('password for email server'),
     EMAIL_FROM: Joi.string().description('the from field in the emails sent by the app'),
+    EVENTS_MAX_BATCH_SIZE: Joi.number()
+      .default(1000)
+      .description('maximum number of events accepted in one ingestion request'),
+    EVENTS_IDEMPOTENCY_WINDOW_SECONDS: Joi.number()
+      .default(86400)
+      .description('seconds during which a replayed idempotency key or event id returns the original job'),
+    EVENTS_WS_BACKLOG_HIGH_WATER_MARK: Joi.number()
+      .default(10000)
+      .description('queue backlog above which websocket producers are paused'),
+    SINKS_FILE_DIRECTORY: Joi.string()
+      .default(path.join(__dirname, '../../data/sinks'))
+      .description('directory that file sink paths are resolved against'),
   })
   .unknown();
 
@@ -61,5 +73,15 @@ module.exports = {
     },
     from: envVars.EMAIL_FROM,
   },
+  events: {
+    maxBatchSize: envVars.EVENTS_MAX_BATCH_SIZE,
+    idempotencyWindowSeconds: envVars.EVENTS_IDEMPOTENCY_WINDOW_SECONDS,
+    websocket: {
+      backlogHighWaterMark: envVars.EVENTS_WS_BACKLOG_HIGH_WATER_MARK,
+    },
+  },
+  sinks: {
+    fileDirectory: envVars.SINKS_FILE_DIRECTORY,
+  },
 };
 
@@ -0,0 +1,24 @@
+const stepTypes = {
+  TRANSFORMER: 'transformer',
+  PROCESSOR: 'processor',
+  FILTER: 'filter',
+  IF: 'if',
+  SWITCH: 'switch',
+  SINK: 'sink',
+  FANOUT: 'fanout',
+  WINDOW: 'window',
+  TOP_K: 'topK',
+  ANOMALY: 'anomaly',
+  ALERT: 'alert',
+  ENRICH: 'enrich',
+  SESSION: 'session',
+  SKETCH: 'sketch',
+};
+
+// step types that refer to a registered transformer or processor by name
+const namedStepTypes = [stepTypes.TRANSFORMER, stepTypes.PROCESSOR];
+
+module.exports = {
+  stepTypes,
+  namedStepTypes,
+};
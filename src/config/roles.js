@@ -1,6 +1,15 @@
 const allRoles = {
-  user: [],
-  admin: ['getUsers', 'manageUsers'],
+  user: ['ingestEvents', 'subscribeResults'],
+  admin: [
+    'getUsers',
+    'manageUsers',
+    'ingestEvents',
+    'subscribeResults',
+    'subscribeAllResults',
+    'getLeaderboards',
+    'getPipelines',
+    'managePipelines',
+  ],
 };
 
 const roles = Object.keys(allRoles);
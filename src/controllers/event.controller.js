@@ -0,0 +1,85 @@
+const httpStatus = require('http-status');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const { roleRights } = require('../config/roles');
+const { getResultBroadcaster } = require('../utils/gateway');
+const { eventService } = require('../services');
+
+const SSE_HEARTBEAT_INTERVAL = 15000;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+const ingestEvents = catchAsync(async (req, res) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey !== undefined && (!idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+  }
+  const events = Array.isArray(req.body) ? req.body : [req.body];
+  const jobs = await eventService.ingestEvents(events, { source: 'http', userId: req.user.id }, { idempotencyKey });
+  const replayed = jobs.filter((job) => job.replayed).length;
+  res.status(httpStatus.ACCEPTED).send({ accepted: jobs.length - replayed, replayed, jobs });
+});
+
+const ingestNdjson = catchAsync(async (req, res) => {
+  if (!req.is('application/x-ndjson')) {
+    throw new ApiError(httpStatus.UNSUPPORTED_MEDIA_TYPE, 'Content-Type must be application/x-ndjson');
+  }
+  const report = await eventService.ingestNdjson(req, { source: 'http-ndjson', userId: req.user.id });
+  res.status(httpStatus.ACCEPTED).send(report);
+});
+
+const streamResults = (req, res) => {
+  const { type, filter } = req.query;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.status(httpStatus.OK);
+  res.flushHeaders();
+
+  // A slow client must not make results pile up in memory: while the socket buffer is full, results are dropped,
+  // and the client gets a `dropped` event with their count once the buffer drains
+  let draining = false;
+  let dropped = 0;
+  // the compression middleware buffers writes until flushed
+  const write = (chunk) => {
+    if (draining) {
+      return false;
+    }
+    draining = !res.write(chunk);
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+    return true;
+  };
+  res.on('drain', () => {
+    draining = false;
+    if (dropped) {
+      write(`event: dropped\ndata: ${JSON.stringify({ count: dropped })}\n\n`);
+      dropped = 0;
+    }
+  });
+
+  write('retry: 5000\n\n');
+  // only admins receive the results of events ingested by other users
+  const userId = (roleRights.get(req.user.role) || []).includes('subscribeAllResults') ? undefined : req.user.id;
+  const unsubscribe = getResultBroadcaster().subscribe({ type, filter, userId }, (message) => {
+    if (!write(`event: result\ndata: ${JSON.stringify(message)}\n\n`)) {
+      dropped += 1;
+    }
+  });
+  const heartbeat = setInterval(() => write(': keep-alive\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+module.exports = {
+  ingestEvents,
+  ingestNdjson,
+  streamResults,
+};
@@ -1,2 +1,5 @@
 module.exports.authController = require('./auth.controller');
 module.exports.userController = require('./user.controller');
+module.exports.eventController = require('./event.controller');
+module.exports.pipelineController = require('./pipeline.controller');
+module.exports.leaderboardController = require('./leaderboard.controller');
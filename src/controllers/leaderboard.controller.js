@@ -0,0 +1,13 @@
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { leaderboardService } = require('../services');
+
+const getLeaderboard = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['window', 'limit', 'group']);
+  const leaderboard = await leaderboardService.getLeaderboard(req.params.key, options);
+  res.send(leaderboard);
+});
+
+module.exports = {
+  getLeaderboard,
+};
@@ -0,0 +1,76 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const { pipelineService } = require('../services');
+
+const createPipeline = catchAsync(async (req, res) => {
+  const pipeline = await pipelineService.createPipeline(req.body);
+  res.status(httpStatus.CREATED).send(pipeline);
+});
+
+const getPipelines = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['name', 'eventType', 'enabled']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await pipelineService.queryPipelines(filter, options);
+  res.send(result);
+});
+
+const getPipeline = catchAsync(async (req, res) => {
+  const pipeline = await pipelineService.getPipelineById(req.params.pipelineId);
+  if (!pipeline) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Pipeline not found');
+  }
+  res.send(pipeline);
+});
+
+const updatePipeline = catchAsync(async (req, res) => {
+  const pipeline = await pipelineService.updatePipelineById(req.params.pipelineId, req.body);
+  res.send(pipeline);
+});
+
+const deletePipeline = catchAsync(async (req, res) => {
+  await pipelineService.deletePipelineById(req.params.pipelineId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const getPipelineVersions = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await pipelineService.queryPipelineVersions(req.params.pipelineId, options);
+  res.send(result);
+});
+
+const getPipelineVersion = catchAsync(async (req, res) => {
+  const pipelineVersion = await pipelineService.getPipelineVersion(req.params.pipelineId, req.params.version);
+  if (!pipelineVersion) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Pipeline version not found');
+  }
+  res.send(pipelineVersion);
+});
+
+const activatePipelineVersion = catchAsync(async (req, res) => {
+  const pipeline = await pipelineService.activatePipelineVersion(req.params.pipelineId, req.params.version);
+  res.send(pipeline);
+});
+
+const dryRunPipeline = catchAsync(async (req, res) => {
+  const result = await pipelineService.dryRunPipeline(req.body);
+  res.send(result);
+});
+
+const getSinkMetrics = catchAsync(async (req, res) => {
+  res.send(pipelineService.getSinkMetrics());
+});
+
+module.exports = {
+  createPipeline,
+  getPipelines,
+  getPipeline,
+  updatePipeline,
+  deletePipeline,
+  getPipelineVersions,
+  getPipelineVersion,
+  activatePipelineVersion,
+  dryRunPipeline,
+  getSinkMetrics,
+};
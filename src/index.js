@@ -3,62 +3,83 @@ const app = require('./app');
 const config = require('./config/config');
 const logger = require('./config/logger');
 const cache = require('./utils/cache');
-const { QueueManager } = require('./utils/queue/queue'); // 引入队列管理器
+const QueueManager = require('./utils/queue/QueueManager'); // 引入队列管理器
+const { initDataProcessingService, getDataProcessingService } = require('./utils/dataProcessor/dataProcessingService');
+const { attachEventGateway, getResultBroadcaster } = require('./utils/gateway');
+const { initMonitoring } = require('./utils/monitoring');
+const { pipelineService } = require('./services');
 
 let server;
+let eventGateway;
 
 async function initializeQueues() {
-    try {
-        // 创建默认队列示例
-        await QueueManager.createQueue('default', {
-            defaultJobOptions: {
-                removeOnComplete: true,
-                attempts: 3
-            }
-        });
-
-        // 可以在这里创建其他需要的队列
-        await QueueManager.createQueue('high-priority', {
-            defaultJobOptions: {
-                priority: 1,
-                removeOnComplete: true,
-                attempts: 5
-            }
-        });
-
-        logger.info('消息队列初始化成功');
-    } catch (error) {
-        logger.error('消息队列初始化失败:', error);
-        throw error; // 如果队列初始化失败，可能需要终止应用启动
-    }
+  try {
+    // 创建默认队列示例
+    await QueueManager.createQueue('default', {
+      defaultJobOptions: {
+        removeOnComplete: true,
+        attempts: 3,
+      },
+    });
+
+    // 可以在这里创建其他需要的队列
+    await QueueManager.createQueue('high-priority', {
+      defaultJobOptions: {
+        priority: 1,
+        removeOnComplete: true,
+        attempts: 5,
+      },
+    });
+
+    // 创建数据处理队列（event-data-processing / batch-data-processing）
+    const dataProcessingService = initDataProcessingService({
+      resultBroadcaster: getResultBroadcaster(),
+      resolvePipeline: pipelineService.getActivePipeline,
+      sinks: { fileDirectory: config.sinks.fileDirectory },
+    });
+
+    // 启动监控服务并注册数据处理器，管道的 alert 步骤通过监控服务的告警管理器发出告警
+    // 路由已在 app 中注册，不再追加请求监控中间件
+    initMonitoring(null, { dataProcessor: dataProcessingService.dataProcessor });
+
+    logger.info('消息队列初始化成功');
+  } catch (error) {
+    logger.error('消息队列初始化失败:', error);
+    throw error; // 如果队列初始化失败，可能需要终止应用启动
+  }
 }
 
 async function main() {
+  try {
+    // MongoDB连接
+    await mongoose.connect(config.mongoose.url, config.mongoose.options);
+    logger.info('MongoDB连接成功');
+
+    // Redis连接测试
     try {
-        // MongoDB连接
-        await mongoose.connect(config.mongoose.url, config.mongoose.options);
-        logger.info('MongoDB连接成功');
-
-        // Redis连接测试
-        try {
-            await cache.testConnection();
-            logger.info('Redis连接测试成功');
-
-            // 初始化消息队列
-            await initializeQueues();
-        } catch (error) {
-            logger.error('Redis/队列初始化失败:', error);
-            // 继续启动应用，即使Redis有问题
-        }
-
-        // 启动服务器
-        server = app.listen(config.port, () => {
-            logger.info(`服务器监听端口 ${config.port}`);
-        });
+      await cache.testConnection();
+      logger.info('Redis连接测试成功');
+
+      // 初始化消息队列
+      await initializeQueues();
     } catch (error) {
-        logger.error('启动错误:', error);
-        process.exit(1);
+      logger.error('Redis/队列初始化失败:', error);
+      // 继续启动应用，即使Redis有问题
     }
+
+    // 启动服务器
+    server = app.listen(config.port, () => {
+      logger.info(`服务器监听端口 ${config.port}`);
+    });
+
+    // 挂载WebSocket事件接入网关
+    eventGateway = attachEventGateway(server, {
+      backlogHighWaterMark: config.events.websocket.backlogHighWaterMark,
+    });
+  } catch (error) {
+    logger.error('启动错误:', error);
+    process.exit(1);
+  }
 }
 
 // 启动应用
@@ -66,23 +87,34 @@ main();
 
 // 错误处理和优雅关闭
 const exitHandler = async () => {
-    try {
-        // 关闭所有队列
-        await QueueManager.closeAll();
-        logger.info('所有队列已关闭');
-
-        if (server) {
-            server.close(() => {
-                logger.info('服务器已关闭');
-                process.exit(1);
-            });
-        } else {
-            process.exit(1);
-        }
-    } catch (error) {
-        logger.error('关闭队列时发生错误:', error);
+  try {
+    // 关闭WebSocket网关
+    if (eventGateway) {
+      await eventGateway.close();
+    }
+    await getResultBroadcaster().close();
+
+    // 写入输出缓冲区中剩余的记录
+    if (getDataProcessingService()) {
+      await getDataProcessingService().close();
+    }
+
+    // 关闭所有队列
+    await QueueManager.closeAll();
+    logger.info('所有队列已关闭');
+
+    if (server) {
+      server.close(() => {
+        logger.info('服务器已关闭');
         process.exit(1);
+      });
+    } else {
+      process.exit(1);
     }
+  } catch (error) {
+    logger.error('关闭队列时发生错误:', error);
+    process.exit(1);
+  }
 };
 
 const unexpectedErrorHandler = (error) => {
@@ -94,15 +126,22 @@ process.on('uncaughtException', unexpectedErrorHandler);
 process.on('unhandledRejection', unexpectedErrorHandler);
 
 process.on('SIGTERM', async () => {
-    logger.info('SIGTERM received');
-    try {
-        await QueueManager.closeAll();
-        logger.info('所有队列已关闭');
-        if (server) {
-            server.close();
-        }
-    } catch (error) {
-        logger.error('SIGTERM 处理时发生错误:', error);
-        process.exit(1);
+  logger.info('SIGTERM received');
+  try {
+    if (eventGateway) {
+      await eventGateway.close();
+    }
+    await getResultBroadcaster().close();
+    if (getDataProcessingService()) {
+      await getDataProcessingService().close();
+    }
+    await QueueManager.closeAll();
+    logger.info('所有队列已关闭');
+    if (server) {
+      server.close();
     }
-});
\ No newline at end of file
+  } catch (error) {
+    logger.error('SIGTERM 处理时发生错误:', error);
+    process.exit(1);
+  }
+});
@@ -1,2 +1,4 @@
 module.exports.Token = require('./token.model');
 module.exports.User = require('./user.model');
+module.exports.Pipeline = require('./pipeline.model');
+module.exports.PipelineVersion = require('./pipelineVersion.model');
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const pipelineStepSchema = require('./schemas/pipelineStep.schema');
+
+const pipelineSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    eventType: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    steps: {
+      type: [pipelineStepSchema],
+      validate(value) {
+        if (!value.length) {
+          throw new Error('Pipeline must have at least one step');
+        }
+      },
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    activeVersion: {
+      type: Number,
+      default: 1,
+    },
+    latestVersion: {
+      type: Number,
+      default: 1,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+// add plugin that converts mongoose to json
+pipelineSchema.plugin(toJSON);
+pipelineSchema.plugin(paginate);
+
+/**
+ * Check if an event type already has a pipeline
+ * @param {string} eventType - The event type
+ * @param {ObjectId} [excludePipelineId] - The id of the pipeline to be excluded
+ * @returns {Promise<boolean>}
+ */
+pipelineSchema.statics.isEventTypeTaken = async function (eventType, excludePipelineId) {
+  const pipeline = await this.findOne({ eventType, _id: { $ne: excludePipelineId } });
+  return !!pipeline;
+};
+
+/**
+ * @typedef Pipeline
+ */
+const Pipeline = mongoose.model('Pipeline', pipelineSchema);
+
+module.exports = Pipeline;
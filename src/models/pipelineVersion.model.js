@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const pipelineStepSchema = require('./schemas/pipelineStep.schema');
+
+const pipelineVersionSchema = mongoose.Schema(
+  {
+    pipeline: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Pipeline',
+      required: true,
+      immutable: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    steps: {
+      type: [pipelineStepSchema],
+      immutable: true,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+pipelineVersionSchema.index({ pipeline: 1, version: 1 }, { unique: true });
+
+// add plugin that converts mongoose to json
+pipelineVersionSchema.plugin(toJSON);
+pipelineVersionSchema.plugin(paginate);
+
+pipelineVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Pipeline versions are immutable'));
+  }
+  next();
+});
+
+/**
+ * @typedef PipelineVersion
+ */
+const PipelineVersion = mongoose.model('PipelineVersion', pipelineVersionSchema);
+
+module.exports = PipelineVersion;
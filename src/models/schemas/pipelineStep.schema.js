@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { stepTypes, namedStepTypes } = require('../../config/pipelines');
+
+const pipelineStepSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(stepTypes),
+      required: true,
+    },
+    name: {
+      type: String,
+      required() {
+        return namedStepTypes.includes(this.type);
+      },
+      trim: true,
+    },
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    timeout: {
+      type: Number,
+      min: 0,
+    },
+  },
+  {
+    _id: false,
+    minimize: false,
+  }
+);
+
+module.exports = pipelineStepSchema;
@@ -0,0 +1,152 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const eventValidation = require('../../validations/event.validation');
+const eventController = require('../../controllers/event.controller');
+
+const router = express.Router();
+
+router.route('/').post(auth('ingestEvents'), validate(eventValidation.ingestEvents), eventController.ingestEvents);
+
+router.route('/bulk').post(auth('ingestEvents'), eventController.ingestNdjson);
+
+router
+  .route('/stream')
+  .get(auth('subscribeResults'), validate(eventValidation.streamResults), eventController.streamResults);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Events
+ *   description: Event ingestion into the data processing queues
+ */
+
+/**
+ * @swagger
+ * /events:
+ *   post:
+ *     summary: Ingest events
+ *     description: Accepts a single event or an array of events and enqueues each one into the event-data-processing queue. Retrying a request with the same Idempotency-Key, or resending an event with the same id, within the idempotency window returns the original job ids instead of enqueueing the events again.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-generated key identifying the request; reusing it with a different payload fails with 422
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/Event'
+ *               - type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Event'
+ *           example:
+ *             - type: user-activity
+ *               ts: '2023-11-01T10:15:30Z'
+ *               uid: user_123
+ *               act: login
+ *             - type: system-metrics
+ *               timestamp: '2023-11-01T10:15:30Z'
+ *               metric: cpu_usage
+ *               value: 42.5
+ *               host: server-01
+ *     responses:
+ *       "202":
+ *         description: Accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IngestionResult'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "422":
+ *         description: Idempotency-Key was already used with a different payload
+ *       "503":
+ *         $ref: '#/components/responses/ServiceUnavailable'
+ */
+
+/**
+ * @swagger
+ * /events/bulk:
+ *   post:
+ *     summary: Bulk ingest newline-delimited JSON events
+ *     description: The body is parsed line by line as it arrives and valid events are enqueued into the batch-data-processing queue in chunks of the data processor batch size. Invalid lines are rejected individually without failing the upload. Events whose id was already ingested within the idempotency window are skipped and reported with their original job id.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"type":"system-metrics","metric":"cpu_usage","value":42.5,"host":"server-01"}
+ *             {"type":"user-activity","uid":"user_123","act":"login"}
+ *     responses:
+ *       "202":
+ *         description: Accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkIngestionReport'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "415":
+ *         description: Body is not application/x-ndjson
+ *       "503":
+ *         $ref: '#/components/responses/ServiceUnavailable'
+ */
+
+/**
+ * @swagger
+ * /events/stream:
+ *   get:
+ *     summary: Subscribe to processing results
+ *     description: Opens a Server-Sent Events stream of processed outputs (window aggregates, anomaly flags, ...). Results are fanned out to every app instance through Redis pub/sub. Array results are filtered item by item and only matching items are sent. Users only receive the results of events they ingested, admins receive all results. Results are dropped while the client does not keep up with the stream, and a `dropped` event with their count is sent once it catches up.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only receive results of this event type (ex. system-metrics)
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *         description: Filter expression over result fields (ex. value_isAnomaly == true && host in ["server-01"])
+ *     responses:
+ *       "200":
+ *         description: Event stream, one `result` event per matching processing result and a `dropped` event after results were dropped
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               event: result
+ *               data: {"type":"system-metrics","pipelineVersion":3,"result":[{"host":"server-01","value":97,"value_isAnomaly":true}],"publishedAt":"2023-11-01T10:15:31.000Z"}
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
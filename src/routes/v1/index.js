@@ -2,6 +2,9 @@ const express = require('express');
 const authRoute = require('./auth.route');
 const userRoute = require('./user.route');
 const docsRoute = require('./docs.route');
+const eventRoute = require('./event.route');
+const pipelineRoute = require('./pipeline.route');
+const leaderboardRoute = require('./leaderboard.route');
 const config = require('../../config/config');
 const testRoute = require('./test.route');
 
@@ -18,6 +21,18 @@ const defaultRoutes = [
     path: '/users',
     route: userRoute,
   },
+  {
+    path: '/events',
+    route: eventRoute,
+  },
+  {
+    path: '/pipelines',
+    route: pipelineRoute,
+  },
+  {
+    path: '/leaderboards',
+    route: leaderboardRoute,
+  },
 ];
 
 const devRoutes = [
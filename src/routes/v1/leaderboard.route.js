@@ -0,0 +1,78 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const leaderboardValidation = require('../../validations/leaderboard.validation');
+const leaderboardController = require('../../controllers/leaderboard.controller');
+
+const router = express.Router();
+
+router
+  .route('/:key')
+  .get(auth('getLeaderboards'), validate(leaderboardValidation.getLeaderboard), leaderboardController.getLeaderboard);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Leaderboards
+ *   description: Rolling top-K rankings maintained by pipeline topK steps
+ */
+
+/**
+ * @swagger
+ * /leaderboards/{key}:
+ *   get:
+ *     summary: Get a leaderboard
+ *     description: Only admins can read leaderboards, since their entries identify other users' records. Returns the current top entries of the ranking maintained by the topK steps with this key. The time buckets that overlap the window ending now are merged into one ranking (counts and sums are added, max/min keep the extreme score).
+ *     tags: [Leaderboards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Leaderboard key (the `key` of the topK step)
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Window length in ms (defaults to one bucket, capped at the step's retention)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 10
+ *         description: Maximum number of entries
+ *       - in: query
+ *         name: group
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         description: Values of the step's groupBy fields, e.g. `group[region]=eu`
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leaderboard'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "503":
+ *         description: Data processing service is not initialized
+ */
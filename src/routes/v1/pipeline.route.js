@@ -0,0 +1,515 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const pipelineValidation = require('../../validations/pipeline.validation');
+const pipelineController = require('../../controllers/pipeline.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(auth('managePipelines'), validate(pipelineValidation.createPipeline), pipelineController.createPipeline)
+  .get(auth('getPipelines'), validate(pipelineValidation.getPipelines), pipelineController.getPipelines);
+
+router
+  .route('/dry-run')
+  .post(auth('managePipelines'), validate(pipelineValidation.dryRunPipeline), pipelineController.dryRunPipeline);
+
+router.route('/sinks').get(auth('getPipelines'), pipelineController.getSinkMetrics);
+
+router
+  .route('/:pipelineId')
+  .get(auth('getPipelines'), validate(pipelineValidation.getPipeline), pipelineController.getPipeline)
+  .patch(auth('managePipelines'), validate(pipelineValidation.updatePipeline), pipelineController.updatePipeline)
+  .delete(auth('managePipelines'), validate(pipelineValidation.deletePipeline), pipelineController.deletePipeline);
+
+router
+  .route('/:pipelineId/versions')
+  .get(auth('getPipelines'), validate(pipelineValidation.getPipelineVersions), pipelineController.getPipelineVersions);
+
+router
+  .route('/:pipelineId/versions/:version')
+  .get(auth('getPipelines'), validate(pipelineValidation.getPipelineVersion), pipelineController.getPipelineVersion);
+
+router
+  .route('/:pipelineId/versions/:version/activate')
+  .post(
+    auth('managePipelines'),
+    validate(pipelineValidation.activatePipelineVersion),
+    pipelineController.activatePipelineVersion
+  );
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pipelines
+ *   description: Processing pipeline definitions resolved by the queue processors at runtime
+ */
+
+/**
+ * @swagger
+ * /pipelines:
+ *   post:
+ *     summary: Create a pipeline
+ *     description: Only admins can create pipelines. Each event type has at most one pipeline; event types without one use the built-in pipeline. The steps are stored as version 1.
+ *     tags: [Pipelines]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - eventType
+ *               - steps
+ *             properties:
+ *               name:
+ *                 type: string
+ *               eventType:
+ *                 type: string
+ *                 description: must be unique
+ *               description:
+ *                 type: string
+ *               steps:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   $ref: '#/components/schemas/PipelineStep'
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *             example:
+ *               name: Order events
+ *               eventType: order-created
+ *               steps:
+ *                 - type: transformer
+ *                   name: fieldFilter
+ *                   config:
+ *                     fields: [orderId, amount, currency]
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Pipeline'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *
+ *   get:
+ *     summary: Get all pipelines
+ *     description: Only admins can retrieve pipelines.
+ *     tags: [Pipelines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Pipeline name
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *         description: Event type
+ *       - in: query
+ *         name: enabled
+ *         schema:
+ *           type: boolean
+ *         description: Enabled flag
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. name:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of pipelines
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Pipeline'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 totalResults:
+ *                   type: integer
+ *                   example: 1
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /pipelines/dry-run:
+ *   post:
+ *     summary: Dry-run a pipeline
+ *     description: Only admins can dry-run pipelines. Runs sample input through a pipeline definition, or a stored pipeline version, without enqueueing, publishing or updating metrics, and returns what every executed step produced. Steps after one that returned null are not executed.
+ *     tags: [Pipelines]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - input
+ *             properties:
+ *               steps:
+ *                 type: array
+ *                 minItems: 1
+ *                 description: pipeline definition to run, mutually exclusive with pipelineId
+ *                 items:
+ *                   $ref: '#/components/schemas/PipelineStep'
+ *               pipelineId:
+ *                 type: string
+ *                 description: stored pipeline to run
+ *               version:
+ *                 type: integer
+ *                 description: version of the stored pipeline (defaults to the active version)
+ *               input:
+ *                 description: sample event or array of events
+ *             example:
+ *               steps:
+ *                 - type: transformer
+ *                   name: fieldRename
+ *                   config:
+ *                     fieldMap:
+ *                       uid: userId
+ *               input:
+ *                 type: user-activity
+ *                 uid: user_123
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/DryRunResult'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /pipelines/sinks:
+ *   get:
+ *     summary: Get sink metrics
+ *     description: Only admins can retrieve sink metrics. Returns the sinks written by pipeline sink steps in the responding process; each process batches and counts its own writes.
+ *     tags: [Pipelines]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SinkMetrics'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "503":
+ *         description: Data processing service is not initialized
+ */
+
+/**
+ * @swagger
+ * /pipelines/{id}:
+ *   get:
+ *     summary: Get a pipeline
+ *     description: Only admins can fetch pipelines.
+ *     tags: [Pipelines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pipeline id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Pipeline'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   patch:
+ *     summary: Update a pipeline
+ *     description: Only admins can update pipelines. Changing the steps creates a new immutable version and activates it. Queue processors pick up the change with the next event.
+ *     tags: [Pipelines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pipeline id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               eventType:
+ *                 type: string
+ *                 description: must be unique
+ *               description:
+ *                 type: string
+ *               steps:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   $ref: '#/components/schemas/PipelineStep'
+ *               enabled:
+ *                 type: boolean
+ *             example:
+ *               enabled: false
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Pipeline'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         $ref: '#/components/responses/Conflict'
+ *
+ *   delete:
+ *     summary: Delete a pipeline
+ *     description: Only admins can delete pipelines. The event type falls back to its built-in pipeline.
+ *     tags: [Pipelines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pipeline id
+ *     responses:
+ *       "200":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /pipelines/{id}/versions:
+ *   get:
+ *     summary: Get the versions of a pipeline
+ *     description: Only admins can retrieve pipeline versions. Versions are listed newest first by default.
+ *     tags: [Pipelines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pipeline id
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. version:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of versions
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PipelineVersion'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 totalResults:
+ *                   type: integer
+ *                   example: 1
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /pipelines/{id}/versions/{version}:
+ *   get:
+ *     summary: Get a pipeline version
+ *     description: Only admins can fetch pipeline versions.
+ *     tags: [Pipelines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pipeline id
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Version number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/PipelineVersion'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /pipelines/{id}/versions/{version}/activate:
+ *   post:
+ *     summary: Activate a pipeline version
+ *     description: Only admins can activate pipeline versions. Activating a previous version rolls the pipeline back to it without creating a new version.
+ *     tags: [Pipelines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pipeline id
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Version number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Pipeline'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const config = require('../config/config');
+const queueManager = require('../utils/queue/QueueManager');
+const cacheService = require('../utils/cache');
+const { getDataProcessingService } = require('../utils/dataProcessor/dataProcessingService');
+const { parseNdjson } = require('../utils/ndjson');
+const ApiError = require('../utils/ApiError');
+const { event: eventSchema } = require('../validations/event.validation');
+
+const EVENT_QUEUE = 'event-data-processing';
+const BATCH_QUEUE = 'batch-data-processing';
+const MAX_REPORTED_ERRORS = 1000;
+const IDEMPOTENCY_ENTITY = 'ingestion';
+
+/**
+ * Get a queue by name, failing with 503 when it has not been created yet
+ * @param {string} name
+ * @returns {Bull.Queue}
+ */
+const getIngestionQueue = (name) => {
+  const queue = queueManager.getQueue(name);
+  if (!queue) {
+    throw new ApiError(httpStatus.SERVICE_UNAVAILABLE, `Queue ${name} is not available`);
+  }
+  return queue;
+};
+
+/**
+ * Wrap an event into the job payload read by the event-data-processing processor
+ * @param {Object} event
+ * @param {Object} meta - Ingestion metadata
+ * @returns {Object}
+ */
+const buildEventJob = (event, meta) => ({ data: event, meta });
+
+/**
+ * Generate a Bull job id up front, so it can be remembered before the job is enqueued
+ * @returns {string}
+ */
+const generateJobId = () => crypto.randomBytes(12).toString('hex');
+
+/**
+ * Hash the payload a request-level idempotency key was first used with
+ * @param {Object[]} events
+ * @returns {string}
+ */
+const fingerprint = (events) => crypto.createHash('sha256').update(JSON.stringify(events)).digest('hex');
+
+/**
+ * Remember the job id of an idempotency identifier for the configured window
+ * @param {string} operation - 'request' for Idempotency-Key headers, 'event' for event ids
+ * @param {string} identifier
+ * @param {Object} value
+ * @returns {Promise<Object|null>} The previously stored value on replay, null if the identifier was reserved now
+ */
+const reserveIdempotencyKey = async (operation, identifier, value) => {
+  const window = config.events.idempotencyWindowSeconds;
+  if (await cacheService.setIfNotExists(IDEMPOTENCY_ENTITY, operation, identifier, value, window)) {
+    return null;
+  }
+  // the key may have expired between SET NX and GET; reserve it again in that case
+  const stored = await cacheService.get(IDEMPOTENCY_ENTITY, operation, identifier);
+  return stored || reserveIdempotencyKey(operation, identifier, value);
+};
+
+/**
+ * Forget an idempotency identifier whose job could not be enqueued, so the producer can retry
+ * @param {string} operation
+ * @param {string} identifier
+ * @returns {Promise}
+ */
+const releaseIdempotencyKey = (operation, identifier) => cacheService.del(IDEMPOTENCY_ENTITY, operation, identifier);
+
+/**
+ * Enqueue events into the event-data-processing queue
+ * @param {Object[]} events
+ * @param {Array<string|undefined>} jobIds - Bull job id of every event, undefined lets Bull generate one
+ * @param {Object} jobMeta
+ * @returns {Promise<Bull.Job[]>}
+ */
+const enqueueEvents = async (events, jobIds, jobMeta) => {
+  const jobs = events.map((event, index) => ({
+    data: buildEventJob(event, jobMeta),
+    opts: jobIds[index] ? { jobId: jobIds[index] } : {},
+  }));
+  if (jobs.length === 1) {
+    return [await queueManager.addJob(EVENT_QUEUE, jobs[0].data, jobs[0].opts)];
+  }
+  return queueManager.addBulkJobs(EVENT_QUEUE, jobs);
+};
+
+/**
+ * Enqueue events for processing
+ * A replayed Idempotency-Key returns the jobs of the first request; otherwise events carrying an id
+ * that was already ingested within the idempotency window return their original job id
+ * @param {Object[]} events
+ * @param {Object} [meta] - Ingestion metadata stored next to every event (source, userId, ...)
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Client-supplied key identifying the whole request
+ * @returns {Promise<Array<{ jobId: string, type: string, replayed?: boolean }>>}
+ */
+const ingestEvents = async (events, meta = {}, { idempotencyKey } = {}) => {
+  getIngestionQueue(EVENT_QUEUE);
+
+  const jobMeta = { receivedAt: new Date().toISOString(), ...meta };
+  const scope = meta.userId || 'anonymous';
+
+  if (idempotencyKey) {
+    const identifier = `${scope}:${idempotencyKey}`;
+    const jobs = events.map((event) => ({ jobId: generateJobId(), type: event.type }));
+    const payload = fingerprint(events);
+    const stored = await reserveIdempotencyKey('request', identifier, { fingerprint: payload, jobs });
+    if (stored) {
+      if (stored.fingerprint !== payload) {
+        throw new ApiError(httpStatus.UNPROCESSABLE_ENTITY, 'Idempotency-Key was already used with a different payload');
+      }
+      return stored.jobs.map((job) => ({ ...job, replayed: true }));
+    }
+
+    try {
+      await enqueueEvents(
+        events,
+        jobs.map((job) => job.jobId),
+        jobMeta
+      );
+    } catch (error) {
+      await releaseIdempotencyKey('request', identifier);
+      throw error;
+    }
+    return jobs;
+  }
+
+  const results = await Promise.all(
+    events.map(async (event) => {
+      if (!event.id) {
+        return { type: event.type };
+      }
+      const jobId = generateJobId();
+      const stored = await reserveIdempotencyKey('event', `${scope}:${event.id}`, { jobId });
+      return stored ? { jobId: stored.jobId, type: event.type, replayed: true } : { jobId, type: event.type };
+    })
+  );
+
+  const pending = events.filter((event, index) => !results[index].replayed);
+  const pendingResults = results.filter((result) => !result.replayed);
+  if (pending.length) {
+    try {
+      const jobs = await enqueueEvents(
+        pending,
+        pendingResults.map((result) => result.jobId),
+        jobMeta
+      );
+      jobs.forEach((job, index) => {
+        pendingResults[index].jobId = job.id;
+      });
+    } catch (error) {
+      await Promise.all(
+        pending.filter((event) => event.id).map((event) => releaseIdempotencyKey('event', `${scope}:${event.id}`))
+      );
+      throw error;
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Stream newline-delimited JSON events into the batch-data-processing queue
+ * Lines are parsed incrementally and enqueued in chunks of the data processor batch size,
+ * so the body is never held in memory as a whole. Events whose id was already ingested within
+ * the idempotency window are not enqueued again and are reported with their original job id.
+ * @param {stream.Readable} stream - NDJSON body
+ * @param {Object} [meta] - Ingestion metadata stored next to every chunk
+ * @returns {Promise<Object>} Report with the job of every accepted line range and the reason of every rejected line
+ */
+const ingestNdjson = async (stream, meta = {}) => {
+  getIngestionQueue(BATCH_QUEUE);
+  const service = getDataProcessingService();
+  if (!service) {
+    throw new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'Data processing service is not initialized');
+  }
+
+  const { batchSize } = service.dataProcessor.options;
+  const jobMeta = { receivedAt: new Date().toISOString(), ...meta };
+  const scope = meta.userId || 'anonymous';
+  const report = {
+    lines: 0,
+    accepted: 0,
+    rejected: 0,
+    replayed: 0,
+    jobs: [],
+    errors: [],
+    replays: [],
+    errorsTruncated: false,
+  };
+  let jobId = generateJobId();
+  let items = [];
+  let lines = [];
+  let reservedIds = [];
+
+  const reject = (line, message) => {
+    report.rejected += 1;
+    if (report.errors.length < MAX_REPORTED_ERRORS) {
+      report.errors.push({ line, message });
+    } else {
+      report.errorsTruncated = true;
+    }
+  };
+
+  const replay = (line, originalJobId) => {
+    report.replayed += 1;
+    if (report.replays.length < MAX_REPORTED_ERRORS) {
+      report.replays.push({ line, jobId: originalJobId });
+    }
+  };
+
+  const flush = async () => {
+    let job;
+    try {
+      job = await queueManager.addJob(BATCH_QUEUE, { data: { items }, meta: jobMeta }, { jobId });
+    } catch (error) {
+      await Promise.all(reservedIds.map((id) => releaseIdempotencyKey('event', `${scope}:${id}`)));
+      throw error;
+    }
+    report.jobs.push({ jobId: job.id, firstLine: lines[0], lastLine: lines[lines.length - 1], count: items.length });
+    report.accepted += items.length;
+    jobId = generateJobId();
+    items = [];
+    lines = [];
+    reservedIds = [];
+  };
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const { line, value, error } of parseNdjson(stream)) {
+    report.lines = line;
+    if (error) {
+      reject(line, error.message);
+    } else {
+      const { value: event, error: validationError } = eventSchema.validate(value);
+      if (validationError) {
+        reject(line, validationError.message);
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        const stored = event.id ? await reserveIdempotencyKey('event', `${scope}:${event.id}`, { jobId }) : null;
+        if (stored) {
+          replay(line, stored.jobId);
+        } else {
+          if (event.id) {
+            reservedIds.push(event.id);
+          }
+          items.push(event);
+          lines.push(line);
+          if (items.length >= batchSize) {
+            // eslint-disable-next-line no-await-in-loop
+            await flush();
+          }
+        }
+      }
+    }
+  }
+
+  if (items.length) {
+    await flush();
+  }
+
+  return report;
+};
+
+module.exports = {
+  EVENT_QUEUE,
+  BATCH_QUEUE,
+  getIngestionQueue,
+  ingestEvents,
+  ingestNdjson,
+};
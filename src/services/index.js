@@ -2,3 +2,6 @@ module.exports.authService = require('./auth.service');
 module.exports.emailService = require('./email.service');
 module.exports.tokenService = require('./token.service');
 module.exports.userService = require('./user.service');
+module.exports.eventService = require('./event.service');
+module.exports.pipelineService = require('./pipeline.service');
+module.exports.leaderboardService = require('./leaderboard.service');
@@ -0,0 +1,28 @@
+const httpStatus = require('http-status');
+const { getDataProcessingService } = require('../utils/dataProcessor/dataProcessingService');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Get the current ranking of a leaderboard maintained by pipeline topK steps
+ * @param {string} key - Leaderboard key, the `key` of the topK step
+ * @param {Object} options - Query options
+ * @param {number} [options.window] - Window length in ms ending now (default = one bucket, at most the retention)
+ * @param {number} [options.limit] - Maximum number of entries (default = 10)
+ * @param {Object} [options.group] - Values of the step's groupBy fields
+ * @returns {Promise<Object>}
+ */
+const getLeaderboard = async (key, options) => {
+  const service = getDataProcessingService();
+  if (!service) {
+    throw new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'Data processing service is not initialized');
+  }
+  const leaderboard = await service.getLeaderboard(key, options);
+  if (!leaderboard) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Leaderboard not found');
+  }
+  return leaderboard;
+};
+
+module.exports = {
+  getLeaderboard,
+};
@@ -0,0 +1,276 @@
+const httpStatus = require('http-status');
+const { Pipeline, PipelineVersion } = require('../models');
+const { createDataProcessor } = require('../utils/dataProcessor');
+const { getDataProcessingService } = require('../utils/dataProcessor/dataProcessingService');
+const cacheService = require('../utils/cache');
+const ApiError = require('../utils/ApiError');
+
+const PIPELINE_CACHE_TTL = 300;
+
+let validationProcessor = null;
+
+/**
+ * Make sure the steps compile: known step types, registered transformers and processors,
+ * valid filter expressions and well-formed branches
+ * @param {Object[]} steps
+ */
+const assertValidSteps = (steps) => {
+  if (!validationProcessor) {
+    validationProcessor = createDataProcessor();
+  }
+  try {
+    validationProcessor.compilePipeline(steps);
+  } catch (error) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Invalid pipeline: ${error.message}`);
+  }
+};
+
+/**
+ * Drop the cached runtime pipeline of an event type
+ * @param {string} eventType
+ * @returns {Promise}
+ */
+const invalidateActivePipeline = (eventType) => cacheService.del('pipeline', 'active', eventType);
+
+/**
+ * Create a pipeline and its first version
+ * @param {Object} pipelineBody
+ * @returns {Promise<Pipeline>}
+ */
+const createPipeline = async (pipelineBody) => {
+  if (await Pipeline.isEventTypeTaken(pipelineBody.eventType)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Event type already has a pipeline');
+  }
+  assertValidSteps(pipelineBody.steps);
+  const pipeline = await Pipeline.create({ ...pipelineBody, activeVersion: 1, latestVersion: 1 });
+  await PipelineVersion.create({ pipeline: pipeline.id, version: 1, steps: pipeline.steps });
+  await invalidateActivePipeline(pipeline.eventType);
+  return pipeline;
+};
+
+/**
+ * Query for pipelines
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryPipelines = async (filter, options) => {
+  const pipelines = await Pipeline.paginate(filter, options);
+  return pipelines;
+};
+
+/**
+ * Get pipeline by id
+ * @param {ObjectId} id
+ * @returns {Promise<Pipeline>}
+ */
+const getPipelineById = async (id) => {
+  return Pipeline.findById(id);
+};
+
+/**
+ * Update pipeline by id
+ * Changing the steps creates a new immutable version and activates it.
+ * Fails with 409 if a concurrent update created the next version first
+ * @param {ObjectId} pipelineId
+ * @param {Object} updateBody
+ * @returns {Promise<Pipeline>}
+ */
+const updatePipelineById = async (pipelineId, updateBody) => {
+  const pipeline = await getPipelineById(pipelineId);
+  if (!pipeline) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Pipeline not found');
+  }
+  if (updateBody.eventType && (await Pipeline.isEventTypeTaken(updateBody.eventType, pipelineId))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Event type already has a pipeline');
+  }
+  const previousEventType = pipeline.eventType;
+  Object.assign(pipeline, updateBody);
+  if (updateBody.steps) {
+    assertValidSteps(updateBody.steps);
+    const version = pipeline.latestVersion + 1;
+    try {
+      await PipelineVersion.create({ pipeline: pipeline.id, version, steps: updateBody.steps });
+    } catch (error) {
+      // Another update created this version first, so these steps were not based on the latest version
+      if (error.code === 11000) {
+        throw new ApiError(httpStatus.CONFLICT, 'Pipeline was updated concurrently, please retry');
+      }
+      throw error;
+    }
+    Object.assign(pipeline, { activeVersion: version, latestVersion: version });
+  }
+  await pipeline.save();
+  await Promise.all([invalidateActivePipeline(previousEventType), invalidateActivePipeline(pipeline.eventType)]);
+  return pipeline;
+};
+
+/**
+ * Delete pipeline by id
+ * @param {ObjectId} pipelineId
+ * @returns {Promise<Pipeline>}
+ */
+const deletePipelineById = async (pipelineId) => {
+  const pipeline = await getPipelineById(pipelineId);
+  if (!pipeline) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Pipeline not found');
+  }
+  await pipeline.remove();
+  await PipelineVersion.deleteMany({ pipeline: pipeline.id });
+  await invalidateActivePipeline(pipeline.eventType);
+  return pipeline;
+};
+
+/**
+ * Query for the versions of a pipeline
+ * @param {ObjectId} pipelineId
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc) (default = version:desc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryPipelineVersions = async (pipelineId, options) => {
+  const pipeline = await getPipelineById(pipelineId);
+  if (!pipeline) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Pipeline not found');
+  }
+  return PipelineVersion.paginate({ pipeline: pipelineId }, { sortBy: 'version:desc', ...options });
+};
+
+/**
+ * Get a version of a pipeline
+ * @param {ObjectId} pipelineId
+ * @param {number} version
+ * @returns {Promise<PipelineVersion>}
+ */
+const getPipelineVersion = async (pipelineId, version) => {
+  return PipelineVersion.findOne({ pipeline: pipelineId, version });
+};
+
+/**
+ * Activate a version of a pipeline, e.g. to roll back to a previous one
+ * @param {ObjectId} pipelineId
+ * @param {number} version
+ * @returns {Promise<Pipeline>}
+ */
+const activatePipelineVersion = async (pipelineId, version) => {
+  const pipeline = await getPipelineById(pipelineId);
+  if (!pipeline) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Pipeline not found');
+  }
+  const pipelineVersion = await getPipelineVersion(pipelineId, version);
+  if (!pipelineVersion) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Pipeline version not found');
+  }
+  assertValidSteps(pipelineVersion.steps);
+  Object.assign(pipeline, { steps: pipelineVersion.steps, activeVersion: version });
+  await pipeline.save();
+  await invalidateActivePipeline(pipeline.eventType);
+  return pipeline;
+};
+
+/**
+ * Run sample input through a pipeline without side effects
+ * A throwaway DataProcessor is used, so the metrics and pipeline of the queue processors are untouched
+ * and nothing is enqueued or published
+ * @param {Object} dryRunBody
+ * @param {Object[]} [dryRunBody.steps] - Pipeline definition to run
+ * @param {ObjectId} [dryRunBody.pipelineId] - Stored pipeline to run instead of steps
+ * @param {number} [dryRunBody.version] - Version of the stored pipeline (default = active version)
+ * @param {*} dryRunBody.input - Sample input
+ * @returns {Promise<Object>} Output, error and the trace of every executed step
+ */
+const dryRunPipeline = async ({ steps, pipelineId, version, input }) => {
+  let definition = steps;
+  if (pipelineId) {
+    const pipeline = await getPipelineById(pipelineId);
+    if (!pipeline) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Pipeline not found');
+    }
+    definition = pipeline.toJSON().steps;
+    if (version) {
+      const pipelineVersion = await getPipelineVersion(pipelineId, version);
+      if (!pipelineVersion) {
+        throw new ApiError(httpStatus.NOT_FOUND, 'Pipeline version not found');
+      }
+      definition = pipelineVersion.toJSON().steps;
+    }
+  }
+  assertValidSteps(definition);
+
+  const dataProcessor = createDataProcessor().buildPipeline(definition);
+  const trace = [];
+  const startTime = Date.now();
+  let output = null;
+  let error = null;
+  try {
+    output = await dataProcessor.processItem(input, { trace });
+  } catch (processingError) {
+    error = processingError.message;
+  }
+
+  return {
+    output: output === undefined ? null : output,
+    error,
+    stopped: trace.some((entry) => entry.stopped),
+    duration: Date.now() - startTime,
+    steps: trace,
+  };
+};
+
+/**
+ * Resolve the pipeline the queue processor runs for an event type
+ * Definitions are cached in Redis and invalidated whenever a pipeline is written
+ * @param {string} eventType
+ * @returns {Promise<{ id: string, steps: Object[], enabled: boolean, version: number }|null>} null if the event type has no persisted pipeline
+ */
+const getActivePipeline = async (eventType) => {
+  const { pipeline } = await cacheService.getWithProtection(
+    'pipeline',
+    'active',
+    eventType,
+    async () => {
+      const found = await Pipeline.findOne({ eventType }).lean();
+      return {
+        pipeline: found && {
+          id: found._id.toString(),
+          steps: found.steps,
+          enabled: found.enabled,
+          version: found.activeVersion,
+        },
+      };
+    },
+    PIPELINE_CACHE_TTL
+  );
+  return pipeline;
+};
+
+/**
+ * Get the metrics of the sinks written by pipeline sink steps in this process
+ * @returns {Object[]}
+ */
+const getSinkMetrics = () => {
+  const service = getDataProcessingService();
+  if (!service) {
+    throw new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'Data processing service is not initialized');
+  }
+  return service.getSinkMetrics();
+};
+
+module.exports = {
+  createPipeline,
+  queryPipelines,
+  getPipelineById,
+  updatePipelineById,
+  deletePipelineById,
+  queryPipelineVersions,
+  getPipelineVersion,
+  activatePipelineVersion,
+  dryRunPipeline,
+  getActivePipeline,
+  getSinkMetrics,
+};
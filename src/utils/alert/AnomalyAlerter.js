@@ -0,0 +1,441 @@
+// src/utils/alert/AnomalyAlerter.js
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const os = require('os');
+const Redis = require('ioredis');
+const logger = require('../../config/logger');
+const { severityOrder, alertSeverity } = require('./alertConfig');
+
+/**
+ * 原子地按一条记录更新序列的告警状态并返回要执行的操作
+ *
+ * KEYS[1]：序列告警状态哈希 { severity: 活跃告警级别的序号, normal: 告警后连续正常的记录数, owner: 告警所在的实例 }，
+ *   只在序列有活跃告警时存在
+ * ARGV：模式, 级别序号, resolveAfter, 状态保留时间(ms), 当前实例
+ * 返回值的第三项为告警所在的实例
+ * - anomaly：异常记录，返回 { raise|escalate|deduplicate, 原级别序号（没有活跃告警时为-1） }，
+ *   raise/escalate 时状态已更新为新级别，raise 时当前实例成为告警所在的实例
+ * - normal：正常记录，返回 { none|normal|resolve, 连续正常的记录数 }，resolve 时状态已删除
+ * - restore：告警未发出（被静默）时恢复为原级别序号，-1 时删除状态
+ * - claim：告警所在的实例已不存在时由当前实例接管
+ */
+const seriesScript = `
+local key = KEYS[1]
+local mode = ARGV[1]
+local rank = tonumber(ARGV[2])
+local resolveAfter = tonumber(ARGV[3])
+local ttl = tonumber(ARGV[4])
+local instance = ARGV[5]
+local current = tonumber(redis.call('HGET', key, 'severity'))
+local owner = redis.call('HGET', key, 'owner') or ''
+
+if mode == 'restore' then
+  if rank < 0 then
+    redis.call('DEL', key)
+  elseif current then
+    redis.call('HSET', key, 'severity', rank)
+  end
+  return { 'restore', rank, owner }
+end
+
+if mode == 'claim' then
+  if current then
+    redis.call('HSET', key, 'owner', instance)
+  end
+  return { 'claim', current or -1, instance }
+end
+
+if mode == 'normal' then
+  if not current then
+    return { 'none', 0, '' }
+  end
+  local normal = redis.call('HINCRBY', key, 'normal', 1)
+  if normal >= resolveAfter then
+    redis.call('DEL', key)
+    return { 'resolve', normal, owner }
+  end
+  redis.call('PEXPIRE', key, ttl)
+  return { 'normal', normal, owner }
+end
+
+redis.call('HSET', key, 'normal', 0)
+redis.call('PEXPIRE', key, ttl)
+if current and rank <= current then
+  return { 'deduplicate', current, owner }
+end
+redis.call('HSET', key, 'severity', rank)
+if not current then
+  redis.call('HSET', key, 'owner', instance)
+  owner = instance
+end
+return { current and 'escalate' or 'raise', current or -1, owner }
+`;
+
+/**
+ * 读取数值字段
+ * @param {*} raw - 字段值
+ * @returns {number|null} 数值，空值、布尔值和无法转换的值为null
+ */
+const toNumber = (raw) => {
+  if (raw === null || raw === undefined || raw === '' || typeof raw === 'boolean') {
+    return null;
+  }
+  const value = Number(raw);
+  return Number.isNaN(value) ? null : value;
+};
+
+/**
+ * 读取记录的偏离分数
+ * @param {Object} config - 规范化的告警配置
+ * @param {Object} record - 记录
+ * @returns {number|null} 偏离分数，没有分数时为null
+ */
+const readScore = (config, record) => {
+  if (config.scoreField) {
+    return toNumber(record[config.scoreField]);
+  }
+  const score = toNumber(record[`${config.field}_score`]);
+  return score === null ? toNumber(record[`${config.field}_zscore`]) : score;
+};
+
+/**
+ * 是否为异常告警器发出的告警，异常告警的第一个标签为 anomaly
+ * @param {Object} alert - 告警
+ * @returns {boolean}
+ */
+const isAnomalyAlert = (alert) => Array.isArray(alert.labels) && alert.labels[0] === 'anomaly';
+
+/**
+ * 异常告警器
+ * 把 anomaly 步骤或 anomalyDetector 处理器标记的异常记录转为告警管理器中的告警，
+ * 按序列去重并在序列恢复正常后自动解决。
+ * 序列的告警状态保存在Redis中，所有任务和PM2实例共享，同一序列不会在多个实例上重复告警；
+ * 告警本身保存在发出它的实例的告警管理器中，其他实例上的记录要升级或解决告警时，通过该实例的Redis频道发送给它执行，
+ * 该实例已不存在（频道没有订阅者）时由当前实例接管。告警被解决（包括手动解决）时删除序列状态，序列的下一次异常重新告警
+ */
+class AnomalyAlerter extends EventEmitter {
+  /**
+   * 创建异常告警器
+   * @param {Object} options - 配置选项
+   * @param {AlertManager} [options.alertManager] - 告警管理器，不提供时由监控服务注册数据处理器时设置
+   * @param {Redis} [options.redis] - Redis客户端，不提供时首次使用时创建
+   * @param {Redis} [options.subscriber] - 接收其他实例发来的告警操作的Redis客户端（订阅模式下不能执行其他命令，需单独连接），
+   *   不提供时复制 redis 的连接
+   * @param {string} [options.prefix='rdp:alert'] - Redis键和频道前缀
+   * @param {string} [options.instanceId] - 实例标识，默认由主机名、进程ID和随机数组成
+   */
+  constructor(options = {}) {
+    super();
+    this.alertManager = null;
+    this.redis = options.redis || null;
+    this.ownsRedis = !options.redis;
+    this.subscriber = options.subscriber || null;
+    this.ownsSubscriber = !options.subscriber;
+    this.listening = null;
+    this.prefix = options.prefix || 'rdp:alert';
+    this.instanceId = options.instanceId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.channel = this._channelOf(this.instanceId);
+    this.onResolve = (alert) => this._forget(alert);
+    this.metrics = {
+      raised: 0, // 新发出的告警
+      escalated: 0, // 级别升高后重新发出的告警
+      deduplicated: 0, // 序列已有同级或更高级别告警而未发出的异常
+      silenced: 0, // 被告警管理器静默的异常
+      resolved: 0, // 序列恢复正常后自动解决的告警
+      forwarded: 0, // 发送给告警所在实例执行的升级和解决
+    };
+    if (options.alertManager) {
+      this.setAlertManager(options.alertManager);
+    }
+  }
+
+  /**
+   * 设置告警管理器，并在其中的异常告警被解决时删除对应的序列状态
+   * @param {AlertManager} alertManager - 告警管理器
+   */
+  setAlertManager(alertManager) {
+    if (this.alertManager) {
+      this.alertManager.removeListener('resolve', this.onResolve);
+    }
+    this.alertManager = alertManager;
+    alertManager.on('resolve', this.onResolve);
+  }
+
+  /**
+   * 按记录的异常标记发出、升级或解决告警，数组按顺序逐条处理
+   * 没有异常标记（flagField 不是布尔值）或 field 不是数值的记录不影响告警
+   * @param {Object} config - 规范化的告警配置（normalizeAlertConfig的返回值）
+   * @param {Object|Array<Object>} data - 记录或记录数组
+   * @returns {Promise<void>}
+   */
+  async process(config, data) {
+    if (!this.alertManager) {
+      return;
+    }
+    const records = (Array.isArray(data) ? data : [data]).filter(
+      (record) => record && typeof record[config.flagField] === 'boolean' && toNumber(record[config.field]) !== null
+    );
+    if (!records.length) {
+      return;
+    }
+    // 先订阅本实例的频道，其他实例才能解决本实例发出的告警
+    await this._listen();
+    for (let i = 0; i < records.length; i += 1) {
+      // 同一序列的告警状态依赖处理顺序，逐条执行
+      // eslint-disable-next-line no-await-in-loop
+      await this._processRecord(config, records[i]);
+    }
+  }
+
+  /**
+   * 处理单条记录
+   * @param {Object} config - 规范化的告警配置
+   * @param {Object} record - 记录
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _processRecord(config, record) {
+    const series = config.seriesBy.map((field) => [field, record[field] === undefined ? null : record[field]]);
+    const name = series.length ? `${config.name}:${series.map(([, seriesValue]) => seriesValue).join(':')}` : config.name;
+    const key = `${this.prefix}:${name}`;
+
+    if (!record[config.flagField]) {
+      const [action, normal, owner] = await this._series(config, key, 'normal', 0);
+      if (action === 'resolve') {
+        const command = { action, name, message: `${config.field} back to normal after ${normal} records` };
+        if (!(await this._dispatch(owner, command))) {
+          logger.debug(`Anomaly alert ${name} was raised by ${owner}, which is gone`);
+        }
+      }
+      return;
+    }
+
+    const score = readScore(config, record);
+    const severity = alertSeverity(config, score);
+    const [action, previous, owner] = await this._series(config, key, 'anomaly', severityOrder.indexOf(severity));
+    if (action === 'deduplicate') {
+      this.metrics.deduplicated += 1;
+      return;
+    }
+
+    const value = toNumber(record[config.field]);
+    const expected = toNumber(record[config.expectedField]);
+    const seriesLabels = series.map(([field, seriesValue]) => `${field}=${seriesValue}`);
+    const labels = [
+      'anomaly',
+      config.name,
+      ...seriesLabels,
+      ...config.labels.filter((field) => record[field] !== undefined).map((field) => `${field}=${record[field]}`),
+    ];
+    let message = `Anomalous ${config.field} ${value}`;
+    if (seriesLabels.length) {
+      message += ` for ${seriesLabels.join(', ')}`;
+    }
+    const details = [];
+    if (expected !== null) {
+      details.push(`expected ${expected}`);
+    }
+    if (score !== null) {
+      details.push(`score ${score}`);
+    }
+    if (details.length) {
+      message += ` (${details.join(', ')})`;
+    }
+
+    const command = {
+      action,
+      key,
+      previous,
+      resolveAfter: config.resolveAfter,
+      stateTtl: config.stateTtl,
+      alert: {
+        name,
+        message,
+        severity,
+        labels,
+        data: { field: config.field, value, expected, score, series: Object.fromEntries(series) },
+      },
+    };
+    if (!(await this._dispatch(owner, command))) {
+      // 发出告警的实例已不存在，它的告警随之丢失，由本实例接管并重新发出
+      await this._series(config, key, 'claim', previous);
+      await this._execute(command);
+    }
+  }
+
+  /**
+   * 执行序列状态脚本
+   * @param {Object} config - 规范化的告警配置
+   * @param {string} key - 序列状态键
+   * @param {string} mode - 脚本模式
+   * @param {number} rank - 级别序号
+   * @returns {Promise<Array>} 脚本返回值 [操作, 数值, 告警所在的实例]
+   * @private
+   */
+  _series(config, key, mode, rank) {
+    return this._getRedis().alertSeries(key, mode, rank, config.resolveAfter, config.stateTtl, this.instanceId);
+  }
+
+  /**
+   * 在告警所在的实例上执行告警操作，本实例直接执行，其他实例通过其频道发送
+   * @param {string} owner - 告警所在的实例
+   * @param {Object} command - 告警操作
+   * @returns {Promise<boolean>} 是否已执行或送达，告警所在的实例不存在时为false
+   * @private
+   */
+  async _dispatch(owner, command) {
+    if (owner === this.instanceId) {
+      await this._execute(command);
+      return true;
+    }
+    const receivers = await this._getRedis().publish(this._channelOf(owner), JSON.stringify(command));
+    if (!receivers) {
+      return false;
+    }
+    this.metrics.forwarded += 1;
+    return true;
+  }
+
+  /**
+   * 在本实例的告警管理器中执行告警操作
+   * @param {Object} command - 告警操作，resolve 为 { action, name, message }，
+   *   raise/escalate 为 { action, key, previous, resolveAfter, stateTtl, alert }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _execute(command) {
+    if (command.action === 'resolve') {
+      // 告警可能已被手动解决，只统计实际解决的告警
+      if (this.alertManager.resolve(command.name, command.message)) {
+        this.metrics.resolved += 1;
+      }
+      return;
+    }
+
+    const { name, message, severity, labels, data } = command.alert;
+    const alert = this.alertManager.alert(name, message, severity, labels, data);
+    if (!alert) {
+      this.metrics.silenced += 1;
+      await this._series(command, command.key, 'restore', command.previous);
+      return;
+    }
+    this.metrics[command.action === 'escalate' ? 'escalated' : 'raised'] += 1;
+    logger.debug(`Anomaly alert ${name} ${command.action === 'escalate' ? 'escalated to' : 'raised as'} ${severity}`);
+  }
+
+  /**
+   * 订阅本实例的频道，执行其他实例发来的告警操作
+   * @returns {Promise<void>}
+   * @private
+   */
+  _listen() {
+    if (!this.listening) {
+      if (!this.subscriber) {
+        this.subscriber = this._getRedis().duplicate();
+      }
+      this.subscriber.on('message', (channel, raw) => {
+        if (channel === this.channel) {
+          this._receive(raw);
+        }
+      });
+      this.listening = this.subscriber.subscribe(this.channel).catch((error) => {
+        logger.error(`Failed to subscribe to alert channel ${this.channel}: ${error.message}`);
+      });
+    }
+    return this.listening;
+  }
+
+  /**
+   * 执行其他实例发来的告警操作
+   * @param {string} raw - 序列化的告警操作
+   * @private
+   */
+  _receive(raw) {
+    let command;
+    try {
+      command = JSON.parse(raw);
+    } catch (error) {
+      logger.warn(`Alert channel ${this.channel} received an invalid message`);
+      return;
+    }
+    if (!this.alertManager) {
+      return;
+    }
+    this._execute(command).catch((error) =>
+      logger.error(`Failed to ${command.action} anomaly alert from another instance: ${error.message}`)
+    );
+  }
+
+  /**
+   * 实例接收告警操作的频道
+   * @param {string} instanceId - 实例标识
+   * @returns {string} 频道名
+   * @private
+   */
+  _channelOf(instanceId) {
+    return `${this.prefix}:instance:${instanceId}`;
+  }
+
+  /**
+   * 告警被解决后删除序列状态，自动解决时状态已在脚本中删除
+   * @param {Object} alert - 被解决的告警
+   * @private
+   */
+  _forget(alert) {
+    if (!isAnomalyAlert(alert)) {
+      return;
+    }
+    this._getRedis()
+      .del(`${this.prefix}:${alert.name}`)
+      .catch((error) => logger.error(`Failed to clear alert state of ${alert.name}: ${error.message}`));
+  }
+
+  /**
+   * 获取告警指标
+   * @returns {Object} 指标对象 { raised, escalated, deduplicated, silenced, resolved, forwarded, active }，
+   *   active 为本实例告警管理器中活跃的异常告警数
+   */
+  getMetrics() {
+    const active = this.alertManager ? this.alertManager.getActiveAlerts().filter(isAnomalyAlert).length : 0;
+    return { ...this.metrics, active };
+  }
+
+  /**
+   * 关闭自己创建的Redis连接，序列状态保留在Redis中直到过期
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.subscriber && this.ownsSubscriber) {
+      await this.subscriber.quit().catch(() => this.subscriber.disconnect());
+      this.subscriber = null;
+      this.listening = null;
+    }
+    if (this.redis && this.ownsRedis) {
+      await this.redis.quit().catch(() => this.redis.disconnect());
+      this.redis = null;
+    }
+  }
+
+  /**
+   * 获取Redis客户端，首次调用时创建并注册序列状态脚本
+   * @returns {Redis} Redis客户端
+   * @private
+   */
+  _getRedis() {
+    if (!this.redis) {
+      this.redis = new Redis({
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD || null,
+        retryStrategy: (times) => Math.min(times * 50, 2000),
+      });
+    }
+    if (typeof this.redis.alertSeries !== 'function') {
+      this.redis.defineCommand('alertSeries', { numberOfKeys: 1, lua: seriesScript });
+    }
+    return this.redis;
+  }
+}
+
+module.exports = AnomalyAlerter;
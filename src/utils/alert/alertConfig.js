@@ -0,0 +1,141 @@
+// src/utils/alert/alertConfig.js
+
+const { AlertSeverity } = require('../monitoring/AlertManager');
+
+/**
+ * 告警级别从低到高的顺序，级别升高时重新发出告警
+ */
+const severityOrder = [AlertSeverity.INFO, AlertSeverity.WARNING, AlertSeverity.ERROR, AlertSeverity.CRITICAL];
+
+/**
+ * 序列告警状态的默认保留时间(ms)，序列长时间没有数据时状态在此之后过期
+ */
+const defaultStateTtl = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 告警名称格式，名称同时用于告警路由 /monitoring/alerts/:name
+ */
+const namePattern = /^[\w.-]+$/;
+
+/**
+ * 校验字段名数组选项
+ * @param {Object} config - 告警配置
+ * @param {string} key - 选项名
+ * @returns {Array<string>} 字段名数组
+ */
+const fieldList = (config, key) => {
+  const fields = typeof config[key] === 'string' ? [config[key]] : config[key] || [];
+  if (!Array.isArray(fields) || fields.some((field) => typeof field !== 'string' || !field)) {
+    throw new Error(`Alert ${key} must be a field name or an array of field names`);
+  }
+  return fields;
+};
+
+/**
+ * 校验可选的字段名选项
+ * @param {Object} config - 告警配置
+ * @param {string} key - 选项名
+ * @param {string|null} defaultValue - 默认值
+ * @returns {string|null} 字段名
+ */
+const fieldOption = (config, key, defaultValue) => {
+  if (config[key] === undefined) {
+    return defaultValue;
+  }
+  if (typeof config[key] !== 'string' || !config[key]) {
+    throw new Error(`Alert ${key} must be a field name`);
+  }
+  return config[key];
+};
+
+/**
+ * 校验告警配置并补全默认值
+ * 只检查配置本身，不连接告警管理器，可用于管道编译时校验
+ *
+ * 每个序列（seriesBy 字段值的组合）同一时间最多有一个活跃告警，名称为 <name>:<序列字段值>，
+ * 标签为 anomaly、name 和 seriesBy、labels 字段的 <字段>=<值>，可用于按主机或指标静默告警。
+ * 告警级别默认为 severity，偏离分数的绝对值达到 escalation 中的阈值时升为对应级别；
+ * 序列已有活跃告警时，只有级别升高才重新告警。
+ * 序列连续 resolveAfter 条记录恢复正常后自动解决告警。
+ * 序列的告警状态保存在Redis中，stateTtl 内没有数据时过期
+ *
+ * @param {Object} config - 告警配置 { field, name, seriesBy, labels, flagField, scoreField, expectedField, severity,
+ *   escalation, resolveAfter, stateTtl }
+ * @returns {Object} 规范化的告警配置
+ */
+const normalizeAlertConfig = (config = {}) => {
+  if (typeof config.field !== 'string' || !config.field) {
+    throw new Error('Alert step requires a field');
+  }
+  const name = config.name === undefined ? 'data_anomaly' : config.name;
+  if (typeof name !== 'string' || !namePattern.test(name)) {
+    throw new Error('Alert name must contain only letters, digits, "_", "-" and "."');
+  }
+
+  const severity = config.severity || AlertSeverity.WARNING;
+  if (!severityOrder.includes(severity)) {
+    throw new Error(`Invalid alert severity: ${severity}`);
+  }
+  const escalationConfig = config.escalation === undefined ? { error: 5, critical: 8 } : config.escalation;
+  if (!escalationConfig || typeof escalationConfig !== 'object' || Array.isArray(escalationConfig)) {
+    throw new Error('Alert escalation must map severities to score thresholds');
+  }
+  const escalation = Object.entries(escalationConfig).map(([level, minScore]) => {
+    if (!severityOrder.includes(level)) {
+      throw new Error(`Invalid alert severity: ${level}`);
+    }
+    if (typeof minScore !== 'number' || !(minScore > 0)) {
+      throw new Error(`Alert escalation threshold for ${level} must be a positive number`);
+    }
+    return { severity: level, minScore };
+  });
+
+  const resolveAfter = config.resolveAfter === undefined ? 1 : config.resolveAfter;
+  if (!Number.isInteger(resolveAfter) || resolveAfter < 1) {
+    throw new Error('Alert resolveAfter must be a positive integer');
+  }
+  const stateTtl = config.stateTtl === undefined ? defaultStateTtl : config.stateTtl;
+  if (!Number.isInteger(stateTtl) || stateTtl < 1) {
+    throw new Error('Alert stateTtl must be a positive integer');
+  }
+
+  return {
+    name,
+    field: config.field,
+    seriesBy: fieldList(config, 'seriesBy'),
+    labels: fieldList(config, 'labels'),
+    flagField: fieldOption(config, 'flagField', `${config.field}_isAnomaly`),
+    // 未指定时依次使用 anomaly 步骤的 <field>_score 和 anomalyDetector zscore 方法的 <field>_zscore
+    scoreField: fieldOption(config, 'scoreField', null),
+    expectedField: fieldOption(config, 'expectedField', `${config.field}_expected`),
+    severity,
+    escalation,
+    resolveAfter,
+    stateTtl,
+  };
+};
+
+/**
+ * 按偏离分数计算告警级别
+ * @param {Object} config - 规范化的告警配置
+ * @param {number|null} score - 偏离分数，没有分数时为null
+ * @returns {string} 告警级别
+ */
+const alertSeverity = (config, score) => {
+  if (typeof score !== 'number' || Number.isNaN(score)) {
+    return config.severity;
+  }
+  // 取 severity 和所有已达到阈值的级别中最高的一个
+  return config.escalation
+    .filter(({ minScore }) => Math.abs(score) >= minScore)
+    .reduce(
+      (current, { severity }) => (severityOrder.indexOf(severity) > severityOrder.indexOf(current) ? severity : current),
+      config.severity
+    );
+};
+
+module.exports = {
+  severityOrder,
+  normalizeAlertConfig,
+  alertSeverity,
+};
@@ -0,0 +1,10 @@
+// src/utils/alert/index.js
+
+const AnomalyAlerter = require('./AnomalyAlerter');
+const { normalizeAlertConfig, alertSeverity } = require('./alertConfig');
+
+module.exports = {
+  AnomalyAlerter,
+  normalizeAlertConfig,
+  alertSeverity,
+};
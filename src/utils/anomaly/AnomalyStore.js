@@ -0,0 +1,260 @@
+// src/utils/anomaly/AnomalyStore.js
+
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const logger = require('../../config/logger');
+const { seasonSlot } = require('./anomalyConfig');
+
+/**
+ * 原子地按序列状态为一个值评分并把值计入状态
+ *
+ * KEYS[1]：序列状态键，ewma/seasonal 为哈希 { n, mean, var }，mad 为最近值的列表
+ * ARGV：方法, 值, 状态保留时间(ms), alpha, windowSize, minSamples
+ * 返回：{ 分数, 期望值, 评分前的样本数 }，样本不足时分数和期望值为空串；
+ *   Lua 数值返回给客户端时会被截断为整数，因此分数和期望值以字符串返回，标准差为0且值不同时分数为 inf/-inf
+ */
+const scoreScript = `
+local key = KEYS[1]
+local method = ARGV[1]
+local value = tonumber(ARGV[2])
+local ttl = tonumber(ARGV[3])
+local alpha = tonumber(ARGV[4])
+local windowSize = tonumber(ARGV[5])
+local minSamples = tonumber(ARGV[6])
+
+local function deviation(expected, scale)
+  if scale > 1e-9 then
+    return tostring((value - expected) / scale)
+  end
+  if math.abs(value - expected) <= 1e-9 then
+    return '0'
+  end
+  return value > expected and 'inf' or '-inf'
+end
+
+local function median(sorted)
+  local size = #sorted
+  if size % 2 == 1 then
+    return sorted[(size + 1) / 2]
+  end
+  return (sorted[size / 2] + sorted[size / 2 + 1]) / 2
+end
+
+local score, expected, samples = '', '', 0
+
+if method == 'mad' then
+  local values = redis.call('LRANGE', key, 0, -1)
+  samples = #values
+  if samples >= minSamples then
+    local sorted, deviations = {}, {}
+    for i = 1, samples do
+      sorted[i] = tonumber(values[i])
+    end
+    table.sort(sorted)
+    local center = median(sorted)
+    for i = 1, samples do
+      deviations[i] = math.abs(sorted[i] - center)
+    end
+    table.sort(deviations)
+    score = deviation(center, 1.4826 * median(deviations))
+    expected = tostring(center)
+  end
+  redis.call('RPUSH', key, ARGV[2])
+  redis.call('LTRIM', key, -windowSize, -1)
+else
+  samples = tonumber(redis.call('HGET', key, 'n')) or 0
+  if samples == 0 then
+    redis.call('HSET', key, 'n', 1, 'mean', ARGV[2], 'var', 0)
+  else
+    local mean = tonumber(redis.call('HGET', key, 'mean'))
+    local var = tonumber(redis.call('HGET', key, 'var'))
+    if samples >= minSamples then
+      score = deviation(mean, math.sqrt(var))
+      expected = tostring(mean)
+    end
+    local diff = value - mean
+    local increment = alpha * diff
+    redis.call('HSET', key, 'n', samples + 1, 'mean', tostring(mean + increment),
+      'var', tostring((1 - alpha) * (var + diff * increment)))
+  end
+end
+
+redis.call('PEXPIRE', key, ttl)
+return { score, expected, samples }
+`;
+
+/**
+ * 解析脚本返回的数值字符串
+ * @param {string} value - 数值字符串，inf/-inf 表示无穷
+ * @returns {number|null} 数值，空串为null
+ */
+const parseNumber = (value) => {
+  if (value === '') {
+    return null;
+  }
+  if (value === 'inf' || value === '-inf') {
+    return value === 'inf' ? Infinity : -Infinity;
+  }
+  return Number(value);
+};
+
+/**
+ * 异常检测状态存储
+ * 每个序列的检测状态保存在Redis中，处理同一事件类型的所有任务和PM2实例共享，
+ * 因此单条事件的任务也能基于序列历史评分
+ */
+class AnomalyStore extends EventEmitter {
+  /**
+   * 创建异常检测状态存储
+   * @param {Object} options - 配置选项
+   * @param {Redis} [options.redis] - Redis客户端，不提供时首次使用时创建
+   * @param {string} [options.prefix='rdp:anomaly'] - Redis键前缀
+   */
+  constructor(options = {}) {
+    super();
+    this.redis = options.redis || null;
+    this.ownsRedis = !options.redis;
+    this.prefix = options.prefix || 'rdp:anomaly';
+    this.metrics = {
+      scored: 0, // 计入序列状态的值
+      anomalies: 0, // 判定为异常的值
+      warmup: 0, // 样本不足、只学习不判定的值
+      invalid: 0, // 不是数值或缺少有效事件时间的记录
+    };
+  }
+
+  /**
+   * 为数据评分，数组逐条按顺序评分
+   * 每条记录增加 outputField（是否异常）、<field>_score（偏离分数，样本不足时为null）和
+   * <field>_expected（评分时的均值、中位数或季节性基线）字段
+   * @param {Object} config - 规范化的检测配置（normalizeAnomalyConfig的返回值）
+   * @param {Object|Array<Object>} data - 记录或记录数组
+   * @returns {Promise<Object|Array<Object>>} 评分后的记录，与输入形式相同
+   */
+  async score(config, data) {
+    if (!Array.isArray(data)) {
+      return this._scoreRecord(config, data);
+    }
+    const results = [];
+    for (let i = 0; i < data.length; i += 1) {
+      // 同一序列的状态依赖评分顺序，逐条执行
+      // eslint-disable-next-line no-await-in-loop
+      results.push(await this._scoreRecord(config, data[i]));
+    }
+    return results;
+  }
+
+  /**
+   * 为单条记录评分
+   * @param {Object} config - 规范化的检测配置
+   * @param {Object} record - 记录
+   * @returns {Promise<Object>} 评分后的记录
+   * @private
+   */
+  async _scoreRecord(config, record) {
+    const { field, outputField } = config;
+    const raw = record ? record[field] : undefined;
+    const value = raw === null || raw === '' || typeof raw === 'boolean' ? NaN : Number(raw);
+    if (!Number.isFinite(value)) {
+      this.metrics.invalid += 1;
+      return { ...record, [outputField]: false };
+    }
+
+    const seriesKey = this._seriesKey(config, record);
+    if (!seriesKey) {
+      this.metrics.invalid += 1;
+      logger.warn(`Anomaly ${config.key}: record has no valid ${config.timeField}, skipping`);
+      return { ...record, [outputField]: false };
+    }
+
+    const [score, expected, samples] = await this._getRedis().anomalyScore(
+      seriesKey,
+      config.method,
+      value,
+      config.stateTtl,
+      config.alpha,
+      config.windowSize,
+      config.minSamples
+    );
+    const deviation = parseNumber(score);
+    this.metrics.scored += 1;
+    if (deviation === null) {
+      this.metrics.warmup += 1;
+      logger.debug(`Anomaly ${config.key}: series ${seriesKey} has ${samples} samples, warming up`);
+    }
+
+    const isAnomaly =
+      deviation !== null &&
+      ((config.direction !== 'down' && deviation > config.threshold) ||
+        (config.direction !== 'up' && deviation < -config.threshold));
+    if (isAnomaly) {
+      this.metrics.anomalies += 1;
+    }
+    return {
+      ...record,
+      [outputField]: isAnomaly,
+      [`${field}_score`]: deviation,
+      [`${field}_expected`]: parseNumber(expected),
+    };
+  }
+
+  /**
+   * 生成记录所属序列的状态键，seasonal 方法按事件时间追加时段
+   * @param {Object} config - 规范化的检测配置
+   * @param {Object} record - 记录
+   * @returns {string|null} 状态键，seasonal 方法缺少有效事件时间时为null
+   * @private
+   */
+  _seriesKey(config, record) {
+    const series = JSON.stringify(
+      config.seriesBy.map((name) => (record[name] === undefined || record[name] === null ? null : String(record[name])))
+    );
+    const key = `${this.prefix}:${config.key}:${series}`;
+    if (config.method !== 'seasonal') {
+      return key;
+    }
+    const time = record[config.timeField] === undefined ? NaN : new Date(record[config.timeField]).getTime();
+    return Number.isNaN(time) ? null : `${key}:${seasonSlot(time, config)}`;
+  }
+
+  /**
+   * 获取异常检测指标
+   * @returns {Object} 指标对象 { scored, anomalies, warmup, invalid }
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * 关闭自己创建的Redis连接，序列状态保留在Redis中直到过期
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.redis && this.ownsRedis) {
+      await this.redis.quit().catch(() => this.redis.disconnect());
+      this.redis = null;
+    }
+  }
+
+  /**
+   * 获取Redis客户端，首次调用时创建并注册评分脚本
+   * @returns {Redis} Redis客户端
+   * @private
+   */
+  _getRedis() {
+    if (!this.redis) {
+      this.redis = new Redis({
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD || null,
+        retryStrategy: (times) => Math.min(times * 50, 2000),
+      });
+    }
+    if (typeof this.redis.anomalyScore !== 'function') {
+      this.redis.defineCommand('anomalyScore', { numberOfKeys: 1, lua: scoreScript });
+    }
+    return this.redis;
+  }
+}
+
+module.exports = AnomalyStore;
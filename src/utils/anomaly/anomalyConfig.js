@@ -0,0 +1,151 @@
+// src/utils/anomaly/anomalyConfig.js
+
+const crypto = require('crypto');
+
+/**
+ * 在线异常检测方法
+ * - ewma：指数加权移动均值和方差，分数为 (值 - 均值) / 标准差
+ * - mad：最近 windowSize 个值的中位数和中位数绝对偏差，分数为 (值 - 中位数) / (1.4826 · MAD)，不受离群值影响
+ * - seasonal：按 seasonality 划分时段（如一天中的每个小时），每个时段单独维护 EWMA 基线
+ */
+const anomalyMethods = ['ewma', 'mad', 'seasonal'];
+
+/**
+ * 季节性时段
+ * - hourOfDay：一天中的小时，24个时段
+ * - hourOfWeek：一周中的小时，168个时段，区分工作日和周末
+ */
+const seasonalities = ['hourOfDay', 'hourOfWeek'];
+
+/**
+ * 判定异常的方向：both 双向，up 只检测偏高，down 只检测偏低
+ */
+const directions = ['both', 'up', 'down'];
+
+/**
+ * 序列状态的默认保留时间(ms)，序列在此期间没有新数据时状态过期
+ */
+const defaultStateTtl = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 校验数值选项
+ * @param {Object} config - 检测配置
+ * @param {string} key - 选项名
+ * @param {number} defaultValue - 默认值
+ * @param {Function} isValid - 校验函数
+ * @param {string} description - 校验失败时的说明
+ * @returns {number} 选项值
+ */
+const numberOption = (config, key, defaultValue, isValid, description) => {
+  if (config[key] === undefined) {
+    return defaultValue;
+  }
+  if (typeof config[key] !== 'number' || !isValid(config[key])) {
+    throw new Error(`Anomaly ${key} must be ${description}`);
+  }
+  return config[key];
+};
+
+/**
+ * 是否为正整数
+ * @param {number} value - 值
+ * @returns {boolean}
+ */
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+
+/**
+ * 校验枚举选项
+ * @param {Object} config - 检测配置
+ * @param {string} key - 选项名
+ * @param {Array<string>} values - 可选值，第一个为默认值
+ * @returns {string} 选项值
+ */
+const enumOption = (config, key, values) => {
+  const value = config[key] === undefined ? values[0] : config[key];
+  if (!values.includes(value)) {
+    throw new Error(`Invalid anomaly ${key}: ${value}`);
+  }
+  return value;
+};
+
+/**
+ * 校验异常检测配置并补全默认值
+ * 只检查配置本身，不建立任何连接，可用于管道编译时校验
+ *
+ * 每个序列（seriesBy 字段值的组合，如 host + metric）在Redis中保存自己的状态，所有任务和PM2实例共享。
+ * 每条记录先按序列当前的状态评分，再把值计入状态；序列样本数少于 minSamples 时只学习不判定。
+ * 未指定 key 时按影响状态的配置（字段、方法、seriesBy 和方法参数）生成，
+ * 调整 threshold 或 direction 不会丢失已学习的状态
+ *
+ * @param {Object} config - 检测配置 { field, method, seriesBy, threshold, direction, minSamples, alpha, windowSize,
+ *   timeField, seasonality, utcOffset, outputField, stateTtl, key }
+ * @returns {Object} 规范化的检测配置
+ */
+const normalizeAnomalyConfig = (config = {}) => {
+  if (typeof config.field !== 'string' || !config.field) {
+    throw new Error('Anomaly detection requires a field');
+  }
+  const method = enumOption(config, 'method', anomalyMethods);
+  const seriesBy = typeof config.seriesBy === 'string' ? [config.seriesBy] : config.seriesBy || [];
+  if (!Array.isArray(seriesBy) || seriesBy.some((field) => typeof field !== 'string' || !field)) {
+    throw new Error('Anomaly seriesBy must be a field name or an array of field names');
+  }
+  if (method === 'seasonal' && (typeof config.timeField !== 'string' || !config.timeField)) {
+    throw new Error('Seasonal anomaly detection requires a timeField');
+  }
+
+  const state = {
+    field: config.field,
+    method,
+    seriesBy,
+    alpha: numberOption(config, 'alpha', 0.1, (value) => value > 0 && value <= 1, 'a number in (0, 1]'),
+    windowSize: numberOption(
+      config,
+      'windowSize',
+      100,
+      (value) => Number.isInteger(value) && value >= 3 && value <= 10000,
+      'an integer between 3 and 10000'
+    ),
+    seasonality: method === 'seasonal' ? enumOption(config, 'seasonality', seasonalities) : null,
+    utcOffset: numberOption(
+      config,
+      'utcOffset',
+      0,
+      (value) => Number.isInteger(value) && Math.abs(value) <= 14 * 60,
+      'an integer number of minutes between -840 and 840'
+    ),
+  };
+  if (config.key !== undefined && (typeof config.key !== 'string' || !config.key)) {
+    throw new Error('Anomaly key must be a non-empty string');
+  }
+
+  return {
+    key: config.key || crypto.createHash('sha1').update(JSON.stringify(state)).digest('hex').slice(0, 16),
+    ...state,
+    timeField: config.timeField || null,
+    threshold: numberOption(config, 'threshold', 3, (value) => value > 0, 'a positive number'),
+    direction: enumOption(config, 'direction', directions),
+    minSamples: numberOption(config, 'minSamples', 10, isPositiveInteger, 'a positive integer'),
+    outputField: config.outputField || `${config.field}_isAnomaly`,
+    stateTtl: numberOption(config, 'stateTtl', defaultStateTtl, isPositiveInteger, 'a positive integer'),
+  };
+};
+
+/**
+ * 计算事件时间所属的季节性时段
+ * @param {number} time - 事件时间(ms)
+ * @param {Object} config - 规范化的检测配置
+ * @returns {number} 时段编号，hourOfDay 为 0-23，hourOfWeek 为 0-167（周日0点为0）
+ */
+const seasonSlot = (time, { seasonality, utcOffset }) => {
+  const local = new Date(time + utcOffset * 60000);
+  const hour = local.getUTCHours();
+  return seasonality === 'hourOfWeek' ? local.getUTCDay() * 24 + hour : hour;
+};
+
+module.exports = {
+  anomalyMethods,
+  seasonalities,
+  normalizeAnomalyConfig,
+  seasonSlot,
+};
@@ -0,0 +1,12 @@
+// src/utils/anomaly/index.js
+
+const AnomalyStore = require('./AnomalyStore');
+const { anomalyMethods, seasonalities, normalizeAnomalyConfig, seasonSlot } = require('./anomalyConfig');
+
+module.exports = {
+  AnomalyStore,
+  anomalyMethods,
+  seasonalities,
+  normalizeAnomalyConfig,
+  seasonSlot,
+};
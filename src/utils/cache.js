@@ -60,6 +60,26 @@ class CacheService {
     }
   }
 
+  /**
+   * 仅在缓存不存在时设置（原子操作，SET NX）
+   * @param {string} entity - 实体类型
+   * @param {string} operation - 操作类型
+   * @param {string} identifier - 唯一标识符
+   * @param {*} value - 缓存值
+   * @param {number} [expireTime=3600] - 过期时间（秒）
+   * @returns {Promise<boolean>} 是否设置成功，false表示缓存已存在
+   */
+  async setIfNotExists(entity, operation, identifier, value, expireTime = 3600) {
+    const key = this.generateKey(entity, operation, identifier);
+    try {
+      const result = await this.redisClient.set(key, JSON.stringify(value), 'EX', expireTime, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      logger.error('缓存条件设置错误:', error);
+      throw error;
+    }
+  }
+
   /**
    * 获取缓存
    * @param {string} entity - 实体类型
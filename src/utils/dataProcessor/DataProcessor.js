@@ -4,30 +4,192 @@
  */
 
 const EventEmitter = require('events');
+const { Duplex } = require('stream');
+const v8 = require('v8');
 const logger = require('../../config/logger');
+const { compileFilter, getField } = require('../filterExpression');
+const { normalizeSinkConfig } = require('../sink/sinkTypes');
+const { normalizeWindowConfig } = require('../window/windowConfig');
+const { normalizeTopKConfig } = require('../topK/topKConfig');
+const { normalizeAnomalyConfig } = require('../anomaly/anomalyConfig');
+const { normalizeAlertConfig } = require('../alert/alertConfig');
+const { normalizeEnrichConfig } = require('../enrich/enrichConfig');
+const { normalizeSessionConfig } = require('../session/sessionConfig');
+const { normalizeSketchConfig } = require('../sketch/sketchConfig');
+const ProcessingTimeoutError = require('./ProcessingTimeoutError');
+
+/**
+ * 复制步骤输出，避免后续步骤原地修改影响追踪记录
+ * @param {any} value - 步骤输出
+ * @returns {any} - 输出快照，undefined记为null
+ */
+const snapshot = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  try {
+    return v8.deserialize(v8.serialize(value));
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * 为Promise设置超时
+ * 超时后返回的Promise以 createError() 的结果reject，原Promise仍会继续执行直到自行结束，
+ * 调用方通过中止状态阻止它开始后续步骤和写入
+ * @param {Promise} promise - 原Promise
+ * @param {number|null} timeout - 超时时间(ms)，0或null表示不限制
+ * @param {Function} createError - 创建超时错误的函数
+ * @returns {Promise} - 带超时的Promise
+ */
+const withTimeout = (promise, timeout, createError) => {
+  if (!timeout) {
+    return promise;
+  }
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createError()), timeout);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * 为 sink 步骤写入的记录加上产生它的管道来源，不是对象的记录包装为 { value }
+ * @param {any} data - 步骤输入，数组逐条处理
+ * @param {Object} origin - 管道来源，如 { pipelineId, pipelineVersion }
+ * @returns {any} - 带来源字段的记录
+ */
+const withOrigin = (data, origin) => {
+  const stamp = (record) =>
+    record !== null && typeof record === 'object' && !Array.isArray(record)
+      ? { ...record, ...origin }
+      : { value: record, ...origin };
+  return Array.isArray(data) ? data.map(stamp) : stamp(data);
+};
+
+/**
+ * 创建中止状态，父状态中止时随之中止
+ * @param {Object} [parent] - 父中止状态（数据项或外层步骤的中止状态）
+ * @returns {Object} - { reason, parent }，reason 为中止原因，未中止时为null
+ */
+const createAbortState = (parent = null) => ({ reason: null, parent });
+
+/**
+ * 本次处理或外层步骤已中止（超时或失败）时抛出中止原因
+ * @param {Object} run - 本次处理的状态
+ */
+const throwIfAborted = (run) => {
+  for (let state = run.abort; state; state = state.parent) {
+    if (state.reason) {
+      throw state.reason;
+    }
+  }
+};
+
+/**
+ * 步骤输出中合并到追踪记录的信息（skipped、branch、steps、branches）的键
+ */
+const traceDetails = Symbol('traceDetails');
+
+/**
+ * 生成带追踪信息的步骤输出，需要在追踪记录中补充信息的步骤返回该对象，其余步骤直接返回输出
+ * @param {any} value - 步骤输出
+ * @param {Object} details - 合并到步骤追踪记录中的信息
+ * @returns {Object} - { value, [traceDetails] }
+ */
+const stepResult = (value, details) => ({ value, [traceDetails]: details });
+
+/**
+ * 未执行的步骤（如试运行时没有配置对应存储）的输出，追踪记录标记 skipped
+ * @param {any} value - 步骤输出
+ * @returns {Object}
+ */
+const skipStep = (value) => stepResult(value, { skipped: true });
+
+/**
+ * 分支步骤失败时的追踪信息，键为抛出的错误，由 _runSteps 取出后合并到失败步骤的追踪记录中
+ */
+const errorDetails = new WeakMap();
+
+/**
+ * 为分支步骤抛出的错误关联追踪信息
+ * @param {any} error - 抛出的错误
+ * @param {Object} details - 追踪信息
+ * @returns {any} - 原错误
+ */
+const withErrorDetails = (error, details) => {
+  if (error !== null && typeof error === 'object') {
+    errorDetails.set(error, details);
+  }
+  return error;
+};
+
+/**
+ * 取出并移除错误关联的追踪信息
+ * @param {any} error - 步骤抛出的错误
+ * @returns {Object} - 追踪信息，没有时为空对象
+ */
+const takeErrorDetails = (error) => {
+  const details = errorDetails.get(error) || {};
+  errorDetails.delete(error);
+  return details;
+};
 
 class DataProcessor extends EventEmitter {
   /**
    * 创建数据处理器实例
    * @param {Object} options - 配置选项
+   * @param {SinkManager} [options.sinkManager] - 输出管理器，sink 步骤通过它写入数据
+   * @param {WindowStore} [options.windowStore] - 窗口状态存储，window 步骤通过它累加窗口
+   * @param {TopKStore} [options.topKStore] - 排行榜存储，topK 步骤通过它更新排名
+   * @param {AnomalyStore} [options.anomalyStore] - 异常检测状态存储，anomaly 步骤通过它为每个值评分
+   * @param {AnomalyAlerter} [options.alerter] - 异常告警器，alert 步骤通过它发出和解决告警
+   * @param {ReferenceLookup} [options.referenceLookup] - 参考数据关联查询，enrich 步骤通过它合并参考数据
+   * @param {SessionStore} [options.sessionStore] - 会话状态存储，session 步骤通过它累加用户会话
+   * @param {SketchStore} [options.sketchStore] - 草图存储，sketch 步骤通过它写入并合并草图
    */
   constructor(options = {}) {
     super();
     
+    const {
+      sinkManager = null,
+      windowStore = null,
+      topKStore = null,
+      anomalyStore = null,
+      alerter = null,
+      referenceLookup = null,
+      sessionStore = null,
+      sketchStore = null,
+      ...processorOptions
+    } = options;
     this.options = {
       concurrency: 5,      // 默认并发数
       batchSize: 100,      // 默认批处理大小
-      timeout: 30000,      // 默认超时时间(ms)
-      ...options
+      timeout: 30000, // 默认单个数据项的处理超时时间(ms)，0表示不限制
+      stepTimeout: null, // 默认单个步骤的超时时间(ms)，步骤可通过 timeout 单独配置，null表示只受数据项超时限制
+      ...processorOptions,
     };
-    
+    this.sinkManager = sinkManager;
+    this.windowStore = windowStore;
+    this.topKStore = topKStore;
+    this.anomalyStore = anomalyStore;
+    this.alerter = alerter;
+    this.referenceLookup = referenceLookup;
+    this.sessionStore = sessionStore;
+    this.sketchStore = sketchStore;
+    this.batchSequence = 0; // processBatch 自动生成的批次标识
+
     this.transformers = new Map(); // 存储转换器
     this.processors = new Map();   // 存储处理器
     this.pipeline = [];            // 处理管道配置
     this.metrics = {               // 性能指标
       processed: 0,
       failed: 0,
-      processingTime: []
+      processingTime: { count: 0, total: 0, min: 0, max: 0 }, // 成功数据项的处理时间汇总(ms)
+      timeouts: 0, // 因超时失败的数据项数
+      stepTimeouts: 0, // 超时的步骤执行次数（包括被 errorHandler 恢复的）
+      branches: {}, // 扇出分支的成功/失败次数，键为 "步骤名.分支名"
     };
     
     logger.info('DataProcessor initialized with options:', this.options);
@@ -50,6 +212,7 @@ class DataProcessor extends EventEmitter {
   
   /**
    * 注册数据处理器
+   * 处理器函数的 validateConfig 属性（可选）在编译管道时校验步骤配置，配置无效时抛出错误
    * @param {string} name - 处理器名称
    * @param {Function} processor - 处理器函数
    * @returns {DataProcessor} - 返回自身，支持链式调用
@@ -64,47 +227,298 @@ class DataProcessor extends EventEmitter {
   }
   
   /**
-   * 构建处理管道
+   * 编译处理管道
+   * 返回冻结的步骤数组，不修改处理器自身状态，可在并发任务间安全复用
    * @param {Array<Object>} steps - 处理步骤配置
-   * @returns {DataProcessor} - 返回自身，支持链式调用
+   * @returns {Array<Object>} - 编译后的不可变管道
    */
-  buildPipeline(steps) {
+  compilePipeline(steps) {
     if (!Array.isArray(steps)) {
       throw new Error('Steps must be an array');
     }
-    
-    this.pipeline = steps.map(step => {
-      const { type, name, config = {}, errorHandler } = step;
-      
-      if (type === 'transformer') {
+
+    const pipeline = steps.map((step) => this.compileStep(step));
+
+    logger.debug(`Pipeline compiled with ${pipeline.length} steps`);
+    return Object.freeze(pipeline);
+  }
+
+  /**
+   * 编译单个步骤
+   *
+   * 步骤类型：
+   * - transformer / processor：调用已注册的转换器或处理器，name为注册名称
+   * - filter：config.condition 为过滤表达式，不匹配时返回null终止管道；数组逐条过滤，全部不匹配时返回null
+   * - if：config.condition 为真时执行子管道 config.then，否则执行 config.else（未指定的分支原样传递数据）
+   * - switch：按 config.field 字段值（转为字符串）选择 config.cases 中的子管道，没有匹配时执行 config.default
+   * - sink：按 config.sink 指定的输出类型写入数据后原样传递，配置见 normalizeSinkConfig；
+   *   未配置 sinkManager 时（如试运行）不写入，追踪记录标记 skipped
+   * - fanout：将数据复制给 config.branches 中的每个子管道并行执行，分支输出被丢弃，步骤原样传递数据；
+   *   config.failurePolicy 为 fail（默认）时任一分支失败则整个数据项失败（已成功的分支不会回滚），
+   *   为 ignore 时只记录分支失败
+   * - window：按 config.timeField 的事件时间把记录累加到 Redis 中共享的滚动/滑动窗口，配置见 normalizeWindowConfig；
+   *   输出本次关闭的窗口结果数组，没有窗口关闭时返回null终止管道。
+   *   迟到记录触发 lateRecords 事件，latePolicy 为 queue 时通过 sinkManager 写入 config.lateQueue 队列。
+   *   未配置 windowStore 时（如试运行）不累加，追踪记录标记 skipped 并终止管道
+   * - topK：把记录计入 Redis 中按时间桶保存的排行榜后原样传递，配置见 normalizeTopKConfig；
+   *   未配置 topKStore 时（如试运行）不写入，追踪记录标记 skipped
+   * - anomaly：按 Redis 中保存的序列状态（EWMA、滚动 MAD 或季节性基线）逐条为 config.field 评分并标记异常，
+   *   配置见 normalizeAnomalyConfig；未配置 anomalyStore 时（如试运行）原样传递，追踪记录标记 skipped
+   * - alert：把已标记异常的记录转为告警管理器中按序列去重、自动解决的告警后原样传递，配置见 normalizeAlertConfig；
+   *   未配置 alerter 或告警管理器时（如试运行或未启用监控）不发出告警，追踪记录标记 skipped
+   * - enrich：按 config.keyField 从MongoDB或Redis哈希查询参考数据并合并选定字段，查询结果经缓存服务缓存，
+   *   查不到时按 config.onMiss 处理，配置见 normalizeEnrichConfig；未配置 referenceLookup 时（如试运行）原样传递，
+   *   追踪记录标记 skipped
+   * - session：按 config.userField 把事件累加到 Redis 中共享的用户会话，相邻事件间隔超过 config.gap 时开始新会话，
+   *   配置见 normalizeSessionConfig；输出本次结束的会话摘要数组，没有会话结束时返回null终止管道。
+   *   未配置 sessionStore 时（如试运行）不累加，追踪记录标记 skipped 并终止管道
+   * - sketch：把记录中序列化的草图（aggregator 处理器 output: 'sketch' 的结果）写入 Redis，与其他批次、窗口和实例的
+   *   草图合并后原样传递，配置见 normalizeSketchConfig；未配置 sketchStore 时（如试运行）不写入，追踪记录标记 skipped
+   *
+   * 步骤的 timeout(ms) 覆盖 options.stepTimeout，超时时抛出 scope 为 step 的 ProcessingTimeoutError，
+   * 可被 errorHandler 处理；超时的步骤中仍在执行的分支不再开始后续子步骤，sink 和迟到记录也不再写入
+   *
+   * @param {Object} step - 步骤配置 { type, name, config, errorHandler, timeout }
+   * @returns {Object} - 编译后的不可变步骤 { type, name, execute, errorHandler, timeout }
+   */
+  compileStep(step) {
+    const { type, errorHandler, timeout } = step;
+    if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 0)) {
+      throw new Error('Step timeout must be a non-negative integer');
+    }
+    const name = step.name || type;
+    // 复制配置，避免调用方之后修改定义影响已编译的管道
+    const config = Object.freeze({ ...step.config });
+    let execute;
+
+    switch (type) {
+      case 'transformer': {
         const transformer = this.transformers.get(name);
         if (!transformer) {
           throw new Error(`Transformer "${name}" not found`);
         }
-        return { 
-          type,
-          name,
-          execute: async data => transformer(data, config),
-          errorHandler
-        };
+        execute = async (data) => transformer(data, config);
+        break;
       }
-      
-      if (type === 'processor') {
+
+      case 'processor': {
         const processor = this.processors.get(name);
         if (!processor) {
           throw new Error(`Processor "${name}" not found`);
         }
-        return { 
-          type,
-          name,
-          execute: async data => processor(data, config),
-          errorHandler
+        if (typeof processor.validateConfig === 'function') {
+          processor.validateConfig(config);
+        }
+        execute = async (data) => processor(data, config);
+        break;
+      }
+
+      case 'filter': {
+        const predicate = compileFilter(config.condition);
+        execute = async (data) => {
+          if (Array.isArray(data)) {
+            const matched = data.filter((item) => predicate(item));
+            return matched.length ? matched : null;
+          }
+          return predicate(data) ? data : null;
         };
+        break;
       }
-      
-      throw new Error(`Invalid step type: ${type}`);
+
+      case 'if': {
+        const predicate = compileFilter(config.condition);
+        const branches = {
+          then: this.compilePipeline(config.then || []),
+          else: this.compilePipeline(config.else || []),
+        };
+        execute = async (data, run) => {
+          const branch = predicate(data) ? 'then' : 'else';
+          return this._runBranch(branches[branch], branch, data, run);
+        };
+        break;
+      }
+
+      case 'switch': {
+        if (typeof config.field !== 'string' || !config.field) {
+          throw new Error('Switch step requires a field');
+        }
+        const path = config.field.split('.');
+        const cases = new Map(
+          Object.entries(config.cases || {}).map(([value, caseSteps]) => [value, this.compilePipeline(caseSteps)])
+        );
+        const fallback = this.compilePipeline(config.default || []);
+        execute = async (data, run) => {
+          const value = getField(data, path);
+          const key = value === undefined || value === null ? null : String(value);
+          if (key !== null && cases.has(key)) {
+            return this._runBranch(cases.get(key), key, data, run);
+          }
+          return this._runBranch(fallback, 'default', data, run);
+        };
+        break;
+      }
+
+      case 'sink': {
+        // 编译时只校验配置，输出实例在首次写入时获取，避免校验或试运行建立连接
+        const sinkConfig = normalizeSinkConfig(config);
+        execute = async (data, run) => {
+          if (!this.sinkManager) {
+            return skipStep(data);
+          }
+          throwIfAborted(run);
+          await this.sinkManager.acquire(sinkConfig).write(run.origin ? withOrigin(data, run.origin) : data);
+          return data;
+        };
+        break;
+      }
+
+      case 'fanout': {
+        const failurePolicy = config.failurePolicy || 'fail';
+        if (!['fail', 'ignore'].includes(failurePolicy)) {
+          throw new Error(`Invalid fan-out failure policy: ${failurePolicy}`);
+        }
+        const branches = Object.entries(config.branches || {}).map(([branch, branchSteps]) => [
+          branch,
+          this.compilePipeline(branchSteps),
+        ]);
+        if (!branches.length) {
+          throw new Error('Fan-out step requires at least one branch');
+        }
+        execute = async (data, run) => this._runFanout(name, branches, failurePolicy, data, run);
+        break;
+      }
+
+      case 'window': {
+        const windowConfig = normalizeWindowConfig(config);
+        execute = async (data, run) => {
+          if (!this.windowStore) {
+            return skipStep(null);
+          }
+          const { windows, late } = await this.windowStore.add(windowConfig, data);
+          if (late.length) {
+            await this._handleLateRecords(name, windowConfig, late, run);
+          }
+          return windows.length ? windows : null;
+        };
+        break;
+      }
+
+      case 'topK': {
+        const topKConfig = normalizeTopKConfig(config);
+        execute = async (data) => {
+          if (!this.topKStore) {
+            return skipStep(data);
+          }
+          await this.topKStore.add(topKConfig, data);
+          return data;
+        };
+        break;
+      }
+
+      case 'anomaly': {
+        const anomalyConfig = normalizeAnomalyConfig(config);
+        execute = async (data) => {
+          if (!this.anomalyStore) {
+            return skipStep(data);
+          }
+          return this.anomalyStore.score(anomalyConfig, data);
+        };
+        break;
+      }
+
+      case 'alert': {
+        const alertConfig = normalizeAlertConfig(config);
+        execute = async (data) => {
+          if (!this.alerter || !this.alerter.alertManager) {
+            return skipStep(data);
+          }
+          await this.alerter.process(alertConfig, data);
+          return data;
+        };
+        break;
+      }
+
+      case 'enrich': {
+        const enrichConfig = normalizeEnrichConfig(config);
+        execute = async (data) => {
+          if (!this.referenceLookup) {
+            return skipStep(data);
+          }
+          return this.referenceLookup.enrich(enrichConfig, data);
+        };
+        break;
+      }
+
+      case 'session': {
+        const sessionConfig = normalizeSessionConfig(config);
+        execute = async (data) => {
+          if (!this.sessionStore) {
+            return skipStep(null);
+          }
+          const sessions = await this.sessionStore.add(sessionConfig, data);
+          return sessions.length ? sessions : null;
+        };
+        break;
+      }
+
+      case 'sketch': {
+        const sketchConfig = normalizeSketchConfig(config);
+        execute = async (data) => {
+          if (!this.sketchStore) {
+            return skipStep(data);
+          }
+          await this.sketchStore.addRecords(sketchConfig, data);
+          return data;
+        };
+        break;
+      }
+
+      default:
+        throw new Error(`Invalid step type: ${type}`);
+    }
+
+    return Object.freeze({ type, name, execute, errorHandler, timeout });
+  }
+
+  /**
+   * 处理窗口步骤的迟到记录
+   * 触发 lateRecords 事件 { pipeline, step, policy, count }，latePolicy 为 queue 时写入迟到记录队列，
+   * 没有配置 sinkManager 时只记录警告
+   * @param {string} name - 窗口步骤名称
+   * @param {Object} windowConfig - 规范化的窗口配置
+   * @param {Array<Object>} late - 迟到记录
+   * @param {Object} [run] - 本次处理的状态
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleLateRecords(name, windowConfig, late, run = {}) {
+    const { latePolicy, lateQueue } = windowConfig;
+    this.emit('lateRecords', {
+      pipeline: run.pipelineName || 'default',
+      step: name,
+      policy: latePolicy,
+      count: late.length,
     });
-    
+
+    if (latePolicy !== 'queue') {
+      return;
+    }
+    if (!this.sinkManager) {
+      logger.warn(`Window step "${name}" has no sink manager, dropping ${late.length} late records`);
+      return;
+    }
+    throwIfAborted(run);
+    await this.sinkManager.acquire({ sink: 'queue', queue: lateQueue }).write(late);
+  }
+
+  /**
+   * 构建默认处理管道
+   * 未指定管道的 processItem/processBatch 调用使用该管道
+   * @param {Array<Object>} steps - 处理步骤配置
+   * @returns {DataProcessor} - 返回自身，支持链式调用
+   */
+  buildPipeline(steps) {
+    this.pipeline = this.compilePipeline(steps);
     logger.info(`Pipeline built with ${this.pipeline.length} steps`);
     return this;
   }
@@ -112,46 +526,38 @@ class DataProcessor extends EventEmitter {
   /**
    * 处理单条数据
    * @param {any} data - 要处理的数据
+   * @param {Object} [options] - 处理选项
+   * @param {Array<Object>} [options.pipeline] - 使用的编译后管道（compilePipeline的返回值），默认为 buildPipeline 构建的管道
+   * @param {Array<Object>} [options.trace] - 传入数组时记录每个已执行步骤的
+   *   { index, type, name, value, duration, error, stopped }，value为该步骤输出的快照；
+   *   分支步骤另外记录所选分支 branch 和子步骤 steps
+   * @param {number} [options.timeout] - 处理超时时间(ms)，默认为 options.timeout；
+   *   超时时抛出 scope 为 item 的 ProcessingTimeoutError；超时或失败后仍在执行的步骤不再开始后续步骤，也不再写入输出
+   * @param {string} [options.pipelineName='default'] - 管道名称，作为 itemProcessed / stepProcessed 事件的 pipeline 标签
+   * @param {Object} [options.origin] - 管道来源（如 { pipelineId, pipelineVersion }），sink 步骤写入的每条记录都带上这些字段，
+   *   步骤之间传递的数据不受影响
    * @returns {Promise<any>} - 处理后的数据
    */
-  async processItem(data) {
+  async processItem(data, options = {}) {
     const startTime = Date.now();
-    let current = data;
+    const { trace, pipeline = this.pipeline, timeout = this.options.timeout, pipelineName = 'default', origin } = options;
+    // 超时或失败后中止本次处理，仍在执行的步骤不再开始后续步骤和写入
+    const abort = createAbortState();
+    const run = { abort, pipelineName, tracing: Boolean(trace), origin: origin || null };
     
     try {
-      // 按顺序执行管道中的每个步骤
-      for (const step of this.pipeline) {
-        try {
-          current = await step.execute(current);
-          
-          // 如果返回null或undefined，终止处理
-          if (current === null || current === undefined) {
-            logger.debug(`Step "${step.name}" returned null/undefined, stopping pipeline`);
-            break;
-          }
-        } catch (error) {
-          // 如果步骤有错误处理函数，调用它
-          if (typeof step.errorHandler === 'function') {
-            logger.debug(`Error in step "${step.name}", calling custom error handler`);
-            current = await step.errorHandler(error, current);
-            
-            // 如果错误处理返回null或undefined，终止处理
-            if (current === null || current === undefined) {
-              logger.debug(`Error handler for "${step.name}" returned null/undefined, stopping pipeline`);
-              break;
-            }
-          } else {
-            // 否则重新抛出错误
-            throw error;
-          }
-        }
-      }
+      const current = await withTimeout(
+        this._runSteps(pipeline, data, trace, run),
+        timeout,
+        () => new ProcessingTimeoutError('item', timeout)
+      );
       
       const processingTime = Date.now() - startTime;
-      this.metrics.processed++;
-      this.metrics.processingTime.push(processingTime);
+      this.metrics.processed += 1;
+      this._recordProcessingTime(processingTime);
       
       this.emit('itemProcessed', {
+        pipeline: pipelineName,
         success: true,
         processingTime,
         result: current
@@ -159,10 +565,15 @@ class DataProcessor extends EventEmitter {
       
       return current;
     } catch (error) {
+      abort.reason = error;
       const processingTime = Date.now() - startTime;
-      this.metrics.failed++;
+      this.metrics.failed += 1;
+      if (error instanceof ProcessingTimeoutError) {
+        this.metrics.timeouts += 1;
+      }
       
       this.emit('itemProcessed', {
+        pipeline: pipelineName,
         success: false,
         processingTime,
         error,
@@ -173,64 +584,422 @@ class DataProcessor extends EventEmitter {
     }
   }
   
+  /**
+   * 按顺序执行管道步骤
+   * @param {Array<Object>} pipeline - 编译后的管道
+   * @param {any} data - 输入数据
+   * @param {Array<Object>} [trace] - 步骤追踪记录
+   * @param {Object} [run] - 本次处理的状态 { abort, pipelineName, tracing, origin }，中止后不再执行后续步骤
+   * @returns {Promise<any>} - 最后一个步骤的输出，步骤返回null/undefined时提前终止
+   *
+   * 每个步骤结束后触发 stepProcessed 事件 { pipeline, step, type, duration, error }，
+   * error 为步骤抛出的错误（被 errorHandler 恢复时也会设置），没有错误时为null
+   * @private
+   */
+  async _runSteps(pipeline, data, trace, run = {}) {
+    let current = data;
+
+    for (let index = 0; index < pipeline.length; index += 1) {
+      const step = pipeline[index];
+      throwIfAborted(run);
+      const stepStartTime = Date.now();
+      const stepTimeout = step.timeout !== undefined ? step.timeout : this.options.stepTimeout;
+      const entry = { index, type: step.type, name: step.name, error: null, stopped: false };
+      // 步骤超时后中止它仍在执行的分支子步骤和写入
+      const stepAbort = createAbortState(run.abort);
+      let details = {};
+      let stepError = null;
+
+      try {
+        // 步骤依次执行，每个步骤的输入是上一个步骤的输出
+        // eslint-disable-next-line no-await-in-loop
+        const output = await withTimeout(step.execute(current, { ...run, abort: stepAbort }), stepTimeout, () => {
+          this.metrics.stepTimeouts += 1;
+          logger.warn(`Step "${step.name}" timed out after ${stepTimeout}ms`);
+          stepAbort.reason = new ProcessingTimeoutError('step', stepTimeout, step.name);
+          return stepAbort.reason;
+        });
+        if (output && output[traceDetails]) {
+          current = output.value;
+          details = output[traceDetails];
+        } else {
+          current = output;
+        }
+      } catch (error) {
+        stepError = error;
+        details = takeErrorDetails(error);
+
+        // 如果步骤有错误处理函数，调用它，否则重新抛出错误
+        if (typeof step.errorHandler !== 'function') {
+          const duration = Date.now() - stepStartTime;
+          this._emitStepProcessed(run, step, duration, error);
+          if (trace) {
+            trace.push({ ...entry, ...details, error: error.message, duration });
+          }
+          throw error;
+        }
+        logger.debug(`Error in step "${step.name}", calling custom error handler`);
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          current = await step.errorHandler(error, current);
+        } catch (handlerError) {
+          if (trace) {
+            trace.push({ ...entry, ...details, error: error.message });
+          }
+          throw handlerError;
+        } finally {
+          this._emitStepProcessed(run, step, Date.now() - stepStartTime, error);
+        }
+      }
+
+      const duration = Date.now() - stepStartTime;
+      if (!stepError) {
+        this._emitStepProcessed(run, step, duration, null);
+      }
+      const stopped = current === null || current === undefined;
+      if (trace) {
+        trace.push({
+          ...entry,
+          ...details,
+          error: stepError ? stepError.message : null,
+          duration,
+          value: snapshot(current),
+          stopped,
+        });
+      }
+
+      // 如果返回null或undefined，终止处理
+      if (stopped) {
+        logger.debug(`Step "${step.name}" returned null/undefined, stopping pipeline`);
+        break;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * 触发步骤执行结果事件
+   * @param {Object} run - 本次处理的状态
+   * @param {Object} step - 编译后的步骤
+   * @param {number} duration - 步骤耗时(ms)
+   * @param {Error|null} error - 步骤抛出的错误
+   * @private
+   */
+  _emitStepProcessed(run, step, duration, error) {
+    this.emit('stepProcessed', {
+      pipeline: run.pipelineName || 'default',
+      step: step.name,
+      type: step.type,
+      duration,
+      error,
+    });
+  }
+
+  /**
+   * 累加成功数据项的处理时间，只保留汇总值，内存占用不随处理量增长
+   * @param {number} processingTime - 处理时间(ms)
+   * @private
+   */
+  _recordProcessingTime(processingTime) {
+    const summary = this.metrics.processingTime;
+    summary.min = summary.count ? Math.min(summary.min, processingTime) : processingTime;
+    summary.max = summary.count ? Math.max(summary.max, processingTime) : processingTime;
+    summary.count += 1;
+    summary.total += processingTime;
+  }
+
+  /**
+   * 执行分支子管道，追踪时在分支步骤的记录中记录所选分支和子步骤
+   * @param {Array<Object>} pipeline - 分支子管道
+   * @param {string} branch - 分支名称
+   * @param {any} data - 输入数据
+   * @param {Object} run - 本次处理的状态
+   * @returns {Promise<any>} - 子管道输出，追踪时带上 { branch, steps }
+   * @private
+   */
+  async _runBranch(pipeline, branch, data, run) {
+    if (!run.tracing) {
+      return this._runSteps(pipeline, data, undefined, run);
+    }
+    const steps = [];
+    try {
+      return stepResult(await this._runSteps(pipeline, data, steps, run), { branch, steps });
+    } catch (error) {
+      throw withErrorDetails(error, { branch, steps });
+    }
+  }
+
+  /**
+   * 并行执行扇出分支，每个分支处理数据的独立副本
+   * @param {string} name - 扇出步骤名称
+   * @param {Array<Array>} branches - [分支名称, 分支子管道] 数组
+   * @param {string} failurePolicy - fail 或 ignore
+   * @param {any} data - 输入数据
+   * @param {Object} run - 本次处理的状态
+   * @returns {Promise<Object>} - 原样返回输入数据，追踪时带上每个分支的 { status, error, steps }
+   * @private
+   */
+  async _runFanout(name, branches, failurePolicy, data, run) {
+    const outcomes = await Promise.all(
+      branches.map(async ([branch, pipeline]) => {
+        const steps = run.tracing ? [] : undefined;
+        try {
+          await this._runSteps(pipeline, snapshot(data), steps, run);
+          this._countBranch(`${name}.${branch}`, 'succeeded');
+          return { branch, steps, error: null };
+        } catch (error) {
+          this._countBranch(`${name}.${branch}`, 'failed');
+          logger.warn(`Fan-out branch "${name}.${branch}" failed: ${error.message}`);
+          this.emit('branchFailed', { step: name, branch, error, data });
+          return { branch, steps, error, failed: true };
+        }
+      })
+    );
+
+    const details = run.tracing
+      ? {
+          branches: Object.fromEntries(
+            outcomes.map(({ branch, steps, error, failed }) => [
+              branch,
+              { status: failed ? 'failed' : 'success', error: failed ? error.message : null, steps },
+            ])
+          ),
+        }
+      : {};
+    const failure = outcomes.find(({ failed }) => failed);
+    if (failure && failurePolicy === 'fail') {
+      throw withErrorDetails(new Error(`Fan-out branch "${failure.branch}" failed: ${failure.error.message}`), details);
+    }
+    return stepResult(data, details);
+  }
+
+  /**
+   * 累加扇出分支的执行结果计数
+   * @param {string} key - 步骤名.分支名
+   * @param {string} outcome - succeeded 或 failed
+   * @private
+   */
+  _countBranch(key, outcome) {
+    if (!this.metrics.branches[key]) {
+      this.metrics.branches[key] = { succeeded: 0, failed: 0 };
+    }
+    this.metrics.branches[key][outcome] += 1;
+  }
+
   /**
    * 批量处理数据
+   * 使用滑动并发池：concurrency 个工作协程各自从共享游标领取下一条数据，任何一条完成后立即开始下一条，
+   * 耗时不均时不会因等待同组中最慢的数据而空闲。结果按输入顺序返回
+   *
+   * 每条数据处理完成或被取消后触发 batchProgress 事件 { batchId, total, completed, succeeded, failed, cancelled }
+   *
    * @param {Array<any>} items - 要处理的数据数组
+   * @param {Object} [options] - 处理选项
+   * @param {Array<Object>} [options.pipeline] - 使用的编译后管道，默认为 buildPipeline 构建的管道
+   * @param {number} [options.timeout] - 每个数据项的处理超时时间(ms)，默认为 options.timeout
+   * @param {string} [options.pipelineName='default'] - 管道名称，作为指标事件的 pipeline 标签
+   * @param {number} [options.concurrency] - 最大并发数，默认为 options.concurrency
+   * @param {AbortSignal} [options.signal] - 取消信号，取消后不再开始新的数据项（处理中的数据项会继续完成），
+   *   未开始的数据项结果为 { status: 'cancelled', data }
+   * @param {string|number} [options.batchId] - 批次标识，用于关联 batchProgress 事件，默认自动递增
    * @returns {Promise<Array<Object>>} - 处理结果数组
    */
-  async processBatch(items) {
+  async processBatch(items, options = {}) {
+    const {
+      pipeline = this.pipeline,
+      timeout = this.options.timeout,
+      pipelineName = 'default',
+      concurrency = this.options.concurrency,
+      signal,
+    } = options;
+    let { batchId } = options;
+    if (batchId === undefined) {
+      this.batchSequence += 1;
+      batchId = this.batchSequence;
+    }
+
     if (!Array.isArray(items)) {
       throw new Error('Items must be an array');
     }
     
     logger.info(`Processing batch of ${items.length} items`);
     
-    if (this.options.concurrency === 1) {
-      // 串行处理
-      const results = [];
-      for (const item of items) {
-        try {
-          const result = await this.processItem(item);
-          results.push({ status: 'success', data: result });
-        } catch (error) {
-          results.push({ status: 'error', error, data: item });
-        }
-      }
-      return results;
-    } else {
-      // 并行处理（有并发限制）
-      const batchResults = [];
-      // 将items分成多个批次，每批次最多concurrency个
-      for (let i = 0; i < items.length; i += this.options.concurrency) {
-        const batch = items.slice(i, i + this.options.concurrency);
-        const batchPromises = batch.map(item => 
-          this.processItem(item)
-            .then(result => ({ status: 'success', data: result }))
-            .catch(error => ({ status: 'error', error, data: item }))
-        );
-        
-        // 等待当前批次完成
-        const results = await Promise.all(batchPromises);
-        batchResults.push(...results);
+    const results = new Array(items.length);
+    const progress = { batchId, total: items.length, completed: 0, succeeded: 0, failed: 0, cancelled: 0 };
+    let cursor = 0;
+
+    const worker = async () => {
+      while (cursor < items.length) {
+        const index = cursor;
+        cursor += 1;
+        const item = items[index];
+
+        if (signal && signal.aborted) {
+          results[index] = { status: 'cancelled', data: item };
+          progress.cancelled += 1;
+        } else {
+          try {
+            // 每个工作协程一次只处理一条数据，并发由工作协程数量控制
+            // eslint-disable-next-line no-await-in-loop
+            const result = await this.processItem(item, { pipeline, timeout, pipelineName });
+            results[index] = { status: 'success', data: result };
+            progress.succeeded += 1;
+          } catch (error) {
+            results[index] = { status: 'error', error, data: item };
+            progress.failed += 1;
+          }
+        }
+        progress.completed += 1;
+        this.emit('batchProgress', { ...progress });
       }
-      
-      return batchResults;
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    if (progress.cancelled) {
+      logger.info(`Batch ${batchId} cancelled, ${progress.cancelled} of ${items.length} items not processed`);
+    }
+    return results;
+  }
+
+  /**
+   * 流式处理数据
+   * 从源中逐条读取数据，最多同时处理 concurrency 条；处理中的数据达到上限且结果未被消费时不再读取源，
+   * 从而对源施加背压。结果格式与 processBatch 相同
+   * @param {AsyncIterable<any>|Iterable<any>} source - 数据源，如对象模式的可读流或异步生成器
+   * @param {Object} [options] - 处理选项，pipeline / timeout / pipelineName 同 processItem
+   * @param {number} [options.concurrency] - 最大并发数，默认为 options.concurrency
+   * @param {boolean} [options.ordered=true] - 是否按输入顺序输出结果，false时先完成先输出
+   * @returns {AsyncGenerator<Object>} - 处理结果 { status: 'success', data } 或 { status: 'error', error, data }
+   */
+  async *processStream(source, options = {}) {
+    const { concurrency = this.options.concurrency, ordered = true, ...itemOptions } = options;
+    const inFlight = [];
+
+    // 任务Promise不会reject，结果中带上任务自身，便于完成后从进行中列表移除
+    const start = (item) => {
+      const task = this.processItem(item, itemOptions)
+        .then((result) => ({ status: 'success', data: result }))
+        .catch((error) => ({ status: 'error', error, data: item }))
+        .then((result) => ({ task, result }));
+      inFlight.push(task);
+    };
+
+    // 有序模式等待最早开始的任务，乱序模式等待最先完成的任务
+    const next = async () => {
+      const { task, result } = await (ordered ? inFlight[0] : Promise.race(inFlight));
+      inFlight.splice(inFlight.indexOf(task), 1);
+      return result;
+    };
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const item of source) {
+      start(item);
+      if (inFlight.length >= concurrency) {
+        yield next();
+      }
+    }
+
+    while (inFlight.length) {
+      yield next();
     }
   }
+
+  /**
+   * 创建对象模式的处理流，写入的每条数据经管道处理后从可读端输出处理结果，用法同 Transform 流
+   * 处理中的数据达到 concurrency 时暂停接收写入，可读端未被消费时暂停输出，可直接用于 stream.pipeline
+   * @param {Object} [options] - 处理选项，同 processStream
+   * @returns {stream.Duplex} - 处理流，输出 { status, data, error } 结果对象
+   */
+  createStream(options = {}) {
+    let waiting = null; // processStream 等待下一条数据时的resolve函数
+    let pending = null; // 已写入但尚未被 processStream 读取的数据 { item, callback }
+    let ended = false;
+    let reading = false;
+
+    // 将写入端适配为 processStream 的数据源，数据被读取时才确认写入完成，从而向上游施加背压
+    const source = {
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+      next() {
+        if (pending) {
+          const { item, callback } = pending;
+          pending = null;
+          callback();
+          return Promise.resolve({ value: item, done: false });
+        }
+        if (ended) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve) => {
+          waiting = resolve;
+        });
+      },
+    };
+    const results = this.processStream(source, options);
+
+    return new Duplex({
+      objectMode: true,
+      write(item, encoding, callback) {
+        if (waiting) {
+          const resolve = waiting;
+          waiting = null;
+          callback();
+          resolve({ value: item, done: false });
+        } else {
+          pending = { item, callback };
+        }
+      },
+      final(callback) {
+        ended = true;
+        if (waiting) {
+          const resolve = waiting;
+          waiting = null;
+          resolve({ value: undefined, done: true });
+        }
+        callback();
+      },
+      read() {
+        if (reading) {
+          return;
+        }
+        reading = true;
+        const pull = () =>
+          results.next().then(
+            ({ value, done }) => {
+              if (done) {
+                this.push(null);
+              } else if (this.push(value)) {
+                pull();
+              } else {
+                reading = false;
+              }
+            },
+            (error) => this.destroy(error)
+          );
+        pull();
+      },
+    });
+  }
   
   /**
    * 获取处理指标
    * @returns {Object} - 性能指标对象
    */
   getMetrics() {
-    const processingTimes = this.metrics.processingTime;
+    const { processingTime } = this.metrics;
     return {
       processed: this.metrics.processed,
       failed: this.metrics.failed,
-      averageProcessingTime: processingTimes.length ? 
-        processingTimes.reduce((sum, time) => sum + time, 0) / processingTimes.length : 0,
-      minProcessingTime: processingTimes.length ? Math.min(...processingTimes) : 0,
-      maxProcessingTime: processingTimes.length ? Math.max(...processingTimes) : 0
+      averageProcessingTime: processingTime.count ? processingTime.total / processingTime.count : 0,
+      minProcessingTime: processingTime.min,
+      maxProcessingTime: processingTime.max,
+      timeouts: this.metrics.timeouts,
+      stepTimeouts: this.metrics.stepTimeouts,
+      branches: Object.fromEntries(Object.entries(this.metrics.branches).map(([key, counts]) => [key, { ...counts }])),
     };
   }
   
@@ -241,7 +1010,10 @@ class DataProcessor extends EventEmitter {
     this.metrics = {
       processed: 0,
       failed: 0,
-      processingTime: []
+      processingTime: { count: 0, total: 0, min: 0, max: 0 },
+      timeouts: 0,
+      stepTimeouts: 0,
+      branches: {},
     };
     logger.info('DataProcessor metrics reset');
   }
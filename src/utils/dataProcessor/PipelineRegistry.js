@@ -0,0 +1,71 @@
+// src/utils/dataProcessor/PipelineRegistry.js
+
+const EventEmitter = require('events');
+const logger = require('../../config/logger');
+
+/**
+ * 管道注册表
+ * 每个事件类型缓存一个编译后的不可变管道，定义的修订号不变时直接复用，
+ * 不同类型的任务使用各自的管道对象，可以安全地并发处理
+ */
+class PipelineRegistry extends EventEmitter {
+  /**
+   * 创建注册表实例
+   * @param {DataProcessor} dataProcessor - 用于编译管道的数据处理器（提供已注册的转换器和处理器）
+   */
+  constructor(dataProcessor) {
+    super();
+    this.dataProcessor = dataProcessor;
+    this.pipelines = new Map();
+  }
+
+  /**
+   * 获取事件类型的编译后管道
+   * @param {string} eventType - 事件类型
+   * @param {Array<Object>} steps - 管道步骤定义，仅在需要重新编译时使用
+   * @param {string} revision - 定义的修订号（如 `${pipelineId}:${version}`），变化时重新编译
+   * @returns {Array<Object>} 编译后的管道
+   */
+  get(eventType, steps, revision) {
+    const entry = this.pipelines.get(eventType);
+    if (entry && entry.revision === revision) {
+      return entry.pipeline;
+    }
+
+    const pipeline = this.dataProcessor.compilePipeline(steps);
+    this.pipelines.set(eventType, { revision, pipeline });
+    logger.info(`Pipeline for "${eventType}" compiled (revision ${revision}, ${pipeline.length} steps)`);
+    this.emit('pipelineCompiled', { eventType, revision, steps: pipeline.length });
+    return pipeline;
+  }
+
+  /**
+   * 移除事件类型的编译后管道
+   * @param {string} eventType - 事件类型
+   * @returns {boolean} 是否存在并已移除
+   */
+  invalidate(eventType) {
+    return this.pipelines.delete(eventType);
+  }
+
+  /**
+   * 清空注册表
+   */
+  clear() {
+    this.pipelines.clear();
+  }
+
+  /**
+   * 获取注册表状态
+   * @returns {Array<Object>} 每个事件类型的修订号和步骤数
+   */
+  getStatus() {
+    return Array.from(this.pipelines, ([eventType, { revision, pipeline }]) => ({
+      eventType,
+      revision,
+      steps: pipeline.length,
+    }));
+  }
+}
+
+module.exports = PipelineRegistry;
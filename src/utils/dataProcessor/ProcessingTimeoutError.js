@@ -0,0 +1,26 @@
+// src/utils/dataProcessor/ProcessingTimeoutError.js
+
+/**
+ * 处理超时错误
+ * scope 为 step 时表示单个步骤超时（步骤的 errorHandler 可以据此恢复），
+ * 为 item 时表示整个数据项的处理超时
+ */
+class ProcessingTimeoutError extends Error {
+  /**
+   * 创建超时错误
+   * @param {string} scope - 超时范围：step 或 item
+   * @param {number} timeout - 超时时间(ms)
+   * @param {string} [step] - 超时的步骤名称，scope 为 step 时提供
+   */
+  constructor(scope, timeout, step = null) {
+    super(scope === 'step' ? `Step "${step}" timed out after ${timeout}ms` : `Item processing timed out after ${timeout}ms`);
+    this.name = 'ProcessingTimeoutError';
+    this.code = 'ETIMEDOUT';
+    this.scope = scope;
+    this.timeout = timeout;
+    this.step = step;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = ProcessingTimeoutError;
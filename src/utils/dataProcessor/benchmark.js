@@ -0,0 +1,123 @@
+// src/utils/dataProcessor/benchmark.js
+
+/**
+ * processBatch 吞吐量基准测试
+ * 对比旧的分组并发（每组 concurrency 条数据，等待整组完成后再开始下一组）与滑动并发池，
+ * 在耗时不均的负载下，分组并发会因等待同组中最慢的数据而空闲
+ *
+ * 运行：npm run benchmark [-- <items> <concurrency>]
+ */
+
+const { performance } = require('perf_hooks');
+const DataProcessor = require('./DataProcessor');
+const logger = require('../../config/logger');
+
+/**
+ * 生成耗时不均的负载：大部分数据很快，每 slowEvery 条中有一条很慢
+ * @param {number} count - 数据条数
+ * @param {Object} [options] - 负载选项
+ * @param {number} [options.fast=2] - 快速数据的耗时(ms)
+ * @param {number} [options.slow=50] - 慢速数据的耗时(ms)
+ * @param {number} [options.slowEvery=10] - 慢速数据的间隔
+ * @returns {Array<Object>} 数据数组 { id, delay }
+ */
+const createSkewedItems = (count, { fast = 2, slow = 50, slowEvery = 10 } = {}) =>
+  Array.from({ length: count }, (_, id) => ({ id, delay: id % slowEvery === 0 ? slow : fast }));
+
+/**
+ * 创建按数据 delay 字段模拟异步I/O耗时的处理器
+ * @param {number} concurrency - 最大并发数
+ * @returns {DataProcessor} 数据处理器实例
+ */
+const createProcessor = (concurrency) => {
+  const dataProcessor = new DataProcessor({ concurrency });
+  dataProcessor.registerTransformer(
+    'simulatedIo',
+    (data) =>
+      new Promise((resolve) => {
+        setTimeout(() => resolve(data), data.delay);
+      })
+  );
+  dataProcessor.buildPipeline([{ type: 'transformer', name: 'simulatedIo' }]);
+  return dataProcessor;
+};
+
+/**
+ * 旧的分组并发实现，作为对比基线
+ * @param {DataProcessor} dataProcessor - 数据处理器实例
+ * @param {Array<any>} items - 要处理的数据数组
+ * @returns {Promise<Array<Object>>} 处理结果数组
+ */
+const processInChunks = async (dataProcessor, items) => {
+  const { concurrency } = dataProcessor.options;
+  const results = [];
+  for (let i = 0; i < items.length; i += concurrency) {
+    const chunk = items.slice(i, i + concurrency);
+    // eslint-disable-next-line no-await-in-loop
+    const chunkResults = await Promise.all(
+      chunk.map((item) =>
+        dataProcessor
+          .processItem(item)
+          .then((data) => ({ status: 'success', data }))
+          .catch((error) => ({ status: 'error', error, data: item }))
+      )
+    );
+    results.push(...chunkResults);
+  }
+  return results;
+};
+
+/**
+ * 计时运行一种批处理策略
+ * @param {string} strategy - 策略名称
+ * @param {Function} run - 批处理函数 (dataProcessor, items) => Promise<Array<Object>>
+ * @param {Array<any>} items - 要处理的数据数组
+ * @param {number} concurrency - 最大并发数
+ * @returns {Promise<Object>} 结果 { strategy, items, durationMs, itemsPerSecond }
+ */
+const measure = async (strategy, run, items, concurrency) => {
+  const dataProcessor = createProcessor(concurrency);
+  const start = performance.now();
+  await run(dataProcessor, items);
+  const durationMs = performance.now() - start;
+  return {
+    strategy,
+    items: items.length,
+    durationMs: Math.round(durationMs),
+    itemsPerSecond: Math.round((items.length / durationMs) * 1000),
+  };
+};
+
+/**
+ * 运行基准测试
+ * @param {Object} [options] - 基准测试选项
+ * @param {number} [options.items=500] - 数据条数
+ * @param {number} [options.concurrency=10] - 最大并发数
+ * @returns {Promise<Object>} 结果 { chunked, pool, speedup }
+ */
+const runBenchmark = async ({ items: count = 500, concurrency = 10 } = {}) => {
+  const items = createSkewedItems(count);
+  const chunked = await measure('chunked', processInChunks, items, concurrency);
+  const pool = await measure('pool', (dataProcessor, batch) => dataProcessor.processBatch(batch), items, concurrency);
+  const speedup = Number((chunked.durationMs / pool.durationMs).toFixed(2));
+
+  logger.info(`chunked: ${chunked.durationMs}ms (${chunked.itemsPerSecond} items/s)`);
+  logger.info(`pool: ${pool.durationMs}ms (${pool.itemsPerSecond} items/s)`);
+  logger.info(`speedup: ${speedup}x with ${count} items, concurrency ${concurrency}`);
+  return { chunked, pool, speedup };
+};
+
+// 如果直接运行此文件，则执行基准测试
+if (require.main === module) {
+  const [items, concurrency] = process.argv.slice(2).map(Number);
+  runBenchmark({ items: items || undefined, concurrency: concurrency || undefined }).catch((error) => {
+    logger.error(`Benchmark failed: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  createSkewedItems,
+  processInChunks,
+  runBenchmark,
+};
@@ -5,30 +5,82 @@
 
 const logger = require('../../config/logger');
 const queueManager = require('../queue/QueueManager');
-const { DataProcessor, transformers, processors } = require('../dataProcessor');
+const { createDataProcessor, PipelineRegistry } = require('.');
+const { SinkManager } = require('../sink');
+const { WindowStore } = require('../window');
+const { TopKStore } = require('../topK');
+const { AnomalyStore } = require('../anomaly');
+const { AnomalyAlerter } = require('../alert');
+const { ReferenceLookup } = require('../enrich');
+const { SessionStore } = require('../session');
+const { SketchStore } = require('../sketch');
+const { defaultPipelines, getDefaultPipeline } = require('./defaultPipelines');
+
+/**
+ * 数据处理服务全局实例
+ */
+let serviceInstance = null;
 
 /**
  * 初始化数据处理服务
  * @param {Object} options - 配置选项
+ * @param {ResultBroadcaster} [options.resultBroadcaster] - 结果广播器，提供时处理结果会广播给实时订阅者
+ * @param {Function} [options.resolvePipeline] - 管道解析函数 (eventType) => Promise<{ id, steps, enabled, version }|null>，
+ *   返回null时使用内置管道
+ * @param {SinkManager} [options.sinkManager] - 输出管理器，默认按 options.sinks 创建
+ * @param {Object} [options.sinks] - 输出管理器配置选项，如 { fileDirectory }
+ * @param {WindowStore} [options.windowStore] - 窗口状态存储，默认按 options.windows 创建
+ * @param {Object} [options.windows] - 窗口状态存储配置选项，如 { prefix }
+ * @param {TopKStore} [options.topKStore] - 排行榜存储，默认按 options.topK 创建
+ * @param {Object} [options.topK] - 排行榜存储配置选项，如 { prefix }
+ * @param {AnomalyStore} [options.anomalyStore] - 异常检测状态存储，默认按 options.anomaly 创建
+ * @param {Object} [options.anomaly] - 异常检测状态存储配置选项，如 { prefix }
+ * @param {AnomalyAlerter} [options.alerter] - 异常告警器，默认按 options.alerts 和 options.alertManager 创建
+ * @param {Object} [options.alerts] - 异常告警器配置选项，如 { prefix }
+ * @param {AlertManager} [options.alertManager] - 告警管理器，未提供时在监控服务注册数据处理器时设置
+ * @param {ReferenceLookup} [options.referenceLookup] - 参考数据关联查询，默认按 options.enrich 创建
+ * @param {Object} [options.enrich] - 参考数据关联查询配置选项，如 { cache, connection }
+ * @param {SessionStore} [options.sessionStore] - 会话状态存储，默认按 options.sessions 创建
+ * @param {Object} [options.sessions] - 会话状态存储配置选项，如 { prefix }
+ * @param {SketchStore} [options.sketchStore] - 草图存储，默认按 options.sketches 创建
+ * @param {Object} [options.sketches] - 草图存储配置选项，如 { prefix, compactThreshold }
  */
 const initDataProcessingService = (options = {}) => {
   logger.info('Initializing data processing service');
   
-  // 创建数据处理器实例
-  const dataProcessor = new DataProcessor({
+  // 管道中 sink 步骤的输出实例由输出管理器统一管理
+  const sinkManager = options.sinkManager || new SinkManager(options.sinks);
+  // 管道中 window 步骤的窗口状态保存在Redis中，所有实例共享
+  const windowStore = options.windowStore || new WindowStore(options.windows);
+  // 管道中 topK 步骤的排名保存在Redis中，排行榜路由从同一存储读取
+  const topKStore = options.topKStore || new TopKStore(options.topK);
+  // 管道中 anomaly 步骤的序列状态保存在Redis中，单条事件也按序列历史评分
+  const anomalyStore = options.anomalyStore || new AnomalyStore(options.anomaly);
+  // 管道中 alert 步骤通过监控服务的告警管理器发出告警，序列的告警状态保存在Redis中，所有实例共享
+  const alerter = options.alerter || new AnomalyAlerter({ ...options.alerts, alertManager: options.alertManager });
+  // 管道中 enrich 步骤的参考数据查询结果通过缓存服务在所有实例间共享
+  const referenceLookup = options.referenceLookup || new ReferenceLookup(options.enrich);
+  // 管道中 session 步骤未结束的会话保存在Redis中，所有实例共享
+  const sessionStore = options.sessionStore || new SessionStore(options.sessions);
+  // 管道中 sketch 步骤写入的草图保存在Redis中，与所有实例写入的草图合并
+  const sketchStore = options.sketchStore || new SketchStore(options.sketches);
+
+  // 创建数据处理器实例并注册内置转换器和处理器
+  const dataProcessor = createDataProcessor({
     concurrency: options.concurrency || 10,
-    batchSize: options.batchSize || 100
+    batchSize: options.batchSize || 100,
+    sinkManager,
+    windowStore,
+    topKStore,
+    anomalyStore,
+    alerter,
+    referenceLookup,
+    sessionStore,
+    sketchStore,
   });
   
-  // 注册转换器
-  Object.entries(transformers).forEach(([name, transformer]) => {
-    dataProcessor.registerTransformer(name, transformer);
-  });
-  
-  // 注册处理器
-  Object.entries(processors).forEach(([name, processor]) => {
-    dataProcessor.registerProcessor(name, processor);
-  });
+  // 按事件类型缓存编译后的管道
+  const pipelineRegistry = new PipelineRegistry(dataProcessor);
   
   // 监听处理事件
   dataProcessor.on('itemProcessed', (event) => {
@@ -55,111 +107,57 @@ const initDataProcessingService = (options = {}) => {
   
   // 创建并配置事件数据处理队列
   queueManager.createQueue('event-data-processing', queueOptions, async (job) => {
-    const { data } = job;
+    const { data, meta = {} } = job;
     
     try {
-      // 根据数据类型构建不同的处理管道
-      switch (data.type) {
-        case 'user-activity':
-          // 用户活动数据处理管道
-          dataProcessor.buildPipeline([
-            { 
-              type: 'transformer', 
-              name: 'fieldRename', 
-              config: { 
-                fieldMap: { 
-                  'ts': 'timestamp',
-                  'uid': 'userId', 
-                  'act': 'action' 
-                } 
-              } 
-            },
-            { 
-              type: 'transformer', 
-              name: 'typeConverter', 
-              config: { 
-                typeMap: {
-                  'timestamp': { type: 'date' },
-                  'userId': { type: 'string' }
-                }
-              } 
-            },
-            { 
-              type: 'processor', 
-              name: 'groupBy', 
-              config: { 
-                groupByFields: ['userId', 'action'],
-                aggregations: [
-                  { field: 'timestamp', operation: 'count', outputField: 'actionCount' }
-                ]
-              } 
-            }
-          ]);
-          break;
-          
-        case 'system-metrics':
-          // 系统指标数据处理管道
-          dataProcessor.buildPipeline([
-            { 
-              type: 'transformer', 
-              name: 'fieldFilter', 
-              config: { 
-                fields: ['timestamp', 'metric', 'value', 'host'] 
-              } 
-            },
-            { 
-              type: 'processor', 
-              name: 'windowProcessor', 
-              config: { 
-                timeField: 'timestamp',
-                windowSize: 300000, // 5分钟窗口
-                slideSize: 60000,   // 1分钟滑动
-                aggregations: [
-                  { field: 'value', operation: 'avg', outputField: 'avgValue' },
-                  { field: 'value', operation: 'max', outputField: 'maxValue' },
-                  { field: 'value', operation: 'min', outputField: 'minValue' }
-                ]
-              } 
-            },
-            { 
-              type: 'processor', 
-              name: 'anomalyDetector', 
-              config: { 
-                field: 'value',
-                method: 'zscore',
-                threshold: 3
-              } 
-            }
-          ]);
-          break;
-          
-        default:
-          // 默认处理管道
-          dataProcessor.buildPipeline([
-            { 
-              type: 'transformer', 
-              name: 'dataValidator', 
-              config: { 
-                validations: {
-                  'timestamp': { required: true, type: 'string' },
-                  'data': { required: true, type: 'object' }
-                },
-                throwOnError: false
-              } 
-            }
-          ]);
+      // 根据数据类型解析处理管道：优先使用持久化的管道定义，没有定义时使用内置管道
+      const pipeline = options.resolvePipeline ? await options.resolvePipeline(data.type) : null;
+      if (pipeline && !pipeline.enabled) {
+        logger.info('Pipeline disabled, skipping event', { type: data.type });
+        return null;
       }
+      // 没有专属管道的事件类型统一记为default，避免指标标签和注册表条目数量随客户端提交的事件类型无限增长
+      const pipelineName =
+        pipeline || Object.prototype.hasOwnProperty.call(defaultPipelines, data.type) ? data.type : 'default';
+      // 每个管道使用注册表中各自编译好的版本，定义未变化时不重新编译
+      const compiledPipeline = pipeline
+        ? pipelineRegistry.get(pipelineName, pipeline.steps, `${pipeline.id}:${pipeline.version}`)
+        : pipelineRegistry.get(pipelineName, getDefaultPipeline(data.type), 'builtin');
+      // 记录产生结果的管道和版本，便于审计回归，内置管道均为null；sink 写入的记录也带上这两个字段
+      const pipelineId = pipeline ? pipeline.id : null;
+      const pipelineVersion = pipeline ? pipeline.version : null;
       
       // 处理数据
-      const result = await dataProcessor.processItem(data);
+      const result = await dataProcessor.processItem(data, {
+        pipeline: compiledPipeline,
+        pipelineName,
+        origin: { pipelineId, pipelineVersion },
+      });
       
       // 处理结果可以存储到数据库或其他队列
       logger.info('Data processed successfully', { 
         type: data.type,
+        pipelineId,
+        pipelineVersion,
         metrics: dataProcessor.getMetrics() 
       });
       
-      return result;
+      // 广播处理结果给实时订阅者，广播失败不影响任务结果，避免重试导致重复处理
+      if (options.resultBroadcaster) {
+        try {
+          await options.resultBroadcaster.publish({
+            type: data.type,
+            eventId: data.id,
+            userId: meta.userId,
+            pipelineVersion,
+            result,
+          });
+        } catch (error) {
+          logger.error('Failed to publish processing result', { error: error.message });
+        }
+      }
+
+      return { pipelineVersion, result };
     } catch (error) {
       logger.error('Error in data processing queue', { error: error.message });
       throw error; // 重新抛出错误，触发队列重试机制
@@ -176,8 +174,8 @@ const initDataProcessingService = (options = {}) => {
         throw new Error('Batch processing requires an array of items');
       }
       
-      // 配置处理管道
-      dataProcessor.buildPipeline([
+      // 配置处理管道，批处理配置来自任务数据，每个任务单独编译
+      const pipeline = dataProcessor.compilePipeline([
         // 配置适合批处理的管道步骤
         { 
           type: 'transformer', 
@@ -197,7 +195,7 @@ const initDataProcessingService = (options = {}) => {
       ]);
       
       // 批量处理数据
-      const results = await dataProcessor.processBatch(data.items);
+      const results = await dataProcessor.processBatch(data.items, { pipeline, pipelineName: 'batch' });
       
       // 处理结果可以存储到数据库或其他队列
       logger.info('Batch processing completed', { 
@@ -215,13 +213,50 @@ const initDataProcessingService = (options = {}) => {
   
   logger.info('Data processing service initialized');
   
-  return {
+  serviceInstance = {
     dataProcessor,
+    pipelineRegistry,
+    sinkManager,
+    windowStore,
+    topKStore,
+    anomalyStore,
+    alerter,
+    referenceLookup,
+    sessionStore,
+    sketchStore,
     getMetrics: () => dataProcessor.getMetrics(),
-    resetMetrics: () => dataProcessor.resetMetrics()
+    resetMetrics: () => dataProcessor.resetMetrics(),
+    getSinkMetrics: () => sinkManager.getMetrics(),
+    getWindowMetrics: () => windowStore.getMetrics(),
+    getTopKMetrics: () => topKStore.getMetrics(),
+    getAnomalyMetrics: () => anomalyStore.getMetrics(),
+    getAlertMetrics: () => alerter.getMetrics(),
+    getEnrichMetrics: () => referenceLookup.getMetrics(),
+    getSessionMetrics: () => sessionStore.getMetrics(),
+    getSketchMetrics: () => sketchStore.getMetrics(),
+    getLeaderboard: (key, leaderboardOptions) => topKStore.getLeaderboard(key, leaderboardOptions),
+    close: () =>
+      Promise.all([
+        sinkManager.closeAll(),
+        windowStore.close(),
+        topKStore.close(),
+        anomalyStore.close(),
+        alerter.close(),
+        sessionStore.close(),
+        sketchStore.close(),
+      ]),
   };
+
+  return serviceInstance;
 };
 
+/**
+ * 获取数据处理服务实例
+ * @returns {Object|null} 数据处理服务实例，未初始化时返回null
+ */
+const getDataProcessingService = () => serviceInstance;
+
 module.exports = {
-  initDataProcessingService
+  initDataProcessingService,
+  getDataProcessingService,
 };
@@ -0,0 +1,125 @@
+// src/utils/dataProcessor/defaultPipelines.js
+
+/**
+ * 内置处理管道
+ * 事件类型没有持久化的管道定义时使用，键为事件类型，default 用于其他类型
+ */
+
+const defaultPipelines = {
+  // 用户活动数据处理管道
+  'user-activity': [
+    {
+      type: 'transformer',
+      name: 'fieldRename',
+      config: {
+        fieldMap: {
+          ts: 'timestamp',
+          uid: 'userId',
+          act: 'action',
+        },
+      },
+    },
+    {
+      type: 'transformer',
+      name: 'typeConverter',
+      config: {
+        typeMap: {
+          timestamp: { type: 'date' },
+          userId: { type: 'string' },
+        },
+      },
+    },
+    {
+      // 最活跃用户排行榜，按分钟分桶，通过 GET /v1/leaderboards/active-users 读取
+      type: 'topK',
+      config: {
+        key: 'active-users',
+        memberField: 'userId',
+        timeField: 'timestamp',
+        bucketSize: 60000,
+      },
+    },
+    {
+      type: 'processor',
+      name: 'groupBy',
+      config: {
+        groupByFields: ['userId', 'action'],
+        aggregations: [{ field: 'timestamp', operation: 'count', outputField: 'actionCount' }],
+      },
+    },
+  ],
+
+  // 系统指标数据处理管道
+  'system-metrics': [
+    {
+      type: 'transformer',
+      name: 'fieldFilter',
+      config: {
+        fields: ['timestamp', 'metric', 'value', 'host'],
+      },
+    },
+    {
+      // 窗口状态保存在Redis中，不同任务和实例上的指标累加到同一窗口
+      type: 'window',
+      config: {
+        timeField: 'timestamp',
+        windowSize: 300000, // 5分钟窗口
+        slideSize: 60000, // 1分钟滑动
+        maxOutOfOrderness: 60000, // 指标最多乱序1分钟，水位线滞后最大事件时间1分钟
+        groupBy: ['metric', 'host'],
+        aggregations: [
+          { field: 'value', operation: 'avg', outputField: 'avgValue' },
+          { field: 'value', operation: 'max', outputField: 'maxValue' },
+          { field: 'value', operation: 'min', outputField: 'minValue' },
+        ],
+      },
+    },
+    {
+      // 每个主机和指标的窗口均值按 EWMA 基线逐条评分，单条事件也基于序列历史判定
+      type: 'anomaly',
+      config: {
+        field: 'avgValue',
+        method: 'ewma',
+        seriesBy: ['metric', 'host'],
+        threshold: 3,
+      },
+    },
+    {
+      // 每个主机和指标同一时间只有一个告警，窗口均值恢复正常后自动解决
+      type: 'alert',
+      config: {
+        name: 'metric_anomaly',
+        field: 'avgValue',
+        seriesBy: ['metric', 'host'],
+      },
+    },
+  ],
+
+  // 默认处理管道
+  default: [
+    {
+      type: 'transformer',
+      name: 'dataValidator',
+      config: {
+        validations: {
+          timestamp: { required: true, type: 'string' },
+          data: { required: true, type: 'object' },
+        },
+        throwOnError: false,
+      },
+    },
+  ],
+};
+
+/**
+ * 获取事件类型的内置管道
+ * @param {string} eventType - 事件类型
+ * @returns {Array<Object>} 管道步骤
+ */
+const getDefaultPipeline = (eventType) =>
+  Object.prototype.hasOwnProperty.call(defaultPipelines, eventType) ? defaultPipelines[eventType] : defaultPipelines.default;
+
+module.exports = {
+  defaultPipelines,
+  getDefaultPipeline,
+};
@@ -6,9 +6,35 @@
 const DataProcessor = require('./DataProcessor');
 const transformers = require('./transformers');
 const processors = require('./processors');
+const PipelineRegistry = require('./PipelineRegistry');
+const ProcessingTimeoutError = require('./ProcessingTimeoutError');
+
+/**
+ * 创建已注册全部内置转换器和处理器的数据处理器
+ * @param {Object} options - DataProcessor配置选项
+ * @returns {DataProcessor} - 数据处理器实例
+ */
+const createDataProcessor = (options = {}) => {
+  const dataProcessor = new DataProcessor(options);
+
+  // 注册转换器
+  Object.entries(transformers).forEach(([name, transformer]) => {
+    dataProcessor.registerTransformer(name, transformer);
+  });
+
+  // 注册处理器
+  Object.entries(processors).forEach(([name, processor]) => {
+    dataProcessor.registerProcessor(name, processor);
+  });
+
+  return dataProcessor;
+};
 
 module.exports = {
   DataProcessor,
+  PipelineRegistry,
+  ProcessingTimeoutError,
   transformers,
-  processors
+  processors,
+  createDataProcessor,
 };
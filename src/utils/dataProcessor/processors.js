@@ -4,44 +4,158 @@
  */
 
 const logger = require('../../config/logger');
+const { HyperLogLog, TDigest, CountMinSketch } = require('../sketch');
+
+/**
+ * 计算已排序数值的百分位数，排名之间线性插值
+ * @param {Array<number>} sortedValues - 升序排列的数值
+ * @param {number} p - 百分位(0-100)
+ * @returns {number} - 百分位数
+ */
+const percentileOf = (sortedValues, p) => {
+  const rank = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+};
+
+/**
+ * 百分位简写操作，如 p95 等同于 { operation: 'percentile', percentile: 95 }
+ */
+const percentileShortcuts = { p50: 50, p90: 90, p95: 95, p99: 99 };
+
+/**
+ * 近似聚合操作使用的草图
+ * create 按聚合配置创建空草图，add 加入一个有效值，estimate 由草图得到结果
+ */
+const sketchOperations = {
+  approxDistinct: {
+    Sketch: HyperLogLog,
+    create: (agg) => new HyperLogLog(agg.precision),
+    add: (sketch, value) => sketch.add(value),
+    estimate: (sketch) => sketch.count(),
+  },
+  approxPercentile: {
+    Sketch: TDigest,
+    create: (agg) => new TDigest(agg.compression),
+    add: (sketch, value) => sketch.add(Number(value)),
+    estimate: (sketch, agg) => sketch.quantile(agg.percentile / 100),
+  },
+  approxFrequency: {
+    Sketch: CountMinSketch,
+    create: (agg) => new CountMinSketch(agg.width, agg.depth),
+    add: (sketch, value) => sketch.add(value),
+    estimate: (sketch, agg) => Object.fromEntries(agg.values.map((value) => [value, sketch.estimate(value)])),
+  },
+};
+
+/**
+ * 计算近似聚合
+ * agg.input 为 sketch 时字段值是序列化的草图（如上游窗口或其他实例的 output: 'sketch' 结果），合并后计算；
+ * agg.output 为 sketch 时输出序列化的草图而不是估计值，便于写入Redis或继续合并
+ * @param {string} operation - 近似聚合操作
+ * @param {Object} agg - 聚合配置
+ * @param {Array} values - 有效值
+ * @returns {*} - 估计值或序列化的草图，草图无效时为null
+ */
+const aggregateSketch = (operation, agg, values) => {
+  const definition = sketchOperations[operation];
+  let sketch;
+  try {
+    if (agg.input === 'sketch') {
+      sketch = values.map((value) => definition.Sketch.deserialize(value)).reduce((merged, part) => merged.merge(part));
+    } else {
+      sketch = definition.create(agg);
+      values.forEach((value) => definition.add(sketch, value));
+    }
+  } catch (error) {
+    logger.warn(`aggregator: ${operation} failed for field '${agg.field}': ${error.message}`);
+    return null;
+  }
+
+  return agg.output === 'sketch' ? sketch.serialize() : definition.estimate(sketch, agg);
+};
 
 /**
  * 聚合处理器 - 对指定字段进行聚合计算
+ *
+ * 支持的操作：
+ * - sum、avg、min、max、count
+ * - median、percentile（agg.percentile 为 0-100 的百分位，线性插值）及简写 p50/p90/p95/p99
+ * - variance、stddev：总体方差和标准差
+ * - first、last：按 agg.timeField（默认为 config.timeField）最早/最晚的值，没有时间字段时按输入顺序
+ * - distinctCount：不同值的个数；collectList：按输入顺序收集的值数组
+ * - 近似聚合，内存占用固定，草图可以序列化后合并（见 aggregateSketch 的 input/output 选项）：
+ *   approxDistinct：HyperLogLog 不同值个数（agg.precision，默认14）；
+ *   approxPercentile：t-digest 百分位数（agg.percentile 为 0-100，agg.compression 默认100）；
+ *   approxFrequency：count-min 频率，结果为 agg.values 中每个值的估计次数（agg.width 默认2048，agg.depth 默认5）
+ *
+ * 数值操作忽略不能转换为数字的值，所有操作都忽略 null 和 undefined，没有有效值时结果为null
+ *
  * @param {Object|Array} data - 输入数据
  * @param {Object} config - 配置对象
+ * @param {Array<Object>} config.aggregations - 聚合配置
+ *   [{ field, operation, outputField, percentile, timeField, input, output, precision, compression, width, depth, values }]
+ * @param {string} [config.timeField] - first/last 默认使用的时间字段
  * @returns {Object} - 聚合结果
  */
 const aggregator = (data, config = {}) => {
-  const { aggregations = [] } = config;
-  
+  const { aggregations = [], timeField } = config;
+
   if (!Array.isArray(aggregations) || aggregations.length === 0) {
     logger.warn('aggregator: No aggregations specified, returning original data');
     return data;
   }
-  
+
   // 确保data是数组
   const dataArray = Array.isArray(data) ? data : [data];
-  
+
   if (dataArray.length === 0) {
     logger.warn('aggregator: Empty data array');
     return {};
   }
-  
+
   const result = {};
-  
-  aggregations.forEach(agg => {
-    const { field, operation, outputField = `${field}_${operation}` } = agg;
-    
+
+  aggregations.forEach((agg) => {
+    const { field } = agg;
+    const operation = Object.prototype.hasOwnProperty.call(percentileShortcuts, agg.operation)
+      ? 'percentile'
+      : agg.operation;
+    const percentile =
+      operation === 'percentile' && agg.operation !== 'percentile' ? percentileShortcuts[agg.operation] : agg.percentile;
+    const outputField =
+      agg.outputField || (agg.operation === 'percentile' ? `${field}_p${percentile}` : `${field}_${agg.operation}`);
+
     // 提取有效值（非null和非undefined）
-    const validValues = dataArray
-      .map(item => item[field])
-      .filter(value => value !== null && value !== undefined);
-    
+    const validItems = dataArray.filter((item) => item[field] !== null && item[field] !== undefined);
+    const validValues = validItems.map((item) => item[field]);
+
     if (validValues.length === 0) {
       result[outputField] = null;
       return;
     }
-    
+
+    // 数值操作使用可以转换为数字的值
+    const numericValues = () => validValues.map(Number).filter((value) => !Number.isNaN(value));
+    const sortedValues = () => numericValues().sort((a, b) => a - b);
+    const variance = (values) => {
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    };
+    // first/last 使用有效时间的数据项按时间排序，没有时间字段或没有有效时间时按输入顺序
+    const byTime = () => {
+      const orderField = agg.timeField || timeField;
+      const timed = orderField
+        ? validItems
+            .map((item) => ({ item, time: new Date(item[orderField]).getTime() }))
+            .filter(({ time }) => !Number.isNaN(time))
+            .sort((a, b) => a.time - b.time)
+            .map(({ item }) => item)
+        : [];
+      return timed.length ? timed : validItems;
+    };
+
     switch (operation) {
       case 'sum':
         result[outputField] = validValues.reduce((sum, value) => sum + Number(value), 0);
@@ -58,23 +172,97 @@ const aggregator = (data, config = {}) => {
       case 'count':
         result[outputField] = validValues.length;
         break;
+      case 'median':
+      case 'percentile': {
+        const p = operation === 'median' ? 50 : Number(percentile);
+        const values = sortedValues();
+        if (Number.isNaN(p) || p < 0 || p > 100) {
+          logger.warn(`aggregator: Invalid percentile '${percentile}' for field '${field}'`);
+          result[outputField] = null;
+        } else {
+          result[outputField] = values.length ? percentileOf(values, p) : null;
+        }
+        break;
+      }
+      case 'variance':
+      case 'stddev': {
+        const values = numericValues();
+        if (!values.length) {
+          result[outputField] = null;
+        } else {
+          result[outputField] = operation === 'variance' ? variance(values) : Math.sqrt(variance(values));
+        }
+        break;
+      }
+      case 'first':
+        result[outputField] = byTime()[0][field];
+        break;
+      case 'last': {
+        const ordered = byTime();
+        result[outputField] = ordered[ordered.length - 1][field];
+        break;
+      }
+      case 'distinctCount':
+        result[outputField] = new Set(
+          validValues.map((value) => (typeof value === 'object' ? JSON.stringify(value) : value))
+        ).size;
+        break;
+      case 'collectList':
+        result[outputField] = validValues;
+        break;
+      case 'approxDistinct':
+        result[outputField] = aggregateSketch(operation, agg, validValues);
+        break;
+      case 'approxPercentile':
+        if (agg.output !== 'sketch' && (Number.isNaN(Number(percentile)) || percentile < 0 || percentile > 100)) {
+          logger.warn(`aggregator: Invalid percentile '${percentile}' for field '${field}'`);
+          result[outputField] = null;
+        } else {
+          result[outputField] = aggregateSketch(operation, agg, validValues);
+        }
+        break;
+      case 'approxFrequency':
+        if (agg.output !== 'sketch' && !Array.isArray(agg.values)) {
+          logger.warn(`aggregator: approxFrequency requires values for field '${field}'`);
+          result[outputField] = null;
+        } else {
+          result[outputField] = aggregateSketch(operation, agg, validValues);
+        }
+        break;
       default:
-        logger.warn(`aggregator: Unknown operation '${operation}'`);
+        logger.warn(`aggregator: Unknown operation '${agg.operation}'`);
         result[outputField] = null;
     }
   });
-  
+
   return result;
 };
 
+/**
+ * 编译管道时校验聚合配置：percentile 和非草图输出的 approxPercentile 需要 0-100 的 percentile，否则抛出错误
+ * @param {Object} config - 配置对象 { aggregations }
+ */
+aggregator.validateConfig = ({ aggregations } = {}) => {
+  (Array.isArray(aggregations) ? aggregations : []).forEach((agg) => {
+    const { field, operation, percentile, output } = agg || {};
+    if (operation !== 'percentile' && !(operation === 'approxPercentile' && output !== 'sketch')) {
+      return;
+    }
+    const p = percentile === null || percentile === '' ? NaN : Number(percentile);
+    if (Number.isNaN(p) || p < 0 || p > 100) {
+      throw new Error(`Aggregation ${operation} of field '${field}' requires a percentile between 0 and 100`);
+    }
+  });
+};
+
 /**
  * 分组处理器 - 按指定字段对数据进行分组
  * @param {Array} data - 输入数据数组
- * @param {Object} config - 配置对象
+ * @param {Object} config - 配置对象 { groupByFields, aggregations, timeField }，aggregations 见 aggregator，timeField 用于 first/last
  * @returns {Object} - 分组结果
  */
 const groupBy = (data, config = {}) => {
-  const { groupByFields = [], aggregations = [] } = config;
+  const { groupByFields = [], aggregations = [], timeField } = config;
   
   if (!Array.isArray(data)) {
     logger.warn('groupBy: Input is not an array, returning empty result');
@@ -129,7 +317,7 @@ const groupBy = (data, config = {}) => {
   const result = {};
   
   Object.entries(groups).forEach(([groupKey, groupData]) => {
-    result[groupKey] = aggregator(groupData, { aggregations });
+    result[groupKey] = aggregator(groupData, { aggregations, timeField });
     
     // 添加分组字段值到结果中
     const keyParts = groupKey.split('|');
@@ -141,10 +329,12 @@ const groupBy = (data, config = {}) => {
   return result;
 };
 
+groupBy.validateConfig = aggregator.validateConfig;
+
 /**
  * 窗口处理器 - 对时间窗口内的数据进行处理
  * @param {Array} data - 输入数据数组
- * @param {Object} config - 配置对象
+ * @param {Object} config - 配置对象 { timeField, windowSize, slideSize, aggregations }，aggregations 见 aggregator，first/last 按 timeField 排序
  * @returns {Array<Object>} - 窗口处理结果数组
  */
 const windowProcessor = (data, config = {}) => {
@@ -183,7 +373,7 @@ const windowProcessor = (data, config = {}) => {
   
   // 如果时间范围小于窗口大小，则处理整个数据集
   if (endTime - startTime <= windowSize) {
-    const result = aggregator(sortedData, { aggregations });
+    const result = aggregator(sortedData, { aggregations, timeField });
     result.windowStart = new Date(startTime).toISOString();
     result.windowEnd = new Date(endTime).toISOString();
     result.count = sortedData.length;
@@ -202,7 +392,7 @@ const windowProcessor = (data, config = {}) => {
     });
     
     if (windowData.length > 0) {
-      const windowResult = aggregator(windowData, { aggregations });
+      const windowResult = aggregator(windowData, { aggregations, timeField });
       windowResult.windowStart = new Date(windowStart).toISOString();
       windowResult.windowEnd = new Date(windowEnd).toISOString();
       windowResult.count = windowData.length;
@@ -213,8 +403,108 @@ const windowProcessor = (data, config = {}) => {
   return windows;
 };
 
+windowProcessor.validateConfig = aggregator.validateConfig;
+
+/**
+ * 生成会话摘要
+ * @param {Object} session - 会话状态
+ * @param {string} userField - 用户字段名
+ * @returns {Object} - 会话摘要
+ */
+const summarizeSession = (session, userField) => ({
+  [userField]: session.user,
+  sessionStart: new Date(session.start).toISOString(),
+  sessionEnd: new Date(session.end).toISOString(),
+  duration: session.end - session.start,
+  eventCount: session.eventCount,
+  pageCount: session.pageCount,
+  actions: session.actions,
+  purchaseTotal: session.purchaseTotal,
+});
+
+/**
+ * 会话窗口处理器 - 按用户把事件划分为会话，相邻事件间隔超过 gap 时开始新会话
+ * 只处理本次输入并输出全部会话，不保留状态；需要跨批次或跨任务累加会话时使用 session 步骤
+ *
+ * @param {Array|Object} data - 输入数据数组或单条数据
+ * @param {Object} config - 配置对象
+ * @param {string} [config.userField='userId'] - 用户字段
+ * @param {string} [config.timeField='timestamp'] - 事件时间字段
+ * @param {number} [config.gap=1800000] - 会话不活跃间隔(ms)，默认30分钟
+ * @param {string} [config.actionField='action'] - 行为字段，按值统计 actions
+ * @param {string} [config.pageAction='view_page'] - 计入 pageCount 的行为
+ * @param {string} [config.purchaseAction='purchase'] - 计入 purchaseTotal 的行为
+ * @param {string} [config.amountField='amount'] - 购买金额字段
+ * @returns {Array<Object>} - 会话摘要数组
+ *   { [userField], sessionStart, sessionEnd, duration, eventCount, pageCount, actions, purchaseTotal }，按会话开始时间排序
+ */
+const sessionWindow = (data, config = {}) => {
+  const {
+    userField = 'userId',
+    timeField = 'timestamp',
+    gap = 30 * 60 * 1000,
+    actionField = 'action',
+    pageAction = 'view_page',
+    purchaseAction = 'purchase',
+    amountField = 'amount',
+  } = config;
+
+  if (!Number.isFinite(gap) || gap <= 0) {
+    logger.warn('sessionWindow: gap must be a positive number of milliseconds');
+    return [];
+  }
+
+  const sessions = new Map();
+
+  // 提取有效事件并按时间排序
+  const events = (Array.isArray(data) ? data : [data])
+    .filter((item) => item && item[userField] !== null && item[userField] !== undefined)
+    .map((item) => ({ item, time: new Date(item[timeField]).getTime() }))
+    .filter(({ time }) => !Number.isNaN(time))
+    .sort((a, b) => a.time - b.time);
+
+  const closed = [];
+
+  events.forEach(({ item, time }) => {
+    const user = item[userField];
+    const userKey = typeof user === 'object' ? JSON.stringify(user) : String(user);
+    let session = sessions.get(userKey);
+
+    // 与上一个事件间隔超过 gap，结束当前会话
+    if (session && time - session.end > gap) {
+      closed.push(summarizeSession(session, userField));
+      session = null;
+    }
+    if (!session) {
+      session = { user, start: time, end: time, eventCount: 0, pageCount: 0, actions: {}, purchaseTotal: 0 };
+      sessions.set(userKey, session);
+    }
+
+    session.end = time;
+    session.eventCount += 1;
+
+    const action = item[actionField];
+    if (action !== null && action !== undefined) {
+      session.actions[action] = (session.actions[action] || 0) + 1;
+    }
+    if (action === pageAction) {
+      session.pageCount += 1;
+    }
+    if (action === purchaseAction && !Number.isNaN(Number(item[amountField]))) {
+      session.purchaseTotal += Number(item[amountField]);
+    }
+  });
+
+  // 输入结束时所有会话都已结束
+  sessions.forEach((session) => closed.push(summarizeSession(session, userField)));
+
+  return closed.sort((a, b) => new Date(a.sessionStart).getTime() - new Date(b.sessionStart).getTime());
+};
+
 /**
  * 异常检测处理器 - 基于统计方法检测异常值
+ * 只使用输入数组本身计算统计量，不保留历史；需要按序列历史为单条数据评分时使用 anomaly 步骤
+ * 标记的异常可由 alert 步骤转为告警
  * @param {Array} data - 输入数据数组
  * @param {Object} config - 配置对象
  * @returns {Object} - 检测结果
@@ -317,5 +607,6 @@ module.exports = {
   aggregator,
   groupBy,
   windowProcessor,
+  sessionWindow,
   anomalyDetector
 };
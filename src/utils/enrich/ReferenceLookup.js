@@ -0,0 +1,237 @@
+// src/utils/enrich/ReferenceLookup.js
+
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const logger = require('../../config/logger');
+
+/**
+ * 读取记录的关联键
+ * @param {Object} record - 记录
+ * @param {string} keyField - 键字段
+ * @returns {string|null} 键值，记录不是对象或键为空时为null
+ */
+const recordKey = (record, keyField) => {
+  if (!record || typeof record !== 'object') {
+    return null;
+  }
+  const value = record[keyField];
+  if ((typeof value === 'string' && value) || (typeof value === 'number' && Number.isFinite(value))) {
+    return String(value);
+  }
+  return null;
+};
+
+/**
+ * 把参考数据的字段合并到记录
+ * @param {Object} record - 记录
+ * @param {Object} config - 规范化的关联配置
+ * @param {Object|null} values - 参考数据字段，null时合并的字段均为null
+ * @returns {Object} 合并后的记录
+ */
+const mergeReference = (record, config, values) => {
+  const fields = Object.fromEntries(
+    config.fields.map(({ from, to }) => [to, values && values[from] !== undefined ? values[from] : null])
+  );
+  return config.as ? { ...record, [config.as]: fields } : { ...record, ...fields };
+};
+
+/**
+ * 参考数据关联查询
+ * 按记录的键从MongoDB或Redis哈希读取参考数据（如用户的名称、角色和注册时间）并合并到记录，
+ * 查询结果通过 CacheService.getWithProtection 缓存，所有任务和PM2实例共享
+ */
+class ReferenceLookup extends EventEmitter {
+  /**
+   * 创建参考数据关联查询
+   * @param {Object} options - 配置选项
+   * @param {CacheService} [options.cache] - 缓存服务，默认为 utils/cache 的共享实例
+   * @param {mongoose.Connection} [options.connection] - MongoDB连接，默认为mongoose默认连接
+   * @param {Redis} [options.redis] - 读取Redis哈希的客户端，默认使用缓存服务的客户端
+   */
+  constructor(options = {}) {
+    super();
+    this.cache = options.cache || null;
+    this.connection = options.connection || mongoose.connection;
+    this.redis = options.redis || null;
+    this.metrics = {
+      records: 0, // 处理的记录
+      enriched: 0, // 查到参考数据并合并的记录
+      missed: 0, // 没有键或查不到参考数据的记录
+      dropped: 0, // 按 drop 策略丢弃的记录
+      queries: 0, // 缓存未命中时访问数据源的次数
+    };
+  }
+
+  /**
+   * 为数据关联参考数据，数组中相同的键只查询一次
+   * @param {Object} config - 规范化的关联配置（normalizeEnrichConfig的返回值）
+   * @param {Object|Array<Object>} data - 记录或记录数组
+   * @returns {Promise<Object|Array<Object>|null>} 关联后的数据，与输入形式相同；记录全部被丢弃时为null
+   */
+  async enrich(config, data) {
+    const records = Array.isArray(data) ? data : [data];
+    if (!records.length) {
+      return data;
+    }
+
+    const keys = [...new Set(records.map((record) => recordKey(record, config.keyField)).filter((key) => key !== null))];
+    const references = new Map(await Promise.all(keys.map(async (key) => [key, await this._lookup(config, key)])));
+
+    const results = [];
+    records.forEach((record) => {
+      this.metrics.records += 1;
+      const key = recordKey(record, config.keyField);
+      const values = key === null ? null : references.get(key);
+      if (values) {
+        this.metrics.enriched += 1;
+        results.push(mergeReference(record, config, values));
+        return;
+      }
+
+      this.metrics.missed += 1;
+      switch (config.onMiss) {
+        case 'error':
+          throw new Error(`No reference data for ${config.keyField} ${key === null ? '(missing)' : key}`);
+        case 'drop':
+          this.metrics.dropped += 1;
+          break;
+        case 'null':
+          results.push(mergeReference(record, config, null));
+          break;
+        default:
+          results.push(record);
+      }
+    });
+
+    if (!results.length) {
+      return null;
+    }
+    return Array.isArray(data) ? results : results[0];
+  }
+
+  /**
+   * 通过缓存查询一个键的参考数据，查不到的结果也会缓存，避免重复查询不存在的键
+   * @param {Object} config - 规范化的关联配置
+   * @param {string} key - 键值
+   * @returns {Promise<Object|null>} 参考数据字段，查不到时为null
+   * @private
+   */
+  async _lookup(config, key) {
+    const cached = await this._getCache().getWithProtection(
+      'enrich',
+      config.key,
+      key,
+      async () => {
+        this.metrics.queries += 1;
+        const values = await this._query(config, key);
+        return values ? { found: true, values } : { found: false };
+      },
+      config.cacheTtl
+    );
+    return cached.found ? cached.values : null;
+  }
+
+  /**
+   * 从数据源查询一个键的参考数据
+   * 结果经过JSON序列化，与从缓存读取的值一致（如日期为ISO字符串、ObjectId为字符串）
+   * @param {Object} config - 规范化的关联配置
+   * @param {string} key - 键值
+   * @returns {Promise<Object|null>} 参考数据字段，查不到时为null
+   * @private
+   */
+  async _query(config, key) {
+    let reference;
+    if (config.source === 'redis-hash') {
+      const hash = await this._getRedis().hgetall(`${config.keyPrefix}${key}`);
+      reference = Object.keys(hash).length ? hash : null;
+    } else {
+      reference = await this._findDocument(config, key);
+    }
+    if (!reference) {
+      return null;
+    }
+    const values = Object.fromEntries(
+      config.fields.map(({ from }) => [from, reference[from] === undefined ? null : reference[from]])
+    );
+    return JSON.parse(JSON.stringify(values));
+  }
+
+  /**
+   * 查询MongoDB文档
+   * 只通过已注册的模型查询（按模式转换键的类型），并拒绝读取模式中标记为 private 的字段（如密码）；
+   * 集合没有注册模型时无法判断哪些字段是私有的，拒绝查询
+   * @param {Object} config - 规范化的关联配置
+   * @param {string} key - 键值
+   * @returns {Promise<Object|null>} 文档，查不到时为null
+   * @private
+   */
+  async _findDocument(config, key) {
+    const projection = Object.fromEntries(config.fields.map(({ from }) => [from, 1]));
+    const Model = config.model
+      ? this.connection.model(config.model)
+      : this.connection
+          .modelNames()
+          .map((name) => this.connection.model(name))
+          .find((candidate) => candidate.collection.name === config.collection);
+
+    if (!Model) {
+      throw new Error(`Enrich collection ${config.collection} has no registered model`);
+    }
+
+    const privateField = config.fields.find(({ from }) => {
+      const path = Model.schema.path(from);
+      return path && path.options.private;
+    });
+    if (privateField) {
+      throw new Error(`Enrich field ${privateField.from} of ${Model.modelName} is private`);
+    }
+    try {
+      return await Model.findOne({ [config.lookupField]: key })
+        .select(projection)
+        .lean();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        // 键的类型与字段不符（如不是ObjectId的用户ID），视为查不到
+        logger.debug(`Enrich ${Model.modelName}: ${config.lookupField} ${key} is not a valid value`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 获取关联指标
+   * @returns {Object} 指标对象 { records, enriched, missed, dropped, queries }
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * 获取缓存服务，首次调用时加载共享实例
+   * @returns {CacheService} 缓存服务
+   * @private
+   */
+  _getCache() {
+    if (!this.cache) {
+      // 缓存模块加载时即连接Redis，只在实际关联时加载
+      // eslint-disable-next-line global-require
+      this.cache = require('../cache');
+    }
+    return this.cache;
+  }
+
+  /**
+   * 获取读取Redis哈希的客户端
+   * @returns {Redis} Redis客户端
+   * @private
+   */
+  _getRedis() {
+    if (!this.redis) {
+      this.redis = this._getCache().redisClient;
+    }
+    return this.redis;
+  }
+}
+
+module.exports = ReferenceLookup;
@@ -0,0 +1,130 @@
+// src/utils/enrich/enrichConfig.js
+
+const crypto = require('crypto');
+
+/**
+ * 参考数据来源
+ * - mongodb：按 lookupField 查询 model（已注册的Mongoose模型，如 User）或 collection（必须有已注册的模型）中的一个文档
+ * - redis-hash：读取 keyPrefix + 键值 的Redis哈希
+ */
+const enrichSources = ['mongodb', 'redis-hash'];
+
+/**
+ * 查不到参考数据（或记录没有 keyField）时的处理策略
+ * - keep：原样传递记录（默认）
+ * - null：把要合并的字段设为null，下游总能看到相同的字段
+ * - drop：丢弃记录，单条记录返回null终止管道
+ * - error：抛出错误，数据项失败，可被 errorHandler 处理
+ */
+const missPolicies = ['keep', 'null', 'drop', 'error'];
+
+/**
+ * 字段名格式，不允许 $ 开头的查询操作符和原型属性
+ */
+const isFieldName = (value) =>
+  typeof value === 'string' && /^[^$.]+$/.test(value) && !['__proto__', 'constructor', 'prototype'].includes(value);
+
+/**
+ * 校验可选的字符串选项
+ * @param {Object} config - 关联配置
+ * @param {string} key - 选项名
+ * @returns {string|null} 选项值
+ */
+const stringOption = (config, key) => {
+  if (config[key] === undefined) {
+    return null;
+  }
+  if (typeof config[key] !== 'string' || !config[key]) {
+    throw new Error(`Enrich ${key} must be a non-empty string`);
+  }
+  return config[key];
+};
+
+/**
+ * 规范化要合并的字段
+ * @param {Array<string>|Object} fields - 字段名数组，或 { 参考数据字段: 输出字段 } 映射
+ * @returns {Array<Object>} [{ from, to }]
+ */
+const normalizeFields = (fields) => {
+  const entries = Array.isArray(fields) ? fields.map((field) => [field, field]) : Object.entries(fields || {});
+  if (!entries.length || entries.some(([from, to]) => !isFieldName(from) || !isFieldName(to))) {
+    throw new Error('Enrich fields must be an array of field names or an object mapping field names to output fields');
+  }
+  return entries.map(([from, to]) => ({ from, to }));
+};
+
+/**
+ * 校验关联配置并补全默认值
+ * 只检查配置本身，不建立任何连接，可用于管道编译时校验
+ *
+ * 记录的 keyField 值作为键查询参考数据，查到的 fields 合并到记录（指定 as 时合并到 as 对象字段）。
+ * 查询结果（包括查不到）通过 CacheService.getWithProtection 缓存 cacheTtl 秒，同一个键并发查询时只访问一次数据源；
+ * 缓存键包含数据源和字段，来源或字段不同的步骤不会共享缓存
+ *
+ * @param {Object} config - 关联配置 { source, model, collection, keyPrefix, keyField, lookupField, fields, as, onMiss,
+ *   cacheTtl }
+ * @returns {Object} 规范化的关联配置
+ */
+const normalizeEnrichConfig = (config = {}) => {
+  if (!enrichSources.includes(config.source)) {
+    throw new Error(`Invalid enrich source: ${config.source}`);
+  }
+  if (!isFieldName(config.keyField)) {
+    throw new Error('Enrich requires a keyField');
+  }
+
+  const model = stringOption(config, 'model');
+  const collection = stringOption(config, 'collection');
+  const keyPrefix = stringOption(config, 'keyPrefix');
+  let lookupField = null;
+  if (config.source === 'mongodb') {
+    if (!model === !collection) {
+      throw new Error('Enrich from mongodb requires either a model or a collection');
+    }
+    if (collection && (collection.startsWith('system.') || collection.includes('$'))) {
+      throw new Error(`Invalid enrich collection: ${collection}`);
+    }
+    lookupField = config.lookupField === undefined ? '_id' : config.lookupField;
+    if (!isFieldName(lookupField)) {
+      throw new Error('Enrich lookupField must be a field name');
+    }
+  } else if (!keyPrefix) {
+    throw new Error('Enrich from redis-hash requires a keyPrefix');
+  }
+
+  const fields = normalizeFields(config.fields);
+  const as = config.as === undefined ? null : config.as;
+  if (as !== null && !isFieldName(as)) {
+    throw new Error('Enrich as must be a field name');
+  }
+  const onMiss = config.onMiss === undefined ? 'keep' : config.onMiss;
+  if (!missPolicies.includes(onMiss)) {
+    throw new Error(`Invalid enrich onMiss policy: ${onMiss}`);
+  }
+  const cacheTtl = config.cacheTtl === undefined ? 300 : config.cacheTtl;
+  if (!Number.isInteger(cacheTtl) || cacheTtl < 1) {
+    throw new Error('Enrich cacheTtl must be a positive integer number of seconds');
+  }
+
+  const target = { source: config.source, model, collection, keyPrefix, lookupField };
+  return {
+    // 缓存键只取决于查询什么，不受输出字段名、as 和 onMiss 影响
+    key: crypto
+      .createHash('sha1')
+      .update(JSON.stringify({ ...target, fields: fields.map(({ from }) => from).sort() }))
+      .digest('hex')
+      .slice(0, 16),
+    ...target,
+    keyField: config.keyField,
+    fields,
+    as,
+    onMiss,
+    cacheTtl,
+  };
+};
+
+module.exports = {
+  enrichSources,
+  missPolicies,
+  normalizeEnrichConfig,
+};
@@ -0,0 +1,11 @@
+// src/utils/enrich/index.js
+
+const ReferenceLookup = require('./ReferenceLookup');
+const { enrichSources, missPolicies, normalizeEnrichConfig } = require('./enrichConfig');
+
+module.exports = {
+  ReferenceLookup,
+  enrichSources,
+  missPolicies,
+  normalizeEnrichConfig,
+};
@@ -0,0 +1,268 @@
+// src/utils/filterExpression.js
+
+/**
+ * 过滤表达式编译器
+ * 将类似 `value_isAnomaly == true && host in ["server-01", "server-02"]` 的表达式编译为谓词函数，
+ * 不使用eval，只能读取记录自身的字段
+ *
+ * 语法：
+ * - 字段：`host`、`data.user.id`（点号访问嵌套字段）
+ * - 字面量：数字、'字符串' 或 "字符串"、true、false、null、数组 [1, "a"]
+ * - 比较：==、!=（严格相等）、>、>=、<、<=、in
+ * - 逻辑：&&、||、!，括号分组
+ * - 单独的字段或字面量按真值判断
+ */
+
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<', 'in'];
+const PUNCTUATION = ['&&', '||', '==', '!=', '>=', '<=', '>', '<', '!', '(', ')', '[', ']', ','];
+const KEYWORDS = { true: true, false: false, null: null };
+
+/**
+ * 表达式错误
+ */
+class FilterExpressionError extends Error {
+  constructor(message, expression) {
+    super(`Invalid filter expression: ${message}`);
+    this.name = 'FilterExpressionError';
+    this.expression = expression;
+  }
+}
+
+/**
+ * 词法分析
+ * @param {string} expression - 表达式
+ * @returns {Array<Object>} 词法单元
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      index += 1;
+      while (index < expression.length && expression[index] !== char) {
+        if (expression[index] === '\\' && index + 1 < expression.length) {
+          index += 1;
+        }
+        value += expression[index];
+        index += 1;
+      }
+      if (index >= expression.length) {
+        throw new FilterExpressionError('unterminated string', expression);
+      }
+      index += 1;
+      tokens.push({ type: 'literal', value });
+    } else if (/[0-9]/.test(char) || (char === '-' && /[0-9.]/.test(expression[index + 1] || ''))) {
+      const [text] = /^-?[\d.]+/.exec(expression.slice(index));
+      const value = Number(text);
+      if (Number.isNaN(value)) {
+        throw new FilterExpressionError(`invalid number '${text}'`, expression);
+      }
+      tokens.push({ type: 'literal', value });
+      index += text.length;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const [word] = /^[A-Za-z_$][\w$.]*/.exec(expression.slice(index));
+      const path = word.split('.');
+      if (path.some((key) => !key)) {
+        throw new FilterExpressionError(`invalid field '${word}'`, expression);
+      }
+      if (word === 'in') {
+        tokens.push({ type: 'operator', value: 'in' });
+      } else if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word] });
+      } else {
+        tokens.push({ type: 'field', value: path });
+      }
+      index += word.length;
+    } else {
+      const start = index;
+      const punctuation = PUNCTUATION.find((candidate) => expression.startsWith(candidate, start));
+      if (!punctuation) {
+        throw new FilterExpressionError(`unexpected character '${char}' at position ${index}`, expression);
+      }
+      tokens.push({ type: 'operator', value: punctuation });
+      index += punctuation.length;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * 读取记录字段，只访问自有属性
+ * @param {Object} record - 记录
+ * @param {Array<string>} path - 字段路径
+ * @returns {*} 字段值，不存在时返回undefined
+ */
+const getField = (record, path) =>
+  path.reduce((value, key) => {
+    if (value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), key)) {
+      return undefined;
+    }
+    return value[key];
+  }, record);
+
+/**
+ * 比较运算
+ * @param {string} operator - 运算符
+ * @param {*} left - 左值
+ * @param {*} right - 右值
+ * @returns {boolean} 比较结果
+ */
+const compare = (operator, left, right) => {
+  switch (operator) {
+    case '==':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case 'in':
+      return Array.isArray(right) && right.includes(left);
+    default:
+      return false;
+  }
+};
+
+/**
+ * 递归下降语法分析，生成求值函数
+ * @param {Array<Object>} tokens - 词法单元
+ * @param {string} expression - 原始表达式（用于错误信息）
+ * @returns {Function} 求值函数 (record) => *
+ */
+const parse = (tokens, expression) => {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const consume = (value) => {
+    if (!isOperator(value)) {
+      throw new FilterExpressionError(`expected '${value}'`, expression);
+    }
+    position += 1;
+  };
+
+  let parseOr;
+
+  const parseArray = () => {
+    consume('[');
+    const values = [];
+    while (!isOperator(']')) {
+      const token = peek();
+      if (!token || token.type !== 'literal') {
+        throw new FilterExpressionError('arrays may only contain literals', expression);
+      }
+      values.push(token.value);
+      position += 1;
+      if (!isOperator(']')) {
+        consume(',');
+      }
+    }
+    consume(']');
+    return () => values;
+  };
+
+  const parseOperand = () => {
+    const token = peek();
+    if (!token) {
+      throw new FilterExpressionError('unexpected end of expression', expression);
+    }
+    if (token.type === 'literal') {
+      position += 1;
+      return () => token.value;
+    }
+    if (token.type === 'field') {
+      position += 1;
+      return (record) => getField(record, token.value);
+    }
+    if (isOperator('(')) {
+      position += 1;
+      const inner = parseOr();
+      consume(')');
+      return inner;
+    }
+    if (isOperator('[')) {
+      return parseArray();
+    }
+    throw new FilterExpressionError(`unexpected '${token.value}'`, expression);
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const token = peek();
+    if (token && token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      position += 1;
+      const right = parseOperand();
+      return (record) => compare(token.value, left(record), right(record));
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isOperator('!')) {
+      position += 1;
+      const operand = parseNot();
+      return (record) => !operand(record);
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (isOperator('&&')) {
+      position += 1;
+      const current = left;
+      const right = parseNot();
+      left = (record) => Boolean(current(record)) && Boolean(right(record));
+    }
+    return left;
+  };
+
+  parseOr = () => {
+    let left = parseAnd();
+    while (isOperator('||')) {
+      position += 1;
+      const current = left;
+      const right = parseAnd();
+      left = (record) => Boolean(current(record)) || Boolean(right(record));
+    }
+    return left;
+  };
+
+  const evaluate = parseOr();
+  if (position < tokens.length) {
+    throw new FilterExpressionError(`unexpected '${peek().value}'`, expression);
+  }
+  return evaluate;
+};
+
+/**
+ * 编译过滤表达式
+ * @param {string} expression - 过滤表达式
+ * @returns {Function} 谓词函数 (record) => boolean
+ * @throws {FilterExpressionError} 表达式不合法时抛出
+ */
+const compileFilter = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new FilterExpressionError('expression must be a non-empty string', expression);
+  }
+  const evaluate = parse(tokenize(expression), expression);
+  return (record) => Boolean(evaluate(record));
+};
+
+module.exports = {
+  compileFilter,
+  getField,
+  FilterExpressionError,
+};
@@ -0,0 +1,322 @@
+/* eslint-disable no-param-reassign */
+// src/utils/gateway/EventGateway.js
+
+const { URL } = require('url');
+const EventEmitter = require('events');
+const passport = require('passport');
+const httpStatus = require('http-status');
+const WebSocket = require('ws');
+const logger = require('../../config/logger');
+const { roleRights } = require('../../config/roles');
+const eventValidation = require('../../validations/event.validation');
+const { eventService } = require('../../services');
+
+/**
+ * 向连接发送JSON消息
+ * @param {WebSocket} ws - WebSocket连接
+ * @param {Object} payload - 消息内容
+ */
+const send = (ws, payload) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(payload));
+  }
+};
+
+/**
+ * 处理单个事件帧并回复确认
+ * @param {Object} connection - 连接状态
+ * @param {number} seq - 帧序号
+ * @param {Buffer} message - 帧内容
+ */
+const handleFrame = async (connection, seq, message) => {
+  const { ws, user } = connection;
+
+  let body;
+  try {
+    body = JSON.parse(message.toString());
+  } catch (error) {
+    return send(ws, { type: 'error', seq, code: httpStatus.BAD_REQUEST, message: 'Invalid JSON' });
+  }
+
+  const { value, error } = eventValidation.ingestEvents.body.validate(body);
+  if (error) {
+    return send(ws, { type: 'error', seq, code: httpStatus.BAD_REQUEST, message: error.message });
+  }
+
+  try {
+    const events = Array.isArray(value) ? value : [value];
+    // 带id的事件在幂等窗口内重复发送时返回原任务ID，不会重复入队
+    const jobs = await eventService.ingestEvents(events, { source: 'websocket', userId: user.id });
+    const replayed = jobs.filter((job) => job.replayed).length;
+    send(ws, { type: 'ack', seq, accepted: jobs.length - replayed, replayed, jobs });
+  } catch (ingestError) {
+    logger.error('Event gateway failed to enqueue events:', ingestError);
+    send(ws, {
+      type: 'error',
+      seq,
+      code: ingestError.statusCode || httpStatus.INTERNAL_SERVER_ERROR,
+      message: ingestError.message,
+    });
+  }
+};
+
+/**
+ * WebSocket事件接入网关
+ * 长连接生产者通过WebSocket推送事件帧，网关将事件写入消息队列并回复任务ID；
+ * 队列积压过高或连接未确认帧过多时暂停读取该连接，对生产者施加背压
+ *
+ * 协议：
+ * - 客户端每帧发送一个事件对象或事件数组（与 POST /v1/events 的请求体相同）
+ * - 服务端按接收顺序回复 { type: 'ack', seq, accepted, replayed, jobs } 或 { type: 'error', seq, code, message }，
+ *   seq 为该帧在本连接上的序号（从1开始）
+ * - 背压状态变化时服务端发送 { type: 'backpressure', paused }
+ */
+class EventGateway extends EventEmitter {
+  /**
+   * 创建事件网关实例
+   * @param {Object} options - 配置选项
+   * @param {string} [options.path='/v1/events/ws'] - WebSocket升级路径
+   * @param {string} [options.queueName='event-data-processing'] - 用于计算积压的队列
+   * @param {Array<string>} [options.requiredRights=['ingestEvents']] - 连接所需权限
+   * @param {number} [options.backlogHighWaterMark=10000] - 队列等待任务数超过该值时暂停所有连接
+   * @param {number} [options.backlogLowWaterMark] - 队列等待任务数低于该值时恢复连接（默认为高水位的一半）
+   * @param {number} [options.maxPendingFrames=100] - 单连接最大未确认帧数
+   * @param {number} [options.backlogCheckInterval=1000] - 队列积压检查间隔(ms)
+   * @param {number} [options.heartbeatInterval=30000] - 心跳检测间隔(ms)
+   * @param {number} [options.maxPayload=1048576] - 单帧最大字节数
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      path: '/v1/events/ws',
+      queueName: eventService.EVENT_QUEUE,
+      requiredRights: ['ingestEvents'],
+      backlogHighWaterMark: 10000,
+      backlogCheckInterval: 1000,
+      maxPendingFrames: 100,
+      heartbeatInterval: 30000,
+      maxPayload: 1024 * 1024,
+      ...options,
+    };
+    if (this.options.backlogLowWaterMark === undefined) {
+      this.options.backlogLowWaterMark = Math.floor(this.options.backlogHighWaterMark / 2);
+    }
+
+    this.wss = new WebSocket.Server({ noServer: true, maxPayload: this.options.maxPayload });
+    this.connections = new Set();
+    this.backlog = 0;
+    this.backlogExceeded = false;
+    this.server = null;
+    this.backlogTimer = null;
+    this.heartbeatTimer = null;
+
+    this._handleUpgrade = this._handleUpgrade.bind(this);
+    this.wss.on('connection', (ws, req, user) => this._handleConnection(ws, req, user));
+  }
+
+  /**
+   * 挂载到HTTP服务器
+   * @param {http.Server} server - Express创建的HTTP服务器
+   * @returns {EventGateway} - 返回自身，支持链式调用
+   */
+  attach(server) {
+    this.server = server;
+    server.on('upgrade', this._handleUpgrade);
+
+    this.backlogTimer = setInterval(() => this._checkBacklog(), this.options.backlogCheckInterval);
+    this.heartbeatTimer = setInterval(() => this._heartbeat(), this.options.heartbeatInterval);
+
+    logger.info(`Event gateway listening for WebSocket connections on ${this.options.path}`);
+    return this;
+  }
+
+  /**
+   * 使用现有JWT策略认证升级请求
+   * @param {http.IncomingMessage} req - 升级请求
+   * @returns {Promise<Object>} 认证通过的用户
+   */
+  authenticate(req) {
+    return new Promise((resolve, reject) => {
+      passport.authenticate('jwt', { session: false }, (err, user, info) => {
+        if (err || info || !user) {
+          return reject(Object.assign(new Error('Please authenticate'), { statusCode: httpStatus.UNAUTHORIZED }));
+        }
+
+        const userRights = roleRights.get(user.role) || [];
+        if (!this.options.requiredRights.every((right) => userRights.includes(right))) {
+          return reject(Object.assign(new Error('Forbidden'), { statusCode: httpStatus.FORBIDDEN }));
+        }
+
+        resolve(user);
+      })(req, {}, reject);
+    });
+  }
+
+  /**
+   * 处理HTTP升级请求
+   * @private
+   */
+  async _handleUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== this.options.path) {
+      return;
+    }
+
+    try {
+      const user = await this.authenticate(req);
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        this.wss.emit('connection', ws, req, user);
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || httpStatus.INTERNAL_SERVER_ERROR;
+      socket.write(`HTTP/1.1 ${statusCode} ${httpStatus[statusCode]}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+      logger.warn(`Event gateway rejected connection: ${error.message}`);
+    }
+  }
+
+  /**
+   * 处理新连接
+   * @private
+   */
+  _handleConnection(ws, req, user) {
+    const connection = {
+      ws,
+      user,
+      seq: 0,
+      pending: 0,
+      paused: false,
+      alive: true,
+      // 串行处理同一连接上的帧，保证确认顺序与接收顺序一致
+      chain: Promise.resolve(),
+    };
+    this.connections.add(connection);
+    logger.info(`Event gateway connection opened for user ${user.id}`);
+
+    ws.on('pong', () => {
+      connection.alive = true;
+    });
+
+    ws.on('message', (message) => {
+      connection.seq += 1;
+      connection.pending += 1;
+      const { seq } = connection;
+
+      this._updateFlowControl(connection);
+      connection.chain = connection.chain
+        .then(() => handleFrame(connection, seq, message))
+        .finally(() => {
+          connection.pending -= 1;
+          this._updateFlowControl(connection);
+        });
+    });
+
+    ws.on('close', () => {
+      this.connections.delete(connection);
+      logger.info(`Event gateway connection closed for user ${user.id}`);
+    });
+
+    ws.on('error', (error) => {
+      logger.error('Event gateway connection error:', error);
+    });
+
+    this.emit('connection', connection);
+  }
+
+  /**
+   * 根据队列积压和连接未确认帧数暂停或恢复读取
+   * @private
+   */
+  _updateFlowControl(connection) {
+    const { ws } = connection;
+    const shouldPause = this.backlogExceeded || connection.pending >= this.options.maxPendingFrames;
+
+    if (shouldPause === connection.paused || ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    connection.paused = shouldPause;
+    if (shouldPause) {
+      ws.pause();
+    } else {
+      ws.resume();
+    }
+    send(ws, { type: 'backpressure', paused: shouldPause });
+    this.emit('backpressure', { user: connection.user, paused: shouldPause });
+  }
+
+  /**
+   * 检查队列积压，跨越高/低水位时更新所有连接的流控状态
+   * @private
+   */
+  async _checkBacklog() {
+    try {
+      const queue = eventService.getIngestionQueue(this.options.queueName);
+      this.backlog = await queue.getWaitingCount();
+    } catch (error) {
+      logger.debug(`Event gateway could not read queue backlog: ${error.message}`);
+      return;
+    }
+
+    const { backlogHighWaterMark, backlogLowWaterMark } = this.options;
+    const exceeded = this.backlogExceeded ? this.backlog > backlogLowWaterMark : this.backlog >= backlogHighWaterMark;
+
+    if (exceeded !== this.backlogExceeded) {
+      this.backlogExceeded = exceeded;
+      logger.warn(`Event gateway ${exceeded ? 'pausing' : 'resuming'} producers, queue backlog is ${this.backlog}`);
+      this.connections.forEach((connection) => this._updateFlowControl(connection));
+    }
+  }
+
+  /**
+   * 心跳检测，断开无响应的连接
+   * @private
+   */
+  _heartbeat() {
+    this.connections.forEach((connection) => {
+      if (!connection.alive) {
+        connection.ws.terminate();
+        return;
+      }
+      connection.alive = false;
+      connection.ws.ping();
+    });
+  }
+
+  /**
+   * 获取网关状态
+   * @returns {Object} 网关状态
+   */
+  getStatus() {
+    return {
+      connections: this.connections.size,
+      backlog: this.backlog,
+      backlogExceeded: this.backlogExceeded,
+      pausedConnections: Array.from(this.connections).filter((connection) => connection.paused).length,
+    };
+  }
+
+  /**
+   * 关闭网关及所有连接
+   * @returns {Promise<void>}
+   */
+  close() {
+    clearInterval(this.backlogTimer);
+    clearInterval(this.heartbeatTimer);
+    this.backlogTimer = null;
+    this.heartbeatTimer = null;
+
+    if (this.server) {
+      this.server.removeListener('upgrade', this._handleUpgrade);
+      this.server = null;
+    }
+
+    this.connections.forEach((connection) => connection.ws.close(1001, 'Server shutting down'));
+    this.connections.clear();
+
+    return new Promise((resolve) => this.wss.close(() => resolve()));
+  }
+}
+
+module.exports = EventGateway;
@@ -0,0 +1,174 @@
+// src/utils/gateway/ResultBroadcaster.js
+
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const logger = require('../../config/logger');
+const { compileFilter } = require('../filterExpression');
+
+/**
+ * 创建Redis连接
+ * @returns {Redis} Redis客户端
+ */
+const createRedisClient = () =>
+  new Redis({
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD || null,
+    retryStrategy: (times) => Math.min(times * 50, 2000),
+  });
+
+/**
+ * 对处理结果应用过滤谓词
+ * 数组结果逐条过滤，其余结果整体判断
+ * @param {Function|null} predicate - 谓词函数
+ * @param {*} result - 处理结果
+ * @returns {*} 过滤后的结果，没有匹配时返回undefined
+ */
+const applyFilter = (predicate, result) => {
+  if (!predicate) {
+    return result;
+  }
+  if (Array.isArray(result)) {
+    const matched = result.filter((item) => predicate(item));
+    return matched.length ? matched : undefined;
+  }
+  return predicate(result) ? result : undefined;
+};
+
+/**
+ * 处理结果广播器
+ * 处理完成的结果通过Redis发布/订阅广播到所有PM2实例，
+ * 每个实例再按事件类型和过滤表达式分发给本地订阅者（如SSE连接）
+ */
+class ResultBroadcaster extends EventEmitter {
+  /**
+   * 创建广播器实例
+   * @param {Object} options - 配置选项
+   * @param {string} [options.channel='rdp:results'] - Redis频道
+   * @param {Redis} [options.publisher] - 发布用Redis客户端
+   * @param {Redis} [options.subscriber] - 订阅用Redis客户端（订阅模式下不能执行其他命令，需单独连接）
+   */
+  constructor(options = {}) {
+    super();
+    this.channel = options.channel || 'rdp:results';
+    this.publisher = options.publisher || null;
+    this.subscriber = options.subscriber || null;
+    this.subscriptions = new Map();
+    this.nextSubscriptionId = 1;
+    this.listening = false;
+  }
+
+  /**
+   * 发布处理结果
+   * @param {Object} message - 结果消息
+   * @param {string} message.type - 事件类型
+   * @param {string} [message.userId] - 提交事件的用户
+   * @param {*} message.result - 处理结果
+   * @param {number|null} [message.pipelineVersion] - 产生结果的管道版本，内置管道为null
+   * @returns {Promise<number>} 收到消息的实例数
+   */
+  async publish(message) {
+    if (!this.publisher) {
+      this.publisher = createRedisClient();
+    }
+    return this.publisher.publish(this.channel, JSON.stringify({ publishedAt: new Date().toISOString(), ...message }));
+  }
+
+  /**
+   * 添加本地订阅
+   * @param {Object} subscription - 订阅条件
+   * @param {string} [subscription.type] - 事件类型，不指定则接收所有类型
+   * @param {string} [subscription.filter] - 过滤表达式
+   * @param {string} [subscription.userId] - 只接收该用户提交的事件的结果，不指定则接收所有用户的结果
+   * @param {Function} listener - 回调函数 (message) => void
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe({ type, filter, userId } = {}, listener) {
+    const predicate = filter ? compileFilter(filter) : null;
+    const id = this.nextSubscriptionId;
+    this.nextSubscriptionId += 1;
+
+    this.subscriptions.set(id, { type, userId, predicate, listener });
+    this._listen();
+
+    return () => {
+      this.subscriptions.delete(id);
+    };
+  }
+
+  /**
+   * 订阅Redis频道
+   * @private
+   */
+  _listen() {
+    if (this.listening) {
+      return;
+    }
+    this.listening = true;
+
+    if (!this.subscriber) {
+      this.subscriber = createRedisClient();
+    }
+    this.subscriber.on('message', (channel, raw) => {
+      if (channel === this.channel) {
+        this.dispatch(raw);
+      }
+    });
+    this.subscriber.subscribe(this.channel).catch((error) => {
+      logger.error(`Failed to subscribe to result channel ${this.channel}:`, error);
+    });
+    logger.info(`Result broadcaster subscribed to ${this.channel}`);
+  }
+
+  /**
+   * 将收到的消息分发给匹配的本地订阅者
+   * @param {string} raw - 序列化的结果消息
+   */
+  dispatch(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      logger.warn('Result broadcaster received an invalid message');
+      return;
+    }
+
+    this.subscriptions.forEach(({ type, userId, predicate, listener }) => {
+      if ((type && message.type !== type) || (userId && message.userId !== userId)) {
+        return;
+      }
+      try {
+        const result = applyFilter(predicate, message.result);
+        if (result !== undefined) {
+          listener({ ...message, result });
+        }
+      } catch (error) {
+        logger.error('Result subscriber failed:', error);
+      }
+    });
+  }
+
+  /**
+   * 获取订阅数
+   * @returns {number} 本地订阅数
+   */
+  getSubscriptionCount() {
+    return this.subscriptions.size;
+  }
+
+  /**
+   * 关闭Redis连接并清除订阅
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.subscriptions.clear();
+    await Promise.all(
+      [this.publisher, this.subscriber].filter(Boolean).map((client) => client.quit().catch(() => client.disconnect()))
+    );
+    this.publisher = null;
+    this.subscriber = null;
+    this.listening = false;
+  }
+}
+
+module.exports = ResultBroadcaster;
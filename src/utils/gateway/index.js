@@ -0,0 +1,52 @@
+// 文件位置: src/utils/gateway/index.js
+
+const EventGateway = require('./EventGateway');
+const ResultBroadcaster = require('./ResultBroadcaster');
+
+/**
+ * 事件网关全局实例
+ */
+let gatewayInstance = null;
+
+/**
+ * 结果广播器全局实例
+ */
+let broadcasterInstance = null;
+
+/**
+ * 创建事件网关并挂载到HTTP服务器
+ * @param {http.Server} server - HTTP服务器
+ * @param {Object} options - 网关配置选项
+ * @returns {EventGateway} 事件网关实例
+ */
+const attachEventGateway = (server, options = {}) => {
+  if (!gatewayInstance) {
+    gatewayInstance = new EventGateway(options);
+  }
+  return gatewayInstance.attach(server);
+};
+
+/**
+ * 获取事件网关实例
+ * @returns {EventGateway|null} 事件网关实例，未挂载时返回null
+ */
+const getEventGateway = () => gatewayInstance;
+
+/**
+ * 获取结果广播器实例，首次调用时创建
+ * @returns {ResultBroadcaster} 结果广播器实例
+ */
+const getResultBroadcaster = () => {
+  if (!broadcasterInstance) {
+    broadcasterInstance = new ResultBroadcaster();
+  }
+  return broadcasterInstance;
+};
+
+module.exports = {
+  attachEventGateway,
+  getEventGateway,
+  getResultBroadcaster,
+  EventGateway,
+  ResultBroadcaster,
+};
@@ -73,7 +73,21 @@ class MetricsCollector extends EventEmitter {
     this.registerMetric('processor_processing_time', MetricType.HISTOGRAM, 'Data processing time in ms');
     this.registerMetric('processor_errors', MetricType.COUNTER, 'Data processing errors');
     this.registerMetric('processor_concurrency', MetricType.GAUGE, 'Current processing concurrency');
-    
+    this.registerMetric('processor_pipeline_duration', MetricType.HISTOGRAM, 'Item processing time per pipeline in ms', [
+      'pipeline',
+    ]);
+    this.registerMetric('processor_pipeline_errors', MetricType.COUNTER, 'Failed items per pipeline', ['pipeline']);
+    this.registerMetric('processor_step_duration', MetricType.HISTOGRAM, 'Pipeline step duration in ms', [
+      'pipeline',
+      'step',
+    ]);
+    this.registerMetric('processor_step_errors', MetricType.COUNTER, 'Pipeline step errors', ['pipeline', 'step']);
+    this.registerMetric('processor_window_late_records', MetricType.COUNTER, 'Late records per window step', [
+      'pipeline',
+      'step',
+      'policy',
+    ]);
+
     // 数据库指标
     this.registerMetric('db_connections', MetricType.GAUGE, 'Database active connections');
     this.registerMetric('db_queries', MetricType.COUNTER, 'Total database queries');
@@ -429,6 +429,43 @@ class MonitoringService extends EventEmitter {
     return cleanup;
   }
   
+  /**
+   * 注册数据处理器监控
+   * 将每个数据项和每个步骤的耗时、错误按 pipeline / step 标签记录到指标收集器，窗口步骤的迟到记录另按 policy 标签计数
+   * 并把告警管理器交给数据处理器的异常告警器，管道中的 alert 步骤由此发出告警
+   * @param {DataProcessor} dataProcessor 数据处理器
+   * @returns {MonitoringService} 当前实例，便于链式调用
+   */
+  registerDataProcessor(dataProcessor) {
+    dataProcessor.on('itemProcessed', ({ pipeline, success, processingTime }) => {
+      this.metricsCollector.observeHistogram('processor_processing_time', processingTime);
+      this.metricsCollector.observeHistogram('processor_pipeline_duration', processingTime, { pipeline });
+      // 成功时增加0，使每个管道的错误计数从0开始导出
+      this.metricsCollector.incrementCounter('processor_pipeline_errors', success ? 0 : 1, { pipeline });
+      if (!success) {
+        this.metricsCollector.incrementCounter('processor_errors');
+      }
+    });
+
+    dataProcessor.on('stepProcessed', ({ pipeline, step, duration, error }) => {
+      const labels = { pipeline, step };
+      this.metricsCollector.observeHistogram('processor_step_duration', duration, labels);
+      this.metricsCollector.incrementCounter('processor_step_errors', error ? 1 : 0, labels);
+    });
+
+    dataProcessor.on('lateRecords', ({ pipeline, step, policy, count }) => {
+      this.metricsCollector.incrementCounter('processor_window_late_records', count, { pipeline, step, policy });
+    });
+
+    // 管道 alert 步骤的告警通过本服务的告警管理器发出
+    if (dataProcessor.alerter) {
+      dataProcessor.alerter.setAlertManager(this.alertManager);
+    }
+
+    logger.info('Data processor monitoring registered');
+    return this;
+  }
+
   /**
    * 注册缓存服务监控
    * @param {Object} cacheService 缓存服务
@@ -25,9 +25,10 @@ let monitoringInstance = null;
  * @param {Object} redis Redis客户端
  * @param {Object} queueManager 队列管理器
  * @param {Object} cacheService 缓存服务
+ * @param {DataProcessor} dataProcessor 数据处理器
  * @returns {MonitoringService} 监控系统服务实例
  */
-const initMonitoring = (app, { db, redis, queueManager, cacheService } = {}) => {
+const initMonitoring = (app, { db, redis, queueManager, cacheService, dataProcessor } = {}) => {
   if (monitoringInstance) {
     return monitoringInstance;
   }
@@ -78,6 +79,11 @@ const initMonitoring = (app, { db, redis, queueManager, cacheService } = {}) =>
     monitoringInstance.registerCacheService(cacheService, monitoringConfig.cache);
     logger.info('Cache service monitoring registered');
   }
+
+  // 注册数据处理器监控
+  if (dataProcessor) {
+    monitoringInstance.registerDataProcessor(dataProcessor);
+  }
   
   // 设置邮件告警通知
   if (monitoringConfig.alertNotifiers && monitoringConfig.alertNotifiers.email) {
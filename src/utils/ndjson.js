@@ -0,0 +1,81 @@
+// src/utils/ndjson.js
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * 解析单行NDJSON
+ * @param {string} text - 行内容（不含换行符）
+ * @param {number} line - 行号（从1开始）
+ * @returns {Object|null} 解析结果，空行返回null
+ */
+const parseLine = (text, line) => {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return null;
+  }
+  try {
+    return { line, value: JSON.parse(trimmed) };
+  } catch (error) {
+    return { line, error: new Error(`Invalid JSON: ${error.message}`) };
+  }
+};
+
+/**
+ * 增量解析NDJSON可读流
+ * 逐块读取并按换行切分，只在内存中保留当前未结束的一行；
+ * 由于使用异步迭代读取源流，消费方处理较慢时会自动对源流施加背压
+ * @param {stream.Readable} stream - 可读流（如HTTP请求）
+ * @param {Object} [options] - 配置选项
+ * @param {number} [options.maxLineLength=1048576] - 单行最大字符数，超出的行整行拒绝
+ * @returns {AsyncGenerator<{line: number, value?: *, error?: Error}>} 逐行解析结果（空行跳过但计入行号）
+ */
+async function* parseNdjson(stream, { maxLineLength = 1024 * 1024 } = {}) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let line = 0;
+  let oversized = false;
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newlineIndex = buffer.indexOf('\n');
+    while (newlineIndex !== -1) {
+      const text = buffer.slice(0, newlineIndex);
+      buffer = buffer.slice(newlineIndex + 1);
+      line += 1;
+
+      if (oversized) {
+        // 超长行的剩余部分，已经报告过错误
+        oversized = false;
+      } else {
+        const result = parseLine(text, line);
+        if (result) {
+          yield result;
+        }
+      }
+      newlineIndex = buffer.indexOf('\n');
+    }
+
+    if (buffer.length > maxLineLength) {
+      // 丢弃超长行的已读部分，直到遇到下一个换行符
+      if (!oversized) {
+        yield { line: line + 1, error: new Error(`Line exceeds ${maxLineLength} characters`) };
+      }
+      oversized = true;
+      buffer = '';
+    }
+  }
+
+  buffer += decoder.end();
+  if (!oversized) {
+    const result = parseLine(buffer, line + 1);
+    if (result) {
+      yield result;
+    }
+  }
+}
+
+module.exports = {
+  parseNdjson,
+};
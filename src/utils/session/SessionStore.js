@@ -0,0 +1,252 @@
+// src/utils/session/SessionStore.js
+
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const logger = require('../../config/logger');
+
+/**
+ * 原子地把一批事件累加到用户的会话，推进已观察到的最大事件时间并结束不活跃时间超过 gap 的会话
+ *
+ * 键（均以 KEYS[1] 为前缀）：
+ * - :maxEventTime 已观察到的最大事件时间
+ * - :open 未结束会话的有序集合，成员为用户键，分值为会话最后一个事件的时间
+ * - :deadlines 未结束会话的有序集合，成员为用户键，分值为会话最后一次收到事件的处理时间加 gap
+ * - :session:<用户键> 会话哈希：user（JSON）、start、end、eventCount、pageCount、purchaseTotal 和每个行为的 action:<行为>
+ *
+ * ARGV：状态保留时间(ms), gap, 当前时间(ms),
+ *   [事件时间, 用户键, 用户JSON, 行为或空串, 是否页面行为(1/0), 购买金额或空串]...（按事件时间排序）
+ * 返回：本次结束的会话哈希数组 [[字段, 值]...]
+ * 会话在最大事件时间超过最后一个事件 gap 以上，或 gap 内没有收到该用户的新事件时结束（后者在事件时间停滞时
+ * 也能结束会话，避免会话状态在输出前过期）。
+ * 会话在同一脚本中删除，多个实例并发执行时每个会话只会被一个实例输出
+ */
+const addScript = `
+local base = KEYS[1]
+local ttl = tonumber(ARGV[1])
+local gap = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local openKey = base .. ':open'
+local deadlinesKey = base .. ':deadlines'
+local maxTimeKey = base .. ':maxEventTime'
+local maxTimeArg = redis.call('GET', maxTimeKey)
+local maxTime = tonumber(maxTimeArg)
+local closed = {}
+
+local function close(sessionKey)
+  local session = redis.call('HGETALL', sessionKey)
+  if #session > 0 then
+    table.insert(closed, session)
+  end
+  redis.call('DEL', sessionKey)
+end
+
+for i = 4, #ARGV, 6 do
+  local time = tonumber(ARGV[i])
+  local sessionKey = base .. ':session:' .. ARGV[i + 1]
+  local sessionEnd = tonumber(redis.call('HGET', sessionKey, 'end'))
+  if sessionEnd and time - sessionEnd > gap then
+    close(sessionKey)
+    sessionEnd = nil
+  end
+  if not sessionEnd then
+    sessionEnd = time
+    redis.call('HSET', sessionKey, 'user', ARGV[i + 2], 'start', ARGV[i], 'end', ARGV[i])
+  else
+    -- 跨批次乱序到达的事件可能早于会话开始时间
+    if time < tonumber(redis.call('HGET', sessionKey, 'start')) then
+      redis.call('HSET', sessionKey, 'start', ARGV[i])
+    end
+    if time > sessionEnd then
+      sessionEnd = time
+      redis.call('HSET', sessionKey, 'end', ARGV[i])
+    end
+  end
+  redis.call('HINCRBY', sessionKey, 'eventCount', 1)
+  if ARGV[i + 3] ~= '' then
+    redis.call('HINCRBY', sessionKey, 'action:' .. ARGV[i + 3], 1)
+  end
+  if ARGV[i + 4] == '1' then
+    redis.call('HINCRBY', sessionKey, 'pageCount', 1)
+  end
+  if ARGV[i + 5] ~= '' then
+    redis.call('HINCRBYFLOAT', sessionKey, 'purchaseTotal', ARGV[i + 5])
+  end
+  redis.call('PEXPIRE', sessionKey, ttl)
+  redis.call('ZADD', openKey, sessionEnd, ARGV[i + 1])
+  redis.call('ZADD', deadlinesKey, now + gap, ARGV[i + 1])
+  if not maxTime or time > maxTime then
+    maxTime = time
+    maxTimeArg = ARGV[i]
+  end
+end
+
+redis.call('SET', maxTimeKey, maxTimeArg, 'PX', ttl)
+local bound = '(' .. (maxTime - gap)
+for _, member in ipairs(redis.call('ZRANGEBYSCORE', openKey, '-inf', bound)) do
+  close(base .. ':session:' .. member)
+  redis.call('ZREM', deadlinesKey, member)
+end
+redis.call('ZREMRANGEBYSCORE', openKey, '-inf', bound)
+
+local deadline = '(' .. now
+for _, member in ipairs(redis.call('ZRANGEBYSCORE', deadlinesKey, '-inf', deadline)) do
+  close(base .. ':session:' .. member)
+  redis.call('ZREM', openKey, member)
+end
+redis.call('ZREMRANGEBYSCORE', deadlinesKey, '-inf', deadline)
+redis.call('PEXPIRE', openKey, ttl)
+redis.call('PEXPIRE', deadlinesKey, ttl)
+
+return closed
+`;
+
+/**
+ * 由会话哈希生成会话摘要
+ * @param {Object} config - 规范化的会话配置
+ * @param {Array<string>} state - HGETALL 返回的字段和值
+ * @returns {Object} 会话摘要 { [userField], sessionStart, sessionEnd, duration, eventCount, pageCount, actions, purchaseTotal }
+ */
+const buildSessionSummary = (config, state) => {
+  const entries = [];
+  for (let i = 0; i < state.length; i += 2) {
+    entries.push([state[i], state[i + 1]]);
+  }
+  const fields = Object.fromEntries(entries);
+  const start = Number(fields.start);
+  const end = Number(fields.end);
+  return {
+    [config.userField]: JSON.parse(fields.user),
+    sessionStart: new Date(start).toISOString(),
+    sessionEnd: new Date(end).toISOString(),
+    duration: end - start,
+    eventCount: Number(fields.eventCount),
+    pageCount: Number(fields.pageCount || 0),
+    actions: Object.fromEntries(
+      entries.filter(([field]) => field.startsWith('action:')).map(([field, count]) => [field.slice(7), Number(count)])
+    ),
+    purchaseTotal: Number(fields.purchaseTotal || 0),
+  };
+};
+
+/**
+ * 会话状态存储
+ * 未结束的会话保存在Redis中，处理同一事件类型的所有任务和PM2实例共享，
+ * 因此单条事件的任务也能累加到跨任务的会话。
+ * 会话在 gap 内没有新事件后由同一键的下一批事件（任意用户）结束并输出；会话状态在 stateTtl 内没有新事件时过期，
+ * 只有同一键在会话结束后直到过期都没有任何事件时，会话才会不经输出而丢失
+ */
+class SessionStore extends EventEmitter {
+  /**
+   * 创建会话状态存储
+   * @param {Object} options - 配置选项
+   * @param {Redis} [options.redis] - Redis客户端，不提供时首次使用时创建
+   * @param {string} [options.prefix='rdp:session'] - Redis键前缀
+   */
+  constructor(options = {}) {
+    super();
+    this.redis = options.redis || null;
+    this.ownsRedis = !options.redis;
+    this.prefix = options.prefix || 'rdp:session';
+    this.metrics = {
+      events: 0, // 累加到会话的事件
+      invalid: 0, // 缺少用户或有效事件时间的记录
+      closed: 0, // 结束并输出的会话
+    };
+  }
+
+  /**
+   * 把事件累加到用户的会话，返回本次结束的会话
+   * @param {Object} config - 规范化的会话配置（normalizeSessionConfig的返回值）
+   * @param {Object|Array<Object>} data - 事件或事件数组
+   * @returns {Promise<Array<Object>>} 结束的会话摘要，按会话开始时间排序
+   */
+  async add(config, data) {
+    const { userField, timeField, actionField } = config;
+    const events = [];
+    (Array.isArray(data) ? data : [data]).forEach((record) => {
+      const user = record ? record[userField] : undefined;
+      const time = user === null || user === undefined ? NaN : new Date(record[timeField]).getTime();
+      if (Number.isNaN(time)) {
+        this.metrics.invalid += 1;
+        return;
+      }
+      events.push({ record, user, time });
+    });
+    if (!events.length) {
+      return [];
+    }
+
+    const args = [];
+    events
+      .sort((a, b) => a.time - b.time)
+      .forEach(({ record, user, time }) => {
+        const action = record[actionField];
+        const amount = Number(record[config.amountField]);
+        args.push(
+          String(time),
+          typeof user === 'object' ? JSON.stringify(user) : String(user),
+          JSON.stringify(user),
+          action === null || action === undefined ? '' : String(action),
+          action === config.pageAction ? '1' : '0',
+          action === config.purchaseAction && Number.isFinite(amount) ? String(amount) : ''
+        );
+      });
+
+    const closed = await this._getRedis().sessionAdd(
+      `${this.prefix}:${config.key}`,
+      config.stateTtl,
+      config.gap,
+      Date.now(),
+      ...args
+    );
+    this.metrics.events += events.length;
+    this.metrics.closed += closed.length;
+    if (closed.length) {
+      logger.debug(`Session ${config.key}: closed ${closed.length} sessions`);
+    }
+    return closed
+      .map((state) => buildSessionSummary(config, state))
+      .sort((a, b) => new Date(a.sessionStart).getTime() - new Date(b.sessionStart).getTime());
+  }
+
+  /**
+   * 获取会话指标
+   * @returns {Object} 指标对象 { events, invalid, closed }
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * 关闭自己创建的Redis连接，会话状态保留在Redis中直到过期
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.redis && this.ownsRedis) {
+      await this.redis.quit().catch(() => this.redis.disconnect());
+      this.redis = null;
+    }
+  }
+
+  /**
+   * 获取Redis客户端，首次调用时创建并注册累加脚本
+   * @returns {Redis} Redis客户端
+   * @private
+   */
+  _getRedis() {
+    if (!this.redis) {
+      this.redis = new Redis({
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD || null,
+        retryStrategy: (times) => Math.min(times * 50, 2000),
+      });
+    }
+    if (typeof this.redis.sessionAdd !== 'function') {
+      this.redis.defineCommand('sessionAdd', { numberOfKeys: 1, lua: addScript });
+    }
+    return this.redis;
+  }
+}
+
+module.exports = SessionStore;
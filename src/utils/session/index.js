@@ -0,0 +1,9 @@
+// src/utils/session/index.js
+
+const SessionStore = require('./SessionStore');
+const { normalizeSessionConfig } = require('./sessionConfig');
+
+module.exports = {
+  SessionStore,
+  normalizeSessionConfig,
+};
@@ -0,0 +1,70 @@
+// src/utils/session/sessionConfig.js
+
+const crypto = require('crypto');
+
+/**
+ * 会话状态的默认保留时间(ms)，用户长时间没有新事件且事件时间不再推进时未结束的会话在此之后过期
+ */
+const defaultStateTtl = 24 * 60 * 60 * 1000;
+
+/**
+ * 校验字段名或行为名选项
+ * @param {Object} config - 会话配置
+ * @param {string} key - 选项名
+ * @param {string} defaultValue - 默认值
+ * @returns {string} 选项值
+ */
+const fieldOption = (config, key, defaultValue) => {
+  if (config[key] === undefined) {
+    return defaultValue;
+  }
+  if (typeof config[key] !== 'string' || !config[key]) {
+    throw new Error(`Session ${key} must be a non-empty string`);
+  }
+  return config[key];
+};
+
+/**
+ * 校验会话配置并补全默认值
+ * 只检查配置本身，不建立任何连接，可用于管道编译时校验
+ *
+ * 事件按 userField 划分到用户的会话，与上一个事件间隔超过 gap 时开始新会话。
+ * 已观察到的最大事件时间超过会话最后一个事件 gap 以上，或 gap 内没有收到该用户的新事件时，
+ * 会话在同一键的下一批事件中结束并输出摘要。
+ * 未指定 key 时按其余配置生成，不同实例上相同配置的会话步骤共享同一份状态
+ *
+ * @param {Object} config - 会话配置 { userField, timeField, gap, actionField, pageAction, purchaseAction, amountField,
+ *   stateTtl, key }
+ * @returns {Object} 规范化的会话配置
+ */
+const normalizeSessionConfig = (config = {}) => {
+  const gap = config.gap === undefined ? 30 * 60 * 1000 : config.gap;
+  if (!Number.isInteger(gap) || gap < 1) {
+    throw new Error('Session gap must be a positive integer number of milliseconds');
+  }
+  const stateTtl = config.stateTtl === undefined ? Math.max(defaultStateTtl, gap * 2) : config.stateTtl;
+  if (!Number.isInteger(stateTtl) || stateTtl <= gap) {
+    throw new Error('Session stateTtl must be an integer number of milliseconds greater than gap');
+  }
+
+  const normalized = {
+    userField: fieldOption(config, 'userField', 'userId'),
+    timeField: fieldOption(config, 'timeField', 'timestamp'),
+    gap,
+    actionField: fieldOption(config, 'actionField', 'action'),
+    pageAction: fieldOption(config, 'pageAction', 'view_page'),
+    purchaseAction: fieldOption(config, 'purchaseAction', 'purchase'),
+    amountField: fieldOption(config, 'amountField', 'amount'),
+    stateTtl,
+  };
+
+  if (config.key !== undefined && (typeof config.key !== 'string' || !config.key)) {
+    throw new Error('Session key must be a non-empty string');
+  }
+  const key = config.key || crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+  return { key, ...normalized };
+};
+
+module.exports = {
+  normalizeSessionConfig,
+};
@@ -0,0 +1,54 @@
+// src/utils/sink/FileSink.js
+
+const fs = require('fs');
+const path = require('path');
+const Sink = require('./Sink');
+
+/**
+ * 本地NDJSON文件输出
+ * 文件路径相对于输出目录解析，不允许指向目录之外，每条记录追加为一行JSON
+ */
+class FileSink extends Sink {
+  /**
+   * 创建文件输出
+   * @param {Object} config - 输出配置 { path, ... }
+   * @param {Object} context - 共享资源
+   * @param {string} context.fileDirectory - 输出目录
+   */
+  constructor(config, context) {
+    super(config);
+    this.filePath = path.resolve(context.fileDirectory, config.path);
+    this.ready = null;
+  }
+
+  /**
+   * 校验文件输出配置
+   * @param {Object} config - 输出配置
+   * @returns {Object} { path }
+   */
+  static normalize(config) {
+    const filePath = Sink.requireString(config, 'path');
+    const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+    if (path.isAbsolute(filePath) || normalized.startsWith('/') || normalized.split('/').includes('..')) {
+      throw new Error(`Sink path must stay inside the sink directory: ${filePath}`);
+    }
+    return { path: normalized };
+  }
+
+  async _writeBatch(records) {
+    if (!this.ready) {
+      this.ready = fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }).catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+    await fs.promises.appendFile(this.filePath, `${records.map((record) => JSON.stringify(record)).join('\n')}\n`);
+  }
+
+  getTarget() {
+    return this.config.path;
+  }
+}
+
+module.exports = FileSink;
@@ -0,0 +1,46 @@
+// src/utils/sink/MongoSink.js
+
+const Sink = require('./Sink');
+
+/**
+ * MongoDB集合输出
+ * 每批记录通过 insertMany 写入集合，非对象记录包装为 { value }
+ */
+class MongoSink extends Sink {
+  /**
+   * 创建MongoDB输出
+   * @param {Object} config - 输出配置 { collection, ... }
+   * @param {Object} context - 共享资源
+   * @param {mongoose.Connection} context.connection - MongoDB连接
+   */
+  constructor(config, context) {
+    super(config);
+    this.connection = context.connection;
+  }
+
+  /**
+   * 校验MongoDB输出配置
+   * @param {Object} config - 输出配置
+   * @returns {Object} { collection }
+   */
+  static normalize(config) {
+    const collection = Sink.requireString(config, 'collection');
+    if (collection.startsWith('system.') || collection.includes('$')) {
+      throw new Error(`Invalid sink collection: ${collection}`);
+    }
+    return { collection };
+  }
+
+  async _writeBatch(records) {
+    const documents = records.map((record) =>
+      record !== null && typeof record === 'object' && !Array.isArray(record) ? record : { value: record }
+    );
+    await this.connection.collection(this.config.collection).insertMany(documents, { ordered: false });
+  }
+
+  getTarget() {
+    return this.config.collection;
+  }
+}
+
+module.exports = MongoSink;
@@ -0,0 +1,43 @@
+// src/utils/sink/QueueSink.js
+
+const Sink = require('./Sink');
+
+/**
+ * Bull队列输出
+ * 每条记录作为一个任务加入队列，任务数据与事件接入相同为 { data, meta }，便于下游处理器复用
+ */
+class QueueSink extends Sink {
+  /**
+   * 创建队列输出
+   * @param {Object} config - 输出配置 { queue, ... }
+   * @param {Object} context - 共享资源
+   * @param {QueueManager} context.queueManager - 队列管理器
+   */
+  constructor(config, context) {
+    super(config);
+    this.queueManager = context.queueManager;
+  }
+
+  /**
+   * 校验队列输出配置
+   * @param {Object} config - 输出配置
+   * @returns {Object} { queue }
+   */
+  static normalize(config) {
+    return { queue: Sink.requireString(config, 'queue') };
+  }
+
+  async _writeBatch(records) {
+    const meta = { source: 'sink', receivedAt: new Date().toISOString() };
+    await this.queueManager.addBulkJobs(
+      this.config.queue,
+      records.map((record) => ({ data: { data: record, meta } }))
+    );
+  }
+
+  getTarget() {
+    return this.config.queue;
+  }
+}
+
+module.exports = QueueSink;
@@ -0,0 +1,55 @@
+// src/utils/sink/RedisStreamSink.js
+
+const Sink = require('./Sink');
+
+/**
+ * Redis Stream输出
+ * 每条记录序列化为JSON后以 data 字段通过 XADD 追加到Stream，可用 maxLength 近似裁剪Stream长度
+ */
+class RedisStreamSink extends Sink {
+  /**
+   * 创建Redis Stream输出
+   * @param {Object} config - 输出配置 { stream, maxLength, ... }
+   * @param {Object} context - 共享资源
+   * @param {Function} context.getRedis - 返回Redis客户端
+   */
+  constructor(config, context) {
+    super(config);
+    this.getRedis = context.getRedis;
+  }
+
+  /**
+   * 校验Redis Stream输出配置
+   * @param {Object} config - 输出配置
+   * @returns {Object} { stream, maxLength }
+   */
+  static normalize(config) {
+    const stream = Sink.requireString(config, 'stream');
+    const { maxLength = null } = config;
+    if (maxLength !== null && (!Number.isInteger(maxLength) || maxLength < 1)) {
+      throw new Error('Sink maxLength must be a positive integer');
+    }
+    return { stream, maxLength };
+  }
+
+  async _writeBatch(records) {
+    const { stream, maxLength } = this.config;
+    const trim = maxLength ? ['MAXLEN', '~', maxLength] : [];
+    const pipeline = this.getRedis().pipeline();
+    records.forEach((record) => {
+      pipeline.xadd(stream, ...trim, '*', 'data', JSON.stringify(record));
+    });
+
+    const results = await pipeline.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) {
+      throw failed[0];
+    }
+  }
+
+  getTarget() {
+    return this.config.stream;
+  }
+}
+
+module.exports = RedisStreamSink;
@@ -0,0 +1,216 @@
+// src/utils/sink/Sink.js
+
+const EventEmitter = require('events');
+const v8 = require('v8');
+const logger = require('../../config/logger');
+
+/**
+ * 通用写入选项的默认值
+ */
+const defaults = {
+  batchSize: 100, // 每批写入的记录数
+  flushInterval: 1000, // 缓冲区未满时的最长等待时间(ms)
+  retries: 3, // 每批失败后的重试次数
+  retryDelay: 200, // 首次重试延迟(ms)，之后指数递增
+};
+
+/**
+ * 校验整数选项
+ * @param {Object} config - 输出配置
+ * @param {string} key - 选项名
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {number} 选项值，未指定时返回默认值
+ */
+const integerOption = (config, key, min, max) => {
+  if (config[key] === undefined) {
+    return defaults[key];
+  }
+  const value = config[key];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`Sink ${key} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+};
+
+/**
+ * 数据输出基类
+ * 写入的记录先进入缓冲区，达到 batchSize 或等待 flushInterval 后按批写入目标，
+ * 失败的批次按指数退避重试，重试耗尽后计入失败指标并触发 batchFailed 事件。
+ * 子类实现 _writeBatch(records) 完成实际写入，需要释放资源时实现 _close()
+ */
+class Sink extends EventEmitter {
+  /**
+   * 创建输出实例
+   * @param {Object} config - 经 normalize 校验后的输出配置
+   */
+  constructor(config) {
+    super();
+    this.config = config;
+    this.buffer = [];
+    this.timer = null;
+    this.pending = Promise.resolve();
+    this.metrics = {
+      written: 0,
+      failed: 0,
+      batches: 0,
+      failedBatches: 0,
+      retries: 0,
+      lastError: null,
+      lastFlushAt: null,
+    };
+  }
+
+  /**
+   * 校验并补全通用写入选项
+   * @param {Object} config - 输出配置
+   * @returns {Object} 通用选项 { batchSize, flushInterval, retries, retryDelay }
+   */
+  static normalize(config) {
+    return {
+      batchSize: integerOption(config, 'batchSize', 1, 10000),
+      flushInterval: integerOption(config, 'flushInterval', 0, 60000),
+      retries: integerOption(config, 'retries', 0, 10),
+      retryDelay: integerOption(config, 'retryDelay', 0, 60000),
+    };
+  }
+
+  /**
+   * 校验必填的字符串选项，供子类的 normalize 使用
+   * @param {Object} config - 输出配置
+   * @param {string} key - 选项名
+   * @returns {string} 选项值
+   */
+  static requireString(config, key) {
+    if (typeof config[key] !== 'string' || !config[key]) {
+      throw new Error(`${config.sink} sink requires a ${key}`);
+    }
+    return config[key];
+  }
+
+  /**
+   * 写入数据，数组逐条作为记录写入
+   * 缓冲区达到 batchSize 时等待写入完成，为上游提供背压
+   * @param {*} data - 要写入的数据
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    // 复制记录，避免后续管道步骤原地修改已缓冲的数据
+    const records = v8.deserialize(v8.serialize(Array.isArray(data) ? data : [data]));
+    this.buffer.push(...records);
+
+    if (this.buffer.length >= this.config.batchSize) {
+      await this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, this.config.flushInterval);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * 立即写入缓冲区中的全部记录
+   * 批次按顺序写入，返回的Promise在之前排队的批次全部完成后才会resolve
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    while (this.buffer.length) {
+      const batch = this.buffer.splice(0, this.config.batchSize);
+      this.pending = this.pending.then(() => this._flushBatch(batch));
+    }
+    return this.pending;
+  }
+
+  /**
+   * 写入一个批次，失败时按指数退避重试
+   * @param {Array} batch - 记录批次
+   * @returns {Promise<void>} 不会reject，失败通过指标和 batchFailed 事件报告
+   * @private
+   */
+  async _flushBatch(batch) {
+    const { retries, retryDelay } = this.config;
+
+    for (let attempt = 0; attempt <= retries; attempt += 1) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await this._writeBatch(batch);
+        this.metrics.written += batch.length;
+        this.metrics.batches += 1;
+        this.metrics.lastFlushAt = new Date().toISOString();
+        this.emit('flushed', { count: batch.length });
+        return;
+      } catch (error) {
+        this.metrics.lastError = error.message;
+        if (attempt < retries) {
+          this.metrics.retries += 1;
+          logger.warn(`${this.config.sink} sink write failed, retrying (${attempt + 1}/${retries}): ${error.message}`);
+          // eslint-disable-next-line no-await-in-loop
+          await new Promise((resolve) => {
+            setTimeout(resolve, retryDelay * 2 ** attempt);
+          });
+        } else {
+          this.metrics.failed += batch.length;
+          this.metrics.failedBatches += 1;
+          logger.error(`${this.config.sink} sink dropped ${batch.length} records: ${error.message}`);
+          this.emit('batchFailed', { error, records: batch });
+        }
+      }
+    }
+  }
+
+  /**
+   * 写入一个批次到目标
+   * @param {Array} records - 记录批次
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  // eslint-disable-next-line no-unused-vars, class-methods-use-this
+  async _writeBatch(records) {
+    throw new Error('Sink must implement _writeBatch');
+  }
+
+  /**
+   * 释放输出持有的资源
+   * @returns {Promise<void>}
+   */
+  // eslint-disable-next-line class-methods-use-this, no-empty-function
+  async _close() {}
+
+  /**
+   * 写入剩余记录并关闭输出
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush();
+    await this._close();
+  }
+
+  /**
+   * 获取输出指标
+   * @returns {Object} 指标对象
+   */
+  getMetrics() {
+    return {
+      sink: this.config.sink,
+      target: this.getTarget(),
+      ...this.metrics,
+      buffered: this.buffer.length,
+    };
+  }
+
+  /**
+   * 获取写入目标的描述（集合名、Stream键、队列名或文件路径）
+   * @returns {string} 目标描述
+   */
+  getTarget() {
+    return this.config.sink;
+  }
+}
+
+module.exports = Sink;
@@ -0,0 +1,106 @@
+// src/utils/sink/SinkManager.js
+
+const EventEmitter = require('events');
+const path = require('path');
+const Redis = require('ioredis');
+const mongoose = require('mongoose');
+const logger = require('../../config/logger');
+const queueManager = require('../queue/QueueManager');
+const { sinkTypes, normalizeSinkConfig } = require('./sinkTypes');
+
+/**
+ * 输出管理器
+ * 按规范化配置复用输出实例：多个管道或同一管道的多个版本写入同一目标时共享缓冲区和连接，
+ * 管道重新编译不会产生新的输出实例
+ */
+class SinkManager extends EventEmitter {
+  /**
+   * 创建输出管理器
+   * @param {Object} options - 配置选项
+   * @param {string} [options.fileDirectory='data/sinks'] - 文件输出目录
+   * @param {mongoose.Connection} [options.connection] - MongoDB连接，默认为mongoose默认连接
+   * @param {Redis} [options.redis] - Redis客户端，不提供时首次使用Redis Stream输出时创建
+   * @param {QueueManager} [options.queueManager] - 队列管理器
+   */
+  constructor(options = {}) {
+    super();
+    this.redis = options.redis || null;
+    this.ownsRedis = !options.redis;
+    this.context = {
+      fileDirectory: path.resolve(options.fileDirectory || 'data/sinks'),
+      connection: options.connection || mongoose.connection,
+      queueManager: options.queueManager || queueManager,
+      getRedis: () => this._getRedis(),
+    };
+    this.sinks = new Map();
+  }
+
+  /**
+   * 获取配置对应的输出实例，不存在时创建
+   * @param {Object} config - 输出配置
+   * @returns {Sink} 输出实例
+   */
+  acquire(config) {
+    const normalized = normalizeSinkConfig(config);
+    const key = JSON.stringify(normalized);
+
+    if (!this.sinks.has(key)) {
+      const sink = new sinkTypes[normalized.sink](normalized, this.context);
+      sink.on('batchFailed', (event) =>
+        this.emit('batchFailed', { sink: normalized.sink, target: sink.getTarget(), ...event })
+      );
+      this.sinks.set(key, sink);
+      logger.info(`Sink created: ${normalized.sink} ${sink.getTarget()}`);
+    }
+    return this.sinks.get(key);
+  }
+
+  /**
+   * 写入所有输出缓冲区中的记录
+   * @returns {Promise<void>}
+   */
+  async flushAll() {
+    await Promise.all([...this.sinks.values()].map((sink) => sink.flush()));
+  }
+
+  /**
+   * 写入剩余记录并关闭所有输出
+   * @returns {Promise<void>}
+   */
+  async closeAll() {
+    await Promise.all([...this.sinks.values()].map((sink) => sink.close()));
+    this.sinks.clear();
+
+    if (this.redis && this.ownsRedis) {
+      await this.redis.quit().catch(() => this.redis.disconnect());
+      this.redis = null;
+    }
+  }
+
+  /**
+   * 获取所有输出的指标
+   * @returns {Array<Object>} 每个输出的指标
+   */
+  getMetrics() {
+    return [...this.sinks.values()].map((sink) => sink.getMetrics());
+  }
+
+  /**
+   * 获取Redis客户端，首次调用时创建
+   * @returns {Redis} Redis客户端
+   * @private
+   */
+  _getRedis() {
+    if (!this.redis) {
+      this.redis = new Redis({
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD || null,
+        retryStrategy: (times) => Math.min(times * 50, 2000),
+      });
+    }
+    return this.redis;
+  }
+}
+
+module.exports = SinkManager;
@@ -0,0 +1,20 @@
+// src/utils/sink/index.js
+
+const Sink = require('./Sink');
+const MongoSink = require('./MongoSink');
+const RedisStreamSink = require('./RedisStreamSink');
+const QueueSink = require('./QueueSink');
+const FileSink = require('./FileSink');
+const SinkManager = require('./SinkManager');
+const { sinkTypes, normalizeSinkConfig } = require('./sinkTypes');
+
+module.exports = {
+  Sink,
+  MongoSink,
+  RedisStreamSink,
+  QueueSink,
+  FileSink,
+  SinkManager,
+  sinkTypes,
+  normalizeSinkConfig,
+};
@@ -0,0 +1,36 @@
+// src/utils/sink/sinkTypes.js
+
+const Sink = require('./Sink');
+const MongoSink = require('./MongoSink');
+const RedisStreamSink = require('./RedisStreamSink');
+const QueueSink = require('./QueueSink');
+const FileSink = require('./FileSink');
+
+/**
+ * 输出类型，键为 sink 步骤配置中的 config.sink
+ */
+const sinkTypes = {
+  mongodb: MongoSink,
+  'redis-stream': RedisStreamSink,
+  queue: QueueSink,
+  file: FileSink,
+};
+
+/**
+ * 校验输出配置并补全默认值
+ * 只检查配置本身，不建立任何连接，可用于管道编译时校验
+ * @param {Object} config - 输出配置 { sink, batchSize, flushInterval, retries, retryDelay, ...目标选项 }
+ * @returns {Object} 规范化的输出配置，相同目标和选项的配置序列化结果相同
+ */
+const normalizeSinkConfig = (config = {}) => {
+  const SinkClass = Object.prototype.hasOwnProperty.call(sinkTypes, config.sink) ? sinkTypes[config.sink] : null;
+  if (!SinkClass) {
+    throw new Error(`Invalid sink type: ${config.sink}`);
+  }
+  return { sink: config.sink, ...SinkClass.normalize(config), ...Sink.normalize(config) };
+};
+
+module.exports = {
+  sinkTypes,
+  normalizeSinkConfig,
+};
@@ -0,0 +1,129 @@
+// src/utils/sketch/CountMinSketch.js
+
+const { murmur3 } = require('./hash');
+
+const TAG = 0x43; // 'C'
+const VERSION = 1;
+const HEADER_SIZE = 10;
+
+/**
+ * Count-Min 频率估计
+ * depth 行计数器各用不同种子的哈希定位，估计值取各行最小值，只会高估不会低估；
+ * 高估量不超过总数的 e/width（概率至少 1 - e^-depth）。相同尺寸的实例可以合并
+ */
+class CountMinSketch {
+  /**
+   * 创建 Count-Min
+   * @param {number} [width=2048] - 每行计数器数，1到1048576之间的整数
+   * @param {number} [depth=5] - 行数，1到16之间的整数
+   */
+  constructor(width = 2048, depth = 5) {
+    if (!Number.isInteger(width) || width < 1 || width > 1048576) {
+      throw new Error('CountMinSketch width must be an integer between 1 and 1048576');
+    }
+    if (!Number.isInteger(depth) || depth < 1 || depth > 16) {
+      throw new Error('CountMinSketch depth must be an integer between 1 and 16');
+    }
+    this.width = width;
+    this.depth = depth;
+    this.table = new Float64Array(width * depth);
+    this.total = 0;
+  }
+
+  /**
+   * 增加值的计数
+   * @param {*} value - 值，非字符串按 toKey 转换
+   * @param {number} [count=1] - 增加的计数
+   * @returns {CountMinSketch} 返回自身，支持链式调用
+   */
+  add(value, count = 1) {
+    for (let row = 0; row < this.depth; row += 1) {
+      this.table[row * this.width + (murmur3(value, row) % this.width)] += count;
+    }
+    this.total += count;
+    return this;
+  }
+
+  /**
+   * 估计值的计数
+   * @param {*} value - 值
+   * @returns {number} 计数估计值
+   */
+  estimate(value) {
+    let estimate = Infinity;
+    for (let row = 0; row < this.depth; row += 1) {
+      estimate = Math.min(estimate, this.table[row * this.width + (murmur3(value, row) % this.width)]);
+    }
+    return estimate;
+  }
+
+  /**
+   * 合并另一个相同尺寸的 Count-Min
+   * @param {CountMinSketch} other - 另一个实例
+   * @returns {CountMinSketch} 返回自身，支持链式调用
+   */
+  merge(other) {
+    if (!(other instanceof CountMinSketch) || other.width !== this.width || other.depth !== this.depth) {
+      throw new Error('Only CountMinSketch sketches with the same width and depth can be merged');
+    }
+    other.table.forEach((count, index) => {
+      this.table[index] += count;
+    });
+    this.total += other.total;
+    return this;
+  }
+
+  /**
+   * 序列化为Buffer：类型标记、版本、width(uint32)、depth(uint32)，然后是 total 和计数器（float64）
+   * @returns {Buffer} 序列化结果
+   */
+  toBuffer() {
+    const buffer = Buffer.alloc(HEADER_SIZE + (1 + this.table.length) * 8);
+    buffer[0] = TAG;
+    buffer[1] = VERSION;
+    buffer.writeUInt32LE(this.width, 2);
+    buffer.writeUInt32LE(this.depth, 6);
+    buffer.writeDoubleLE(this.total, HEADER_SIZE);
+    this.table.forEach((count, index) => buffer.writeDoubleLE(count, HEADER_SIZE + (index + 1) * 8));
+    return buffer;
+  }
+
+  /**
+   * 从Buffer还原
+   * @param {Buffer} buffer - toBuffer 的结果
+   * @returns {CountMinSketch} 还原的实例
+   */
+  static fromBuffer(buffer) {
+    if (buffer.length < HEADER_SIZE + 8 || buffer[0] !== TAG || buffer[1] !== VERSION) {
+      throw new Error('Invalid CountMinSketch sketch');
+    }
+    const sketch = new CountMinSketch(buffer.readUInt32LE(2), buffer.readUInt32LE(6));
+    if (buffer.length !== HEADER_SIZE + (1 + sketch.table.length) * 8) {
+      throw new Error('Invalid CountMinSketch sketch');
+    }
+    sketch.total = buffer.readDoubleLE(HEADER_SIZE);
+    for (let i = 0; i < sketch.table.length; i += 1) {
+      sketch.table[i] = buffer.readDoubleLE(HEADER_SIZE + (i + 1) * 8);
+    }
+    return sketch;
+  }
+
+  /**
+   * 序列化为base64字符串，便于写入JSON结果或Redis
+   * @returns {string} 序列化结果
+   */
+  serialize() {
+    return this.toBuffer().toString('base64');
+  }
+
+  /**
+   * 从base64字符串还原
+   * @param {string} value - serialize 的结果
+   * @returns {CountMinSketch} 还原的实例
+   */
+  static deserialize(value) {
+    return CountMinSketch.fromBuffer(Buffer.from(value, 'base64'));
+  }
+}
+
+module.exports = CountMinSketch;
@@ -0,0 +1,230 @@
+// src/utils/sketch/SketchStore.js
+
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const logger = require('../../config/logger');
+const { sketchTypes } = require('./sketchConfig');
+
+/**
+ * 草图存储
+ * 每个键在Redis中是一个列表，各任务和PM2实例把自己的部分草图追加到列表末尾（RPUSH，没有写冲突），
+ * 读取时合并列表中的全部草图。列表长度超过 compactThreshold 时把已有部分合并为一个：
+ * 合并在独立连接上用 WATCH/MULTI 完成，期间有其他实例写入时放弃本次压缩，下次写入再尝试，
+ * 因此并发写入既不会丢失也不会重复计入
+ */
+class SketchStore extends EventEmitter {
+  /**
+   * 创建草图存储
+   * @param {Object} options - 配置选项
+   * @param {Redis} [options.redis] - Redis客户端，不提供时首次使用时创建
+   * @param {string} [options.prefix='rdp:sketch'] - Redis键前缀
+   * @param {number} [options.compactThreshold=32] - 触发压缩的列表长度
+   */
+  constructor(options = {}) {
+    super();
+    this.redis = options.redis || null;
+    this.ownsRedis = !options.redis;
+    this.compactionRedis = null;
+    this.prefix = options.prefix || 'rdp:sketch';
+    this.compactThreshold = options.compactThreshold || 32;
+    this.compaction = Promise.resolve();
+    this.metrics = {
+      added: 0, // 写入的部分草图数
+      compacted: 0, // 成功的压缩次数
+      conflicts: 0, // 因并发写入放弃的压缩次数
+      invalid: 0, // 字段不是有效草图而未写入的记录
+    };
+  }
+
+  /**
+   * 写入部分草图，与同一键下已有的草图合并
+   * @param {string} key - 键（不含前缀）
+   * @param {HyperLogLog|TDigest|CountMinSketch} sketch - 草图
+   * @param {Object} [options] - 写入选项
+   * @param {number} [options.ttl] - 键的过期时间（毫秒），不提供时不过期
+   * @returns {Promise<number>} 写入后列表中的草图数
+   */
+  async add(key, sketch, options = {}) {
+    const redisKey = this._key(key);
+    const transaction = this._getRedis().multi().rpush(redisKey, sketch.toBuffer());
+    if (options.ttl) {
+      transaction.pexpire(redisKey, options.ttl);
+    }
+    const [[error, length]] = await transaction.exec();
+    if (error) {
+      throw error;
+    }
+    this.metrics.added += 1;
+
+    if (length > this.compactThreshold) {
+      await this.compact(key, sketch.constructor);
+    }
+    return length;
+  }
+
+  /**
+   * 把记录中序列化的草图写入各自分组的键，供 sketch 步骤使用
+   * 字段为空的记录被忽略，字段不是有效草图的记录计入 invalid
+   * @param {Object} config - 规范化的草图写入配置（normalizeSketchConfig的返回值）
+   * @param {Object|Array<Object>} data - 记录或记录数组
+   * @returns {Promise<number>} 写入的草图数
+   */
+  async addRecords(config, data) {
+    const Sketch = sketchTypes[config.operation];
+    const writes = [];
+    (Array.isArray(data) ? data : [data]).forEach((record) => {
+      const value = record ? record[config.field] : null;
+      if (value === null || value === undefined) {
+        return;
+      }
+      let sketch;
+      try {
+        sketch = Sketch.deserialize(value);
+      } catch (error) {
+        this.metrics.invalid += 1;
+        logger.warn(`Sketch ${config.key}: ${config.field} is not a valid ${config.operation} sketch`);
+        return;
+      }
+      const group = config.groupBy.map((field) =>
+        record[field] === null || record[field] === undefined ? '' : String(record[field])
+      );
+      writes.push(this.add([config.key, ...group].join(':'), sketch, { ttl: config.ttl }));
+    });
+    await Promise.all(writes);
+    return writes.length;
+  }
+
+  /**
+   * 读取并合并键下的全部草图
+   * @param {string} key - 键（不含前缀）
+   * @param {Function} Sketch - 草图类，HyperLogLog、TDigest 或 CountMinSketch
+   * @returns {Promise<Object|null>} 合并后的草图，键不存在时为null
+   */
+  async get(key, Sketch) {
+    const parts = await this._getRedis().lrangeBuffer(this._key(key), 0, -1);
+    return SketchStore.mergeParts(parts, Sketch);
+  }
+
+  /**
+   * 把键下的草图合并为一个，同一实例的压缩依次执行
+   * @param {string} key - 键（不含前缀）
+   * @param {Function} Sketch - 草图类
+   * @returns {Promise<boolean>} 是否完成压缩
+   */
+  compact(key, Sketch) {
+    const run = this.compaction.then(() => this._compact(key, Sketch));
+    this.compaction = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 执行压缩
+   * @param {string} key - 键（不含前缀）
+   * @param {Function} Sketch - 草图类
+   * @returns {Promise<boolean>} 是否完成压缩
+   * @private
+   */
+  async _compact(key, Sketch) {
+    const redisKey = this._key(key);
+    const redis = this._getCompactionRedis();
+    await redis.watch(redisKey);
+    const [parts, ttl] = await Promise.all([redis.lrangeBuffer(redisKey, 0, -1), redis.pttl(redisKey)]);
+    if (parts.length < 2) {
+      await redis.unwatch();
+      return false;
+    }
+
+    const transaction = redis.multi().del(redisKey).rpush(redisKey, SketchStore.mergeParts(parts, Sketch).toBuffer());
+    if (ttl > 0) {
+      transaction.pexpire(redisKey, ttl);
+    }
+    // 被监视的键在此期间有写入时 exec 返回null，事务不执行
+    const result = await transaction.exec();
+    if (!result) {
+      this.metrics.conflicts += 1;
+      logger.debug(`Sketch ${key}: compaction skipped because of a concurrent write`);
+      return false;
+    }
+    this.metrics.compacted += 1;
+    this.emit('compacted', { key, parts: parts.length });
+    return true;
+  }
+
+  /**
+   * 合并序列化的部分草图
+   * @param {Array<Buffer>} parts - toBuffer 的结果
+   * @param {Function} Sketch - 草图类
+   * @returns {Object|null} 合并后的草图，没有部分时为null
+   */
+  static mergeParts(parts, Sketch) {
+    if (!parts.length) {
+      return null;
+    }
+    return parts.map((part) => Sketch.fromBuffer(part)).reduce((merged, sketch) => merged.merge(sketch));
+  }
+
+  /**
+   * 获取存储指标
+   * @returns {Object} 指标对象 { added, compacted, conflicts, invalid }
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * 关闭自己创建的Redis连接，草图保留在Redis中
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.compaction;
+    if (this.compactionRedis) {
+      await this.compactionRedis.quit().catch(() => this.compactionRedis.disconnect());
+      this.compactionRedis = null;
+    }
+    if (this.redis && this.ownsRedis) {
+      await this.redis.quit().catch(() => this.redis.disconnect());
+      this.redis = null;
+    }
+  }
+
+  /**
+   * 生成Redis键
+   * @param {string} key - 键（不含前缀）
+   * @returns {string} Redis键
+   * @private
+   */
+  _key(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  /**
+   * 获取Redis客户端，首次调用时创建
+   * @returns {Redis} Redis客户端
+   * @private
+   */
+  _getRedis() {
+    if (!this.redis) {
+      this.redis = new Redis({
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD || null,
+        retryStrategy: (times) => Math.min(times * 50, 2000),
+      });
+    }
+    return this.redis;
+  }
+
+  /**
+   * 获取压缩使用的独立连接，WATCH 作用于整个连接，不能与普通命令共用
+   * @returns {Redis} Redis客户端
+   * @private
+   */
+  _getCompactionRedis() {
+    if (!this.compactionRedis) {
+      this.compactionRedis = this._getRedis().duplicate();
+    }
+    return this.compactionRedis;
+  }
+}
+
+module.exports = SketchStore;
@@ -0,0 +1,203 @@
+// src/utils/sketch/TDigest.js
+
+const TAG = 0x54; // 'T'
+const VERSION = 1;
+const HEADER_SIZE = 2;
+
+/**
+ * t-digest 分位数估计
+ * 把数值压缩为至多约 compression 个质心，分布两端的质心更小，极端分位数（如p99）更准确。
+ * 新加入的值先进入缓冲区，达到缓冲区大小或查询、合并、序列化时压缩。
+ * 实例可以合并，合并后的分位数估计与把两边的值加入同一个实例相近
+ */
+class TDigest {
+  /**
+   * 创建 t-digest
+   * @param {number} [compression=100] - 压缩参数，越大越准确、占用越多，10到1000之间
+   */
+  constructor(compression = 100) {
+    if (!Number.isFinite(compression) || compression < 10 || compression > 1000) {
+      throw new Error('TDigest compression must be between 10 and 1000');
+    }
+    this.compression = compression;
+    this.centroids = []; // 按均值升序的质心 { mean, weight }
+    this.buffer = [];
+    this.bufferSize = Math.ceil(compression * 5);
+    this.count = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  /**
+   * 加入一个数值
+   * @param {number} value - 数值，非有限数值被忽略
+   * @param {number} [weight=1] - 权重
+   * @returns {TDigest} 返回自身，支持链式调用
+   */
+  add(value, weight = 1) {
+    if (!Number.isFinite(value) || !(weight > 0)) {
+      return this;
+    }
+    this.buffer.push({ mean: value, weight });
+    this.count += weight;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+    if (this.buffer.length >= this.bufferSize) {
+      this._compress();
+    }
+    return this;
+  }
+
+  /**
+   * 合并另一个 t-digest
+   * @param {TDigest} other - 另一个实例
+   * @returns {TDigest} 返回自身，支持链式调用
+   */
+  merge(other) {
+    if (!(other instanceof TDigest)) {
+      throw new Error('Only TDigest sketches can be merged');
+    }
+    other._compress();
+    other.centroids.forEach(({ mean, weight }) => {
+      this.buffer.push({ mean, weight });
+    });
+    this.count += other.count;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    this._compress();
+    return this;
+  }
+
+  /**
+   * 估计分位数
+   * @param {number} q - 分位，0到1之间
+   * @returns {number|null} 分位数估计值，没有数据时为null
+   */
+  quantile(q) {
+    if (!(q >= 0 && q <= 1)) {
+      throw new Error('Quantile must be between 0 and 1');
+    }
+    this._compress();
+    const { centroids } = this;
+    if (!centroids.length) {
+      return null;
+    }
+    if (q === 0 || q === 1) {
+      return q === 0 ? this.min : this.max;
+    }
+    if (centroids.length === 1) {
+      return centroids[0].mean;
+    }
+
+    // 质心的权重集中在均值处，按相邻质心中点之间的累计权重线性插值
+    const index = q * this.count;
+    const first = centroids[0];
+    if (index < first.weight / 2) {
+      return this.min + ((first.mean - this.min) * index) / (first.weight / 2);
+    }
+    let cumulative = first.weight / 2;
+    for (let i = 0; i < centroids.length - 1; i += 1) {
+      const step = (centroids[i].weight + centroids[i + 1].weight) / 2;
+      if (index < cumulative + step) {
+        const fraction = (index - cumulative) / step;
+        return centroids[i].mean + (centroids[i + 1].mean - centroids[i].mean) * fraction;
+      }
+      cumulative += step;
+    }
+    const last = centroids[centroids.length - 1];
+    const fraction = Math.min(1, (index - cumulative) / (last.weight / 2));
+    return last.mean + (this.max - last.mean) * fraction;
+  }
+
+  /**
+   * 压缩缓冲区和质心：按均值排序后合并相邻质心，每个质心覆盖的 k(q) = compression/(2π)·asin(2q-1) 不超过1，
+   * 因此质心数不超过 compression，两端的质心更小
+   * @private
+   */
+  _compress() {
+    if (!this.buffer.length) {
+      return;
+    }
+    const points = this.centroids.concat(this.buffer).sort((a, b) => a.mean - b.mean);
+    const total = points.reduce((sum, point) => sum + point.weight, 0);
+    const scale = (q) => (this.compression / (2 * Math.PI)) * Math.asin(2 * Math.min(q, 1) - 1);
+    const merged = [];
+    let current = { ...points[0] };
+    let before = 0;
+
+    for (let i = 1; i < points.length; i += 1) {
+      const point = points[i];
+      const proposed = current.weight + point.weight;
+      if (scale((before + proposed) / total) - scale(before / total) <= 1) {
+        current.mean += ((point.mean - current.mean) * point.weight) / proposed;
+        current.weight = proposed;
+      } else {
+        merged.push(current);
+        before += current.weight;
+        current = { ...point };
+      }
+    }
+    merged.push(current);
+
+    this.centroids = merged;
+    this.buffer = [];
+  }
+
+  /**
+   * 序列化为Buffer：类型标记、版本，然后是 compression、count、min、max、质心数和质心 [mean, weight]...（float64）
+   * @returns {Buffer} 序列化结果
+   */
+  toBuffer() {
+    this._compress();
+    const values = [this.compression, this.count, this.min, this.max, this.centroids.length];
+    this.centroids.forEach(({ mean, weight }) => values.push(mean, weight));
+    const buffer = Buffer.alloc(HEADER_SIZE + values.length * 8);
+    buffer[0] = TAG;
+    buffer[1] = VERSION;
+    values.forEach((value, index) => buffer.writeDoubleLE(value, HEADER_SIZE + index * 8));
+    return buffer;
+  }
+
+  /**
+   * 从Buffer还原
+   * @param {Buffer} buffer - toBuffer 的结果
+   * @returns {TDigest} 还原的实例
+   */
+  static fromBuffer(buffer) {
+    if (buffer.length < HEADER_SIZE + 40 || buffer[0] !== TAG || buffer[1] !== VERSION) {
+      throw new Error('Invalid TDigest sketch');
+    }
+    const read = (index) => buffer.readDoubleLE(HEADER_SIZE + index * 8);
+    const sketch = new TDigest(read(0));
+    const size = read(4);
+    if (buffer.length !== HEADER_SIZE + (5 + size * 2) * 8) {
+      throw new Error('Invalid TDigest sketch');
+    }
+    sketch.count = read(1);
+    sketch.min = read(2);
+    sketch.max = read(3);
+    for (let i = 0; i < size; i += 1) {
+      sketch.centroids.push({ mean: read(5 + i * 2), weight: read(6 + i * 2) });
+    }
+    return sketch;
+  }
+
+  /**
+   * 序列化为base64字符串，便于写入JSON结果或Redis
+   * @returns {string} 序列化结果
+   */
+  serialize() {
+    return this.toBuffer().toString('base64');
+  }
+
+  /**
+   * 从base64字符串还原
+   * @param {string} value - serialize 的结果
+   * @returns {TDigest} 还原的实例
+   */
+  static deserialize(value) {
+    return TDigest.fromBuffer(Buffer.from(value, 'base64'));
+  }
+}
+
+module.exports = TDigest;
@@ -0,0 +1,66 @@
+// src/utils/sketch/hash.js
+
+/* eslint-disable no-bitwise */
+
+/**
+ * 把值转换为用于哈希的键，对象按JSON序列化
+ * @param {*} value - 值
+ * @returns {string} 键
+ */
+const toKey = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+/**
+ * 32位 MurmurHash3（x86_32），对值的UTF-8编码计算哈希
+ * @param {*} value - 值，非字符串先经 toKey 转换
+ * @param {number} [seed=0] - 种子，count-min 的每一行使用不同种子
+ * @returns {number} 无符号32位哈希值
+ */
+const murmur3 = (value, seed = 0) => {
+  const data = Buffer.from(typeof value === 'string' ? value : toKey(value));
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const tail = data.length - (data.length % 4);
+  let h = seed >>> 0;
+  let k;
+
+  for (let i = 0; i < tail; i += 4) {
+    k = data.readUInt32LE(i);
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, c2);
+    h ^= k;
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  k = 0;
+  switch (data.length % 4) {
+    case 3:
+      k ^= data[tail + 2] << 16;
+    // falls through
+    case 2:
+      k ^= data[tail + 1] << 8;
+    // falls through
+    case 1:
+      k ^= data[tail];
+      k = Math.imul(k, c1);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, c2);
+      h ^= k;
+      break;
+    default:
+  }
+
+  h ^= data.length;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+module.exports = {
+  toKey,
+  murmur3,
+};
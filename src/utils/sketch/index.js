@@ -0,0 +1,16 @@
+// src/utils/sketch/index.js
+
+const HyperLogLog = require('./HyperLogLog');
+const TDigest = require('./TDigest');
+const CountMinSketch = require('./CountMinSketch');
+const SketchStore = require('./SketchStore');
+const { sketchTypes, normalizeSketchConfig } = require('./sketchConfig');
+
+module.exports = {
+  HyperLogLog,
+  TDigest,
+  CountMinSketch,
+  SketchStore,
+  sketchTypes,
+  normalizeSketchConfig,
+};
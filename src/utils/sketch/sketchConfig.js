@@ -0,0 +1,62 @@
+// src/utils/sketch/sketchConfig.js
+
+const HyperLogLog = require('./HyperLogLog');
+const TDigest = require('./TDigest');
+const CountMinSketch = require('./CountMinSketch');
+
+/**
+ * 近似聚合操作使用的草图类，操作名与 aggregator 处理器相同
+ */
+const sketchTypes = {
+  approxDistinct: HyperLogLog,
+  approxPercentile: TDigest,
+  approxFrequency: CountMinSketch,
+};
+
+/**
+ * 草图的默认保留时间(ms)
+ */
+const defaultTtl = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 草图名称格式，名称用于Redis键
+ */
+const keyPattern = /^[\w.-]+$/;
+
+/**
+ * 校验草图写入配置并补全默认值
+ * 只检查配置本身，不建立任何连接，可用于管道编译时校验
+ *
+ * 记录的 field 为序列化的草图（aggregator 处理器 output: 'sketch' 的结果），
+ * 按 groupBy 字段值写入 <key>:<分组值> 下，与其他批次、窗口和实例写入的草图合并；
+ * 不指定 groupBy 时所有记录合并为一个草图，按 windowStart 分组时每个窗口各一个草图。
+ * 草图在最后一次写入 ttl 后过期
+ *
+ * @param {Object} config - 草图写入配置 { key, field, operation, groupBy, ttl }
+ * @returns {Object} 规范化的草图写入配置
+ */
+const normalizeSketchConfig = (config = {}) => {
+  if (typeof config.key !== 'string' || !keyPattern.test(config.key)) {
+    throw new Error('Sketch key must contain only letters, digits, "_", "-" and "."');
+  }
+  if (typeof config.field !== 'string' || !config.field) {
+    throw new Error('Sketch step requires a field');
+  }
+  if (!Object.prototype.hasOwnProperty.call(sketchTypes, config.operation)) {
+    throw new Error(`Invalid sketch operation: ${config.operation}`);
+  }
+  const groupBy = typeof config.groupBy === 'string' ? [config.groupBy] : config.groupBy || [];
+  if (!Array.isArray(groupBy) || groupBy.some((field) => typeof field !== 'string' || !field)) {
+    throw new Error('Sketch groupBy must be a field name or an array of field names');
+  }
+  const ttl = config.ttl === undefined ? defaultTtl : config.ttl;
+  if (!Number.isInteger(ttl) || ttl < 1) {
+    throw new Error('Sketch ttl must be a positive integer');
+  }
+  return { key: config.key, field: config.field, operation: config.operation, groupBy, ttl };
+};
+
+module.exports = {
+  sketchTypes,
+  normalizeSketchConfig,
+};
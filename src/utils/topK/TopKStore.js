@@ -0,0 +1,295 @@
+// src/utils/topK/TopKStore.js
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const logger = require('../../config/logger');
+const { groupKey } = require('./topKConfig');
+
+/**
+ * 原子地把一批成员分值写入时间桶的排行榜
+ *
+ * 键（均以 KEYS[1] 为前缀）：
+ * - :meta 排行榜配置哈希 { operation, bucketSize, retention, groupBy }，读取路由据此找到时间桶
+ * - :<分组>:<桶开始时间> 时间桶的有序集合，成员为被排名的值
+ *
+ * ARGV：操作, bucketSize, retention(ms), capacity, groupBy(JSON), [分组, 桶开始时间, 成员, 分值]...
+ * 返回：写入的有序集合数
+ * 写入后每个有序集合只保留排名靠前的 capacity 个成员
+ */
+const addScript = `
+local base = KEYS[1]
+local operation = ARGV[1]
+local retention = tonumber(ARGV[3])
+local capacity = tonumber(ARGV[4])
+local metaKey = base .. ':meta'
+redis.call('HSET', metaKey, 'operation', operation, 'bucketSize', ARGV[2], 'retention', ARGV[3], 'groupBy', ARGV[5])
+redis.call('PEXPIRE', metaKey, retention)
+
+local touched, count = {}, 0
+for i = 6, #ARGV, 4 do
+  local rankingKey = base .. ':' .. ARGV[i] .. ':' .. ARGV[i + 1]
+  local member, score = ARGV[i + 2], tonumber(ARGV[i + 3])
+  if operation == 'count' or operation == 'sum' then
+    redis.call('ZINCRBY', rankingKey, score, member)
+  else
+    local current = tonumber(redis.call('ZSCORE', rankingKey, member))
+    if not current or (operation == 'max' and score > current) or (operation == 'min' and score < current) then
+      redis.call('ZADD', rankingKey, score, member)
+    end
+  end
+  if not touched[rankingKey] then
+    touched[rankingKey] = true
+    count = count + 1
+  end
+end
+
+for rankingKey in pairs(touched) do
+  local size = redis.call('ZCARD', rankingKey)
+  if size > capacity then
+    if operation == 'min' then
+      redis.call('ZREMRANGEBYRANK', rankingKey, capacity, -1)
+    else
+      redis.call('ZREMRANGEBYRANK', rankingKey, 0, size - capacity - 1)
+    end
+  end
+  redis.call('PEXPIRE', rankingKey, retention)
+end
+
+return count
+`;
+
+/**
+ * 合并时间桶时使用的聚合方式
+ */
+const unionAggregates = { count: 'SUM', sum: 'SUM', max: 'MAX', min: 'MIN' };
+
+/**
+ * 排行榜存储
+ * 滚动的 Top-K 排名按时间桶和分组保存在Redis有序集合中，处理同一事件类型的所有任务和PM2实例共享排名。
+ * 读取时把窗口覆盖的时间桶合并为一个排名，因此窗口可以是 bucketSize 的任意倍数，最长为 retention
+ */
+class TopKStore extends EventEmitter {
+  /**
+   * 创建排行榜存储
+   * @param {Object} options - 配置选项
+   * @param {Redis} [options.redis] - Redis客户端，不提供时首次使用时创建
+   * @param {string} [options.prefix='rdp:topk'] - Redis键前缀
+   */
+  constructor(options = {}) {
+    super();
+    this.redis = options.redis || null;
+    this.ownsRedis = !options.redis;
+    this.prefix = options.prefix || 'rdp:topk';
+    this.metrics = {
+      records: 0, // 计入排行榜的记录数
+      invalid: 0, // 缺少成员、有效分值或有效事件时间的记录数
+    };
+  }
+
+  /**
+   * 把数据计入排行榜，同一批数据先在本地按时间桶、分组和成员合并，再一次写入Redis
+   * @param {Object} config - 规范化的排行榜配置（normalizeTopKConfig的返回值）
+   * @param {Object|Array<Object>} data - 记录或记录数组
+   * @returns {Promise<number>} 计入排行榜的记录数
+   */
+  async add(config, data) {
+    const records = Array.isArray(data) ? data : [data];
+    const entries = new Map();
+    const now = Date.now();
+    let accepted = 0;
+
+    records.forEach((record) => {
+      const entry = this._toEntry(config, record, now);
+      if (!entry) {
+        return;
+      }
+      accepted += 1;
+      const id = `${entry.group}\n${entry.bucket}\n${entry.member}`;
+      const existing = entries.get(id);
+      if (!existing) {
+        entries.set(id, entry);
+      } else if (config.operation === 'max' || config.operation === 'min') {
+        existing.score = Math[config.operation](existing.score, entry.score);
+      } else {
+        existing.score += entry.score;
+      }
+    });
+
+    if (!entries.size) {
+      return 0;
+    }
+    const args = [];
+    entries.forEach(({ group, bucket, member, score }) => args.push(group, bucket, member, score));
+    await this._getRedis().topKAdd(
+      this._key(config.key),
+      config.operation,
+      config.bucketSize,
+      config.retention,
+      config.capacity,
+      JSON.stringify(config.groupBy),
+      ...args
+    );
+    this.metrics.records += accepted;
+    return accepted;
+  }
+
+  /**
+   * 把记录转换为排行榜条目，无效记录计入 invalid 指标
+   * @param {Object} config - 规范化的排行榜配置
+   * @param {Object} record - 记录
+   * @param {number} now - 处理时间(ms)，未配置 timeField 时使用
+   * @returns {Object|null} { group, bucket, member, score }，记录无效时为null
+   * @private
+   */
+  _toEntry(config, record, now) {
+    const member = record ? record[config.memberField] : undefined;
+    if (member === null || member === undefined || member === '') {
+      logger.debug(`Top-K ${config.key}: record has no ${config.memberField}, skipping`);
+      this.metrics.invalid += 1;
+      return null;
+    }
+    const time = config.timeField ? new Date(record[config.timeField]).getTime() : now;
+    if (Number.isNaN(time)) {
+      logger.warn(`Top-K ${config.key}: record has no valid ${config.timeField}, skipping`);
+      this.metrics.invalid += 1;
+      return null;
+    }
+    const value = config.operation === 'count' ? 1 : record[config.scoreField];
+    const score = value === null || value === '' ? NaN : Number(value);
+    if (!Number.isFinite(score)) {
+      logger.debug(`Top-K ${config.key}: record has no numeric ${config.scoreField}, skipping`);
+      this.metrics.invalid += 1;
+      return null;
+    }
+    return {
+      group: groupKey(config.groupBy, record),
+      bucket: Math.floor(time / config.bucketSize) * config.bucketSize,
+      member: typeof member === 'object' ? JSON.stringify(member) : String(member),
+      score,
+    };
+  }
+
+  /**
+   * 读取排行榜
+   * 合并开始时间在 (now - window - bucketSize, now] 内的时间桶，即与窗口相交的全部时间桶
+   * @param {string} key - 排行榜名称
+   * @param {Object} [options] - 读取选项
+   * @param {number} [options.window] - 窗口长度(ms)，默认为一个时间桶，超过 retention 时按 retention 读取
+   * @param {number} [options.limit=10] - 返回的成员数
+   * @param {Object} [options.group] - 分组值 { 分组字段: 值 }，未提供的字段按空值匹配
+   * @param {number} [options.now] - 窗口结束时间(ms)，默认为当前时间
+   * @returns {Promise<Object|null>} { key, operation, group, window, from, to, entries: [{ rank, member, score }] }，
+   *   排行榜不存在或已过期时为null
+   */
+  async getLeaderboard(key, options = {}) {
+    const redis = this._getRedis();
+    const base = this._key(key);
+    const meta = await redis.hgetall(`${base}:meta`);
+    if (!meta || !meta.bucketSize) {
+      return null;
+    }
+
+    const bucketSize = Number(meta.bucketSize);
+    const groupBy = JSON.parse(meta.groupBy);
+    const { limit = 10, group = {}, now = Date.now() } = options;
+    const window = Math.min(options.window || bucketSize, Number(meta.retention));
+    const rankingPrefix = `${base}:${groupKey(groupBy, group)}:`;
+    const bucketKeys = [];
+    let from = Math.floor((now - window) / bucketSize) * bucketSize;
+    if (from + bucketSize <= now - window) {
+      from += bucketSize;
+    }
+    for (let start = from; start <= now; start += bucketSize) {
+      bucketKeys.push(`${rankingPrefix}${start}`);
+    }
+
+    const range = meta.operation === 'min' ? 'zrange' : 'zrevrange';
+    let reply;
+    if (bucketKeys.length === 1) {
+      reply = await redis[range](bucketKeys[0], 0, limit - 1, 'WITHSCORES');
+    } else {
+      // 合并结果写入临时键并在同一事务中删除
+      const unionKey = `${base}:union:${crypto.randomBytes(8).toString('hex')}`;
+      const results = await redis
+        .multi()
+        .zunionstore(unionKey, bucketKeys.length, ...bucketKeys, 'AGGREGATE', unionAggregates[meta.operation])
+        [range](unionKey, 0, limit - 1, 'WITHSCORES')
+        .del(unionKey)
+        .exec();
+      const failed = results.find(([error]) => error);
+      if (failed) {
+        throw failed[0];
+      }
+      [, [, reply]] = results;
+    }
+
+    const entries = [];
+    for (let i = 0; i < reply.length; i += 2) {
+      entries.push({ rank: i / 2 + 1, member: reply[i], score: Number(reply[i + 1]) });
+    }
+    return {
+      key,
+      operation: meta.operation,
+      group: groupBy.reduce(
+        (values, field) => ({ ...values, [field]: group[field] === undefined ? null : group[field] }),
+        {}
+      ),
+      window,
+      from: new Date(from).toISOString(),
+      to: new Date(now).toISOString(),
+      entries,
+    };
+  }
+
+  /**
+   * 获取排行榜指标
+   * @returns {Object} 指标对象 { records, invalid }
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * 关闭自己创建的Redis连接，排名保留在Redis中直到过期
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.redis && this.ownsRedis) {
+      await this.redis.quit().catch(() => this.redis.disconnect());
+      this.redis = null;
+    }
+  }
+
+  /**
+   * 生成排行榜的Redis键前缀
+   * @param {string} key - 排行榜名称
+   * @returns {string} Redis键前缀
+   * @private
+   */
+  _key(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  /**
+   * 获取Redis客户端，首次调用时创建并注册排行榜脚本
+   * @returns {Redis} Redis客户端
+   * @private
+   */
+  _getRedis() {
+    if (!this.redis) {
+      this.redis = new Redis({
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD || null,
+        retryStrategy: (times) => Math.min(times * 50, 2000),
+      });
+    }
+    if (typeof this.redis.topKAdd !== 'function') {
+      this.redis.defineCommand('topKAdd', { numberOfKeys: 1, lua: addScript });
+    }
+    return this.redis;
+  }
+}
+
+module.exports = TopKStore;
@@ -0,0 +1,11 @@
+// src/utils/topK/index.js
+
+const TopKStore = require('./TopKStore');
+const { topKOperations, normalizeTopKConfig, groupKey } = require('./topKConfig');
+
+module.exports = {
+  TopKStore,
+  topKOperations,
+  normalizeTopKConfig,
+  groupKey,
+};
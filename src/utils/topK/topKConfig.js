@@ -0,0 +1,110 @@
+// src/utils/topK/topKConfig.js
+
+/**
+ * 排行榜支持的计分操作
+ * - count：每条记录计1分（默认，如访问最多的页面、最活跃的用户）
+ * - sum：累加 scoreField（指定 scoreField 时的默认操作）
+ * - max、min：scoreField 的最大值/最小值，min 排行榜按分值升序排列
+ * 这些操作都可以跨时间桶合并，读取排行榜时把窗口内的桶合并为一个排名
+ */
+const topKOperations = ['count', 'sum', 'max', 'min'];
+
+/**
+ * 时间桶的默认保留时间(ms)，也是排行榜可读取的最大窗口
+ */
+const defaultRetention = 24 * 60 * 60 * 1000;
+
+/**
+ * 排行榜名称格式，名称同时用于Redis键和读取路由
+ */
+const keyPattern = /^[\w.-]+$/;
+
+/**
+ * 校验正整数选项
+ * @param {Object} config - 排行榜配置
+ * @param {string} key - 选项名
+ * @param {number} defaultValue - 默认值
+ * @returns {number} 选项值
+ */
+const positiveInteger = (config, key, defaultValue) => {
+  if (config[key] === undefined) {
+    return defaultValue;
+  }
+  if (!Number.isInteger(config[key]) || config[key] < 1) {
+    throw new Error(`Top-K ${key} must be a positive integer`);
+  }
+  return config[key];
+};
+
+/**
+ * 校验排行榜配置并补全默认值
+ * 只检查配置本身，不建立任何连接，可用于管道编译时校验
+ *
+ * 记录按 timeField 的事件时间（未指定时为处理时间）落入 bucketSize 对齐的时间桶，
+ * 每个时间桶和 groupBy 分组各有一个Redis有序集合，成员为 memberField 的值，超过 retention 后过期。
+ * 每个有序集合只保留分值最高（min 操作为最低）的 capacity 个成员，
+ * 因此长尾成员的计数是近似的，排名靠前的成员不受影响
+ *
+ * @param {Object} config - 排行榜配置 { key, memberField, scoreField, operation, timeField, bucketSize,
+ *   groupBy, retention, capacity }
+ * @returns {Object} 规范化的排行榜配置
+ */
+const normalizeTopKConfig = (config = {}) => {
+  if (typeof config.key !== 'string' || !keyPattern.test(config.key)) {
+    throw new Error('Top-K key must contain only letters, digits, "_", "-" and "."');
+  }
+  if (typeof config.memberField !== 'string' || !config.memberField) {
+    throw new Error('Top-K requires a memberField');
+  }
+  if (config.scoreField !== undefined && (typeof config.scoreField !== 'string' || !config.scoreField)) {
+    throw new Error('Top-K scoreField must be a field name');
+  }
+  const operation = config.operation || (config.scoreField ? 'sum' : 'count');
+  if (!topKOperations.includes(operation)) {
+    throw new Error(`Invalid Top-K operation: ${operation}`);
+  }
+  if (operation !== 'count' && !config.scoreField) {
+    throw new Error(`Top-K ${operation} operation requires a scoreField`);
+  }
+  if (config.timeField !== undefined && (typeof config.timeField !== 'string' || !config.timeField)) {
+    throw new Error('Top-K timeField must be a field name');
+  }
+  const groupBy = typeof config.groupBy === 'string' ? [config.groupBy] : config.groupBy || [];
+  if (!Array.isArray(groupBy) || groupBy.some((field) => typeof field !== 'string' || !field)) {
+    throw new Error('Top-K groupBy must be a field name or an array of field names');
+  }
+  const bucketSize = positiveInteger(config, 'bucketSize', 60000);
+  const retention = positiveInteger(config, 'retention', defaultRetention);
+  if (retention < bucketSize) {
+    throw new Error('Top-K retention must not be shorter than bucketSize');
+  }
+
+  return {
+    key: config.key,
+    memberField: config.memberField,
+    scoreField: operation === 'count' ? null : config.scoreField,
+    operation,
+    timeField: config.timeField || null,
+    bucketSize,
+    groupBy,
+    retention,
+    capacity: positiveInteger(config, 'capacity', 1000),
+  };
+};
+
+/**
+ * 生成分组标识，分组值统一转换为字符串，与读取路由中的查询参数一致
+ * @param {Array<string>} groupBy - 分组字段
+ * @param {Object} values - 记录或分组值对象
+ * @returns {string} 分组标识
+ */
+const groupKey = (groupBy, values = {}) =>
+  JSON.stringify(
+    groupBy.map((field) => (values[field] === null || values[field] === undefined ? null : String(values[field])))
+  );
+
+module.exports = {
+  topKOperations,
+  normalizeTopKConfig,
+  groupKey,
+};
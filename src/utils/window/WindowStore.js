@@ -0,0 +1,315 @@
+// src/utils/window/WindowStore.js
+
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const logger = require('../../config/logger');
+const { assignWindows } = require('./windowConfig');
+
+/**
+ * 原子地把一条记录累加到它所属的窗口，推进水位线并输出水位线越过结束时间的窗口
+ *
+ * 键（均以 KEYS[1] 为前缀）：
+ * - :maxEventTime 已观察到的最大事件时间，减去 maxOutOfOrderness 为水位线
+ * - :open 未输出窗口的有序集合，成员为 "开始时间|分组"，分值为结束时间
+ * - :fired 已输出但仍在允许延迟内的窗口，分值为结束时间加允许延迟，水位线越过后删除状态
+ * - :state:<成员> 窗口的部分聚合哈希：count，以及每个字段的 :count（非空值数）、:n（数值个数）、:sum、:min、:max
+ *
+ * ARGV：事件时间, 状态保留时间(ms), maxOutOfOrderness, allowedLateness, 分组, 字段数,
+ *   [字段, 数值或空串]..., [窗口开始, 窗口结束]...
+ * 返回：{ 按时累加到的窗口数, 错过的窗口数, [成员, 状态哈希]...（本次输出的窗口）, [成员, 状态哈希]...（迟到更新的窗口） }
+ * 输出的窗口在同一脚本中移出 :open，多个实例并发执行时每个窗口只会被一个实例输出
+ */
+const addScript = `
+local base = KEYS[1]
+local ttl = tonumber(ARGV[2])
+local delay = tonumber(ARGV[3])
+local lateness = tonumber(ARGV[4])
+local group = ARGV[5]
+local windowArgs = 7 + tonumber(ARGV[6]) * 2
+local openKey = base .. ':open'
+local firedKey = base .. ':fired'
+local maxTimeKey = base .. ':maxEventTime'
+local maxTime = tonumber(redis.call('GET', maxTimeKey))
+local watermark = maxTime and maxTime - delay
+
+local function accumulate(stateKey)
+  redis.call('HINCRBY', stateKey, 'count', 1)
+  for f = 7, windowArgs - 1, 2 do
+    local field, value = ARGV[f], ARGV[f + 1]
+    redis.call('HINCRBY', stateKey, field .. ':count', 1)
+    if value ~= '' then
+      local number = tonumber(value)
+      redis.call('HINCRBY', stateKey, field .. ':n', 1)
+      redis.call('HINCRBYFLOAT', stateKey, field .. ':sum', value)
+      local min = tonumber(redis.call('HGET', stateKey, field .. ':min'))
+      if not min or number < min then
+        redis.call('HSET', stateKey, field .. ':min', value)
+      end
+      local max = tonumber(redis.call('HGET', stateKey, field .. ':max'))
+      if not max or number > max then
+        redis.call('HSET', stateKey, field .. ':max', value)
+      end
+    end
+  end
+  redis.call('PEXPIRE', stateKey, ttl)
+end
+
+local accepted, missed, updated = 0, 0, {}
+for i = windowArgs, #ARGV, 2 do
+  local windowEnd = tonumber(ARGV[i + 1])
+  local member = ARGV[i] .. '|' .. group
+  local stateKey = base .. ':state:' .. member
+  if not watermark or windowEnd > watermark then
+    accumulate(stateKey)
+    redis.call('ZADD', openKey, windowEnd, member)
+    accepted = accepted + 1
+  elseif windowEnd + lateness > watermark then
+    accumulate(stateKey)
+    redis.call('ZADD', firedKey, windowEnd + lateness, member)
+    table.insert(updated, member)
+    table.insert(updated, redis.call('HGETALL', stateKey))
+  else
+    missed = missed + 1
+  end
+end
+
+if not maxTime or tonumber(ARGV[1]) > maxTime then
+  maxTime = tonumber(ARGV[1])
+  redis.call('SET', maxTimeKey, ARGV[1], 'PX', ttl)
+else
+  redis.call('PEXPIRE', maxTimeKey, ttl)
+end
+watermark = maxTime - delay
+
+local closed = {}
+local due = redis.call('ZRANGEBYSCORE', openKey, '-inf', watermark, 'WITHSCORES')
+for i = 1, #due, 2 do
+  local member, windowEnd = due[i], tonumber(due[i + 1])
+  local stateKey = base .. ':state:' .. member
+  local state = redis.call('HGETALL', stateKey)
+  if #state > 0 then
+    table.insert(closed, member)
+    table.insert(closed, state)
+  end
+  if windowEnd + lateness > watermark then
+    redis.call('ZADD', firedKey, windowEnd + lateness, member)
+  else
+    redis.call('DEL', stateKey)
+  end
+end
+redis.call('ZREMRANGEBYSCORE', openKey, '-inf', watermark)
+
+for _, member in ipairs(redis.call('ZRANGEBYSCORE', firedKey, '-inf', watermark)) do
+  redis.call('DEL', base .. ':state:' .. member)
+end
+redis.call('ZREMRANGEBYSCORE', firedKey, '-inf', watermark)
+redis.call('PEXPIRE', openKey, ttl)
+redis.call('PEXPIRE', firedKey, ttl)
+
+return { accepted, missed, closed, updated }
+`;
+
+/**
+ * 把记录的字段值转换为脚本参数
+ * @param {*} value - 字段值
+ * @returns {string} 数值的字符串形式，不是数值时为空串（只计入 count）
+ */
+const numericArg = (value) => {
+  if (typeof value !== 'number' && (typeof value !== 'string' || !value.trim())) {
+    return '';
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? String(number) : '';
+};
+
+/**
+ * 由窗口的部分聚合生成窗口结果
+ * @param {Object} config - 规范化的窗口配置
+ * @param {string} member - 窗口成员 "开始时间|分组"
+ * @param {Array<string>} state - HGETALL 返回的字段和值
+ * @returns {Object} 窗口结果 { ...聚合结果, ...分组字段, windowStart, windowEnd, count }
+ */
+const buildWindowResult = (config, member, state) => {
+  const fields = {};
+  for (let i = 0; i < state.length; i += 2) {
+    fields[state[i]] = Number(state[i + 1]);
+  }
+  const separator = member.indexOf('|');
+  const windowStart = Number(member.slice(0, separator));
+  const groupValues = JSON.parse(member.slice(separator + 1));
+
+  const result = {};
+  config.aggregations.forEach(({ field, operation, outputField }) => {
+    const numbers = fields[`${field}:n`] || 0;
+    switch (operation) {
+      case 'count':
+        result[outputField] = fields[`${field}:count`] || 0;
+        break;
+      case 'sum':
+        result[outputField] = numbers ? fields[`${field}:sum`] : null;
+        break;
+      case 'avg':
+        result[outputField] = numbers ? fields[`${field}:sum`] / numbers : null;
+        break;
+      default:
+        result[outputField] = numbers ? fields[`${field}:${operation}`] : null;
+    }
+  });
+  config.groupBy.forEach((field, index) => {
+    result[field] = groupValues[index];
+  });
+  result.windowStart = new Date(windowStart).toISOString();
+  result.windowEnd = new Date(windowStart + config.windowSize).toISOString();
+  result.count = fields.count;
+  return result;
+};
+
+/**
+ * 窗口状态存储
+ * 窗口的部分聚合保存在Redis中，按窗口和分组区分，处理同一事件类型的所有任务和PM2实例共享状态。
+ * 水位线（所有实例观察到的最大事件时间减去 maxOutOfOrderness）越过窗口结束时间时窗口输出结果，由写入该记录的实例输出。
+ * 所属窗口已经输出的记录为迟到记录：latePolicy 为 update 时在 allowedLateness 内累加并重新输出窗口，
+ * 其余迟到记录返回给调用方按 latePolicy 丢弃或旁路输出
+ */
+class WindowStore extends EventEmitter {
+  /**
+   * 创建窗口状态存储
+   * @param {Object} options - 配置选项
+   * @param {Redis} [options.redis] - Redis客户端，不提供时首次使用时创建
+   * @param {string} [options.prefix='rdp:window'] - Redis键前缀
+   */
+  constructor(options = {}) {
+    super();
+    this.redis = options.redis || null;
+    this.ownsRedis = !options.redis;
+    this.prefix = options.prefix || 'rdp:window';
+    this.metrics = {
+      records: 0, // 累加到窗口的记录数（包括迟到后更新窗口的记录）
+      late: 0, // 错过了所属窗口的迟到记录数
+      updated: 0, // 迟到记录更新后重新输出的窗口结果数
+      invalid: 0, // 缺少有效事件时间的记录数
+      closed: 0, // 按时输出的窗口结果数
+    };
+  }
+
+  /**
+   * 把数据累加到窗口，数组逐条按顺序累加
+   * @param {Object} config - 规范化的窗口配置（normalizeWindowConfig的返回值）
+   * @param {Object|Array<Object>} data - 记录或记录数组
+   * @returns {Promise<Object>} { windows, late }：windows 为本次输出的窗口结果，按输出顺序排列，
+   *   迟到更新的窗口带有 updated: true；late 为错过了所属窗口的迟到记录
+   */
+  async add(config, data) {
+    const records = Array.isArray(data) ? data : [data];
+    const windows = [];
+    const late = [];
+    for (let i = 0; i < records.length; i += 1) {
+      // 记录按顺序累加，保证事件时间的推进与输入顺序一致
+      // eslint-disable-next-line no-await-in-loop
+      const result = await this._addRecord(config, records[i]);
+      windows.push(...result.windows);
+      if (result.late) {
+        late.push(records[i]);
+      }
+    }
+    return { windows, late };
+  }
+
+  /**
+   * 累加单条记录
+   * @param {Object} config - 规范化的窗口配置
+   * @param {Object} record - 记录
+   * @returns {Promise<Object>} { windows, late }
+   * @private
+   */
+  async _addRecord(config, record) {
+    const time = record && record[config.timeField] !== undefined ? new Date(record[config.timeField]).getTime() : NaN;
+    if (Number.isNaN(time)) {
+      this.metrics.invalid += 1;
+      logger.warn(`Window ${config.key}: record has no valid ${config.timeField}, skipping`);
+      return { windows: [], late: false };
+    }
+
+    const group = JSON.stringify(config.groupBy.map((field) => (record[field] === undefined ? null : record[field])));
+    const fieldArgs = [];
+    new Set(config.aggregations.map(({ field }) => field)).forEach((field) => {
+      if (record[field] !== null && record[field] !== undefined) {
+        fieldArgs.push(field, numericArg(record[field]));
+      }
+    });
+    const windowArgs = [];
+    assignWindows(time, config).forEach(([start, end]) => windowArgs.push(start, end));
+
+    const [accepted, missed, closed, updated] = await this._getRedis().windowAdd(
+      `${this.prefix}:${config.key}`,
+      time,
+      config.stateTtl,
+      config.maxOutOfOrderness,
+      config.allowedLateness,
+      group,
+      fieldArgs.length / 2,
+      ...fieldArgs,
+      ...windowArgs
+    );
+
+    if (accepted || updated.length) {
+      this.metrics.records += 1;
+    }
+    if (missed) {
+      this.metrics.late += 1;
+      logger.debug(`Window ${config.key}: late record at ${new Date(time).toISOString()} missed ${missed} windows`);
+    }
+
+    const windows = [];
+    for (let i = 0; i < closed.length; i += 2) {
+      windows.push(buildWindowResult(config, closed[i], closed[i + 1]));
+    }
+    for (let i = 0; i < updated.length; i += 2) {
+      windows.push({ ...buildWindowResult(config, updated[i], updated[i + 1]), updated: true });
+    }
+    this.metrics.closed += closed.length / 2;
+    this.metrics.updated += updated.length / 2;
+    return { windows, late: missed > 0 };
+  }
+
+  /**
+   * 获取窗口指标
+   * @returns {Object} 指标对象 { records, late, updated, invalid, closed }
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * 关闭自己创建的Redis连接，窗口状态保留在Redis中
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.redis && this.ownsRedis) {
+      await this.redis.quit().catch(() => this.redis.disconnect());
+      this.redis = null;
+    }
+  }
+
+  /**
+   * 获取Redis客户端，首次调用时创建并注册窗口脚本
+   * @returns {Redis} Redis客户端
+   * @private
+   */
+  _getRedis() {
+    if (!this.redis) {
+      this.redis = new Redis({
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD || null,
+        retryStrategy: (times) => Math.min(times * 50, 2000),
+      });
+    }
+    if (typeof this.redis.windowAdd !== 'function') {
+      this.redis.defineCommand('windowAdd', { numberOfKeys: 1, lua: addScript });
+    }
+    return this.redis;
+  }
+}
+
+module.exports = WindowStore;
@@ -0,0 +1,12 @@
+// src/utils/window/index.js
+
+const WindowStore = require('./WindowStore');
+const { windowOperations, latePolicies, normalizeWindowConfig, assignWindows } = require('./windowConfig');
+
+module.exports = {
+  WindowStore,
+  windowOperations,
+  latePolicies,
+  normalizeWindowConfig,
+  assignWindows,
+};
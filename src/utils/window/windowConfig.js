@@ -0,0 +1,166 @@
+// src/utils/window/windowConfig.js
+
+const crypto = require('crypto');
+
+/**
+ * 窗口支持的聚合操作，与 aggregator 处理器相同
+ */
+const windowOperations = ['sum', 'avg', 'min', 'max', 'count'];
+
+/**
+ * 窗口状态的默认保留时间(ms)，事件时间长时间不推进时未关闭的窗口在此之后过期
+ */
+const defaultStateTtl = 24 * 60 * 60 * 1000;
+
+/**
+ * 迟到记录的处理策略
+ * - drop：丢弃
+ * - queue：作为旁路输出写入 lateQueue 队列
+ * - update：在 allowedLateness 内累加到已输出的窗口并重新输出更新后的窗口结果，超过后丢弃
+ */
+const latePolicies = ['drop', 'queue', 'update'];
+
+/**
+ * 校验正整数选项
+ * @param {Object} config - 窗口配置
+ * @param {string} key - 选项名
+ * @param {number} [defaultValue] - 默认值，未提供时为必填
+ * @returns {number} 选项值
+ */
+const positiveInteger = (config, key, defaultValue) => {
+  if (config[key] === undefined && defaultValue !== undefined) {
+    return defaultValue;
+  }
+  if (!Number.isInteger(config[key]) || config[key] < 1) {
+    throw new Error(`Window ${key} must be a positive integer`);
+  }
+  return config[key];
+};
+
+/**
+ * 校验非负整数选项，默认为0
+ * @param {Object} config - 窗口配置
+ * @param {string} key - 选项名
+ * @returns {number} 选项值
+ */
+const nonNegativeInteger = (config, key) => {
+  if (config[key] === undefined) {
+    return 0;
+  }
+  if (!Number.isInteger(config[key]) || config[key] < 0) {
+    throw new Error(`Window ${key} must be a non-negative integer`);
+  }
+  return config[key];
+};
+
+/**
+ * 校验聚合配置并补全输出字段名
+ * @param {Array<Object>} aggregations - 聚合配置 [{ field, operation, outputField }]
+ * @returns {Array<Object>} 规范化的聚合配置
+ */
+const normalizeAggregations = (aggregations) => {
+  if (!Array.isArray(aggregations)) {
+    throw new Error('Window aggregations must be an array');
+  }
+  return aggregations.map(({ field, operation, outputField = `${field}_${operation}` }) => {
+    if (typeof field !== 'string' || !field) {
+      throw new Error('Window aggregation requires a field');
+    }
+    if (!windowOperations.includes(operation)) {
+      throw new Error(`Invalid window aggregation operation: ${operation}`);
+    }
+    return { field, operation, outputField };
+  });
+};
+
+/**
+ * 校验迟到记录的处理策略
+ * @param {Object} config - 窗口配置
+ * @returns {Object} { latePolicy, allowedLateness, lateQueue }
+ */
+const normalizeLatePolicy = (config) => {
+  const latePolicy = config.latePolicy || 'drop';
+  if (!latePolicies.includes(latePolicy)) {
+    throw new Error(`Invalid window late policy: ${latePolicy}`);
+  }
+  const allowedLateness = nonNegativeInteger(config, 'allowedLateness');
+  if (allowedLateness && latePolicy !== 'update') {
+    throw new Error('Window allowedLateness requires the update late policy');
+  }
+  if (latePolicy !== 'queue') {
+    return { latePolicy, allowedLateness, lateQueue: null };
+  }
+  if (typeof config.lateQueue !== 'string' || !config.lateQueue) {
+    throw new Error('Window queue late policy requires a lateQueue');
+  }
+  return { latePolicy, allowedLateness, lateQueue: config.lateQueue };
+};
+
+/**
+ * 校验窗口配置并补全默认值
+ * 只检查配置本身，不建立任何连接，可用于管道编译时校验
+ *
+ * slideSize 等于 windowSize（默认）时为滚动窗口，小于 windowSize 时为滑动窗口，每条记录属于多个窗口。
+ * 未指定 key 时按其余配置生成，不同实例上相同配置的窗口步骤共享同一份状态
+ *
+ * 水位线为已观察到的最大事件时间减去 maxOutOfOrderness，水位线越过窗口结束时间时窗口输出结果。
+ * 所属窗口已经输出的记录为迟到记录，按 latePolicy 处理
+ *
+ * @param {Object} config - 窗口配置 { timeField, windowSize, slideSize, groupBy, aggregations,
+ *   maxOutOfOrderness, allowedLateness, latePolicy, lateQueue, stateTtl, key }
+ * @returns {Object} 规范化的窗口配置
+ */
+const normalizeWindowConfig = (config = {}) => {
+  if (typeof config.timeField !== 'string' || !config.timeField) {
+    throw new Error('Window requires a timeField');
+  }
+  const windowSize = positiveInteger(config, 'windowSize');
+  const slideSize = positiveInteger(config, 'slideSize', windowSize);
+  if (slideSize > windowSize) {
+    throw new Error('Window slideSize must not be greater than windowSize');
+  }
+  const groupBy = typeof config.groupBy === 'string' ? [config.groupBy] : config.groupBy || [];
+  if (!Array.isArray(groupBy) || groupBy.some((field) => typeof field !== 'string' || !field)) {
+    throw new Error('Window groupBy must be a field name or an array of field names');
+  }
+
+  const normalized = {
+    timeField: config.timeField,
+    windowSize,
+    slideSize,
+    groupBy,
+    aggregations: normalizeAggregations(config.aggregations || []),
+    maxOutOfOrderness: nonNegativeInteger(config, 'maxOutOfOrderness'),
+    ...normalizeLatePolicy(config),
+    stateTtl: positiveInteger(config, 'stateTtl', defaultStateTtl),
+  };
+
+  if (config.key !== undefined && (typeof config.key !== 'string' || !config.key)) {
+    throw new Error('Window key must be a non-empty string');
+  }
+  const key = config.key || crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+  return { key, ...normalized };
+};
+
+/**
+ * 计算事件时间所属的全部窗口
+ * 窗口按 slideSize 对齐到时间零点，区间为 [start, end)
+ * @param {number} time - 事件时间(ms)
+ * @param {Object} config - 规范化的窗口配置
+ * @returns {Array<Array<number>>} [start, end] 数组，按开始时间升序
+ */
+const assignWindows = (time, { windowSize, slideSize }) => {
+  const windows = [];
+  const lastStart = Math.floor(time / slideSize) * slideSize;
+  for (let start = lastStart; start > time - windowSize; start -= slideSize) {
+    windows.unshift([start, start + windowSize]);
+  }
+  return windows;
+};
+
+module.exports = {
+  windowOperations,
+  latePolicies,
+  normalizeWindowConfig,
+  assignWindows,
+};
@@ -1,3 +1,5 @@
+const { compileFilter } = require('../utils/filterExpression');
+
 const objectId = (value, helpers) => {
   if (!value.match(/^[0-9a-fA-F]{24}$/)) {
     return helpers.message('"{{#label}}" must be a valid mongo id');
@@ -15,7 +17,17 @@ const password = (value, helpers) => {
   return value;
 };
 
+const filterExpression = (value, helpers) => {
+  try {
+    compileFilter(value);
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+  return value;
+};
+
 module.exports = {
   objectId,
   password,
+  filterExpression,
 };
@@ -0,0 +1,27 @@
+const Joi = require('joi');
+const config = require('../config/config');
+const { filterExpression } = require('./custom.validation');
+
+const event = Joi.object()
+  .keys({
+    id: Joi.string(),
+    type: Joi.string().required(),
+  })
+  .unknown(true);
+
+const ingestEvents = {
+  body: Joi.alternatives().try(event, Joi.array().items(event).min(1).max(config.events.maxBatchSize)).required(),
+};
+
+const streamResults = {
+  query: Joi.object().keys({
+    type: Joi.string(),
+    filter: Joi.string().custom(filterExpression),
+  }),
+};
+
+module.exports = {
+  event,
+  ingestEvents,
+  streamResults,
+};
@@ -1,2 +1,5 @@
 module.exports.authValidation = require('./auth.validation');
 module.exports.userValidation = require('./user.validation');
+module.exports.eventValidation = require('./event.validation');
+module.exports.pipelineValidation = require('./pipeline.validation');
+module.exports.leaderboardValidation = require('./leaderboard.validation');
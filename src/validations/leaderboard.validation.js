@@ -0,0 +1,18 @@
+const Joi = require('joi');
+
+const getLeaderboard = {
+  params: Joi.object().keys({
+    key: Joi.string()
+      .required()
+      .pattern(/^[\w.-]+$/),
+  }),
+  query: Joi.object().keys({
+    window: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(1000).default(10),
+    group: Joi.object().pattern(Joi.string(), Joi.string().allow('')).default({}),
+  }),
+};
+
+module.exports = {
+  getLeaderboard,
+};
@@ -0,0 +1,111 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { stepTypes, namedStepTypes } = require('../config/pipelines');
+
+const step = Joi.object().keys({
+  type: Joi.string()
+    .required()
+    .valid(...Object.values(stepTypes)),
+  name: Joi.string().when('type', { is: Joi.valid(...namedStepTypes), then: Joi.required() }),
+  config: Joi.object().unknown(true).default({}),
+  timeout: Joi.number().integer().min(0),
+});
+
+const steps = Joi.array().items(step).min(1);
+
+const createPipeline = {
+  body: Joi.object().keys({
+    name: Joi.string().required(),
+    eventType: Joi.string().required(),
+    description: Joi.string().allow(''),
+    steps: steps.required(),
+    enabled: Joi.boolean(),
+  }),
+};
+
+const getPipelines = {
+  query: Joi.object().keys({
+    name: Joi.string(),
+    eventType: Joi.string(),
+    enabled: Joi.boolean(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getPipeline = {
+  params: Joi.object().keys({
+    pipelineId: Joi.string().custom(objectId),
+  }),
+};
+
+const updatePipeline = {
+  params: Joi.object().keys({
+    pipelineId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string(),
+      eventType: Joi.string(),
+      description: Joi.string().allow(''),
+      steps,
+      enabled: Joi.boolean(),
+    })
+    .min(1),
+};
+
+const deletePipeline = {
+  params: Joi.object().keys({
+    pipelineId: Joi.string().custom(objectId),
+  }),
+};
+
+const getPipelineVersions = {
+  params: Joi.object().keys({
+    pipelineId: Joi.string().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getPipelineVersion = {
+  params: Joi.object().keys({
+    pipelineId: Joi.string().custom(objectId),
+    version: Joi.number().integer().min(1),
+  }),
+};
+
+const activatePipelineVersion = {
+  params: Joi.object().keys({
+    pipelineId: Joi.required().custom(objectId),
+    version: Joi.number().integer().min(1).required(),
+  }),
+};
+
+const dryRunPipeline = {
+  body: Joi.object()
+    .keys({
+      pipelineId: Joi.string().custom(objectId),
+      version: Joi.number().integer().min(1),
+      steps,
+      input: Joi.any().required(),
+    })
+    .xor('pipelineId', 'steps')
+    .with('version', 'pipelineId'),
+};
+
+module.exports = {
+  createPipeline,
+  getPipelines,
+  getPipeline,
+  updatePipeline,
+  deletePipeline,
+  getPipelineVersions,
+  getPipelineVersion,
+  activatePipelineVersion,
+  dryRunPipeline,
+};
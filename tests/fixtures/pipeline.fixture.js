@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const Pipeline = require('../../src/models/pipeline.model');
+
+const pipelineOne = {
+  _id: mongoose.Types.ObjectId(),
+  name: 'Order events',
+  eventType: 'order-created',
+  steps: [{ type: 'transformer', name: 'fieldFilter', config: { fields: ['orderId', 'amount'] } }],
+  enabled: true,
+};
+
+const pipelineTwo = {
+  _id: mongoose.Types.ObjectId(),
+  name: 'Payment events',
+  eventType: 'payment-settled',
+  steps: [
+    { type: 'transformer', name: 'fieldRename', config: { fieldMap: { amt: 'amount' } } },
+    { type: 'processor', name: 'anomalyDetector', config: { field: 'amount', method: 'zscore', threshold: 3 } },
+  ],
+  enabled: false,
+};
+
+const insertPipelines = async (pipelines) => {
+  await Pipeline.insertMany(pipelines);
+};
+
+module.exports = {
+  pipelineOne,
+  pipelineTwo,
+  insertPipelines,
+};
@@ -0,0 +1,59 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { leaderboardService } = require('../../src/services');
+const { userOne, admin, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Leaderboard routes', () => {
+  describe('GET /v1/leaderboards/:key', () => {
+    const leaderboard = {
+      key: 'active-users',
+      operation: 'count',
+      group: {},
+      window: 60000,
+      from: '2023-11-01T10:15:00.000Z',
+      to: '2023-11-01T10:15:30.000Z',
+      entries: [{ rank: 1, member: 'user-1', score: 3 }],
+    };
+
+    beforeEach(() => {
+      jest.spyOn(leaderboardService, 'getLeaderboard').mockResolvedValue(leaderboard);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should return 200 and the leaderboard if the user is admin', async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .get('/v1/leaderboards/active-users')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual(leaderboard);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).get('/v1/leaderboards/active-users').send().expect(httpStatus.UNAUTHORIZED);
+    });
+
+    test('should return 403 error if logged in user is not admin', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/leaderboards/active-users')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+
+      expect(leaderboardService.getLeaderboard).not.toHaveBeenCalled();
+    });
+  });
+});
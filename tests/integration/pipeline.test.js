@@ -0,0 +1,267 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Pipeline, PipelineVersion } = require('../../src/models');
+const { pipelineService } = require('../../src/services');
+const { pipelineOne, pipelineTwo, insertPipelines } = require('../fixtures/pipeline.fixture');
+const { userOne, admin, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Pipeline routes', () => {
+  describe('POST /v1/pipelines', () => {
+    let newPipeline;
+
+    beforeEach(() => {
+      newPipeline = {
+        name: 'Signup events',
+        eventType: 'user-signup',
+        steps: [{ type: 'transformer', name: 'fieldRename', config: { fieldMap: { uid: 'userId' } } }],
+      };
+    });
+
+    test('should return 201 and successfully create new pipeline if data is ok', async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .post('/v1/pipelines')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(newPipeline)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toEqual({ id: expect.anything(), ...newPipeline, enabled: true, activeVersion: 1, latestVersion: 1 });
+
+      const dbPipeline = await Pipeline.findById(res.body.id);
+      expect(dbPipeline).toMatchObject({ name: newPipeline.name, eventType: newPipeline.eventType, enabled: true });
+      const dbVersion = await PipelineVersion.findOne({ pipeline: res.body.id, version: 1 });
+      expect(dbVersion.toJSON().steps).toEqual(newPipeline.steps);
+    });
+
+    test('should return 403 error if logged in user is not admin', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/pipelines')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newPipeline)
+        .expect(httpStatus.FORBIDDEN);
+    });
+
+    test('should return 400 error if event type already has a pipeline', async () => {
+      await insertUsers([admin]);
+      await insertPipelines([pipelineOne]);
+      newPipeline.eventType = pipelineOne.eventType;
+
+      await request(app)
+        .post('/v1/pipelines')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(newPipeline)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if a step refers to an unknown transformer', async () => {
+      await insertUsers([admin]);
+      newPipeline.steps[0].name = 'doesNotExist';
+
+      await request(app)
+        .post('/v1/pipelines')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(newPipeline)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('GET /v1/pipelines', () => {
+    test('should return 200 and apply the default query options', async () => {
+      await insertUsers([admin]);
+      await insertPipelines([pipelineOne, pipelineTwo]);
+
+      const res = await request(app)
+        .get('/v1/pipelines')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ page: 1, limit: 10, totalPages: 1, totalResults: 2 });
+      expect(res.body.results).toHaveLength(2);
+    });
+
+    test('should correctly apply filter on enabled field', async () => {
+      await insertUsers([admin]);
+      await insertPipelines([pipelineOne, pipelineTwo]);
+
+      const res = await request(app)
+        .get('/v1/pipelines')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .query({ enabled: false })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.results).toHaveLength(1);
+      expect(res.body.results[0].id).toBe(pipelineTwo._id.toHexString());
+    });
+  });
+
+  describe('GET /v1/pipelines/:pipelineId', () => {
+    test('should return 404 error if pipeline is not found', async () => {
+      await insertUsers([admin]);
+
+      await request(app)
+        .get(`/v1/pipelines/${pipelineOne._id}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('PATCH /v1/pipelines/:pipelineId', () => {
+    test('should return 200 and make the update visible to the queue processor', async () => {
+      await insertUsers([admin]);
+      await insertPipelines([pipelineOne]);
+      await expect(pipelineService.getActivePipeline(pipelineOne.eventType)).resolves.toMatchObject({ enabled: true });
+
+      const res = await request(app)
+        .patch(`/v1/pipelines/${pipelineOne._id}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ enabled: false })
+        .expect(httpStatus.OK);
+
+      expect(res.body.enabled).toBe(false);
+      await expect(pipelineService.getActivePipeline(pipelineOne.eventType)).resolves.toMatchObject({ enabled: false });
+    });
+  });
+
+  describe('DELETE /v1/pipelines/:pipelineId', () => {
+    test('should return 204 and fall back to the built-in pipeline', async () => {
+      await insertUsers([admin]);
+      await insertPipelines([pipelineOne]);
+
+      await request(app)
+        .delete(`/v1/pipelines/${pipelineOne._id}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.NO_CONTENT);
+
+      expect(await Pipeline.findById(pipelineOne._id)).toBeNull();
+      await expect(pipelineService.getActivePipeline(pipelineOne.eventType)).resolves.toBeNull();
+    });
+  });
+
+  describe('Pipeline versions', () => {
+    const newSteps = [{ type: 'processor', name: 'anomalyDetector', config: { field: 'amount', method: 'zscore' } }];
+
+    beforeEach(async () => {
+      await insertUsers([admin]);
+      await request(app)
+        .post('/v1/pipelines')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ name: pipelineOne.name, eventType: pipelineOne.eventType, steps: pipelineOne.steps })
+        .expect(httpStatus.CREATED);
+    });
+
+    const getPipelineId = async () => (await Pipeline.findOne({ eventType: pipelineOne.eventType })).id;
+
+    test('should create and activate a new version when the steps change', async () => {
+      const pipelineId = await getPipelineId();
+
+      const res = await request(app)
+        .patch(`/v1/pipelines/${pipelineId}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ steps: newSteps })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ steps: newSteps, activeVersion: 2, latestVersion: 2 });
+
+      const versions = await request(app)
+        .get(`/v1/pipelines/${pipelineId}/versions`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(versions.body.results.map((version) => version.version)).toEqual([2, 1]);
+      await expect(pipelineService.getActivePipeline(pipelineOne.eventType)).resolves.toMatchObject({ version: 2 });
+    });
+
+    test('should return 409 error and keep the pipeline if another update created the version first', async () => {
+      const pipelineId = await getPipelineId();
+      await PipelineVersion.create({ pipeline: pipelineId, version: 2, steps: pipelineOne.steps });
+
+      await request(app)
+        .patch(`/v1/pipelines/${pipelineId}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ steps: newSteps })
+        .expect(httpStatus.CONFLICT);
+
+      const dbPipeline = await Pipeline.findById(pipelineId);
+      expect(dbPipeline).toMatchObject({ activeVersion: 1, latestVersion: 1 });
+      expect(await PipelineVersion.countDocuments({ pipeline: pipelineId })).toBe(2);
+    });
+
+    test('should not create a version when only the enabled flag changes', async () => {
+      const pipelineId = await getPipelineId();
+
+      const res = await request(app)
+        .patch(`/v1/pipelines/${pipelineId}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ enabled: false })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ activeVersion: 1, latestVersion: 1 });
+      expect(await PipelineVersion.countDocuments({ pipeline: pipelineId })).toBe(1);
+    });
+
+    test('should roll back to a previous version', async () => {
+      const pipelineId = await getPipelineId();
+      await request(app)
+        .patch(`/v1/pipelines/${pipelineId}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ steps: newSteps })
+        .expect(httpStatus.OK);
+
+      const res = await request(app)
+        .post(`/v1/pipelines/${pipelineId}/versions/1/activate`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ steps: pipelineOne.steps, activeVersion: 1, latestVersion: 2 });
+      await expect(pipelineService.getActivePipeline(pipelineOne.eventType)).resolves.toMatchObject({
+        version: 1,
+        steps: pipelineOne.steps,
+      });
+    });
+
+    test('should return 404 error if the version does not exist', async () => {
+      const pipelineId = await getPipelineId();
+
+      await request(app)
+        .post(`/v1/pipelines/${pipelineId}/versions/5/activate`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('POST /v1/pipelines/dry-run', () => {
+    test('should run a stored pipeline version without updating the pipeline', async () => {
+      await insertUsers([admin]);
+      const created = await request(app)
+        .post('/v1/pipelines')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ name: pipelineOne.name, eventType: pipelineOne.eventType, steps: pipelineOne.steps })
+        .expect(httpStatus.CREATED);
+
+      const res = await request(app)
+        .post('/v1/pipelines/dry-run')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ pipelineId: created.body.id, version: 1, input: { orderId: 'o-1', amount: 5, note: 'x' } })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ output: { orderId: 'o-1', amount: 5 }, error: null });
+      expect(res.body.steps).toHaveLength(1);
+      expect(await PipelineVersion.countDocuments({ pipeline: created.body.id })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { Pipeline } = require('../../../src/models');
+
+describe('Pipeline model', () => {
+  describe('Pipeline validation', () => {
+    let newPipeline;
+    beforeEach(() => {
+      newPipeline = {
+        name: 'Order events',
+        eventType: 'order-created',
+        steps: [{ type: 'transformer', name: 'fieldFilter', config: { fields: ['orderId'] } }],
+      };
+    });
+
+    test('should correctly validate a valid pipeline', async () => {
+      await expect(new Pipeline(newPipeline).validate()).resolves.toBeUndefined();
+    });
+
+    test('should enable new pipelines by default', () => {
+      expect(new Pipeline(newPipeline).enabled).toBe(true);
+    });
+
+    test('should throw a validation error if there are no steps', async () => {
+      newPipeline.steps = [];
+      await expect(new Pipeline(newPipeline).validate()).rejects.toThrow();
+    });
+
+    test('should throw a validation error if a step type is unknown', async () => {
+      newPipeline.steps[0].type = 'script';
+      await expect(new Pipeline(newPipeline).validate()).rejects.toThrow();
+    });
+
+    test('should throw a validation error if event type is missing', async () => {
+      delete newPipeline.eventType;
+      await expect(new Pipeline(newPipeline).validate()).rejects.toThrow();
+    });
+  });
+
+  describe('Pipeline toJSON()', () => {
+    test('should keep empty step configs', () => {
+      const pipeline = new Pipeline({ name: 'n', eventType: 't', steps: [{ type: 'transformer', name: 'fieldFilter' }] });
+      expect(pipeline.toJSON().steps).toEqual([{ type: 'transformer', name: 'fieldFilter', config: {} }]);
+    });
+  });
+});
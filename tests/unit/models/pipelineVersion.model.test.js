@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { PipelineVersion } = require('../../../src/models');
+
+describe('PipelineVersion model', () => {
+  let newVersion;
+  beforeEach(() => {
+    newVersion = {
+      pipeline: mongoose.Types.ObjectId(),
+      version: 2,
+      steps: [{ type: 'processor', name: 'anomalyDetector', config: { field: 'value' } }],
+    };
+  });
+
+  test('should correctly validate a valid version', async () => {
+    await expect(new PipelineVersion(newVersion).validate()).resolves.toBeUndefined();
+  });
+
+  test('should throw a validation error if version number is missing', async () => {
+    delete newVersion.version;
+    await expect(new PipelineVersion(newVersion).validate()).rejects.toThrow();
+  });
+
+  test('should not change the steps of a saved version', () => {
+    const pipelineVersion = new PipelineVersion(newVersion);
+    pipelineVersion.isNew = false;
+
+    pipelineVersion.steps = [{ type: 'transformer', name: 'fieldFilter' }];
+    pipelineVersion.version = 3;
+
+    expect(pipelineVersion.toJSON()).toMatchObject({ version: 2, steps: newVersion.steps });
+  });
+});
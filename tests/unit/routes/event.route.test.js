@@ -0,0 +1,383 @@
+const http = require('http');
+const EventEmitter = require('events');
+const express = require('express');
+const httpStatus = require('http-status');
+const request = require('supertest');
+
+jest.mock('../../../src/utils/queue/QueueManager', () => ({
+  getQueue: jest.fn(),
+  addJob: jest.fn(),
+  addBulkJobs: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/dataProcessor/dataProcessingService', () => ({
+  getDataProcessingService: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/cache', () => ({
+  setIfNotExists: jest.fn(),
+  get: jest.fn(),
+  del: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/gateway', () => ({
+  getResultBroadcaster: jest.fn(),
+}));
+
+const queueManager = require('../../../src/utils/queue/QueueManager');
+const cacheService = require('../../../src/utils/cache');
+const { getResultBroadcaster } = require('../../../src/utils/gateway');
+const { getDataProcessingService } = require('../../../src/utils/dataProcessor/dataProcessingService');
+const eventRoute = require('../../../src/routes/v1/event.route');
+const { eventController } = require('../../../src/controllers');
+const { errorConverter, errorHandler } = require('../../../src/middlewares/error');
+
+describe('Event routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use('/v1/events', eventRoute);
+    app.use(errorConverter);
+    app.use(errorHandler);
+
+    queueManager.getQueue.mockReturnValue({ name: 'event-data-processing' });
+    queueManager.addJob.mockResolvedValue({ id: '1' });
+    queueManager.addBulkJobs.mockImplementation(async (name, jobs) =>
+      jobs.map((job, index) => ({ id: String(index + 10) }))
+    );
+    getDataProcessingService.mockReturnValue({ dataProcessor: { options: { batchSize: 2 } } });
+
+    // in-memory stand-in for the Redis idempotency window
+    const store = new Map();
+    cacheService.setIfNotExists.mockImplementation(async (entity, operation, identifier, value) => {
+      const key = `${entity}:${operation}:${identifier}`;
+      if (store.has(key)) {
+        return false;
+      }
+      store.set(key, value);
+      return true;
+    });
+    cacheService.get.mockImplementation(async (entity, operation, identifier) =>
+      store.get(`${entity}:${operation}:${identifier}`)
+    );
+    cacheService.del.mockImplementation(async (entity, operation, identifier) =>
+      store.delete(`${entity}:${operation}:${identifier}`)
+    );
+  });
+
+  describe('POST /v1/events', () => {
+    test('should return 202 and the job id when a single event is ingested', async () => {
+      const event = { type: 'system-metrics', metric: 'cpu_usage', value: 42.5, host: 'server-01' };
+
+      const res = await request(app).post('/v1/events').send(event).expect(httpStatus.ACCEPTED);
+
+      expect(res.body).toEqual({ accepted: 1, replayed: 0, jobs: [{ jobId: '1', type: 'system-metrics' }] });
+      expect(queueManager.addJob).toHaveBeenCalledWith(
+        'event-data-processing',
+        expect.objectContaining({ data: event, meta: expect.objectContaining({ source: 'http' }) }),
+        {}
+      );
+    });
+
+    test('should enqueue an array of events in bulk and return one job id per event', async () => {
+      const events = [
+        { type: 'user-activity', uid: 'user_123', act: 'login' },
+        { type: 'system-metrics', metric: 'cpu_usage', value: 1 },
+      ];
+
+      const res = await request(app).post('/v1/events').send(events).expect(httpStatus.ACCEPTED);
+
+      expect(res.body.accepted).toBe(2);
+      expect(res.body.jobs).toEqual([
+        { jobId: '10', type: 'user-activity' },
+        { jobId: '11', type: 'system-metrics' },
+      ]);
+      expect(queueManager.addBulkJobs).toHaveBeenCalledWith('event-data-processing', [
+        { data: expect.objectContaining({ data: events[0] }), opts: {} },
+        { data: expect.objectContaining({ data: events[1] }), opts: {} },
+      ]);
+    });
+
+    test('should return the original job ids when an Idempotency-Key is replayed', async () => {
+      const events = [
+        { type: 'user-activity', uid: 'user_123', act: 'login' },
+        { type: 'system-metrics', metric: 'cpu_usage', value: 1 },
+      ];
+
+      const first = await request(app)
+        .post('/v1/events')
+        .set('Idempotency-Key', 'upload-1')
+        .send(events)
+        .expect(httpStatus.ACCEPTED);
+      const second = await request(app)
+        .post('/v1/events')
+        .set('Idempotency-Key', 'upload-1')
+        .send(events)
+        .expect(httpStatus.ACCEPTED);
+
+      expect(first.body).toMatchObject({ accepted: 2, replayed: 0 });
+      expect(second.body).toMatchObject({ accepted: 0, replayed: 2 });
+      expect(second.body.jobs.map((job) => job.jobId)).toEqual(first.body.jobs.map((job) => job.jobId));
+      expect(queueManager.addBulkJobs).toHaveBeenCalledTimes(1);
+      expect(queueManager.addBulkJobs.mock.calls[0][1].map((job) => job.opts.jobId)).toEqual(
+        first.body.jobs.map((job) => job.jobId)
+      );
+    });
+
+    test('should return 422 if an Idempotency-Key is reused with a different payload', async () => {
+      await request(app)
+        .post('/v1/events')
+        .set('Idempotency-Key', 'upload-1')
+        .send({ type: 'user-activity' })
+        .expect(httpStatus.ACCEPTED);
+
+      await request(app)
+        .post('/v1/events')
+        .set('Idempotency-Key', 'upload-1')
+        .send({ type: 'system-metrics' })
+        .expect(httpStatus.UNPROCESSABLE_ENTITY);
+    });
+
+    test('should release the Idempotency-Key if the events could not be enqueued', async () => {
+      queueManager.addJob.mockRejectedValueOnce(new Error('Redis connection lost'));
+
+      await request(app)
+        .post('/v1/events')
+        .set('Idempotency-Key', 'upload-1')
+        .send({ type: 'user-activity' })
+        .expect(httpStatus.INTERNAL_SERVER_ERROR);
+      const res = await request(app)
+        .post('/v1/events')
+        .set('Idempotency-Key', 'upload-1')
+        .send({ type: 'user-activity' })
+        .expect(httpStatus.ACCEPTED);
+
+      expect(res.body.replayed).toBe(0);
+      expect(queueManager.addJob).toHaveBeenCalledTimes(2);
+    });
+
+    test('should return 400 if the Idempotency-Key is too long', async () => {
+      await request(app)
+        .post('/v1/events')
+        .set('Idempotency-Key', 'k'.repeat(256))
+        .send({ type: 'user-activity' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should not enqueue events whose id was already ingested', async () => {
+      await request(app).post('/v1/events').send({ id: 'evt-1', type: 'user-activity' }).expect(httpStatus.ACCEPTED);
+
+      const res = await request(app)
+        .post('/v1/events')
+        .send([
+          { id: 'evt-1', type: 'user-activity' },
+          { id: 'evt-2', type: 'user-activity' },
+        ])
+        .expect(httpStatus.ACCEPTED);
+
+      expect(res.body.accepted).toBe(1);
+      expect(res.body.replayed).toBe(1);
+      expect(res.body.jobs[0]).toEqual({
+        jobId: queueManager.addJob.mock.calls[0][2].jobId,
+        type: 'user-activity',
+        replayed: true,
+      });
+      expect(queueManager.addJob).toHaveBeenCalledTimes(2);
+      expect(queueManager.addJob.mock.calls[1][1].data).toEqual({ id: 'evt-2', type: 'user-activity' });
+    });
+
+    test('should return 400 if an event has no type', async () => {
+      await request(app).post('/v1/events').send({ value: 1 }).expect(httpStatus.BAD_REQUEST);
+
+      expect(queueManager.addJob).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 if the batch is empty', async () => {
+      await request(app).post('/v1/events').send([]).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 503 if the processing queue has not been created', async () => {
+      queueManager.getQueue.mockReturnValue(null);
+
+      await request(app).post('/v1/events').send({ type: 'user-activity' }).expect(httpStatus.SERVICE_UNAVAILABLE);
+    });
+  });
+
+  describe('POST /v1/events/bulk', () => {
+    const ndjson = (lines) => lines.join('\n');
+
+    test('should enqueue valid lines in chunks of the batch size and report rejected lines', async () => {
+      let jobId = 0;
+      queueManager.addJob.mockImplementation(async () => {
+        jobId += 1;
+        return { id: String(jobId) };
+      });
+
+      const body = ndjson([
+        '{"type":"system-metrics","value":1}',
+        '{"type":"system-metrics",',
+        '{"type":"system-metrics","value":2}',
+        '',
+        '{"value":3}',
+        '{"type":"user-activity","uid":"user_123"}',
+      ]);
+
+      const res = await request(app)
+        .post('/v1/events/bulk')
+        .set('Content-Type', 'application/x-ndjson')
+        .send(body)
+        .expect(httpStatus.ACCEPTED);
+
+      expect(res.body).toMatchObject({ lines: 6, accepted: 3, rejected: 2, errorsTruncated: false });
+      expect(res.body.jobs).toEqual([
+        { jobId: '1', firstLine: 1, lastLine: 3, count: 2 },
+        { jobId: '2', firstLine: 6, lastLine: 6, count: 1 },
+      ]);
+      expect(res.body.errors.map((error) => error.line)).toEqual([2, 5]);
+      expect(queueManager.addJob).toHaveBeenNthCalledWith(
+        1,
+        'batch-data-processing',
+        expect.objectContaining({
+          data: {
+            items: [
+              { type: 'system-metrics', value: 1 },
+              { type: 'system-metrics', value: 2 },
+            ],
+          },
+        }),
+        { jobId: expect.any(String) }
+      );
+    });
+
+    test('should skip events whose id was already ingested and report their original job', async () => {
+      await request(app)
+        .post('/v1/events/bulk')
+        .set('Content-Type', 'application/x-ndjson')
+        .send('{"id":"evt-1","type":"user-activity"}')
+        .expect(httpStatus.ACCEPTED);
+      const originalJobId = queueManager.addJob.mock.calls[0][2].jobId;
+
+      const res = await request(app)
+        .post('/v1/events/bulk')
+        .set('Content-Type', 'application/x-ndjson')
+        .send(ndjson(['{"id":"evt-2","type":"user-activity"}', '{"id":"evt-1","type":"user-activity"}']))
+        .expect(httpStatus.ACCEPTED);
+
+      expect(res.body).toMatchObject({ lines: 2, accepted: 1, replayed: 1, replays: [{ line: 2, jobId: originalJobId }] });
+      expect(queueManager.addJob).toHaveBeenLastCalledWith(
+        'batch-data-processing',
+        expect.objectContaining({ data: { items: [{ id: 'evt-2', type: 'user-activity' }] } }),
+        { jobId: expect.any(String) }
+      );
+    });
+
+    test('should return 415 if the body is not ndjson', async () => {
+      await request(app).post('/v1/events/bulk').send({ type: 'user-activity' }).expect(httpStatus.UNSUPPORTED_MEDIA_TYPE);
+    });
+
+    test('should return 503 if the data processing service is not initialized', async () => {
+      getDataProcessingService.mockReturnValue(null);
+
+      await request(app)
+        .post('/v1/events/bulk')
+        .set('Content-Type', 'application/x-ndjson')
+        .send('{"type":"user-activity"}')
+        .expect(httpStatus.SERVICE_UNAVAILABLE);
+    });
+  });
+
+  describe('GET /v1/events/stream', () => {
+    test('should stream matching results as server-sent events', async () => {
+      const unsubscribe = jest.fn();
+      const broadcaster = {
+        subscribe: jest.fn().mockImplementation((subscription, listener) => {
+          setImmediate(() => listener({ type: 'system-metrics', result: [{ value_isAnomaly: true }] }));
+          return unsubscribe;
+        }),
+      };
+      getResultBroadcaster.mockReturnValue(broadcaster);
+
+      const server = app.listen(0);
+      const { headers, data } = await new Promise((resolve, reject) => {
+        const query = 'type=system-metrics&filter=value_isAnomaly%20%3D%3D%20true';
+        http
+          .get(`http://localhost:${server.address().port}/v1/events/stream?${query}`, (res) => {
+            let received = '';
+            res.on('data', (chunk) => {
+              received += chunk.toString();
+              if (received.includes('event: result')) {
+                res.destroy();
+                resolve({ headers: res.headers, data: received });
+              }
+            });
+          })
+          .on('error', reject);
+      });
+      server.close();
+
+      expect(headers['content-type']).toMatch('text/event-stream');
+      expect(data).toContain('data: {"type":"system-metrics","result":[{"value_isAnomaly":true}]}');
+      expect(broadcaster.subscribe).toHaveBeenCalledWith(
+        { type: 'system-metrics', filter: 'value_isAnomaly == true' },
+        expect.any(Function)
+      );
+    });
+
+    // drives the controller with stand-ins for the request and the response, so writes can be made to report a full buffer
+    const openStream = (user) => {
+      const req = Object.assign(new EventEmitter(), { query: {}, user });
+      const res = Object.assign(new EventEmitter(), {
+        set: jest.fn(),
+        status: jest.fn(),
+        flushHeaders: jest.fn(),
+        write: jest.fn().mockReturnValue(true),
+      });
+      eventController.streamResults(req, res);
+      return { req, res };
+    };
+
+    test('should drop results while the client does not drain the stream and report how many were dropped', () => {
+      let listener;
+      getResultBroadcaster.mockReturnValue({
+        subscribe: jest.fn((subscription, callback) => {
+          listener = callback;
+          return jest.fn();
+        }),
+      });
+      const { req, res } = openStream({ id: 'admin-1', role: 'admin' });
+
+      res.write.mockReturnValueOnce(false);
+      listener({ type: 'system-metrics', result: 1 });
+      listener({ type: 'system-metrics', result: 2 });
+      listener({ type: 'system-metrics', result: 3 });
+      res.emit('drain');
+      listener({ type: 'system-metrics', result: 4 });
+      req.emit('close');
+
+      expect(res.write.mock.calls.map(([chunk]) => chunk)).toEqual([
+        'retry: 5000\n\n',
+        'event: result\ndata: {"type":"system-metrics","result":1}\n\n',
+        'event: dropped\ndata: {"count":2}\n\n',
+        'event: result\ndata: {"type":"system-metrics","result":4}\n\n',
+      ]);
+    });
+
+    test('should only stream the results of their own events to users', () => {
+      const subscribe = jest.fn().mockReturnValue(jest.fn());
+      getResultBroadcaster.mockReturnValue({ subscribe });
+
+      openStream({ id: 'user-1', role: 'user' }).req.emit('close');
+      openStream({ id: 'admin-1', role: 'admin' }).req.emit('close');
+
+      expect(subscribe.mock.calls.map(([subscription]) => subscription.userId)).toEqual(['user-1', undefined]);
+    });
+
+    test('should return 400 if the filter expression is invalid', async () => {
+      await request(app).get('/v1/events/stream').query({ filter: 'value >' }).expect(httpStatus.BAD_REQUEST);
+    });
+  });
+});
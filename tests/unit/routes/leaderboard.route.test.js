@@ -0,0 +1,83 @@
+const express = require('express');
+const httpStatus = require('http-status');
+const request = require('supertest');
+
+jest.mock('../../../src/utils/dataProcessor/dataProcessingService', () => ({
+  getDataProcessingService: jest.fn(),
+}));
+
+const { getDataProcessingService } = require('../../../src/utils/dataProcessor/dataProcessingService');
+const leaderboardRoute = require('../../../src/routes/v1/leaderboard.route');
+const { errorConverter, errorHandler } = require('../../../src/middlewares/error');
+
+describe('Leaderboard routes', () => {
+  let app;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use('/v1/leaderboards', leaderboardRoute);
+    app.use(errorConverter);
+    app.use(errorHandler);
+
+    service = { getLeaderboard: jest.fn() };
+    getDataProcessingService.mockReturnValue(service);
+  });
+
+  describe('GET /v1/leaderboards/:key', () => {
+    test('should return 200 and the ranking for the requested window and group', async () => {
+      const leaderboard = {
+        key: 'slow-hosts',
+        operation: 'max',
+        group: { region: 'eu' },
+        window: 900000,
+        from: '2023-11-01T10:00:00.000Z',
+        to: '2023-11-01T10:14:30.000Z',
+        entries: [{ rank: 1, member: 'server-01', score: 250 }],
+      };
+      service.getLeaderboard.mockResolvedValue(leaderboard);
+
+      const res = await request(app)
+        .get('/v1/leaderboards/slow-hosts')
+        .query({ window: 900000, limit: 5, 'group[region]': 'eu' })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual(leaderboard);
+      expect(service.getLeaderboard).toHaveBeenCalledWith('slow-hosts', {
+        window: 900000,
+        limit: 5,
+        group: { region: 'eu' },
+      });
+    });
+
+    test('should default the limit and group', async () => {
+      service.getLeaderboard.mockResolvedValue({ key: 'active-users', entries: [] });
+
+      await request(app).get('/v1/leaderboards/active-users').expect(httpStatus.OK);
+
+      expect(service.getLeaderboard).toHaveBeenCalledWith('active-users', { limit: 10, group: {} });
+    });
+
+    test('should return 404 if the leaderboard does not exist', async () => {
+      service.getLeaderboard.mockResolvedValue(null);
+
+      await request(app).get('/v1/leaderboards/missing').expect(httpStatus.NOT_FOUND);
+    });
+
+    test('should return 400 for an invalid window or limit', async () => {
+      await request(app).get('/v1/leaderboards/top-pages').query({ window: 0 }).expect(httpStatus.BAD_REQUEST);
+      await request(app).get('/v1/leaderboards/top-pages').query({ limit: 5000 }).expect(httpStatus.BAD_REQUEST);
+
+      expect(service.getLeaderboard).not.toHaveBeenCalled();
+    });
+
+    test('should return 503 if the data processing service is not initialized', async () => {
+      getDataProcessingService.mockReturnValue(null);
+
+      await request(app).get('/v1/leaderboards/top-pages').expect(httpStatus.SERVICE_UNAVAILABLE);
+    });
+  });
+});
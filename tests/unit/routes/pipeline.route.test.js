@@ -0,0 +1,109 @@
+const express = require('express');
+const httpStatus = require('http-status');
+const request = require('supertest');
+
+jest.mock('../../../src/utils/cache', () => ({
+  del: jest.fn(),
+  getWithProtection: jest.fn(),
+}));
+
+const pipelineRoute = require('../../../src/routes/v1/pipeline.route');
+const { errorConverter, errorHandler } = require('../../../src/middlewares/error');
+
+describe('Pipeline routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/v1/pipelines', pipelineRoute);
+    app.use(errorConverter);
+    app.use(errorHandler);
+  });
+
+  describe('POST /v1/pipelines/dry-run', () => {
+    test('should return 200 and the trace of every executed step', async () => {
+      const res = await request(app)
+        .post('/v1/pipelines/dry-run')
+        .send({
+          steps: [
+            { type: 'transformer', name: 'fieldRename', config: { fieldMap: { uid: 'userId' } } },
+            { type: 'transformer', name: 'fieldFilter', config: { fields: ['userId'] } },
+          ],
+          input: { type: 'user-activity', uid: 'user_123' },
+        })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual({
+        output: { userId: 'user_123' },
+        error: null,
+        stopped: false,
+        duration: expect.any(Number),
+        steps: [
+          {
+            index: 0,
+            type: 'transformer',
+            name: 'fieldRename',
+            value: { type: 'user-activity', userId: 'user_123' },
+            duration: expect.any(Number),
+            error: null,
+            stopped: false,
+          },
+          {
+            index: 1,
+            type: 'transformer',
+            name: 'fieldFilter',
+            value: { userId: 'user_123' },
+            duration: expect.any(Number),
+            error: null,
+            stopped: false,
+          },
+        ],
+      });
+    });
+
+    test('should report the failing step instead of returning an error response', async () => {
+      const res = await request(app)
+        .post('/v1/pipelines/dry-run')
+        .send({
+          steps: [
+            {
+              type: 'transformer',
+              name: 'dataValidator',
+              config: { validations: { value: { required: true } }, throwOnError: true },
+            },
+          ],
+          input: { type: 'system-metrics' },
+        })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ output: null, error: "Validation failed: Field 'value' is required" });
+      expect(res.body.steps).toEqual([expect.objectContaining({ name: 'dataValidator', error: res.body.error })]);
+    });
+
+    test('should return 400 if a step refers to an unknown processor', async () => {
+      await request(app)
+        .post('/v1/pipelines/dry-run')
+        .send({ steps: [{ type: 'processor', name: 'doesNotExist' }], input: {} })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 if both steps and pipelineId are given', async () => {
+      await request(app)
+        .post('/v1/pipelines/dry-run')
+        .send({
+          pipelineId: '5ebac534954b54139806c113',
+          steps: [{ type: 'transformer', name: 'fieldFilter' }],
+          input: {},
+        })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 if input is missing', async () => {
+      await request(app)
+        .post('/v1/pipelines/dry-run')
+        .send({ steps: [{ type: 'transformer', name: 'fieldFilter' }] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+});
@@ -0,0 +1,367 @@
+jest.mock('../../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const EventEmitter = require('events');
+const { AnomalyAlerter, normalizeAlertConfig, alertSeverity } = require('../../../../src/utils/alert');
+const AlertManager = require('../../../../src/utils/monitoring/AlertManager');
+const { createDataProcessor } = require('../../../../src/utils/dataProcessor');
+
+// alertSeries 是注册到Redis客户端的Lua脚本，这里按脚本的语义在内存中保存序列状态；
+// duplicate 创建的订阅连接与所有客户端共享频道，发布的消息同步投递
+const createRedis = () => {
+  const series = new Map();
+  const subscribers = new Set();
+  return {
+    series,
+    alertSeries: jest.fn(async (key, mode, rank, resolveAfter, stateTtl, instance) => {
+      const state = series.get(key);
+      const owner = state ? state.owner : '';
+      if (mode === 'restore') {
+        if (rank < 0) {
+          series.delete(key);
+        } else if (state) {
+          state.severity = rank;
+        }
+        return ['restore', rank, owner];
+      }
+      if (mode === 'claim') {
+        if (state) {
+          state.owner = instance;
+        }
+        return ['claim', state ? state.severity : -1, instance];
+      }
+      if (mode === 'normal') {
+        if (!state) {
+          return ['none', 0, ''];
+        }
+        state.normal += 1;
+        if (state.normal >= resolveAfter) {
+          series.delete(key);
+          return ['resolve', state.normal, owner];
+        }
+        return ['normal', state.normal, owner];
+      }
+      if (state && rank <= state.severity) {
+        state.normal = 0;
+        return ['deduplicate', state.severity, owner];
+      }
+      series.set(key, { severity: rank, normal: 0, owner: state ? owner : instance });
+      return [state ? 'escalate' : 'raise', state ? state.severity : -1, state ? owner : instance];
+    }),
+    del: jest.fn(async (key) => Number(series.delete(key))),
+    publish: jest.fn(async (channel, raw) => {
+      const receivers = [...subscribers].filter((subscriber) => subscriber.channels.has(channel));
+      receivers.forEach((subscriber) => subscriber.emit('message', channel, raw));
+      return receivers.length;
+    }),
+    duplicate: () => {
+      const subscriber = new EventEmitter();
+      subscriber.channels = new Set();
+      subscriber.subscribe = jest.fn(async (channel) => {
+        subscriber.channels.add(channel);
+      });
+      subscriber.quit = jest.fn(async () => {
+        subscribers.delete(subscriber);
+      });
+      subscribers.add(subscriber);
+      return subscriber;
+    },
+  };
+};
+
+const point = (host, value, isAnomaly, score = null) => ({
+  host,
+  metric: 'cpu',
+  avgValue: value,
+  avgValue_isAnomaly: isAnomaly,
+  avgValue_score: score,
+  avgValue_expected: 20,
+});
+
+describe('Anomaly alerts', () => {
+  let alertManager;
+
+  beforeEach(() => {
+    alertManager = new AlertManager();
+  });
+
+  afterEach(() => {
+    alertManager.shutdown();
+  });
+
+  describe('normalizeAlertConfig', () => {
+    test('should default to warning alerts escalated by score and resolved by one normal record', () => {
+      expect(normalizeAlertConfig({ field: 'avgValue', seriesBy: 'host' })).toEqual({
+        name: 'data_anomaly',
+        field: 'avgValue',
+        seriesBy: ['host'],
+        labels: [],
+        flagField: 'avgValue_isAnomaly',
+        scoreField: null,
+        expectedField: 'avgValue_expected',
+        severity: 'warning',
+        escalation: [
+          { severity: 'error', minScore: 5 },
+          { severity: 'critical', minScore: 8 },
+        ],
+        resolveAfter: 1,
+        stateTtl: 7 * 24 * 60 * 60 * 1000,
+      });
+    });
+
+    test('should reject invalid alert configurations', () => {
+      expect(() => normalizeAlertConfig({})).toThrow('Alert step requires a field');
+      expect(() => normalizeAlertConfig({ field: 'v', name: 'cpu alert' })).toThrow('Alert name must contain only');
+      expect(() => normalizeAlertConfig({ field: 'v', severity: 'fatal' })).toThrow('Invalid alert severity: fatal');
+      expect(() => normalizeAlertConfig({ field: 'v', escalation: { urgent: 4 } })).toThrow(
+        'Invalid alert severity: urgent'
+      );
+      expect(() => normalizeAlertConfig({ field: 'v', escalation: { error: 0 } })).toThrow(
+        'Alert escalation threshold for error must be a positive number'
+      );
+      expect(() => normalizeAlertConfig({ field: 'v', resolveAfter: 0 })).toThrow('Alert resolveAfter must be');
+      expect(() => normalizeAlertConfig({ field: 'v', seriesBy: [1] })).toThrow('Alert seriesBy must be');
+      expect(() => normalizeAlertConfig({ field: 'v', stateTtl: 0 })).toThrow('Alert stateTtl must be');
+    });
+  });
+
+  describe('alertSeverity', () => {
+    test('should pick the highest level whose threshold the absolute score reaches', () => {
+      const config = normalizeAlertConfig({ field: 'v' });
+
+      expect(alertSeverity(config, 3.5)).toBe('warning');
+      expect(alertSeverity(config, -6)).toBe('error');
+      expect(alertSeverity(config, Infinity)).toBe('critical');
+      expect(alertSeverity(config, null)).toBe('warning');
+      expect(alertSeverity(normalizeAlertConfig({ field: 'v', severity: 'critical' }), 6)).toBe('critical');
+    });
+  });
+
+  describe('AnomalyAlerter', () => {
+    let redis;
+
+    beforeEach(() => {
+      redis = createRedis();
+    });
+
+    const config = normalizeAlertConfig({ name: 'metric_anomaly', field: 'avgValue', seriesBy: ['metric', 'host'] });
+
+    test('should raise one alert per series with labels derived from the record', async () => {
+      const alerter = new AnomalyAlerter({ alertManager, redis });
+
+      await alerter.process(config, [point('a', 90, true, 4.2), point('b', 21, false, 0.3), point('a', 95, true, 4.5)]);
+
+      expect(alertManager.getActiveAlerts()).toEqual([
+        expect.objectContaining({
+          name: 'metric_anomaly:cpu:a',
+          severity: 'warning',
+          labels: ['anomaly', 'metric_anomaly', 'metric=cpu', 'host=a'],
+          message: 'Anomalous avgValue 90 for metric=cpu, host=a (expected 20, score 4.2)',
+          data: { field: 'avgValue', value: 90, expected: 20, score: 4.2, series: { metric: 'cpu', host: 'a' } },
+        }),
+      ]);
+      expect(alerter.getMetrics()).toEqual({
+        raised: 1,
+        escalated: 0,
+        deduplicated: 1,
+        silenced: 0,
+        resolved: 0,
+        forwarded: 0,
+        active: 1,
+      });
+    });
+
+    test('should re-raise the alert only when its severity rises', async () => {
+      const alerter = new AnomalyAlerter({ alertManager, redis });
+      const alertSpy = jest.spyOn(alertManager, 'alert');
+
+      await alerter.process(config, [point('a', 90, true, 6), point('a', 80, true, 4), point('a', 99, true, 9)]);
+
+      expect(alertSpy).toHaveBeenCalledTimes(2);
+      expect(alertManager.getActiveAlerts()[0].severity).toBe('critical');
+      expect(alerter.getMetrics()).toMatchObject({ raised: 1, escalated: 1, deduplicated: 1 });
+    });
+
+    test('should resolve the alert once the series is back to normal', async () => {
+      const alerter = new AnomalyAlerter({ alertManager, redis });
+      const resolved = jest.fn();
+      alertManager.on('resolve', resolved);
+
+      await alerter.process(normalizeAlertConfig({ field: 'avgValue', seriesBy: 'host', resolveAfter: 2 }), [
+        point('a', 90, true, 4),
+        point('a', 21, false, 0.2),
+        point('a', 92, true, 4),
+        point('a', 21, false, 0.2),
+        point('a', 22, false, 0.4),
+      ]);
+
+      expect(resolved).toHaveBeenCalledTimes(1);
+      expect(resolved.mock.calls[0][0]).toMatchObject({
+        name: 'data_anomaly:a',
+        resolveMessage: 'avgValue back to normal after 2 records',
+      });
+      expect(alertManager.getActiveAlerts()).toEqual([]);
+      expect(alerter.getMetrics()).toMatchObject({ raised: 1, deduplicated: 1, resolved: 1, active: 0 });
+    });
+
+    test('should raise a new alert after the previous one was resolved by hand', async () => {
+      const alerter = new AnomalyAlerter({ alertManager, redis });
+
+      await alerter.process(config, point('a', 90, true, 4));
+      alertManager.resolve('metric_anomaly:cpu:a', 'handled');
+      await alerter.process(config, point('a', 91, true, 4));
+
+      expect(redis.del).toHaveBeenCalledWith('rdp:alert:metric_anomaly:cpu:a');
+      expect(alertManager.getActiveAlerts()).toHaveLength(1);
+      expect(alerter.getMetrics()).toMatchObject({ raised: 2, deduplicated: 0 });
+    });
+
+    test('should share the series state between the alerters of all instances', async () => {
+      const otherAlertManager = new AlertManager();
+      const first = new AnomalyAlerter({ alertManager, redis, instanceId: 'first' });
+      const second = new AnomalyAlerter({ alertManager: otherAlertManager, redis, instanceId: 'second' });
+
+      await first.process(config, point('a', 90, true, 4));
+      await second.process(config, point('a', 92, true, 4));
+
+      expect(redis.alertSeries).toHaveBeenCalledWith(
+        'rdp:alert:metric_anomaly:cpu:a',
+        'anomaly',
+        1,
+        1,
+        config.stateTtl,
+        'second'
+      );
+      expect(otherAlertManager.getActiveAlerts()).toEqual([]);
+      expect(second.getMetrics()).toMatchObject({ raised: 0, deduplicated: 1, active: 0 });
+      otherAlertManager.shutdown();
+    });
+
+    test('should escalate and resolve alerts on the instance that raised them', async () => {
+      const otherAlertManager = new AlertManager();
+      const first = new AnomalyAlerter({ alertManager, redis, instanceId: 'first' });
+      const second = new AnomalyAlerter({ alertManager: otherAlertManager, redis, instanceId: 'second' });
+
+      await first.process(config, point('a', 90, true, 4));
+      await second.process(config, point('a', 99, true, 9));
+
+      expect(redis.publish).toHaveBeenCalledWith('rdp:alert:instance:first', expect.any(String));
+      expect(alertManager.getActiveAlerts()).toEqual([
+        expect.objectContaining({ name: 'metric_anomaly:cpu:a', severity: 'critical' }),
+      ]);
+      expect(otherAlertManager.getActiveAlerts()).toEqual([]);
+
+      await second.process(config, point('a', 21, false, 0.2));
+
+      expect(alertManager.getActiveAlerts()).toEqual([]);
+      expect(redis.series.size).toBe(0);
+      expect(first.getMetrics()).toMatchObject({ raised: 1, escalated: 1, resolved: 1, active: 0 });
+      expect(second.getMetrics()).toMatchObject({ raised: 0, escalated: 0, resolved: 0, forwarded: 2 });
+
+      // 告警已解决，序列的下一次异常在处理它的实例上重新告警，不会留下重复的告警
+      await second.process(config, point('a', 95, true, 4));
+      expect(alertManager.getActiveAlerts()).toEqual([]);
+      expect(otherAlertManager.getActiveAlerts()).toEqual([expect.objectContaining({ name: 'metric_anomaly:cpu:a' })]);
+      otherAlertManager.shutdown();
+    });
+
+    test('should take over the alerts of an instance that is gone', async () => {
+      const otherAlertManager = new AlertManager();
+      const first = new AnomalyAlerter({ alertManager, redis, instanceId: 'first' });
+      const second = new AnomalyAlerter({ alertManager: otherAlertManager, redis, instanceId: 'second' });
+
+      await first.process(config, point('a', 90, true, 4));
+      await first.close();
+      await second.process(config, [point('a', 99, true, 9), point('a', 21, false, 0.2)]);
+
+      expect(otherAlertManager.getActiveAlerts()).toEqual([]);
+      expect(redis.series.size).toBe(0);
+      expect(second.getMetrics()).toMatchObject({ escalated: 1, resolved: 1, forwarded: 0 });
+      otherAlertManager.shutdown();
+    });
+
+    test('should only count alerts that were actually resolved', async () => {
+      const alerter = new AnomalyAlerter({ alertManager, redis });
+
+      await alerter.process(config, point('a', 90, true, 4));
+      jest.spyOn(alertManager, 'resolve').mockReturnValue(false);
+      await alerter.process(config, point('a', 21, false, 0.2));
+
+      expect(alertManager.resolve).toHaveBeenCalledWith('metric_anomaly:cpu:a', 'avgValue back to normal after 1 records');
+      expect(alerter.getMetrics()).toMatchObject({ raised: 1, resolved: 0 });
+    });
+
+    test('should respect silences and ignore records without a flag or value', async () => {
+      const alerter = new AnomalyAlerter({ alertManager, redis });
+      alertManager.silence('metric_anomaly:cpu:a', 0, ['host=a']);
+
+      await alerter.process(config, [point('a', 90, true, 4), { host: 'b', avgValue: 90 }, point('b', null, true, 4)]);
+
+      expect(alertManager.getActiveAlerts()).toEqual([]);
+      expect(redis.series.size).toBe(0);
+      expect(alerter.getMetrics()).toMatchObject({ raised: 0, silenced: 1 });
+    });
+
+    test('should use the z-score of the anomalyDetector processor when there is no score field', async () => {
+      const alerter = new AnomalyAlerter({ alertManager, redis });
+
+      await alerter.process(normalizeAlertConfig({ field: 'amount', labels: ['region'] }), {
+        amount: 5000,
+        region: 'eu',
+        amount_isAnomaly: true,
+        amount_zscore: 5.5,
+      });
+
+      expect(alertManager.getActiveAlerts()).toEqual([
+        expect.objectContaining({
+          name: 'data_anomaly',
+          severity: 'error',
+          labels: ['anomaly', 'data_anomaly', 'region=eu'],
+          message: 'Anomalous amount 5000 (score 5.5)',
+        }),
+      ]);
+    });
+  });
+
+  describe('alert step', () => {
+    let redis;
+
+    beforeEach(() => {
+      redis = createRedis();
+    });
+
+    const steps = [{ type: 'alert', config: { field: 'avgValue', seriesBy: 'host' } }];
+
+    test('should raise alerts and pass the data on unchanged', async () => {
+      const dataProcessor = createDataProcessor({ alerter: new AnomalyAlerter({ alertManager, redis }) });
+      const records = [point('a', 90, true, 4), point('b', 21, false, 0.1)];
+
+      await expect(dataProcessor.processItem(records, { pipeline: dataProcessor.compilePipeline(steps) })).resolves.toEqual(
+        records
+      );
+      expect(alertManager.getActiveAlerts().map((alert) => alert.name)).toEqual(['data_anomaly:a']);
+    });
+
+    test('should be skipped without an alert manager', async () => {
+      const dataProcessor = createDataProcessor({ alerter: new AnomalyAlerter({ redis }) });
+      const trace = [];
+
+      await expect(
+        dataProcessor.processItem(point('a', 90, true, 4), { pipeline: dataProcessor.compilePipeline(steps), trace })
+      ).resolves.toEqual(point('a', 90, true, 4));
+      expect(trace[0]).toMatchObject({ type: 'alert', skipped: true });
+    });
+
+    test('should reject invalid alert configurations when compiling', () => {
+      const dataProcessor = createDataProcessor();
+
+      expect(() =>
+        dataProcessor.compilePipeline([{ type: 'alert', config: { field: 'avgValue', severity: 'page' } }])
+      ).toThrow('Invalid alert severity: page');
+    });
+  });
+});
@@ -0,0 +1,210 @@
+jest.mock('../../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { AnomalyStore, normalizeAnomalyConfig, seasonSlot } = require('../../../../src/utils/anomaly');
+const { createDataProcessor } = require('../../../../src/utils/dataProcessor');
+
+const hour = 60 * 60 * 1000;
+const start = Date.UTC(2023, 10, 1, 10, 0, 0); // 周三
+
+// anomalyScore 是注册到Redis客户端的Lua脚本，返回 [分数, 期望值, 评分前的样本数]
+const createRedis = (replies = []) => {
+  const anomalyScore = jest.fn().mockResolvedValue(['', '', 0]);
+  replies.forEach((reply) => anomalyScore.mockResolvedValueOnce(reply));
+  return { anomalyScore, quit: jest.fn().mockResolvedValue('OK') };
+};
+
+describe('Anomaly detection', () => {
+  describe('normalizeAnomalyConfig', () => {
+    test('should default to EWMA scoring and keep the key when only the threshold changes', () => {
+      const config = normalizeAnomalyConfig({ field: 'value', seriesBy: ['host', 'metric'] });
+
+      expect(config).toEqual({
+        key: expect.stringMatching(/^[0-9a-f]{16}$/),
+        field: 'value',
+        method: 'ewma',
+        seriesBy: ['host', 'metric'],
+        alpha: 0.1,
+        windowSize: 100,
+        seasonality: null,
+        utcOffset: 0,
+        timeField: null,
+        threshold: 3,
+        direction: 'both',
+        minSamples: 10,
+        outputField: 'value_isAnomaly',
+        stateTtl: 7 * 24 * hour,
+      });
+      expect(normalizeAnomalyConfig({ field: 'value', seriesBy: ['host', 'metric'], threshold: 4 }).key).toBe(config.key);
+      expect(normalizeAnomalyConfig({ field: 'value', seriesBy: ['host', 'metric'], alpha: 0.3 }).key).not.toBe(config.key);
+    });
+
+    test('should reject invalid anomaly configurations', () => {
+      expect(() => normalizeAnomalyConfig({})).toThrow('Anomaly detection requires a field');
+      expect(() => normalizeAnomalyConfig({ field: 'v', method: 'prophet' })).toThrow('Invalid anomaly method: prophet');
+      expect(() => normalizeAnomalyConfig({ field: 'v', method: 'seasonal' })).toThrow('requires a timeField');
+      expect(() => normalizeAnomalyConfig({ field: 'v', alpha: 0 })).toThrow('Anomaly alpha must be a number in (0, 1]');
+      expect(() => normalizeAnomalyConfig({ field: 'v', windowSize: 2 })).toThrow('Anomaly windowSize must be');
+      expect(() => normalizeAnomalyConfig({ field: 'v', direction: 'sideways' })).toThrow('Invalid anomaly direction');
+    });
+  });
+
+  describe('seasonSlot', () => {
+    test('should map event times to hour-of-day and hour-of-week slots', () => {
+      expect(seasonSlot(start, { seasonality: 'hourOfDay', utcOffset: 0 })).toBe(10);
+      expect(seasonSlot(start, { seasonality: 'hourOfDay', utcOffset: 480 })).toBe(18);
+      expect(seasonSlot(start, { seasonality: 'hourOfWeek', utcOffset: 0 })).toBe(3 * 24 + 10);
+      expect(seasonSlot(start, { seasonality: 'hourOfWeek', utcOffset: -660 })).toBe(2 * 24 + 23);
+    });
+  });
+
+  describe('AnomalyStore', () => {
+    test('should score each point against the state of its series', async () => {
+      const redis = createRedis([
+        ['0.5', '40', 12],
+        ['4.2', '40.5', 13],
+      ]);
+      const store = new AnomalyStore({ redis });
+      const config = normalizeAnomalyConfig({ key: 'cpu', field: 'value', seriesBy: ['host'], alpha: 0.2 });
+
+      const result = await store.score(config, [
+        { host: 'a', value: 41 },
+        { host: 'a', value: '90' },
+      ]);
+
+      expect(redis.anomalyScore).toHaveBeenNthCalledWith(
+        1,
+        'rdp:anomaly:cpu:["a"]',
+        'ewma',
+        41,
+        7 * 24 * hour,
+        0.2,
+        100,
+        10
+      );
+      expect(redis.anomalyScore).toHaveBeenNthCalledWith(
+        2,
+        'rdp:anomaly:cpu:["a"]',
+        'ewma',
+        90,
+        7 * 24 * hour,
+        0.2,
+        100,
+        10
+      );
+      expect(result).toEqual([
+        { host: 'a', value: 41, value_isAnomaly: false, value_score: 0.5, value_expected: 40 },
+        { host: 'a', value: '90', value_isAnomaly: true, value_score: 4.2, value_expected: 40.5 },
+      ]);
+      expect(store.getMetrics()).toEqual({ scored: 2, anomalies: 1, warmup: 0, invalid: 0 });
+    });
+
+    test('should only learn while the series is warming up', async () => {
+      const store = new AnomalyStore({ redis: createRedis([['', '', 3]]) });
+
+      await expect(store.score(normalizeAnomalyConfig({ field: 'value' }), { value: 1000 })).resolves.toEqual({
+        value: 1000,
+        value_isAnomaly: false,
+        value_score: null,
+        value_expected: null,
+      });
+      expect(store.getMetrics()).toMatchObject({ scored: 1, warmup: 1, anomalies: 0 });
+    });
+
+    test('should apply the direction and flag changes of constant series', async () => {
+      const redis = createRedis([
+        ['-5', '10', 20],
+        ['inf', '10', 20],
+        ['-inf', '10', 20],
+      ]);
+      const store = new AnomalyStore({ redis });
+      const config = normalizeAnomalyConfig({ field: 'latency', method: 'mad', direction: 'up' });
+
+      const result = await store.score(config, [{ latency: 1 }, { latency: 11 }, { latency: 9 }]);
+
+      expect(result.map((item) => item.latency_isAnomaly)).toEqual([false, true, false]);
+      expect(result[1].latency_score).toBe(Infinity);
+      expect(redis.anomalyScore.mock.calls[0]).toEqual([expect.any(String), 'mad', 1, 7 * 24 * hour, 0.1, 100, 10]);
+    });
+
+    test('should keep a separate baseline per seasonal slot', async () => {
+      const redis = createRedis();
+      const store = new AnomalyStore({ redis, prefix: 'test:anomaly' });
+      const config = normalizeAnomalyConfig({
+        key: 'orders',
+        field: 'count',
+        method: 'seasonal',
+        timeField: 'timestamp',
+      });
+
+      await store.score(config, [
+        { count: 5, timestamp: new Date(start).toISOString() },
+        { count: 7, timestamp: new Date(start + 3 * hour).toISOString() },
+        { count: 7, timestamp: 'not a date' },
+      ]);
+
+      expect(redis.anomalyScore.mock.calls.map(([key]) => key)).toEqual([
+        'test:anomaly:orders:[]:10',
+        'test:anomaly:orders:[]:13',
+      ]);
+      expect(store.getMetrics()).toMatchObject({ scored: 2, invalid: 1 });
+    });
+
+    test('should not score records without a numeric value', async () => {
+      const redis = createRedis();
+      const store = new AnomalyStore({ redis });
+      const config = normalizeAnomalyConfig({ field: 'value' });
+
+      await expect(store.score(config, [{ value: null }, { value: 'n/a' }, {}])).resolves.toEqual([
+        { value: null, value_isAnomaly: false },
+        { value: 'n/a', value_isAnomaly: false },
+        { value_isAnomaly: false },
+      ]);
+      expect(redis.anomalyScore).not.toHaveBeenCalled();
+      expect(store.getMetrics().invalid).toBe(3);
+    });
+
+    test('should register the scoring script on clients that do not have it', () => {
+      const redis = { defineCommand: jest.fn() };
+
+      new AnomalyStore({ redis })._getRedis();
+
+      expect(redis.defineCommand).toHaveBeenCalledWith('anomalyScore', { numberOfKeys: 1, lua: expect.any(String) });
+    });
+  });
+
+  describe('anomaly step', () => {
+    const steps = [{ type: 'anomaly', config: { field: 'value', seriesBy: 'host', minSamples: 5 } }];
+
+    test('should score a single event against the stored series history', async () => {
+      const redis = createRedis([['6.1', '20', 50]]);
+      const dataProcessor = createDataProcessor({ anomalyStore: new AnomalyStore({ redis }) });
+
+      await expect(
+        dataProcessor.processItem({ host: 'a', value: 95 }, { pipeline: dataProcessor.compilePipeline(steps) })
+      ).resolves.toEqual({ host: 'a', value: 95, value_isAnomaly: true, value_score: 6.1, value_expected: 20 });
+    });
+
+    test('should pass the data on without an anomaly store', async () => {
+      const dataProcessor = createDataProcessor();
+      const trace = [];
+
+      await expect(
+        dataProcessor.processItem({ host: 'a', value: 95 }, { pipeline: dataProcessor.compilePipeline(steps), trace })
+      ).resolves.toEqual({ host: 'a', value: 95 });
+      expect(trace[0]).toMatchObject({ type: 'anomaly', skipped: true });
+    });
+
+    test('should reject invalid anomaly configurations when compiling', () => {
+      const dataProcessor = createDataProcessor();
+
+      expect(() => dataProcessor.compilePipeline([{ type: 'anomaly', config: { field: 'value', threshold: -1 } }])).toThrow(
+        'Anomaly threshold must be a positive number'
+      );
+    });
+  });
+});
@@ -33,6 +33,17 @@ describe('CacheService', () => {
     await cache.del('user', 'profile', '123');
   });
 
+  describe('setIfNotExists', () => {
+    test('should only set the value when the key does not exist', async () => {
+      const first = await cache.setIfNotExists('user', 'profile', '123', { id: 1 });
+      const second = await cache.setIfNotExists('user', 'profile', '123', { id: 2 });
+
+      expect(first).toBe(true);
+      expect(second).toBe(false);
+      expect(await cache.get('user', 'profile', '123')).toEqual({ id: 1 });
+    });
+  });
+
   describe('getWithProtection', () => {
     test('should get data from cache if exists', async () => {
       const mockData = { id: 1, name: 'test' };
@@ -0,0 +1,152 @@
+jest.mock('../../../src/config/logger');
+jest.mock('../../../src/utils/queue/QueueManager', () => ({
+  createQueue: jest.fn(),
+}));
+
+const queueManager = require('../../../src/utils/queue/QueueManager');
+const { initDataProcessingService } = require('../../../src/utils/dataProcessor/dataProcessingService');
+
+describe('Data processing service', () => {
+  let processEvent;
+
+  const init = (options) => {
+    const service = initDataProcessingService(options);
+    [, , processEvent] = queueManager.createQueue.mock.calls.find(([name]) => name === 'event-data-processing');
+    return service;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should run the persisted pipeline of the event type', async () => {
+    const resolvePipeline = jest.fn().mockResolvedValue({
+      enabled: true,
+      version: 3,
+      steps: [{ type: 'transformer', name: 'fieldRename', config: { fieldMap: { amt: 'amount' } } }],
+    });
+    init({ resolvePipeline });
+
+    const result = await processEvent({ data: { type: 'order-created', amt: 5 } });
+
+    expect(resolvePipeline).toHaveBeenCalledWith('order-created');
+    expect(result).toEqual({ pipelineVersion: 3, result: { type: 'order-created', amount: 5 } });
+  });
+
+  test('should publish results with the pipeline version that produced them', async () => {
+    const resultBroadcaster = { publish: jest.fn().mockResolvedValue(1) };
+    init({
+      resultBroadcaster,
+      resolvePipeline: jest.fn().mockResolvedValue({
+        enabled: true,
+        version: 2,
+        steps: [{ type: 'transformer', name: 'fieldFilter', config: { fields: ['amount'] } }],
+      }),
+    });
+
+    await processEvent({
+      data: { id: 'evt-1', type: 'order-created', amount: 5, note: 'x' },
+      meta: { source: 'http', userId: 'user-1' },
+    });
+
+    expect(resultBroadcaster.publish).toHaveBeenCalledWith({
+      type: 'order-created',
+      eventId: 'evt-1',
+      userId: 'user-1',
+      pipelineVersion: 2,
+      result: { amount: 5 },
+    });
+  });
+
+  test('should stamp the pipeline id and version on the records written by sink steps', async () => {
+    const write = jest.fn().mockResolvedValue();
+    init({
+      sinkManager: { acquire: jest.fn(() => ({ write })) },
+      resolvePipeline: jest.fn().mockResolvedValue({
+        id: 'p1',
+        enabled: true,
+        version: 4,
+        steps: [{ type: 'sink', config: { sink: 'queue', queue: 'orders' } }],
+      }),
+    });
+
+    const { result } = await processEvent({ data: { type: 'order-created', amount: 5 } });
+
+    expect(write).toHaveBeenCalledWith({ type: 'order-created', amount: 5, pipelineId: 'p1', pipelineVersion: 4 });
+    expect(result).toEqual({ type: 'order-created', amount: 5 });
+  });
+
+  test('should fall back to the built-in pipeline if the event type has no persisted pipeline', async () => {
+    const topKStore = { add: jest.fn().mockResolvedValue(1) };
+    const service = init({ resolvePipeline: jest.fn().mockResolvedValue(null), topKStore });
+
+    const { pipelineVersion } = await processEvent({
+      data: { type: 'user-activity', ts: '2023-11-01T10:15:30Z', uid: 7, act: 'login' },
+    });
+
+    expect(pipelineVersion).toBeNull();
+    expect(topKStore.add).toHaveBeenCalledWith(
+      expect.objectContaining({ key: 'active-users' }),
+      expect.objectContaining({ userId: '7', action: 'login' })
+    );
+    expect(service.pipelineRegistry.getStatus()).toEqual([{ eventType: 'user-activity', revision: 'builtin', steps: 4 }]);
+  });
+
+  test('should share one compiled built-in pipeline between event types without a pipeline', async () => {
+    const service = init({ resolvePipeline: jest.fn().mockResolvedValue(null) });
+    const compilePipeline = jest.spyOn(service.dataProcessor, 'compilePipeline');
+
+    await processEvent({ data: { type: 'unknown-1', value: 1 } });
+    await processEvent({ data: { type: 'unknown-2', value: 2 } });
+
+    expect(compilePipeline).toHaveBeenCalledTimes(1);
+    expect(service.pipelineRegistry.getStatus()).toEqual([
+      expect.objectContaining({ eventType: 'default', revision: 'builtin' }),
+    ]);
+  });
+
+  test('should skip events whose pipeline is disabled', async () => {
+    const service = init({ resolvePipeline: jest.fn().mockResolvedValue({ enabled: false, steps: [] }) });
+
+    await expect(processEvent({ data: { type: 'order-created' } })).resolves.toBeNull();
+    expect(service.getMetrics().processed).toBe(0);
+  });
+
+  test('should compile each pipeline once and reuse it until its version changes', async () => {
+    const steps = [{ type: 'transformer', name: 'fieldFilter', config: { fields: ['amount'] } }];
+    const resolvePipeline = jest.fn().mockResolvedValue({ id: 'p1', enabled: true, version: 1, steps });
+    const service = init({ resolvePipeline });
+    const compilePipeline = jest.spyOn(service.dataProcessor, 'compilePipeline');
+
+    await processEvent({ data: { type: 'order-created', amount: 1 } });
+    await processEvent({ data: { type: 'order-created', amount: 2 } });
+    resolvePipeline.mockResolvedValue({ id: 'p1', enabled: true, version: 2, steps });
+    await processEvent({ data: { type: 'order-created', amount: 3 } });
+
+    expect(compilePipeline).toHaveBeenCalledTimes(2);
+  });
+
+  test('should run concurrent events of different types through their own pipelines', async () => {
+    const slowTransformer = (data) => new Promise((resolve) => setTimeout(() => resolve({ ...data, slow: true }), 20));
+    const resolvePipeline = jest.fn(async (eventType) =>
+      eventType === 'slow'
+        ? { id: 'p1', enabled: true, version: 1, steps: [{ type: 'transformer', name: 'slowTransformer' }] }
+        : {
+            id: 'p2',
+            enabled: true,
+            version: 1,
+            steps: [{ type: 'transformer', name: 'fieldFilter', config: { fields: ['type'] } }],
+          }
+    );
+    const service = init({ resolvePipeline });
+    service.dataProcessor.registerTransformer('slowTransformer', slowTransformer);
+
+    const [slow, fast] = await Promise.all([
+      processEvent({ data: { type: 'slow', value: 1 } }),
+      processEvent({ data: { type: 'fast', value: 2 } }),
+    ]);
+
+    expect(slow.result).toEqual({ type: 'slow', value: 1, slow: true });
+    expect(fast.result).toEqual({ type: 'fast' });
+  });
+});
@@ -2,9 +2,12 @@
  * 数据处理器单元测试
  */
 
+const { Readable, Writable, pipeline: pipeStreams } = require('stream');
+const { promisify } = require('util');
 const DataProcessor = require('../../../src/utils/dataProcessor/DataProcessor');
 const transformers = require('../../../src/utils/dataProcessor/transformers');
 const processors = require('../../../src/utils/dataProcessor/processors');
+const ProcessingTimeoutError = require('../../../src/utils/dataProcessor/ProcessingTimeoutError');
 
 describe('DataProcessor', () => {
   let dataProcessor;
@@ -104,6 +107,347 @@ describe('DataProcessor', () => {
     }).toThrow('Processor "nonExistent" not found');
   });
   
+  test('should compile an immutable pipeline without replacing the built one', async () => {
+    dataProcessor.buildPipeline([{ type: 'transformer', name: 'fieldFilter', config: { fields: ['a'] } }]);
+
+    const config = { fieldMap: { a: 'b' } };
+    const pipeline = dataProcessor.compilePipeline([{ type: 'transformer', name: 'fieldRename', config }]);
+    config.fieldMap = { a: 'c' };
+
+    expect(Object.isFrozen(pipeline)).toBe(true);
+    expect(Object.isFrozen(pipeline[0])).toBe(true);
+    expect(dataProcessor.pipeline[0].name).toBe('fieldFilter');
+    expect(await dataProcessor.processItem({ a: 1 }, { pipeline })).toEqual({ b: 1 });
+    expect(await dataProcessor.processItem({ a: 1, x: 2 })).toEqual({ a: 1 });
+  });
+
+  test('should stop the pipeline when a filter step does not match', async () => {
+    const pipeline = dataProcessor.compilePipeline([
+      { type: 'filter', config: { condition: 'value > 10' } },
+      { type: 'transformer', name: 'fieldFilter', config: { fields: ['value'] } },
+    ]);
+
+    expect(await dataProcessor.processItem({ value: 20, host: 'a' }, { pipeline })).toEqual({ value: 20 });
+    expect(await dataProcessor.processItem({ value: 5, host: 'a' }, { pipeline })).toBeNull();
+    expect(await dataProcessor.processItem([{ value: 5 }, { value: 50 }], { pipeline: [pipeline[0]] })).toEqual([
+      { value: 50 },
+    ]);
+  });
+
+  test('should run the then or else branch of an if step', async () => {
+    const pipeline = dataProcessor.compilePipeline([
+      {
+        type: 'if',
+        config: {
+          condition: 'act == "login"',
+          then: [{ type: 'transformer', name: 'fieldRename', config: { fieldMap: { act: 'action' } } }],
+          else: [{ type: 'filter', config: { condition: 'false' } }],
+        },
+      },
+    ]);
+
+    expect(await dataProcessor.processItem({ act: 'login' }, { pipeline })).toEqual({ action: 'login' });
+    expect(await dataProcessor.processItem({ act: 'logout' }, { pipeline })).toBeNull();
+  });
+
+  test('should pass records through an if step without a matching branch', async () => {
+    const pipeline = dataProcessor.compilePipeline([
+      { type: 'if', config: { condition: 'debug == true', then: [{ type: 'filter', config: { condition: 'false' } }] } },
+    ]);
+
+    expect(await dataProcessor.processItem({ debug: false }, { pipeline })).toEqual({ debug: false });
+  });
+
+  test('should route records to the sub-pipeline of their switch case', async () => {
+    const pipeline = dataProcessor.compilePipeline([
+      {
+        type: 'switch',
+        config: {
+          field: 'action',
+          cases: {
+            login: [{ type: 'transformer', name: 'fieldFilter', config: { fields: ['userId'] } }],
+            purchase: [{ type: 'transformer', name: 'fieldFilter', config: { fields: ['amount'] } }],
+          },
+          default: [{ type: 'transformer', name: 'fieldFilter', config: { fields: ['action'] } }],
+        },
+      },
+    ]);
+
+    const record = { userId: 'u1', action: 'login', amount: 3 };
+    expect(await dataProcessor.processItem(record, { pipeline })).toEqual({ userId: 'u1' });
+    expect(await dataProcessor.processItem({ ...record, action: 'purchase' }, { pipeline })).toEqual({ amount: 3 });
+    expect(await dataProcessor.processItem({ ...record, action: 'view_page' }, { pipeline })).toEqual({
+      action: 'view_page',
+    });
+  });
+
+  test('should trace the selected branch and its steps', async () => {
+    const pipeline = dataProcessor.compilePipeline([
+      {
+        type: 'switch',
+        name: 'byAction',
+        config: { field: 'action', cases: { login: [{ type: 'filter', config: { condition: 'userId != null' } }] } },
+      },
+    ]);
+
+    const trace = [];
+    await dataProcessor.processItem({ action: 'login', userId: 'u1' }, { pipeline, trace });
+
+    expect(trace).toEqual([
+      expect.objectContaining({
+        type: 'switch',
+        name: 'byAction',
+        branch: 'login',
+        steps: [expect.objectContaining({ index: 0, type: 'filter', name: 'filter', stopped: false })],
+      }),
+    ]);
+  });
+
+  test('should run every fan-out branch on its own copy and pass the record on', async () => {
+    const counters = jest.fn((data) => {
+      // 修改输入，确认其他分支收到的是独立副本
+      // eslint-disable-next-line no-param-reassign
+      data.counted = true;
+      return data;
+    });
+    const archive = jest.fn((data) => data);
+    dataProcessor.registerProcessor('counters', counters);
+    dataProcessor.registerProcessor('archive', archive);
+    const pipeline = dataProcessor.compilePipeline([
+      {
+        type: 'fanout',
+        config: {
+          branches: {
+            counters: [{ type: 'processor', name: 'counters' }],
+            archive: [{ type: 'processor', name: 'archive' }],
+          },
+        },
+      },
+    ]);
+
+    const record = { userId: 'u1', action: 'login' };
+    const result = await dataProcessor.processItem(record, { pipeline });
+
+    expect(result).toEqual({ userId: 'u1', action: 'login' });
+    expect(archive).toHaveBeenCalledWith({ userId: 'u1', action: 'login' }, {});
+    expect(dataProcessor.getMetrics().branches).toEqual({
+      'fanout.counters': { succeeded: 1, failed: 0 },
+      'fanout.archive': { succeeded: 1, failed: 0 },
+    });
+  });
+
+  test('should fail the item when a fan-out branch fails by default', async () => {
+    dataProcessor.registerProcessor('failing', () => {
+      throw new Error('sink unavailable');
+    });
+    const pipeline = dataProcessor.compilePipeline([
+      {
+        type: 'fanout',
+        name: 'deliver',
+        config: {
+          branches: {
+            ok: [{ type: 'filter', config: { condition: 'true' } }],
+            broken: [{ type: 'processor', name: 'failing' }],
+          },
+        },
+      },
+    ]);
+
+    await expect(dataProcessor.processItem({ value: 1 }, { pipeline })).rejects.toThrow(
+      'Fan-out branch "broken" failed: sink unavailable'
+    );
+    expect(dataProcessor.getMetrics().branches['deliver.broken']).toEqual({ succeeded: 0, failed: 1 });
+  });
+
+  test('should trace the branches of a failing step', async () => {
+    dataProcessor.registerProcessor('failing', () => {
+      throw new Error('sink unavailable');
+    });
+    const pipeline = dataProcessor.compilePipeline([
+      {
+        type: 'if',
+        config: {
+          condition: 'true',
+          then: [{ type: 'fanout', config: { branches: { broken: [{ type: 'processor', name: 'failing' }] } } }],
+        },
+      },
+    ]);
+
+    const trace = [];
+    await expect(dataProcessor.processItem({ value: 1 }, { pipeline, trace })).rejects.toThrow(
+      'Fan-out branch "broken" failed: sink unavailable'
+    );
+
+    expect(trace).toEqual([
+      expect.objectContaining({
+        type: 'if',
+        branch: 'then',
+        error: 'Fan-out branch "broken" failed: sink unavailable',
+        steps: [
+          expect.objectContaining({
+            type: 'fanout',
+            branches: {
+              broken: {
+                status: 'failed',
+                error: 'sink unavailable',
+                steps: [expect.objectContaining({ type: 'processor' })],
+              },
+            },
+          }),
+        ],
+      }),
+    ]);
+  });
+
+  test('should record fan-out branch failures without failing the item when ignored', async () => {
+    dataProcessor.registerProcessor('failing', () => {
+      throw new Error('sink unavailable');
+    });
+    const branchFailed = jest.fn();
+    dataProcessor.on('branchFailed', branchFailed);
+    const pipeline = dataProcessor.compilePipeline([
+      {
+        type: 'fanout',
+        config: {
+          failurePolicy: 'ignore',
+          branches: {
+            ok: [{ type: 'filter', config: { condition: 'true' } }],
+            broken: [{ type: 'processor', name: 'failing' }],
+          },
+        },
+      },
+    ]);
+
+    const trace = [];
+    const result = await dataProcessor.processItem({ value: 1 }, { pipeline, trace });
+
+    expect(result).toEqual({ value: 1 });
+    expect(branchFailed).toHaveBeenCalledWith(expect.objectContaining({ step: 'fanout', branch: 'broken' }));
+    expect(trace[0].branches).toEqual({
+      ok: { status: 'success', error: null, steps: [expect.objectContaining({ type: 'filter' })] },
+      broken: {
+        status: 'failed',
+        error: 'sink unavailable',
+        steps: [expect.objectContaining({ type: 'processor', error: 'sink unavailable' })],
+      },
+    });
+  });
+
+  test('should fail a step that exceeds its timeout with a typed error', async () => {
+    dataProcessor.registerProcessor('hanging', () => new Promise(() => {}));
+    const pipeline = dataProcessor.compilePipeline([{ type: 'processor', name: 'hanging', timeout: 20 }]);
+
+    const error = await dataProcessor.processItem({ value: 1 }, { pipeline }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ProcessingTimeoutError);
+    expect(error).toMatchObject({ scope: 'step', step: 'hanging', timeout: 20, code: 'ETIMEDOUT' });
+    expect(dataProcessor.getMetrics()).toMatchObject({ failed: 1, timeouts: 1, stepTimeouts: 1 });
+  });
+
+  test('should let the error handler of a step recover from its timeout', async () => {
+    dataProcessor.registerProcessor('hanging', () => new Promise(() => {}));
+    const errorHandler = jest.fn((error, data) => ({ ...data, degraded: error instanceof ProcessingTimeoutError }));
+    const pipeline = dataProcessor.compilePipeline([{ type: 'processor', name: 'hanging', timeout: 20, errorHandler }]);
+
+    const result = await dataProcessor.processItem({ value: 1 }, { pipeline });
+
+    expect(result).toEqual({ value: 1, degraded: true });
+    expect(dataProcessor.getMetrics()).toMatchObject({ processed: 1, failed: 0, timeouts: 0, stepTimeouts: 1 });
+  });
+
+  test('should fail the item once the item timeout elapses and skip the remaining steps', async () => {
+    const after = jest.fn((data) => data);
+    dataProcessor.registerProcessor('slow', (data) => new Promise((resolve) => setTimeout(() => resolve(data), 50)));
+    dataProcessor.registerProcessor('after', after);
+    const pipeline = dataProcessor.compilePipeline([
+      { type: 'processor', name: 'slow' },
+      { type: 'processor', name: 'after' },
+    ]);
+
+    await expect(dataProcessor.processItem({ value: 1 }, { pipeline, timeout: 20 })).rejects.toMatchObject({
+      name: 'ProcessingTimeoutError',
+      scope: 'item',
+      timeout: 20,
+    });
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    expect(after).not.toHaveBeenCalled();
+    expect(dataProcessor.getMetrics()).toMatchObject({ timeouts: 1, stepTimeouts: 0 });
+  });
+
+  test('should not run the rest of a timed out step or write to sinks after the timeout', async () => {
+    const write = jest.fn().mockResolvedValue();
+    const processor = new DataProcessor({ sinkManager: { acquire: () => ({ write }) } });
+    const later = jest.fn((data) => data);
+    processor.registerProcessor('slow', (data) => new Promise((resolve) => setTimeout(() => resolve(data), 40)));
+    processor.registerProcessor('later', later);
+    const branch = [
+      { type: 'processor', name: 'slow' },
+      { type: 'processor', name: 'later' },
+      { type: 'sink', config: { sink: 'queue', queue: 'results' } },
+    ];
+    const errorHandler = jest.fn((error, data) => data);
+    const recovered = processor.compilePipeline([
+      { type: 'if', config: { condition: 'true', then: branch }, timeout: 20, errorHandler },
+    ]);
+    const fannedOut = processor.compilePipeline([{ type: 'fanout', config: { branches: { slow: branch } } }]);
+
+    await expect(processor.processItem({ value: 1 }, { pipeline: recovered })).resolves.toEqual({ value: 1 });
+    await expect(processor.processItem({ value: 2 }, { pipeline: fannedOut, timeout: 20 })).rejects.toMatchObject({
+      scope: 'item',
+    });
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    expect(errorHandler).toHaveBeenCalledWith(expect.objectContaining({ scope: 'step' }), { value: 1 });
+    expect(later).not.toHaveBeenCalled();
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  test('should stamp the pipeline origin on sink records only', async () => {
+    const write = jest.fn().mockResolvedValue();
+    const processor = new DataProcessor({ sinkManager: { acquire: () => ({ write }) } });
+    const pipeline = processor.compilePipeline([{ type: 'sink', config: { sink: 'queue', queue: 'results' } }]);
+    const origin = { pipelineId: 'p1', pipelineVersion: 2 };
+
+    await expect(processor.processItem([{ id: 1 }, 7], { pipeline, origin })).resolves.toEqual([{ id: 1 }, 7]);
+    await processor.processItem({ id: 2 }, { pipeline });
+
+    expect(write).toHaveBeenNthCalledWith(1, [
+      { id: 1, pipelineId: 'p1', pipelineVersion: 2 },
+      { value: 7, pipelineId: 'p1', pipelineVersion: 2 },
+    ]);
+    expect(write).toHaveBeenNthCalledWith(2, { id: 2 });
+  });
+
+  test('should apply the default step timeout to steps without their own', async () => {
+    const processor = new DataProcessor({ stepTimeout: 20 });
+    processor.registerProcessor('hanging', () => new Promise(() => {}));
+    processor.buildPipeline([{ type: 'processor', name: 'hanging' }]);
+
+    await expect(processor.processItem({ value: 1 })).rejects.toThrow('Step "hanging" timed out after 20ms');
+  });
+
+  test('should throw if a branching step is misconfigured', () => {
+    expect(() => dataProcessor.compilePipeline([{ type: 'filter', config: {} }])).toThrow('Invalid filter expression');
+    expect(() => dataProcessor.compilePipeline([{ type: 'switch', config: { cases: {} } }])).toThrow(
+      'Switch step requires a field'
+    );
+    expect(() => dataProcessor.compilePipeline([{ type: 'fanout', config: {} }])).toThrow(
+      'Fan-out step requires at least one branch'
+    );
+    expect(() => dataProcessor.compilePipeline([{ type: 'filter', config: { condition: 'true' }, timeout: -1 }])).toThrow(
+      'Step timeout must be a non-negative integer'
+    );
+    expect(() =>
+      dataProcessor.compilePipeline([{ type: 'fanout', config: { failurePolicy: 'retry', branches: { a: [] } } }])
+    ).toThrow('Invalid fan-out failure policy: retry');
+    expect(() =>
+      dataProcessor.compilePipeline([
+        { type: 'if', config: { condition: 'a == 1', then: [{ type: 'processor', name: 'nonExistent' }] } },
+      ])
+    ).toThrow('Processor "nonExistent" not found');
+  });
+
   test('should process single item through pipeline', async () => {
     // 构建一个简单的管道
     dataProcessor.buildPipeline([
@@ -170,6 +514,75 @@ describe('DataProcessor', () => {
     expect(dataProcessor.metrics.failed).toBe(1);
   });
   
+  test('should trace the output, duration and error of every executed step', async () => {
+    dataProcessor.registerTransformer('errorTransformer', () => {
+      throw new Error('Test error');
+    });
+    dataProcessor.registerTransformer('dropAll', () => null);
+
+    dataProcessor.buildPipeline([
+      { type: 'transformer', name: 'fieldRename', config: { fieldMap: { oldName: 'newName' } } },
+      { type: 'transformer', name: 'errorTransformer', errorHandler: (error, data) => ({ ...data, recovered: true }) },
+      { type: 'transformer', name: 'dropAll' },
+      { type: 'transformer', name: 'fieldFilter', config: { fields: ['newName'] } },
+    ]);
+
+    const trace = [];
+    const result = await dataProcessor.processItem({ oldName: 'value' }, { trace });
+
+    expect(result).toBeNull();
+    expect(trace).toEqual([
+      {
+        index: 0,
+        type: 'transformer',
+        name: 'fieldRename',
+        value: { newName: 'value' },
+        duration: expect.any(Number),
+        error: null,
+        stopped: false,
+      },
+      {
+        index: 1,
+        type: 'transformer',
+        name: 'errorTransformer',
+        value: { newName: 'value', recovered: true },
+        duration: expect.any(Number),
+        error: 'Test error',
+        stopped: false,
+      },
+      {
+        index: 2,
+        type: 'transformer',
+        name: 'dropAll',
+        value: null,
+        duration: expect.any(Number),
+        error: null,
+        stopped: true,
+      },
+    ]);
+  });
+
+  test('should trace the failing step before propagating its error', async () => {
+    dataProcessor.registerTransformer('errorTransformer', () => {
+      throw new Error('Test error');
+    });
+    dataProcessor.buildPipeline([{ type: 'transformer', name: 'errorTransformer' }]);
+
+    const trace = [];
+    await expect(dataProcessor.processItem({ test: 'value' }, { trace })).rejects.toThrow('Test error');
+
+    expect(trace).toEqual([
+      {
+        index: 0,
+        type: 'transformer',
+        name: 'errorTransformer',
+        duration: expect.any(Number),
+        error: 'Test error',
+        stopped: false,
+      },
+    ]);
+  });
+
   test('should process batch of items', async () => {
     // 构建一个简单的管道
     dataProcessor.buildPipeline([
@@ -231,6 +644,69 @@ describe('DataProcessor', () => {
     expect(dataProcessor.metrics.failed).toBe(1);
   });
   
+  test('should keep concurrency items in flight during batch processing', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const started = [];
+    dataProcessor.registerTransformer('delay', async (data) => {
+      active += 1;
+      maxActive = Math.max(maxActive, active);
+      started.push(data.id);
+      await new Promise((resolve) => setTimeout(resolve, data.delay));
+      active -= 1;
+      return data;
+    });
+    dataProcessor.buildPipeline([{ type: 'transformer', name: 'delay' }]);
+
+    // 第一条数据很慢，其余数据应在它完成前全部处理完
+    const batch = [
+      { id: 0, delay: 100 },
+      { id: 1, delay: 1 },
+      { id: 2, delay: 1 },
+      { id: 3, delay: 1 },
+      { id: 4, delay: 1 },
+    ];
+
+    const results = await dataProcessor.processBatch(batch, { concurrency: 2 });
+
+    expect(maxActive).toBe(2);
+    expect(started).toEqual([0, 1, 2, 3, 4]);
+    expect(results.map((r) => r.data.id)).toEqual([0, 1, 2, 3, 4]);
+    expect(results.every((r) => r.status === 'success')).toBe(true);
+  });
+
+  test('should emit batchProgress events', async () => {
+    dataProcessor.buildPipeline([]);
+    const events = [];
+    dataProcessor.on('batchProgress', (event) => events.push(event));
+
+    await dataProcessor.processBatch([1, 2, 3], { batchId: 'b1' });
+
+    expect(events.length).toBe(3);
+    expect(events[2]).toEqual({ batchId: 'b1', total: 3, completed: 3, succeeded: 3, failed: 0, cancelled: 0 });
+  });
+
+  test('should cancel remaining batch items when the signal is aborted', async () => {
+    // 与 AbortSignal 相同，只读取 aborted 属性
+    const signal = { aborted: false };
+    dataProcessor.registerTransformer('abortAfterFirst', (data) => {
+      signal.aborted = true;
+      return data;
+    });
+    dataProcessor.buildPipeline([{ type: 'transformer', name: 'abortAfterFirst' }]);
+    const events = [];
+    dataProcessor.on('batchProgress', (event) => events.push(event));
+
+    const results = await dataProcessor.processBatch([1, 2, 3], { concurrency: 1, signal });
+
+    expect(results).toEqual([
+      { status: 'success', data: 1 },
+      { status: 'cancelled', data: 2 },
+      { status: 'cancelled', data: 3 },
+    ]);
+    expect(events[events.length - 1]).toMatchObject({ completed: 3, succeeded: 1, cancelled: 2 });
+  });
+
   test('should get metrics', async () => {
     // 构建一个简单的管道
     dataProcessor.buildPipeline([
@@ -279,7 +755,128 @@ describe('DataProcessor', () => {
     
     expect(dataProcessor.metrics.processed).toBe(0);
     expect(dataProcessor.metrics.failed).toBe(0);
-    expect(dataProcessor.metrics.processingTime).toEqual([]);
+    expect(dataProcessor.metrics.processingTime).toEqual({ count: 0, total: 0, min: 0, max: 0 });
+  });
+
+  test('should emit a stepProcessed event for every executed step', async () => {
+    const stepHandler = jest.fn();
+    dataProcessor.on('stepProcessed', stepHandler);
+    dataProcessor.registerProcessor('failing', () => {
+      throw new Error('boom');
+    });
+    dataProcessor.buildPipeline([
+      { type: 'transformer', name: 'fieldFilter', config: { fields: ['name'] } },
+      { type: 'processor', name: 'failing' },
+    ]);
+
+    await expect(dataProcessor.processItem({ name: 'test' }, { pipelineName: 'users' })).rejects.toThrow('boom');
+
+    expect(stepHandler).toHaveBeenCalledTimes(2);
+    expect(stepHandler).toHaveBeenNthCalledWith(1, {
+      pipeline: 'users',
+      step: 'fieldFilter',
+      type: 'transformer',
+      duration: expect.any(Number),
+      error: null,
+    });
+    expect(stepHandler).toHaveBeenNthCalledWith(
+      2,
+      expect.objectContaining({ pipeline: 'users', step: 'failing', error: expect.any(Error) })
+    );
+  });
+
+  describe('streaming', () => {
+    const collect = async (iterable) => {
+      const results = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const result of iterable) {
+        results.push(result);
+      }
+      return results;
+    };
+
+    beforeEach(() => {
+      // 按 delay 字段延迟完成，用于制造乱序完成
+      dataProcessor.registerProcessor(
+        'delay',
+        (data) => new Promise((resolve) => setTimeout(() => resolve(data), data.delay))
+      );
+      dataProcessor.buildPipeline([{ type: 'processor', name: 'delay' }]);
+    });
+
+    test('should yield results in input order by default', async () => {
+      const results = await collect(
+        dataProcessor.processStream(
+          [
+            { id: 1, delay: 30 },
+            { id: 2, delay: 0 },
+            { id: 3, delay: 10 },
+          ],
+          { concurrency: 3 }
+        )
+      );
+
+      expect(results.map((result) => result.data.id)).toEqual([1, 2, 3]);
+    });
+
+    test('should yield results as they complete when ordering is relaxed', async () => {
+      const results = await collect(
+        dataProcessor.processStream(
+          [
+            { id: 1, delay: 30 },
+            { id: 2, delay: 0 },
+            { id: 3, delay: 10 },
+          ],
+          { concurrency: 3, ordered: false }
+        )
+      );
+
+      expect(results.map((result) => result.data.id)).toEqual([2, 3, 1]);
+    });
+
+    test('should report failed items without stopping the stream', async () => {
+      const results = await collect(dataProcessor.processStream([{ id: 1, delay: 0 }, null, { id: 3, delay: 0 }]));
+
+      expect(results.map((result) => result.status)).toEqual(['success', 'error', 'success']);
+      expect(results[1].data).toBeNull();
+    });
+
+    test('should stop reading the source while results are not consumed', async () => {
+      let pulled = 0;
+      async function* source() {
+        for (let id = 1; id <= 100; id += 1) {
+          pulled += 1;
+          yield { id, delay: 0 };
+        }
+      }
+
+      const results = dataProcessor.processStream(source(), { concurrency: 2 });
+      await results.next();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(pulled).toBe(2);
+      await results.return();
+    });
+
+    test('should process records piped through the processing stream', async () => {
+      const output = [];
+      const items = Array.from({ length: 20 }, (value, id) => ({ id, delay: id % 3 }));
+
+      await promisify(pipeStreams)(
+        Readable.from(items),
+        dataProcessor.createStream({ concurrency: 4 }),
+        new Writable({
+          objectMode: true,
+          highWaterMark: 1,
+          write(result, encoding, callback) {
+            output.push(result.data.id);
+            setTimeout(callback, 1);
+          },
+        })
+      );
+
+      expect(output).toEqual(items.map((item) => item.id));
+    });
   });
   
   test('should emit events on processing', async () => {
@@ -304,4 +901,192 @@ describe('DataProcessor', () => {
     expect(eventHandler.mock.calls[0][0].success).toBe(true);
     expect(eventHandler.mock.calls[0][0].result).toEqual({ name: 'test' });
   });
+
+  describe('aggregator', () => {
+    const samples = [
+      { value: 4, tag: 'a', at: '2023-11-01T10:00:03Z' },
+      { value: 1, tag: 'b', at: '2023-11-01T10:00:01Z' },
+      { value: 3, tag: 'a', at: '2023-11-01T10:00:04Z' },
+      { value: 2, tag: null, at: '2023-11-01T10:00:02Z' },
+      { value: 'n/a', tag: 'c' },
+    ];
+
+    test('should compute median, percentiles, variance and standard deviation', () => {
+      const result = processors.aggregator(samples, {
+        aggregations: [
+          { field: 'value', operation: 'median' },
+          { field: 'value', operation: 'p90' },
+          { field: 'value', operation: 'percentile', percentile: 25 },
+          { field: 'value', operation: 'variance' },
+          { field: 'value', operation: 'stddev', outputField: 'spread' },
+        ],
+      });
+
+      expect(result).toEqual({
+        value_median: 2.5,
+        value_p90: 3.7,
+        value_p25: 1.75,
+        value_variance: 1.25,
+        spread: Math.sqrt(1.25),
+      });
+    });
+
+    test('should compute first, last, distinct count and collected values', () => {
+      const result = processors.aggregator(samples, {
+        timeField: 'at',
+        aggregations: [
+          { field: 'value', operation: 'first' },
+          { field: 'value', operation: 'last' },
+          { field: 'tag', operation: 'last', timeField: 'missing' },
+          { field: 'tag', operation: 'distinctCount' },
+          { field: 'tag', operation: 'collectList' },
+        ],
+      });
+
+      expect(result).toEqual({
+        value_first: 1,
+        value_last: 3,
+        tag_last: 'c',
+        tag_distinctCount: 3,
+        tag_collectList: ['a', 'b', 'a', 'c'],
+      });
+    });
+
+    test('should return null for invalid percentiles', () => {
+      const result = processors.aggregator(samples, {
+        aggregations: [{ field: 'value', operation: 'percentile', percentile: 120 }],
+      });
+
+      expect(result).toEqual({ value_p120: null });
+    });
+
+    test('should reject missing or invalid percentiles when compiling the pipeline', () => {
+      const compile = (agg, name = 'aggregator') =>
+        dataProcessor.compilePipeline([{ type: 'processor', name, config: { aggregations: [agg] } }]);
+
+      expect(() => compile({ field: 'value', operation: 'percentile' })).toThrow(
+        "Aggregation percentile of field 'value' requires a percentile between 0 and 100"
+      );
+      expect(() => compile({ field: 'value', operation: 'percentile', percentile: 120 }, 'groupBy')).toThrow(
+        'requires a percentile between 0 and 100'
+      );
+      expect(() => compile({ field: 'value', operation: 'approxPercentile' }, 'windowProcessor')).toThrow(
+        "Aggregation approxPercentile of field 'value' requires a percentile between 0 and 100"
+      );
+      expect(() => compile({ field: 'value', operation: 'approxPercentile', output: 'sketch' })).not.toThrow();
+      expect(() => compile({ field: 'value', operation: 'p95' })).not.toThrow();
+    });
+
+    test('should support the new operations in groupBy and windowProcessor', () => {
+      const aggregations = [
+        { field: 'value', operation: 'p50', outputField: 'p50' },
+        { field: 'value', operation: 'last', outputField: 'latest' },
+      ];
+
+      const groups = processors.groupBy(samples.slice(0, 3), { groupByFields: 'tag', timeField: 'at', aggregations });
+      expect(groups.a).toEqual({ p50: 3.5, latest: 3, tag: 'a' });
+
+      const windows = processors.windowProcessor(samples.slice(0, 4), { timeField: 'at', windowSize: 60000, aggregations });
+      expect(windows[0]).toMatchObject({ p50: 2.5, latest: 3, count: 4 });
+    });
+
+    test('should compute approximate distinct counts, percentiles and frequencies', () => {
+      const events = [];
+      for (let i = 0; i < 1000; i += 1) {
+        events.push({ userId: `user-${i % 250}`, latency: i, page: i % 10 === 0 ? 'home' : 'other' });
+      }
+
+      const result = processors.aggregator(events, {
+        aggregations: [
+          { field: 'userId', operation: 'approxDistinct', outputField: 'users' },
+          { field: 'latency', operation: 'approxPercentile', percentile: 95, outputField: 'latencyP95' },
+          { field: 'page', operation: 'approxFrequency', values: ['home', 'missing'], outputField: 'pages' },
+        ],
+      });
+
+      expect(Math.abs(result.users - 250)).toBeLessThan(5);
+      expect(Math.abs(result.latencyP95 - 950)).toBeLessThan(5);
+      expect(result.pages.home).toBeGreaterThanOrEqual(100);
+      expect(result.pages.home).toBeLessThan(110);
+      expect(result.pages.missing).toBeLessThan(10);
+    });
+
+    test('should output serialized sketches and merge them with input: sketch', () => {
+      const partial = (users) =>
+        processors.aggregator(
+          users.map((userId) => ({ userId })),
+          {
+            aggregations: [{ field: 'userId', operation: 'approxDistinct', output: 'sketch', outputField: 'users' }],
+          }
+        );
+      const workers = [partial(['a', 'b', 'c']), partial(['c', 'd'])];
+
+      expect(typeof workers[0].users).toBe('string');
+      expect(
+        processors.aggregator(workers, {
+          aggregations: [{ field: 'users', operation: 'approxDistinct', input: 'sketch' }],
+        })
+      ).toEqual({ users_approxDistinct: 4 });
+    });
+
+    test('should return null for invalid sketch input and missing frequency values', () => {
+      const result = processors.aggregator([{ users: 'not a sketch', page: 'home' }], {
+        aggregations: [
+          { field: 'users', operation: 'approxDistinct', input: 'sketch' },
+          { field: 'page', operation: 'approxFrequency' },
+        ],
+      });
+
+      expect(result).toEqual({ users_approxDistinct: null, page_approxFrequency: null });
+    });
+  });
+
+  describe('sessionWindow', () => {
+    const minute = 60000;
+    const start = Date.UTC(2023, 10, 1, 10, 0, 0);
+    const event = (userId, offset, action, extra = {}) => ({
+      userId,
+      timestamp: new Date(start + offset * minute).toISOString(),
+      action,
+      ...extra,
+    });
+
+    test('should split events into sessions by the inactivity gap', async () => {
+      dataProcessor.buildPipeline([{ type: 'processor', name: 'sessionWindow', config: { gap: 10 * minute } }]);
+
+      const result = await dataProcessor.processItem([
+        event('u1', 5, 'view_page'),
+        event('u1', 0, 'login'),
+        event('u2', 1, 'view_page'),
+        event('u1', 8, 'purchase', { amount: 19.5 }),
+        event('u1', 30, 'view_page'),
+      ]);
+
+      expect(result).toEqual([
+        {
+          userId: 'u1',
+          sessionStart: new Date(start).toISOString(),
+          sessionEnd: new Date(start + 8 * minute).toISOString(),
+          duration: 8 * minute,
+          eventCount: 3,
+          pageCount: 1,
+          actions: { login: 1, view_page: 1, purchase: 1 },
+          purchaseTotal: 19.5,
+        },
+        expect.objectContaining({ userId: 'u2', eventCount: 1, duration: 0 }),
+        expect.objectContaining({ userId: 'u1', sessionStart: new Date(start + 30 * minute).toISOString() }),
+      ]);
+    });
+
+    test('should not keep sessions between calls', () => {
+      const config = { gap: 10 * minute };
+
+      expect(processors.sessionWindow([event('u1', 0, 'login')], config)).toEqual([
+        expect.objectContaining({ userId: 'u1', eventCount: 1 }),
+      ]);
+      expect(processors.sessionWindow([event('u1', 5, 'view_page')], config)).toEqual([
+        expect.objectContaining({ userId: 'u1', eventCount: 1, pageCount: 1 }),
+      ]);
+    });
+  });
 });
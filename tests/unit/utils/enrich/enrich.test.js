@@ -0,0 +1,252 @@
+jest.mock('../../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { ReferenceLookup, normalizeEnrichConfig } = require('../../../../src/utils/enrich');
+const { createDataProcessor } = require('../../../../src/utils/dataProcessor');
+const { User } = require('../../../../src/models');
+
+// 与 CacheService 一致：值以JSON保存，空值视为未命中
+const createCache = () => {
+  const entries = new Map();
+  return {
+    entries,
+    getWithProtection: jest.fn(async (entity, operation, identifier, fallback) => {
+      const key = `${entity}:${operation}:${identifier}`;
+      if (entries.has(key)) {
+        return JSON.parse(entries.get(key));
+      }
+      const data = await fallback();
+      entries.set(key, JSON.stringify(data));
+      return data;
+    }),
+  };
+};
+
+const userId = '5ebac534954b54139806c112';
+const signup = new Date('2023-01-02T03:04:05.000Z');
+
+describe('Reference data enrichment', () => {
+  describe('normalizeEnrichConfig', () => {
+    test('should default to keeping unmatched records and share the cache across output names', () => {
+      const config = normalizeEnrichConfig({
+        source: 'mongodb',
+        model: 'User',
+        keyField: 'userId',
+        fields: { name: 'userName', role: 'userRole' },
+      });
+
+      expect(config).toEqual({
+        key: expect.stringMatching(/^[0-9a-f]{16}$/),
+        source: 'mongodb',
+        model: 'User',
+        collection: null,
+        keyPrefix: null,
+        lookupField: '_id',
+        keyField: 'userId',
+        fields: [
+          { from: 'name', to: 'userName' },
+          { from: 'role', to: 'userRole' },
+        ],
+        as: null,
+        onMiss: 'keep',
+        cacheTtl: 300,
+      });
+      expect(
+        normalizeEnrichConfig({ source: 'mongodb', model: 'User', keyField: 'uid', fields: ['role', 'name'], as: 'user' })
+          .key
+      ).toBe(config.key);
+      expect(
+        normalizeEnrichConfig({ source: 'mongodb', model: 'User', keyField: 'userId', fields: ['email'] }).key
+      ).not.toBe(config.key);
+    });
+
+    test('should reject invalid enrichment configurations', () => {
+      const base = { source: 'mongodb', model: 'User', keyField: 'userId', fields: ['name'] };
+
+      expect(() => normalizeEnrichConfig({ ...base, source: 'mysql' })).toThrow('Invalid enrich source: mysql');
+      expect(() => normalizeEnrichConfig({ ...base, keyField: undefined })).toThrow('Enrich requires a keyField');
+      expect(() => normalizeEnrichConfig({ ...base, collection: 'users' })).toThrow('either a model or a collection');
+      expect(() => normalizeEnrichConfig({ ...base, model: undefined, collection: 'system.users' })).toThrow(
+        'Invalid enrich collection: system.users'
+      );
+      expect(() => normalizeEnrichConfig({ ...base, source: 'redis-hash', model: undefined })).toThrow(
+        'requires a keyPrefix'
+      );
+      expect(() => normalizeEnrichConfig({ ...base, fields: [] })).toThrow('Enrich fields must be');
+      expect(() => normalizeEnrichConfig({ ...base, fields: { $where: 'name' } })).toThrow('Enrich fields must be');
+      expect(() => normalizeEnrichConfig({ ...base, onMiss: 'retry' })).toThrow('Invalid enrich onMiss policy: retry');
+      expect(() => normalizeEnrichConfig({ ...base, cacheTtl: 0 })).toThrow('Enrich cacheTtl must be');
+    });
+  });
+
+  describe('ReferenceLookup', () => {
+    const config = normalizeEnrichConfig({
+      source: 'mongodb',
+      model: 'User',
+      keyField: 'userId',
+      fields: { name: 'userName', role: 'userRole', createdAt: 'signupDate' },
+    });
+    let findOne;
+
+    beforeEach(() => {
+      findOne = jest.spyOn(User, 'findOne');
+    });
+
+    afterEach(() => {
+      findOne.mockRestore();
+    });
+
+    const mockUsers = (users) =>
+      findOne.mockImplementation((filter) => ({
+        select: () => ({ lean: () => Promise.resolve(users[filter._id] || null) }),
+      }));
+
+    test('should merge user fields and look each key up once through the cache', async () => {
+      mockUsers({ [userId]: { _id: userId, name: 'Ann', role: 'admin', createdAt: signup } });
+      const cache = createCache();
+      const lookup = new ReferenceLookup({ cache });
+
+      const result = await lookup.enrich(config, [
+        { userId, action: 'login' },
+        { userId, action: 'logout' },
+      ]);
+      const cached = await lookup.enrich(config, { userId, action: 'view' });
+
+      expect(result).toEqual([
+        { userId, action: 'login', userName: 'Ann', userRole: 'admin', signupDate: signup.toISOString() },
+        { userId, action: 'logout', userName: 'Ann', userRole: 'admin', signupDate: signup.toISOString() },
+      ]);
+      expect(cached).toEqual({
+        userId,
+        action: 'view',
+        userName: 'Ann',
+        userRole: 'admin',
+        signupDate: signup.toISOString(),
+      });
+      expect(findOne).toHaveBeenCalledTimes(1);
+      expect(findOne).toHaveBeenCalledWith({ _id: userId });
+      expect(cache.getWithProtection).toHaveBeenCalledWith('enrich', config.key, userId, expect.any(Function), 300);
+      expect(lookup.getMetrics()).toEqual({ records: 3, enriched: 3, missed: 0, dropped: 0, queries: 1 });
+    });
+
+    test('should cache misses and apply the miss policy', async () => {
+      mockUsers({});
+      const cache = createCache();
+      const lookup = new ReferenceLookup({ cache });
+      const records = [{ userId, action: 'login' }, { action: 'anonymous' }];
+
+      await expect(lookup.enrich(config, records)).resolves.toEqual(records);
+      await expect(lookup.enrich({ ...config, onMiss: 'null' }, records[0])).resolves.toEqual({
+        userId,
+        action: 'login',
+        userName: null,
+        userRole: null,
+        signupDate: null,
+      });
+      await expect(lookup.enrich({ ...config, onMiss: 'drop' }, records)).resolves.toBeNull();
+      await expect(lookup.enrich({ ...config, onMiss: 'error' }, records[1])).rejects.toThrow(
+        'No reference data for userId (missing)'
+      );
+      expect(findOne).toHaveBeenCalledTimes(1);
+      expect(lookup.getMetrics()).toMatchObject({ records: 6, enriched: 0, missed: 6, dropped: 2, queries: 1 });
+    });
+
+    test('should treat keys that do not match the schema type as misses', async () => {
+      const lookup = new ReferenceLookup({ cache: createCache() });
+
+      await expect(lookup.enrich({ ...config, onMiss: 'null' }, { userId: 'u-7' })).resolves.toMatchObject({
+        userName: null,
+      });
+      expect(lookup.getMetrics()).toMatchObject({ missed: 1, queries: 1 });
+    });
+
+    test('should refuse to read private model fields', async () => {
+      const lookup = new ReferenceLookup({ cache: createCache() });
+      const passwordConfig = normalizeEnrichConfig({
+        source: 'mongodb',
+        collection: 'users',
+        keyField: 'userId',
+        fields: ['name', 'password'],
+      });
+
+      await expect(lookup.enrich(passwordConfig, { userId })).rejects.toThrow('Enrich field password of User is private');
+    });
+
+    test('should refuse to query collections without a registered model', async () => {
+      const collection = { findOne: jest.fn().mockResolvedValue({ _id: 'sku-1', title: 'Lamp' }) };
+      const connection = { modelNames: () => [], collection: jest.fn(() => collection) };
+      const lookup = new ReferenceLookup({ cache: createCache(), connection });
+      const productConfig = normalizeEnrichConfig({
+        source: 'mongodb',
+        collection: 'products',
+        keyField: 'sku',
+        fields: ['title'],
+      });
+
+      await expect(lookup.enrich(productConfig, { sku: 'sku-1' })).rejects.toThrow(
+        'Enrich collection products has no registered model'
+      );
+      expect(collection.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should read reference data from Redis hashes', async () => {
+      const redis = {
+        hgetall: jest.fn((key) => Promise.resolve(key === 'ref:user:7' ? { name: 'Ann', tier: 'gold' } : {})),
+      };
+      const lookup = new ReferenceLookup({ cache: createCache(), redis });
+      const hashConfig = normalizeEnrichConfig({
+        source: 'redis-hash',
+        keyPrefix: 'ref:user:',
+        keyField: 'userId',
+        fields: ['name', 'tier'],
+        onMiss: 'null',
+      });
+
+      await expect(lookup.enrich(hashConfig, [{ userId: 7 }, { userId: 8 }])).resolves.toEqual([
+        { userId: 7, name: 'Ann', tier: 'gold' },
+        { userId: 8, name: null, tier: null },
+      ]);
+      expect(redis.hgetall).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('enrich step', () => {
+    const steps = [
+      {
+        type: 'enrich',
+        config: { source: 'redis-hash', keyPrefix: 'ref:user:', keyField: 'userId', fields: { name: 'userName' } },
+      },
+    ];
+
+    test('should merge the looked-up fields into the record', async () => {
+      const redis = { hgetall: jest.fn().mockResolvedValue({ name: 'Ann' }) };
+      const dataProcessor = createDataProcessor({ referenceLookup: new ReferenceLookup({ cache: createCache(), redis }) });
+
+      await expect(
+        dataProcessor.processItem({ userId: '7' }, { pipeline: dataProcessor.compilePipeline(steps) })
+      ).resolves.toEqual({ userId: '7', userName: 'Ann' });
+    });
+
+    test('should pass the data on without a reference lookup', async () => {
+      const dataProcessor = createDataProcessor();
+      const trace = [];
+
+      await expect(
+        dataProcessor.processItem({ userId: '7' }, { pipeline: dataProcessor.compilePipeline(steps), trace })
+      ).resolves.toEqual({ userId: '7' });
+      expect(trace[0]).toMatchObject({ type: 'enrich', skipped: true });
+    });
+
+    test('should reject invalid enrichment configurations when compiling', () => {
+      const dataProcessor = createDataProcessor();
+
+      expect(() =>
+        dataProcessor.compilePipeline([{ type: 'enrich', config: { source: 'redis-hash', keyField: 'userId' } }])
+      ).toThrow('Enrich from redis-hash requires a keyPrefix');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { compileFilter, FilterExpressionError } = require('../../../src/utils/filterExpression');
+
+describe('compileFilter', () => {
+  const record = {
+    host: 'server-01',
+    value: 97,
+    value_isAnomaly: true,
+    tags: { region: 'eu' },
+    action: 'purchase',
+  };
+
+  test('should evaluate comparisons', () => {
+    expect(compileFilter('value > 90')(record)).toBe(true);
+    expect(compileFilter('value <= 90')(record)).toBe(false);
+    expect(compileFilter('host == "server-01"')(record)).toBe(true);
+    expect(compileFilter("host != 'server-01'")(record)).toBe(false);
+    expect(compileFilter('value_isAnomaly == true')(record)).toBe(true);
+    expect(compileFilter('value > -1.5')(record)).toBe(true);
+  });
+
+  test('should combine conditions with logical operators and parentheses', () => {
+    expect(compileFilter('value_isAnomaly && (host == "server-02" || value >= 97)')(record)).toBe(true);
+    expect(compileFilter('!value_isAnomaly || host == "server-02"')(record)).toBe(false);
+  });
+
+  test('should support nested fields and in lists', () => {
+    expect(compileFilter('tags.region == "eu"')(record)).toBe(true);
+    expect(compileFilter('action in ["login", "purchase"]')(record)).toBe(true);
+    expect(compileFilter('action in ["login"]')(record)).toBe(false);
+  });
+
+  test('should treat missing fields as undefined', () => {
+    expect(compileFilter('missing.field == null')(record)).toBe(false);
+    expect(compileFilter('missing')(record)).toBe(false);
+  });
+
+  test('should not expose inherited properties', () => {
+    expect(compileFilter('constructor')(record)).toBe(false);
+    expect(compileFilter('tags.constructor')(record)).toBe(false);
+  });
+
+  test('should throw FilterExpressionError for invalid expressions', () => {
+    expect(() => compileFilter('value >')).toThrow(FilterExpressionError);
+    expect(() => compileFilter('value > 1 )')).toThrow(FilterExpressionError);
+    expect(() => compileFilter('host == "server')).toThrow('unterminated string');
+    expect(() => compileFilter('value ; 1')).toThrow("unexpected character ';'");
+    expect(() => compileFilter('')).toThrow(FilterExpressionError);
+  });
+});
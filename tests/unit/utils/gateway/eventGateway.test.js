@@ -0,0 +1,151 @@
+const http = require('http');
+const passport = require('passport');
+const WebSocket = require('ws');
+
+jest.mock('../../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../src/services', () => ({
+  eventService: {
+    EVENT_QUEUE: 'event-data-processing',
+    ingestEvents: jest.fn(),
+    getIngestionQueue: jest.fn(),
+  },
+}));
+
+const { eventService } = require('../../../../src/services');
+const EventGateway = require('../../../../src/utils/gateway/EventGateway');
+
+const receive = (ws, count) =>
+  new Promise((resolve) => {
+    const messages = [];
+    const onMessage = (data) => {
+      messages.push(JSON.parse(data.toString()));
+      if (messages.length === count) {
+        ws.off('message', onMessage);
+        resolve(messages);
+      }
+    };
+    ws.on('message', onMessage);
+  });
+
+describe('EventGateway', () => {
+  let server;
+  let gateway;
+  let url;
+  let user;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    user = { id: 'user-1', role: 'user' };
+    jest.spyOn(passport, 'authenticate').mockImplementation((strategy, options, callback) => (req) => {
+      if (req.headers.authorization === 'Bearer valid') {
+        callback(null, user);
+      } else {
+        callback(null, false, new Error('No auth token'));
+      }
+    });
+    eventService.ingestEvents.mockImplementation(async (events) =>
+      events.map((event, index) => ({ jobId: String(index + 1), type: event.type }))
+    );
+
+    server = http.createServer();
+    await new Promise((resolve) => server.listen(0, resolve));
+    gateway = new EventGateway({ backlogHighWaterMark: 10, backlogCheckInterval: 60000 }).attach(server);
+    url = `ws://localhost:${server.address().port}/v1/events/ws`;
+  });
+
+  afterEach(async () => {
+    await gateway.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const connect = () =>
+    new Promise((resolve, reject) => {
+      const ws = new WebSocket(url, { headers: { Authorization: 'Bearer valid' } });
+      ws.once('open', () => resolve(ws));
+      ws.once('error', reject);
+    });
+
+  test('should reject connections without a valid token', async () => {
+    const statusCode = await new Promise((resolve) => {
+      const ws = new WebSocket(url);
+      ws.once('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.once('error', () => {});
+    });
+
+    expect(statusCode).toBe(401);
+  });
+
+  test('should reject users without the ingestEvents right', async () => {
+    user.role = 'guest';
+
+    const statusCode = await new Promise((resolve) => {
+      const ws = new WebSocket(url, { headers: { Authorization: 'Bearer valid' } });
+      ws.once('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.once('error', () => {});
+    });
+
+    expect(statusCode).toBe(403);
+  });
+
+  test('should enqueue framed events and acknowledge them in order with job ids', async () => {
+    const ws = await connect();
+
+    const messages = receive(ws, 2);
+    ws.send(JSON.stringify({ type: 'system-metrics', value: 1 }));
+    ws.send(JSON.stringify([{ type: 'system-metrics', value: 2 }, { type: 'user-activity' }]));
+
+    const [first, second] = await messages;
+    ws.close();
+
+    expect(first).toEqual({ type: 'ack', seq: 1, accepted: 1, replayed: 0, jobs: [{ jobId: '1', type: 'system-metrics' }] });
+    expect(second).toMatchObject({ type: 'ack', seq: 2, accepted: 2 });
+    expect(eventService.ingestEvents).toHaveBeenCalledWith([{ type: 'system-metrics', value: 1 }], {
+      source: 'websocket',
+      userId: 'user-1',
+    });
+  });
+
+  test('should answer invalid frames with an error without closing the connection', async () => {
+    const ws = await connect();
+
+    const messages = receive(ws, 2);
+    ws.send('not json');
+    ws.send(JSON.stringify({ value: 1 }));
+
+    const [invalidJson, invalidEvent] = await messages;
+    ws.close();
+
+    expect(invalidJson).toEqual({ type: 'error', seq: 1, code: 400, message: 'Invalid JSON' });
+    expect(invalidEvent).toMatchObject({ type: 'error', seq: 2, code: 400 });
+    expect(eventService.ingestEvents).not.toHaveBeenCalled();
+  });
+
+  test('should pause producers while the queue backlog is above the high water mark', async () => {
+    const ws = await connect();
+    const queue = { getWaitingCount: jest.fn().mockResolvedValue(20) };
+    eventService.getIngestionQueue.mockReturnValue(queue);
+
+    let messages = receive(ws, 1);
+    await gateway._checkBacklog();
+    const [paused] = await messages;
+
+    queue.getWaitingCount.mockResolvedValue(7);
+    await gateway._checkBacklog();
+    expect(gateway.getStatus().backlogExceeded).toBe(true);
+
+    messages = receive(ws, 1);
+    queue.getWaitingCount.mockResolvedValue(3);
+    await gateway._checkBacklog();
+    const [resumed] = await messages;
+    ws.close();
+
+    expect(paused).toEqual({ type: 'backpressure', paused: true });
+    expect(resumed).toEqual({ type: 'backpressure', paused: false });
+  });
+});
@@ -0,0 +1,98 @@
+const EventEmitter = require('events');
+
+jest.mock('../../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const ResultBroadcaster = require('../../../../src/utils/gateway/ResultBroadcaster');
+
+describe('ResultBroadcaster', () => {
+  let publisher;
+  let subscriber;
+  let broadcaster;
+
+  beforeEach(() => {
+    publisher = { publish: jest.fn().mockResolvedValue(1), quit: jest.fn().mockResolvedValue('OK') };
+    subscriber = Object.assign(new EventEmitter(), {
+      subscribe: jest.fn().mockResolvedValue(1),
+      quit: jest.fn().mockResolvedValue('OK'),
+    });
+    broadcaster = new ResultBroadcaster({ channel: 'test:results', publisher, subscriber });
+  });
+
+  test('should publish serialized results to the channel', async () => {
+    await broadcaster.publish({ type: 'system-metrics', result: { avgValue: 1 } });
+
+    expect(publisher.publish).toHaveBeenCalledWith('test:results', expect.any(String));
+    expect(JSON.parse(publisher.publish.mock.calls[0][1])).toMatchObject({
+      type: 'system-metrics',
+      result: { avgValue: 1 },
+      publishedAt: expect.any(String),
+    });
+  });
+
+  test('should subscribe to the channel once and dispatch by event type', () => {
+    const metricsListener = jest.fn();
+    const allListener = jest.fn();
+    broadcaster.subscribe({ type: 'system-metrics' }, metricsListener);
+    broadcaster.subscribe({}, allListener);
+
+    subscriber.emit('message', 'test:results', JSON.stringify({ type: 'user-activity', result: {} }));
+    subscriber.emit('message', 'other:channel', JSON.stringify({ type: 'system-metrics', result: {} }));
+
+    expect(subscriber.subscribe).toHaveBeenCalledTimes(1);
+    expect(metricsListener).not.toHaveBeenCalled();
+    expect(allListener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should filter array results item by item', () => {
+    const listener = jest.fn();
+    broadcaster.subscribe({ type: 'system-metrics', filter: 'value_isAnomaly == true' }, listener);
+
+    broadcaster.dispatch(
+      JSON.stringify({
+        type: 'system-metrics',
+        result: [
+          { host: 'a', value_isAnomaly: false },
+          { host: 'b', value_isAnomaly: true },
+        ],
+      })
+    );
+    broadcaster.dispatch(JSON.stringify({ type: 'system-metrics', result: [{ host: 'a', value_isAnomaly: false }] }));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].result).toEqual([{ host: 'b', value_isAnomaly: true }]);
+  });
+
+  test('should only dispatch the results of the subscribed user', () => {
+    const userListener = jest.fn();
+    const allListener = jest.fn();
+    broadcaster.subscribe({ userId: 'user-1' }, userListener);
+    broadcaster.subscribe({}, allListener);
+
+    broadcaster.dispatch(JSON.stringify({ type: 'system-metrics', userId: 'user-1', result: 1 }));
+    broadcaster.dispatch(JSON.stringify({ type: 'system-metrics', userId: 'user-2', result: 2 }));
+    broadcaster.dispatch(JSON.stringify({ type: 'system-metrics', result: 3 }));
+
+    expect(userListener.mock.calls.map(([message]) => message.result)).toEqual([1]);
+    expect(allListener).toHaveBeenCalledTimes(3);
+  });
+
+  test('should stop dispatching after unsubscribe', () => {
+    const listener = jest.fn();
+    const unsubscribe = broadcaster.subscribe({}, listener);
+
+    unsubscribe();
+    broadcaster.dispatch(JSON.stringify({ type: 'system-metrics', result: {} }));
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(broadcaster.getSubscriptionCount()).toBe(0);
+  });
+
+  test('should reject invalid filter expressions', () => {
+    expect(() => broadcaster.subscribe({ filter: 'value >' }, jest.fn())).toThrow('Invalid filter expression');
+  });
+});
@@ -5,6 +5,9 @@ const MetricsCollector = require('../../../../src/utils/monitoring/MetricsCollec
 const HealthChecker = require('../../../../src/utils/monitoring/HealthChecker');
 const AlertManager = require('../../../../src/utils/monitoring/AlertManager');
 const PerformanceOptimizer = require('../../../../src/utils/monitoring/PerformanceOptimizer');
+const DataProcessor = require('../../../../src/utils/dataProcessor/DataProcessor');
+const transformers = require('../../../../src/utils/dataProcessor/transformers');
+const { AnomalyAlerter } = require('../../../../src/utils/alert');
 
 describe('MonitoringService', () => {
   let monitoringService;
@@ -185,6 +188,65 @@ test('应该能导出Prometheus格式指标', () => {
     expect(mockCacheService.on).toHaveBeenCalledWith('del', expect.any(Function));
   });
 
+  test('应该能注册数据处理器监控并导出带标签的管道和步骤指标', async () => {
+    const dataProcessor = new DataProcessor();
+    dataProcessor.registerTransformer('fieldFilter', transformers.fieldFilter);
+    dataProcessor.registerProcessor('failing', () => {
+      throw new Error('boom');
+    });
+    const pipeline = dataProcessor.compilePipeline([
+      { type: 'transformer', name: 'fieldFilter', config: { fields: ['value'] } },
+      { type: 'processor', name: 'failing', errorHandler: (error, data) => data },
+    ]);
+
+    const result = monitoringService.registerDataProcessor(dataProcessor);
+    await dataProcessor.processItem({ value: 1, host: 'a' }, { pipeline, pipelineName: 'orders' });
+
+    expect(result).toBe(monitoringService);
+    expect(
+      monitoringService.metricsCollector.getMetric('processor_step_duration', { pipeline: 'orders', step: 'fieldFilter' })
+    ).toMatchObject({ count: 1 });
+    expect(
+      monitoringService.metricsCollector.getMetric('processor_step_errors', { pipeline: 'orders', step: 'failing' })
+    ).toBe(1);
+
+    const exported = monitoringService.exportPrometheusMetrics();
+    expect(exported).toContain('app_processor_pipeline_duration_count{pipeline="orders"} 1');
+    expect(exported).toContain('app_processor_pipeline_errors{pipeline="orders"} 0');
+    expect(exported).toContain('app_processor_step_errors{pipeline="orders",step="fieldFilter"} 0');
+    expect(exported).toContain('app_processor_step_duration_bucket{pipeline="orders",step="fieldFilter",le="+Inf"} 1');
+  });
+
+  test('应该按策略统计窗口步骤的迟到记录', () => {
+    const dataProcessor = new DataProcessor();
+    monitoringService.registerDataProcessor(dataProcessor);
+
+    dataProcessor.emit('lateRecords', { pipeline: 'system-metrics', step: 'window', policy: 'queue', count: 2 });
+    dataProcessor.emit('lateRecords', { pipeline: 'system-metrics', step: 'window', policy: 'queue', count: 1 });
+
+    expect(
+      monitoringService.metricsCollector.getMetric('processor_window_late_records', {
+        pipeline: 'system-metrics',
+        step: 'window',
+        policy: 'queue',
+      })
+    ).toBe(3);
+  });
+
+  test('应该让数据处理器的 alert 步骤通过告警管理器发出告警', async () => {
+    const redis = { alertSeries: jest.fn().mockResolvedValue(['raise', -1, 'test']) };
+    const subscriber = { on: jest.fn(), subscribe: jest.fn().mockResolvedValue(1) };
+    const dataProcessor = new DataProcessor({ alerter: new AnomalyAlerter({ redis, subscriber, instanceId: 'test' }) });
+    const pipeline = dataProcessor.compilePipeline([{ type: 'alert', config: { field: 'value', seriesBy: 'host' } }]);
+
+    monitoringService.registerDataProcessor(dataProcessor);
+    await dataProcessor.processItem({ host: 'a', value: 90, value_isAnomaly: true, value_score: 4 }, { pipeline });
+
+    expect(monitoringService.alertManager.getActiveAlerts()).toEqual([
+      expect.objectContaining({ name: 'data_anomaly:a', severity: AlertManager.AlertSeverity.WARNING }),
+    ]);
+  });
+
   test('应该能正确关闭监控服务', () => {
     // 设置监听器
     const shutdownSpy = jest.fn();
@@ -0,0 +1,55 @@
+const { Readable } = require('stream');
+const { parseNdjson } = require('../../../src/utils/ndjson');
+
+const collect = async (chunks, options) => {
+  const results = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const result of parseNdjson(Readable.from(chunks), options)) {
+    results.push(result);
+  }
+  return results;
+};
+
+describe('parseNdjson', () => {
+  test('should parse lines split across chunks', async () => {
+    const results = await collect([Buffer.from('{"a":1}\n{"b"'), Buffer.from(':2}\n{"c":3}')]);
+
+    expect(results).toEqual([
+      { line: 1, value: { a: 1 } },
+      { line: 2, value: { b: 2 } },
+      { line: 3, value: { c: 3 } },
+    ]);
+  });
+
+  test('should decode multi-byte characters split across chunks', async () => {
+    const bytes = Buffer.from('{"name":"数据"}\n');
+    const results = await collect([bytes.slice(0, 11), bytes.slice(11)]);
+
+    expect(results).toEqual([{ line: 1, value: { name: '数据' } }]);
+  });
+
+  test('should skip blank lines but keep line numbers', async () => {
+    const results = await collect([Buffer.from('{"a":1}\r\n\n  \n{"a":2}\n')]);
+
+    expect(results.map((result) => result.line)).toEqual([1, 4]);
+  });
+
+  test('should report invalid json lines without stopping', async () => {
+    const results = await collect([Buffer.from('{"a":1}\nnot json\n{"a":3}')]);
+
+    expect(results[1].line).toBe(2);
+    expect(results[1].error.message).toMatch('Invalid JSON');
+    expect(results[2]).toEqual({ line: 3, value: { a: 3 } });
+  });
+
+  test('should reject lines longer than maxLineLength', async () => {
+    const results = await collect([Buffer.from('{"a":"'), Buffer.from('x'.repeat(20)), Buffer.from('"}\n{"a":2}\n')], {
+      maxLineLength: 10,
+    });
+
+    expect(results).toHaveLength(2);
+    expect(results[0].line).toBe(1);
+    expect(results[0].error.message).toMatch('exceeds 10 characters');
+    expect(results[1]).toEqual({ line: 2, value: { a: 2 } });
+  });
+});
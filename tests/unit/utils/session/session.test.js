@@ -0,0 +1,260 @@
+jest.mock('../../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { SessionStore, normalizeSessionConfig } = require('../../../../src/utils/session');
+const { createDataProcessor } = require('../../../../src/utils/dataProcessor');
+
+const minute = 60000;
+const start = Date.UTC(2023, 10, 1, 10, 0, 0);
+
+const event = (userId, offset, action, extra = {}) => ({
+  userId,
+  timestamp: new Date(start + offset * minute).toISOString(),
+  action,
+  ...extra,
+});
+
+// sessionAdd 是注册到Redis客户端的Lua脚本，返回本次结束的会话哈希 [[字段, 值]...]
+const createRedis = (replies = []) => {
+  const sessionAdd = jest.fn().mockResolvedValue([]);
+  replies.forEach((reply) => sessionAdd.mockResolvedValueOnce(reply));
+  return { sessionAdd, quit: jest.fn().mockResolvedValue('OK') };
+};
+
+// 按脚本的语义在内存中保存会话状态（只统计事件数），用于验证会话的结束时机
+const createScriptRedis = () => {
+  const sessions = new Map();
+  let maxTime = null;
+  const close = (closed, user) => {
+    const session = sessions.get(user);
+    closed.push([
+      'user',
+      session.user,
+      'start',
+      String(session.start),
+      'end',
+      String(session.end),
+      'eventCount',
+      String(session.eventCount),
+    ]);
+    sessions.delete(user);
+  };
+  return {
+    sessions,
+    sessionAdd: jest.fn(async (key, stateTtl, gap, now, ...args) => {
+      const closed = [];
+      for (let i = 0; i < args.length; i += 6) {
+        const time = Number(args[i]);
+        if (sessions.has(args[i + 1]) && time - sessions.get(args[i + 1]).end > gap) {
+          close(closed, args[i + 1]);
+        }
+        const session = sessions.get(args[i + 1]) || { user: args[i + 2], start: time, end: time, eventCount: 0 };
+        session.start = Math.min(session.start, time);
+        session.end = Math.max(session.end, time);
+        session.eventCount += 1;
+        session.deadline = now + gap;
+        sessions.set(args[i + 1], session);
+        maxTime = maxTime === null ? time : Math.max(maxTime, time);
+      }
+      sessions.forEach((session, user) => {
+        if (session.end < maxTime - gap || session.deadline < now) {
+          close(closed, user);
+        }
+      });
+      return closed;
+    }),
+  };
+};
+
+// 按脚本中的字段生成会话哈希
+const sessionHash = (user, startOffset, endOffset, fields = {}) => [
+  'user',
+  JSON.stringify(user),
+  'start',
+  String(start + startOffset * minute),
+  'end',
+  String(start + endOffset * minute),
+  ...Object.entries(fields).flat(),
+];
+
+describe('Session windows', () => {
+  describe('normalizeSessionConfig', () => {
+    test('should default to 30 minute sessions of userId events and derive the key from the configuration', () => {
+      const config = normalizeSessionConfig();
+
+      expect(config).toEqual({
+        key: expect.stringMatching(/^[0-9a-f]{16}$/),
+        userField: 'userId',
+        timeField: 'timestamp',
+        gap: 30 * minute,
+        actionField: 'action',
+        pageAction: 'view_page',
+        purchaseAction: 'purchase',
+        amountField: 'amount',
+        stateTtl: 24 * 60 * minute,
+      });
+      expect(normalizeSessionConfig({ gap: 10 * minute }).key).not.toBe(config.key);
+      expect(normalizeSessionConfig({ key: 'checkout' }).key).toBe('checkout');
+    });
+
+    test('should reject invalid session configurations', () => {
+      expect(() => normalizeSessionConfig({ gap: 0 })).toThrow('Session gap must be a positive integer');
+      expect(() => normalizeSessionConfig({ gap: minute, stateTtl: minute })).toThrow(
+        'Session stateTtl must be an integer number of milliseconds greater than gap'
+      );
+      expect(() => normalizeSessionConfig({ userField: '' })).toThrow('Session userField must be a non-empty string');
+      expect(() => normalizeSessionConfig({ key: 5 })).toThrow('Session key must be a non-empty string');
+    });
+  });
+
+  describe('SessionStore', () => {
+    const config = normalizeSessionConfig({ gap: 10 * minute, key: 'activity' });
+
+    test('should send the events in time order and summarize the sessions that closed', async () => {
+      const redis = createRedis([
+        [
+          sessionHash('u2', 2, 2, { eventCount: '1', 'action:login': '1' }),
+          sessionHash('u1', 0, 15, {
+            eventCount: '3',
+            'action:login': '1',
+            'action:view_page': '1',
+            'action:purchase': '1',
+            pageCount: '1',
+            purchaseTotal: '19.5',
+          }),
+        ],
+      ]);
+      const store = new SessionStore({ redis, prefix: 'test:session' });
+
+      const sessions = await store.add(config, [
+        event('u1', 9, 'view_page'),
+        event('u1', 0, 'login'),
+        event('u1', 15, 'purchase', { amount: '19.5' }),
+        event('u2', 2, 'login'),
+        { userId: 'u3', timestamp: 'never' },
+        { action: 'anonymous' },
+      ]);
+
+      expect(redis.sessionAdd).toHaveBeenCalledWith(
+        'test:session:activity',
+        config.stateTtl,
+        10 * minute,
+        expect.any(Number),
+        ...[String(start), 'u1', '"u1"', 'login', '0', ''],
+        ...[String(start + 2 * minute), 'u2', '"u2"', 'login', '0', ''],
+        ...[String(start + 9 * minute), 'u1', '"u1"', 'view_page', '1', ''],
+        ...[String(start + 15 * minute), 'u1', '"u1"', 'purchase', '0', '19.5']
+      );
+      expect(sessions).toEqual([
+        {
+          userId: 'u1',
+          sessionStart: new Date(start).toISOString(),
+          sessionEnd: new Date(start + 15 * minute).toISOString(),
+          duration: 15 * minute,
+          eventCount: 3,
+          pageCount: 1,
+          actions: { login: 1, view_page: 1, purchase: 1 },
+          purchaseTotal: 19.5,
+        },
+        {
+          userId: 'u2',
+          sessionStart: new Date(start + 2 * minute).toISOString(),
+          sessionEnd: new Date(start + 2 * minute).toISOString(),
+          duration: 0,
+          eventCount: 1,
+          pageCount: 0,
+          actions: { login: 1 },
+          purchaseTotal: 0,
+        },
+      ]);
+      expect(store.getMetrics()).toEqual({ events: 4, invalid: 2, closed: 2 });
+    });
+
+    test('should keep numeric and object user identifiers', async () => {
+      const redis = createRedis([[sessionHash({ id: 7 }, 0, 0, { eventCount: '1' })]]);
+      const store = new SessionStore({ redis });
+
+      const [session] = await store.add(config, event({ id: 7 }, 0));
+
+      expect(redis.sessionAdd.mock.calls[0].slice(4, 7)).toEqual([String(start), '{"id":7}', '{"id":7}']);
+      expect(session).toMatchObject({ userId: { id: 7 }, eventCount: 1, actions: {} });
+    });
+
+    test('should close sessions without new events for gap even if the event time stops advancing', async () => {
+      const redis = createScriptRedis();
+      const store = new SessionStore({ redis });
+      const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      await expect(store.add(config, [event('u1', 0, 'login'), event('u1', 5, 'view_page')])).resolves.toEqual([]);
+      now.mockReturnValue(start + 11 * minute);
+      // u2 的事件时间早于 u1 的最后一个事件，最大事件时间没有推进
+      await expect(store.add(config, event('u2', 3, 'login'))).resolves.toEqual([
+        expect.objectContaining({ userId: 'u1', sessionEnd: new Date(start + 5 * minute).toISOString(), eventCount: 2 }),
+      ]);
+
+      expect(redis.sessionAdd).toHaveBeenLastCalledWith(
+        'rdp:session:activity',
+        config.stateTtl,
+        10 * minute,
+        start + 11 * minute,
+        ...[String(start + 3 * minute), 'u2', '"u2"', 'login', '0', '']
+      );
+      expect([...redis.sessions.keys()]).toEqual(['u2']);
+      now.mockRestore();
+    });
+
+    test('should not call Redis without valid events', async () => {
+      const redis = createRedis();
+      const store = new SessionStore({ redis });
+
+      await expect(store.add(config, [{ userId: null, timestamp: start }])).resolves.toEqual([]);
+      expect(redis.sessionAdd).not.toHaveBeenCalled();
+    });
+
+    test('should register the session script on clients that do not have it', () => {
+      const redis = { defineCommand: jest.fn() };
+
+      new SessionStore({ redis })._getRedis();
+
+      expect(redis.defineCommand).toHaveBeenCalledWith('sessionAdd', { numberOfKeys: 1, lua: expect.any(String) });
+    });
+  });
+
+  describe('session step', () => {
+    const steps = [{ type: 'session', config: { gap: 10 * minute } }];
+
+    test('should add single events to the shared sessions and output the sessions that closed', async () => {
+      const redis = createRedis([[], [sessionHash('u1', 0, 0, { eventCount: '1', 'action:login': '1' })]]);
+      const dataProcessor = createDataProcessor({ sessionStore: new SessionStore({ redis }) });
+      const pipeline = dataProcessor.compilePipeline(steps);
+
+      await expect(dataProcessor.processItem(event('u1', 0, 'login'), { pipeline })).resolves.toBeNull();
+      await expect(dataProcessor.processItem(event('u2', 30, 'login'), { pipeline })).resolves.toEqual([
+        expect.objectContaining({ userId: 'u1', eventCount: 1, actions: { login: 1 } }),
+      ]);
+      expect(redis.sessionAdd).toHaveBeenCalledTimes(2);
+    });
+
+    test('should be skipped and stop the pipeline without a session store', async () => {
+      const dataProcessor = createDataProcessor();
+      const trace = [];
+
+      await expect(
+        dataProcessor.processItem(event('u1', 0, 'login'), { pipeline: dataProcessor.compilePipeline(steps), trace })
+      ).resolves.toBeNull();
+      expect(trace[0]).toMatchObject({ type: 'session', skipped: true });
+    });
+
+    test('should reject invalid session configurations when compiling', () => {
+      const dataProcessor = createDataProcessor();
+
+      expect(() => dataProcessor.compilePipeline([{ type: 'session', config: { gap: -1 } }])).toThrow(
+        'Session gap must be a positive integer'
+      );
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { Sink, SinkManager, normalizeSinkConfig } = require('../../../../src/utils/sink');
+const { createDataProcessor } = require('../../../../src/utils/dataProcessor');
+
+class MemorySink extends Sink {
+  constructor(config, writeBatch) {
+    super(config);
+    this._writeBatch = writeBatch;
+  }
+}
+
+const createSink = (options, writeBatch = jest.fn().mockResolvedValue()) =>
+  new MemorySink(normalizeSinkConfig({ sink: 'queue', queue: 'results', retryDelay: 0, ...options }), writeBatch);
+
+describe('Sinks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeSinkConfig', () => {
+    test('should apply the default batching and retry options', () => {
+      expect(normalizeSinkConfig({ sink: 'mongodb', collection: 'metrics' })).toEqual({
+        sink: 'mongodb',
+        collection: 'metrics',
+        batchSize: 100,
+        flushInterval: 1000,
+        retries: 3,
+        retryDelay: 200,
+      });
+    });
+
+    test('should throw on unknown sink types and missing targets', () => {
+      expect(() => normalizeSinkConfig({ sink: 'kafka' })).toThrow('Invalid sink type: kafka');
+      expect(() => normalizeSinkConfig({ sink: 'redis-stream' })).toThrow('redis-stream sink requires a stream');
+      expect(() => normalizeSinkConfig({ sink: 'queue', queue: 'q', batchSize: 0 })).toThrow('Sink batchSize');
+    });
+
+    test('should reject file paths outside the sink directory', () => {
+      expect(() => normalizeSinkConfig({ sink: 'file', path: '../outside.ndjson' })).toThrow('inside the sink directory');
+      expect(() => normalizeSinkConfig({ sink: 'file', path: '/etc/passwd' })).toThrow('inside the sink directory');
+      expect(normalizeSinkConfig({ sink: 'file', path: 'metrics/./cpu.ndjson' }).path).toBe('metrics/cpu.ndjson');
+    });
+  });
+
+  describe('Sink', () => {
+    test('should write records in batches once the batch size is reached', async () => {
+      const writeBatch = jest.fn().mockResolvedValue();
+      const sink = createSink({ batchSize: 2 }, writeBatch);
+
+      await sink.write({ value: 1 });
+      expect(writeBatch).not.toHaveBeenCalled();
+
+      await sink.write([{ value: 2 }, { value: 3 }]);
+      expect(writeBatch).toHaveBeenCalledTimes(2);
+      expect(writeBatch.mock.calls[0][0]).toEqual([{ value: 1 }, { value: 2 }]);
+      expect(writeBatch.mock.calls[1][0]).toEqual([{ value: 3 }]);
+      expect(sink.getMetrics()).toMatchObject({ sink: 'queue', written: 3, batches: 2, buffered: 0 });
+    });
+
+    test('should flush buffered records after the flush interval', async () => {
+      jest.useFakeTimers();
+      const writeBatch = jest.fn().mockResolvedValue();
+      const sink = createSink({ batchSize: 10, flushInterval: 500 }, writeBatch);
+
+      await sink.write({ value: 1 });
+      jest.advanceTimersByTime(500);
+      await sink.pending;
+      jest.useRealTimers();
+
+      expect(writeBatch).toHaveBeenCalledWith([{ value: 1 }]);
+    });
+
+    test('should not be affected by later changes to written records', async () => {
+      const writeBatch = jest.fn().mockResolvedValue();
+      const sink = createSink({}, writeBatch);
+      const record = { value: 1 };
+
+      await sink.write(record);
+      record.value = 2;
+      await sink.flush();
+
+      expect(writeBatch).toHaveBeenCalledWith([{ value: 1 }]);
+    });
+
+    test('should retry failed batches and count the retries', async () => {
+      const writeBatch = jest.fn().mockRejectedValueOnce(new Error('connection reset')).mockResolvedValue();
+      const sink = createSink({ retries: 2 }, writeBatch);
+
+      await sink.write({ value: 1 });
+      await sink.flush();
+
+      expect(writeBatch).toHaveBeenCalledTimes(2);
+      expect(sink.getMetrics()).toMatchObject({ written: 1, failed: 0, retries: 1, lastError: 'connection reset' });
+    });
+
+    test('should drop the batch and emit batchFailed once the retries are exhausted', async () => {
+      const writeBatch = jest.fn().mockRejectedValue(new Error('connection reset'));
+      const sink = createSink({ retries: 1 }, writeBatch);
+      const onBatchFailed = jest.fn();
+      sink.on('batchFailed', onBatchFailed);
+
+      await sink.write([{ value: 1 }, { value: 2 }]);
+      await sink.flush();
+
+      expect(writeBatch).toHaveBeenCalledTimes(2);
+      expect(onBatchFailed).toHaveBeenCalledWith({ error: expect.any(Error), records: [{ value: 1 }, { value: 2 }] });
+      expect(sink.getMetrics()).toMatchObject({ written: 0, failed: 2, failedBatches: 1 });
+    });
+  });
+
+  describe('SinkManager', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should share one sink between identical configurations', () => {
+      const sinkManager = new SinkManager({ fileDirectory: directory });
+
+      const sink = sinkManager.acquire({ sink: 'file', path: 'out.ndjson' });
+
+      expect(sinkManager.acquire({ sink: 'file', path: 'out.ndjson', batchSize: 100 })).toBe(sink);
+      expect(sinkManager.acquire({ sink: 'file', path: 'out.ndjson', batchSize: 10 })).not.toBe(sink);
+      expect(sinkManager.getMetrics()).toHaveLength(2);
+    });
+
+    test('should append records to NDJSON files and flush them on close', async () => {
+      const sinkManager = new SinkManager({ fileDirectory: directory });
+
+      await sinkManager.acquire({ sink: 'file', path: 'metrics/cpu.ndjson' }).write([{ value: 1 }, { value: 2 }]);
+      await sinkManager.closeAll();
+
+      const lines = fs.readFileSync(path.join(directory, 'metrics/cpu.ndjson'), 'utf8').trim().split('\n');
+      expect(lines.map((line) => JSON.parse(line))).toEqual([{ value: 1 }, { value: 2 }]);
+    });
+
+    test('should insert records into MongoDB collections', async () => {
+      const insertMany = jest.fn().mockResolvedValue();
+      const connection = { collection: jest.fn().mockReturnValue({ insertMany }) };
+      const sinkManager = new SinkManager({ connection });
+
+      await sinkManager.acquire({ sink: 'mongodb', collection: 'metrics' }).write([{ value: 1 }, 2]);
+      await sinkManager.flushAll();
+
+      expect(connection.collection).toHaveBeenCalledWith('metrics');
+      expect(insertMany).toHaveBeenCalledWith([{ value: 1 }, { value: 2 }], { ordered: false });
+    });
+
+    test('should append records to Redis streams', async () => {
+      const pipeline = { xadd: jest.fn(), exec: jest.fn().mockResolvedValue([[null, '1-0']]) };
+      const redis = { pipeline: jest.fn().mockReturnValue(pipeline) };
+      const sinkManager = new SinkManager({ redis });
+
+      await sinkManager.acquire({ sink: 'redis-stream', stream: 'rdp:metrics', maxLength: 1000 }).write({ value: 1 });
+      await sinkManager.flushAll();
+
+      expect(pipeline.xadd).toHaveBeenCalledWith('rdp:metrics', 'MAXLEN', '~', 1000, '*', 'data', '{"value":1}');
+    });
+
+    test('should add records to Bull queues as job envelopes', async () => {
+      const queueManager = { addBulkJobs: jest.fn().mockResolvedValue([]) };
+      const sinkManager = new SinkManager({ queueManager });
+
+      await sinkManager.acquire({ sink: 'queue', queue: 'results' }).write({ value: 1 });
+      await sinkManager.flushAll();
+
+      expect(queueManager.addBulkJobs).toHaveBeenCalledWith('results', [
+        { data: { data: { value: 1 }, meta: { source: 'sink', receivedAt: expect.any(String) } } },
+      ]);
+    });
+  });
+
+  describe('sink step', () => {
+    test('should write the step input to the configured sink and pass it on', async () => {
+      const sink = { write: jest.fn().mockResolvedValue() };
+      const sinkManager = { acquire: jest.fn().mockReturnValue(sink) };
+      const dataProcessor = createDataProcessor({ sinkManager });
+      const pipeline = dataProcessor.compilePipeline([
+        { type: 'sink', config: { sink: 'mongodb', collection: 'metrics' } },
+        { type: 'transformer', name: 'fieldFilter', config: { fields: ['value'] } },
+      ]);
+
+      const result = await dataProcessor.processItem({ value: 1, host: 'a' }, { pipeline });
+
+      expect(sinkManager.acquire).toHaveBeenCalledWith(expect.objectContaining({ sink: 'mongodb', collection: 'metrics' }));
+      expect(sink.write).toHaveBeenCalledWith({ value: 1, host: 'a' });
+      expect(result).toEqual({ value: 1 });
+    });
+
+    test('should skip writing without a sink manager', async () => {
+      const dataProcessor = createDataProcessor();
+      const pipeline = dataProcessor.compilePipeline([{ type: 'sink', config: { sink: 'queue', queue: 'results' } }]);
+      const trace = [];
+
+      const result = await dataProcessor.processItem({ value: 1 }, { pipeline, trace });
+
+      expect(result).toEqual({ value: 1 });
+      expect(trace[0]).toMatchObject({ type: 'sink', name: 'sink', skipped: true });
+    });
+
+    test('should reject invalid sink configurations when compiling', () => {
+      const dataProcessor = createDataProcessor();
+
+      expect(() => dataProcessor.compilePipeline([{ type: 'sink', config: { sink: 'mongodb' } }])).toThrow(
+        'mongodb sink requires a collection'
+      );
+    });
+  });
+});
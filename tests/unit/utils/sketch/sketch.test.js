@@ -0,0 +1,296 @@
+jest.mock('../../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { HyperLogLog, TDigest, CountMinSketch, SketchStore, normalizeSketchConfig } = require('../../../../src/utils/sketch');
+const { createDataProcessor } = require('../../../../src/utils/dataProcessor');
+
+// 模拟 RPUSH/LRANGE 列表和 WATCH/MULTI 事务，conflict 为 true 时 exec 返回null
+const createRedis = () => {
+  const lists = {};
+  const redis = {
+    lists,
+    conflict: false,
+    lrangeBuffer: jest.fn(async (key) => (lists[key] || []).slice()),
+    pttl: jest.fn().mockResolvedValue(-1),
+    watch: jest.fn().mockResolvedValue('OK'),
+    unwatch: jest.fn().mockResolvedValue('OK'),
+    quit: jest.fn().mockResolvedValue('OK'),
+    multi: jest.fn(() => {
+      const commands = [];
+      const transaction = {
+        del: (key) => commands.push(() => delete lists[key]) && transaction,
+        rpush: (key, value) =>
+          commands.push(() => {
+            lists[key] = (lists[key] || []).concat(value);
+            return lists[key].length;
+          }) && transaction,
+        pexpire: (key, ttl) => commands.push(() => ttl) && transaction,
+        exec: async () => (redis.conflict ? null : commands.map((command) => [null, command()])),
+      };
+      return transaction;
+    }),
+  };
+  redis.duplicate = jest.fn(() => redis);
+  return redis;
+};
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+// 可复现的伪随机数，避免分位数测试依赖 Math.random
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+};
+
+describe('Sketches', () => {
+  describe('HyperLogLog', () => {
+    test('should estimate cardinality within the standard error', () => {
+      const sketch = new HyperLogLog();
+      range(0, 50000).forEach((i) => sketch.add(`user-${i}`));
+      range(0, 50000).forEach((i) => sketch.add(`user-${i}`));
+
+      expect(Math.abs(sketch.count() - 50000) / 50000).toBeLessThan(0.03);
+    });
+
+    test('should count small sets exactly enough and ignore duplicates', () => {
+      const sketch = new HyperLogLog();
+      ['a', 'b', 'a', 1, '1', { id: 1 }].forEach((value) => sketch.add(value));
+
+      expect(sketch.count()).toBe(4);
+      expect(new HyperLogLog().count()).toBe(0);
+    });
+
+    test('should merge into the same state as adding all values to one sketch', () => {
+      const left = new HyperLogLog(12);
+      const right = new HyperLogLog(12);
+      const all = new HyperLogLog(12);
+      range(0, 3000).forEach((i) => {
+        (i % 2 ? left : right).add(i);
+        all.add(i);
+      });
+
+      expect(left.merge(right).registers).toEqual(all.registers);
+      expect(() => left.merge(new HyperLogLog(14))).toThrow('same precision');
+    });
+
+    test('should round-trip through serialization', () => {
+      const sketch = new HyperLogLog(10);
+      range(0, 500).forEach((i) => sketch.add(i));
+      const restored = HyperLogLog.deserialize(sketch.serialize());
+
+      expect(restored.precision).toBe(10);
+      expect(restored.count()).toBe(sketch.count());
+      expect(() => HyperLogLog.deserialize('bm90IGEgc2tldGNo')).toThrow('Invalid HyperLogLog sketch');
+      expect(() => new HyperLogLog(20)).toThrow('between 4 and 16');
+    });
+  });
+
+  describe('TDigest', () => {
+    test('should estimate quantiles of a uniform distribution', () => {
+      const digest = new TDigest();
+      const random = createRandom(42);
+      range(0, 20000).forEach(() => digest.add(random() * 1000));
+
+      expect(Math.abs(digest.quantile(0.5) - 500)).toBeLessThan(15);
+      expect(Math.abs(digest.quantile(0.99) - 990)).toBeLessThan(3);
+      expect(digest.quantile(0)).toBe(digest.min);
+      expect(digest.quantile(1)).toBe(digest.max);
+      expect(digest.centroids.length).toBeLessThan(200);
+    });
+
+    test('should merge digests built on different workers', () => {
+      const digests = [new TDigest(), new TDigest(), new TDigest()];
+      range(0, 30000).forEach((i) => digests[i % 3].add(i));
+      const merged = digests.reduce((result, digest) => result.merge(digest), new TDigest());
+
+      expect(merged.count).toBe(30000);
+      expect(Math.abs(merged.quantile(0.9) - 27000)).toBeLessThan(150);
+      expect(Math.abs(merged.quantile(0.999) - 29970)).toBeLessThan(15);
+    });
+
+    test('should ignore non-finite values and handle empty digests', () => {
+      const digest = new TDigest();
+      expect(digest.quantile(0.5)).toBeNull();
+
+      digest.add(NaN).add(Infinity).add(7);
+      expect(digest.count).toBe(1);
+      expect(digest.quantile(0.5)).toBe(7);
+      expect(() => digest.quantile(1.5)).toThrow('between 0 and 1');
+    });
+
+    test('should round-trip through serialization', () => {
+      const digest = new TDigest(50);
+      range(0, 1000).forEach((i) => digest.add(i));
+      const restored = TDigest.deserialize(digest.serialize());
+
+      expect(restored.compression).toBe(50);
+      expect(restored.count).toBe(1000);
+      expect(restored.quantile(0.75)).toBe(digest.quantile(0.75));
+      expect(() => TDigest.deserialize('')).toThrow('Invalid TDigest sketch');
+    });
+  });
+
+  describe('CountMinSketch', () => {
+    test('should never underestimate and stay within the error bound', () => {
+      const sketch = new CountMinSketch(256, 4);
+      const counts = {};
+      range(0, 5000).forEach((i) => {
+        const key = `page-${i % 300 < 200 ? i % 20 : i % 300}`;
+        counts[key] = (counts[key] || 0) + 1;
+        sketch.add(key);
+      });
+
+      Object.entries(counts).forEach(([key, count]) => {
+        expect(sketch.estimate(key)).toBeGreaterThanOrEqual(count);
+        expect(sketch.estimate(key) - count).toBeLessThanOrEqual((Math.E / 256) * sketch.total);
+      });
+      expect(sketch.total).toBe(5000);
+    });
+
+    test('should merge sketches and round-trip through serialization', () => {
+      const left = new CountMinSketch(64, 3).add('a', 5);
+      const right = new CountMinSketch(64, 3).add('a', 2).add('b');
+      const restored = CountMinSketch.deserialize(left.merge(right).serialize());
+
+      expect(restored.estimate('a')).toBe(7);
+      expect(restored.estimate('b')).toBe(1);
+      expect(restored.total).toBe(8);
+      expect(() => left.merge(new CountMinSketch(32, 3))).toThrow('same width and depth');
+    });
+  });
+
+  describe('SketchStore', () => {
+    test('should merge partial sketches written by several workers on read', async () => {
+      const redis = createRedis();
+      const store = new SketchStore({ redis });
+      await store.add('users:2023-11-01', new HyperLogLog(10).add('a').add('b'));
+      await store.add('users:2023-11-01', new HyperLogLog(10).add('b').add('c'), { ttl: 60000 });
+
+      const merged = await store.get('users:2023-11-01', HyperLogLog);
+      expect(merged.count()).toBe(3);
+      expect(redis.lists['rdp:sketch:users:2023-11-01']).toHaveLength(2);
+      expect(await store.get('missing', HyperLogLog)).toBeNull();
+    });
+
+    test('should compact the list into one sketch once it exceeds the threshold', async () => {
+      const redis = createRedis();
+      const store = new SketchStore({ redis, compactThreshold: 2 });
+      const compacted = jest.fn();
+      store.on('compacted', compacted);
+
+      await store.add('latency', new TDigest().add(1));
+      await store.add('latency', new TDigest().add(2));
+      await store.add('latency', new TDigest().add(3));
+
+      expect(redis.lists['rdp:sketch:latency']).toHaveLength(1);
+      expect(compacted).toHaveBeenCalledWith({ key: 'latency', parts: 3 });
+      const merged = await store.get('latency', TDigest);
+      expect(merged.count).toBe(3);
+      expect(merged.quantile(0.5)).toBe(2);
+    });
+
+    test('should keep the partial sketches when a concurrent write aborts compaction', async () => {
+      const redis = createRedis();
+      const store = new SketchStore({ redis, compactThreshold: 1 });
+      await store.add('pages', new CountMinSketch(16, 2).add('home'));
+      redis.conflict = true;
+
+      await expect(store.compact('pages', CountMinSketch)).resolves.toBe(false);
+      redis.lists['rdp:sketch:pages'].push(new CountMinSketch(16, 2).add('home').toBuffer());
+      await expect(store.compact('pages', CountMinSketch)).resolves.toBe(false);
+
+      expect(redis.lists['rdp:sketch:pages']).toHaveLength(2);
+      expect(store.getMetrics()).toEqual({ added: 1, compacted: 0, conflicts: 1, invalid: 0 });
+      expect((await store.get('pages', CountMinSketch)).estimate('home')).toBe(2);
+    });
+
+    test('should write the sketches of records to the key of their group', async () => {
+      const redis = createRedis();
+      const store = new SketchStore({ redis });
+      const config = normalizeSketchConfig({
+        key: 'daily-users',
+        field: 'userId_approxDistinct',
+        operation: 'approxDistinct',
+        groupBy: 'windowStart',
+      });
+
+      await expect(
+        store.addRecords(config, [
+          { windowStart: 1, userId_approxDistinct: new HyperLogLog(10).add('a').serialize() },
+          { windowStart: 1, userId_approxDistinct: new HyperLogLog(10).add('b').serialize() },
+          { windowStart: 2, userId_approxDistinct: new HyperLogLog(10).add('a').serialize() },
+          { windowStart: 2, userId_approxDistinct: 'not a sketch' },
+          { windowStart: 3 },
+        ])
+      ).resolves.toBe(3);
+
+      expect((await store.get('daily-users:1', HyperLogLog)).count()).toBe(2);
+      expect((await store.get('daily-users:2', HyperLogLog)).count()).toBe(1);
+      expect(store.getMetrics()).toMatchObject({ added: 3, invalid: 1 });
+    });
+  });
+
+  describe('normalizeSketchConfig', () => {
+    test('should default to one sketch per key kept for seven days', () => {
+      expect(normalizeSketchConfig({ key: 'latency', field: 'ms_approxPercentile', operation: 'approxPercentile' })).toEqual(
+        {
+          key: 'latency',
+          field: 'ms_approxPercentile',
+          operation: 'approxPercentile',
+          groupBy: [],
+          ttl: 7 * 24 * 60 * 60 * 1000,
+        }
+      );
+    });
+
+    test('should reject invalid sketch configurations', () => {
+      const base = { key: 'users', field: 'users', operation: 'approxDistinct' };
+
+      expect(() => normalizeSketchConfig({ ...base, key: 'users:*' })).toThrow('Sketch key must contain only');
+      expect(() => normalizeSketchConfig({ ...base, field: undefined })).toThrow('Sketch step requires a field');
+      expect(() => normalizeSketchConfig({ ...base, operation: 'sum' })).toThrow('Invalid sketch operation: sum');
+      expect(() => normalizeSketchConfig({ ...base, groupBy: [1] })).toThrow('Sketch groupBy must be');
+      expect(() => normalizeSketchConfig({ ...base, ttl: 0 })).toThrow('Sketch ttl must be a positive integer');
+    });
+  });
+
+  describe('sketch step', () => {
+    const steps = [
+      {
+        type: 'processor',
+        name: 'aggregator',
+        config: { aggregations: [{ field: 'userId', operation: 'approxDistinct', precision: 10, output: 'sketch' }] },
+      },
+      { type: 'sketch', config: { key: 'users', field: 'userId_approxDistinct', operation: 'approxDistinct' } },
+    ];
+
+    test('should merge the sketches of every batch in the store', async () => {
+      const redis = createRedis();
+      const sketchStore = new SketchStore({ redis });
+      const dataProcessor = createDataProcessor({ sketchStore });
+      const pipeline = dataProcessor.compilePipeline(steps);
+
+      await dataProcessor.processItem([{ userId: 'a' }, { userId: 'b' }], { pipeline });
+      const result = await dataProcessor.processItem([{ userId: 'b' }, { userId: 'c' }], { pipeline });
+
+      expect(typeof result.userId_approxDistinct).toBe('string');
+      expect((await sketchStore.get('users', HyperLogLog)).count()).toBe(3);
+    });
+
+    test('should pass the data on without a sketch store', async () => {
+      const dataProcessor = createDataProcessor();
+      const trace = [];
+
+      await dataProcessor.processItem([{ userId: 'a' }], { pipeline: dataProcessor.compilePipeline(steps), trace });
+
+      expect(trace[1]).toMatchObject({ type: 'sketch', skipped: true });
+    });
+  });
+});
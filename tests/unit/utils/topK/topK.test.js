@@ -0,0 +1,248 @@
+jest.mock('../../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { TopKStore, normalizeTopKConfig } = require('../../../../src/utils/topK');
+const { createDataProcessor } = require('../../../../src/utils/dataProcessor');
+
+const minute = 60000;
+const start = Date.UTC(2023, 10, 1, 10, 0, 0);
+
+// topKAdd 是注册到Redis客户端的Lua脚本；multi 记录合并时间桶的命令并按 unionReply 返回排名
+const createRedis = ({ meta = {}, ranking = [], unionReply = [] } = {}) => {
+  const transaction = {
+    zunionstore: jest.fn(() => transaction),
+    zrevrange: jest.fn(() => transaction),
+    zrange: jest.fn(() => transaction),
+    del: jest.fn(() => transaction),
+    exec: jest.fn().mockResolvedValue([
+      [null, 3],
+      [null, unionReply],
+      [null, 1],
+    ]),
+  };
+  return {
+    transaction,
+    topKAdd: jest.fn().mockResolvedValue(1),
+    hgetall: jest.fn().mockResolvedValue(meta),
+    zrevrange: jest.fn().mockResolvedValue(ranking),
+    zrange: jest.fn().mockResolvedValue(ranking),
+    multi: jest.fn(() => transaction),
+    quit: jest.fn().mockResolvedValue('OK'),
+  };
+};
+
+const meta = (operation = 'count', groupBy = []) => ({
+  operation,
+  bucketSize: String(minute),
+  retention: String(60 * minute),
+  groupBy: JSON.stringify(groupBy),
+});
+
+describe('Top-K', () => {
+  describe('normalizeTopKConfig', () => {
+    test('should count records per minute bucket by default', () => {
+      expect(normalizeTopKConfig({ key: 'top-pages', memberField: 'page' })).toEqual({
+        key: 'top-pages',
+        memberField: 'page',
+        scoreField: null,
+        operation: 'count',
+        timeField: null,
+        bucketSize: minute,
+        groupBy: [],
+        retention: 24 * 60 * minute,
+        capacity: 1000,
+      });
+      expect(normalizeTopKConfig({ key: 'slow-hosts', memberField: 'host', scoreField: 'response_time' }).operation).toBe(
+        'sum'
+      );
+    });
+
+    test('should reject invalid Top-K configurations', () => {
+      expect(() => normalizeTopKConfig({ memberField: 'page' })).toThrow('Top-K key must contain only');
+      expect(() => normalizeTopKConfig({ key: 'a b', memberField: 'page' })).toThrow('Top-K key must contain only');
+      expect(() => normalizeTopKConfig({ key: 'pages' })).toThrow('Top-K requires a memberField');
+      expect(() => normalizeTopKConfig({ key: 'pages', memberField: 'page', operation: 'max' })).toThrow(
+        'Top-K max operation requires a scoreField'
+      );
+      expect(() => normalizeTopKConfig({ key: 'pages', memberField: 'page', operation: 'avg', scoreField: 'v' })).toThrow(
+        'Invalid Top-K operation: avg'
+      );
+      expect(() => normalizeTopKConfig({ key: 'pages', memberField: 'page', retention: 1000 })).toThrow(
+        'must not be shorter than bucketSize'
+      );
+    });
+  });
+
+  describe('TopKStore', () => {
+    test('should merge a batch per bucket, group and member before writing it', async () => {
+      const redis = createRedis();
+      const store = new TopKStore({ redis });
+      const config = normalizeTopKConfig({
+        key: 'slow-hosts',
+        memberField: 'host',
+        scoreField: 'response_time',
+        operation: 'max',
+        timeField: 'timestamp',
+        groupBy: 'region',
+      });
+
+      await store.add(config, [
+        { host: 'a', region: 'eu', response_time: 120, timestamp: start + 1000 },
+        { host: 'a', region: 'eu', response_time: '250', timestamp: start + 2000 },
+        { host: 'b', region: 'us', response_time: 80, timestamp: start + minute },
+        { host: 'c', region: 'eu', response_time: 'slow', timestamp: start },
+        { region: 'eu', response_time: 1, timestamp: start },
+      ]);
+
+      expect(redis.topKAdd).toHaveBeenCalledWith(
+        'rdp:topk:slow-hosts',
+        'max',
+        minute,
+        24 * 60 * minute,
+        1000,
+        '["region"]',
+        '["eu"]',
+        start,
+        'a',
+        250,
+        '["us"]',
+        start + minute,
+        'b',
+        80
+      );
+      expect(store.getMetrics()).toEqual({ records: 3, invalid: 2 });
+    });
+
+    test('should count records in the processing-time bucket without a timeField', async () => {
+      const redis = createRedis();
+      const store = new TopKStore({ redis });
+      jest.spyOn(Date, 'now').mockReturnValue(start + 30000);
+
+      await expect(
+        store.add(normalizeTopKConfig({ key: 'top-pages', memberField: 'page' }), [{ page: '/' }, { page: '/' }])
+      ).resolves.toBe(2);
+      Date.now.mockRestore();
+
+      expect(redis.topKAdd).toHaveBeenCalledWith(
+        'rdp:topk:top-pages',
+        'count',
+        minute,
+        24 * 60 * minute,
+        1000,
+        '[]',
+        '[]',
+        start,
+        '/',
+        2
+      );
+    });
+
+    test('should not call Redis when no record can be ranked', async () => {
+      const redis = createRedis();
+      const store = new TopKStore({ redis });
+
+      await expect(store.add(normalizeTopKConfig({ key: 'top-pages', memberField: 'page' }), [{}])).resolves.toBe(0);
+      expect(redis.topKAdd).not.toHaveBeenCalled();
+    });
+
+    test('should read a window that lies within one bucket directly', async () => {
+      const redis = createRedis({ meta: meta(), ranking: ['/home', '12', '/cart', '3'] });
+      const store = new TopKStore({ redis });
+
+      const leaderboard = await store.getLeaderboard('top-pages', { window: 10000, limit: 2, now: start + 30000 });
+
+      expect(redis.hgetall).toHaveBeenCalledWith('rdp:topk:top-pages:meta');
+      expect(redis.zrevrange).toHaveBeenCalledWith(`rdp:topk:top-pages:[]:${start}`, 0, 1, 'WITHSCORES');
+      expect(leaderboard).toEqual({
+        key: 'top-pages',
+        operation: 'count',
+        group: {},
+        window: 10000,
+        from: new Date(start).toISOString(),
+        to: new Date(start + 30000).toISOString(),
+        entries: [
+          { rank: 1, member: '/home', score: 12 },
+          { rank: 2, member: '/cart', score: 3 },
+        ],
+      });
+    });
+
+    test('should merge the buckets overlapping a longer window', async () => {
+      const redis = createRedis({ meta: meta('min', ['region']), unionReply: ['b', '80'] });
+      const store = new TopKStore({ redis });
+
+      const leaderboard = await store.getLeaderboard('fast-hosts', {
+        window: 3 * minute,
+        group: { region: 'us' },
+        now: start + 3 * minute + 1000,
+      });
+
+      const buckets = [start, start + minute, start + 2 * minute, start + 3 * minute].map(
+        (bucket) => `rdp:topk:fast-hosts:["us"]:${bucket}`
+      );
+      expect(redis.transaction.zunionstore).toHaveBeenCalledWith(
+        expect.stringMatching(/^rdp:topk:fast-hosts:union:/),
+        4,
+        ...buckets,
+        'AGGREGATE',
+        'MIN'
+      );
+      expect(redis.transaction.zrange).toHaveBeenCalledWith(expect.any(String), 0, 9, 'WITHSCORES');
+      expect(redis.transaction.del).toHaveBeenCalled();
+      expect(leaderboard).toMatchObject({ group: { region: 'us' }, entries: [{ rank: 1, member: 'b', score: 80 }] });
+    });
+
+    test('should return null for unknown leaderboards and cap the window at the retention', async () => {
+      await expect(new TopKStore({ redis: createRedis() }).getLeaderboard('missing')).resolves.toBeNull();
+
+      const store = new TopKStore({ redis: createRedis({ meta: meta() }) });
+      const leaderboard = await store.getLeaderboard('top-pages', { window: 24 * 60 * minute, now: start });
+      expect(leaderboard.window).toBe(60 * minute);
+    });
+
+    test('should register the Top-K script on clients that do not have it', () => {
+      const redis = { defineCommand: jest.fn() };
+
+      new TopKStore({ redis })._getRedis();
+
+      expect(redis.defineCommand).toHaveBeenCalledWith('topKAdd', { numberOfKeys: 1, lua: expect.any(String) });
+    });
+  });
+
+  describe('topK step', () => {
+    const steps = [{ type: 'topK', config: { key: 'active-users', memberField: 'userId' } }];
+
+    test('should rank the records and pass them on unchanged', async () => {
+      const redis = createRedis();
+      const dataProcessor = createDataProcessor({ topKStore: new TopKStore({ redis }) });
+      const records = [{ userId: 'u1' }, { userId: 'u2' }];
+
+      await expect(dataProcessor.processItem(records, { pipeline: dataProcessor.compilePipeline(steps) })).resolves.toEqual(
+        records
+      );
+      expect(redis.topKAdd).toHaveBeenCalledTimes(1);
+    });
+
+    test('should skip ranking without a Top-K store', async () => {
+      const dataProcessor = createDataProcessor();
+      const trace = [];
+
+      await expect(
+        dataProcessor.processItem({ userId: 'u1' }, { pipeline: dataProcessor.compilePipeline(steps), trace })
+      ).resolves.toEqual({ userId: 'u1' });
+      expect(trace[0]).toMatchObject({ type: 'topK', skipped: true });
+    });
+
+    test('should reject invalid Top-K configurations when compiling', () => {
+      const dataProcessor = createDataProcessor();
+
+      expect(() => dataProcessor.compilePipeline([{ type: 'topK', config: { key: 'pages' } }])).toThrow(
+        'Top-K requires a memberField'
+      );
+    });
+  });
+});
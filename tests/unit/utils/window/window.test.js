@@ -0,0 +1,256 @@
+jest.mock('../../../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { WindowStore, normalizeWindowConfig, assignWindows } = require('../../../../src/utils/window');
+const { createDataProcessor } = require('../../../../src/utils/dataProcessor');
+
+const minute = 60000;
+const start = Date.UTC(2023, 10, 1, 10, 0, 0);
+
+const createConfig = (options) =>
+  normalizeWindowConfig({
+    key: 'cpu',
+    timeField: 'timestamp',
+    windowSize: 5 * minute,
+    groupBy: ['host'],
+    aggregations: [
+      { field: 'value', operation: 'avg', outputField: 'avgValue' },
+      { field: 'value', operation: 'max', outputField: 'maxValue' },
+      { field: 'value', operation: 'count', outputField: 'samples' },
+    ],
+    ...options,
+  });
+
+// windowAdd 是注册到Redis客户端的Lua脚本，返回 [按时累加到的窗口数, 错过的窗口数, 输出的窗口, 迟到更新的窗口]
+const createRedis = (replies = []) => {
+  const windowAdd = jest.fn().mockResolvedValue([1, 0, [], []]);
+  replies.forEach((reply) => windowAdd.mockResolvedValueOnce(reply));
+  return { windowAdd, quit: jest.fn().mockResolvedValue('OK') };
+};
+
+const closedWindow = (windowStart, group, state) => [`${windowStart}|${JSON.stringify(group)}`, state];
+
+describe('Windows', () => {
+  describe('normalizeWindowConfig', () => {
+    test('should default to tumbling windows and derive a stable key', () => {
+      const config = normalizeWindowConfig({ timeField: 'timestamp', windowSize: minute });
+
+      expect(config).toEqual({
+        key: expect.stringMatching(/^[0-9a-f]{16}$/),
+        timeField: 'timestamp',
+        windowSize: minute,
+        slideSize: minute,
+        groupBy: [],
+        aggregations: [],
+        maxOutOfOrderness: 0,
+        latePolicy: 'drop',
+        allowedLateness: 0,
+        lateQueue: null,
+        stateTtl: 24 * 60 * minute,
+      });
+      expect(normalizeWindowConfig({ timeField: 'timestamp', windowSize: minute }).key).toBe(config.key);
+      expect(normalizeWindowConfig({ timeField: 'timestamp', windowSize: 2 * minute }).key).not.toBe(config.key);
+    });
+
+    test('should reject invalid window configurations', () => {
+      expect(() => normalizeWindowConfig({ windowSize: minute })).toThrow('Window requires a timeField');
+      expect(() => normalizeWindowConfig({ timeField: 't', windowSize: 0 })).toThrow('Window windowSize');
+      expect(() => normalizeWindowConfig({ timeField: 't', windowSize: minute, slideSize: 2 * minute })).toThrow(
+        'must not be greater than windowSize'
+      );
+      expect(() =>
+        normalizeWindowConfig({ timeField: 't', windowSize: minute, aggregations: [{ field: 'v', operation: 'median' }] })
+      ).toThrow('Invalid window aggregation operation: median');
+    });
+
+    test('should validate the late policy', () => {
+      const base = { timeField: 't', windowSize: minute };
+
+      expect(() => normalizeWindowConfig({ ...base, latePolicy: 'retry' })).toThrow('Invalid window late policy: retry');
+      expect(() => normalizeWindowConfig({ ...base, latePolicy: 'queue' })).toThrow('requires a lateQueue');
+      expect(() => normalizeWindowConfig({ ...base, allowedLateness: minute })).toThrow('requires the update late policy');
+      expect(normalizeWindowConfig({ ...base, latePolicy: 'queue', lateQueue: 'late-metrics' }).lateQueue).toBe(
+        'late-metrics'
+      );
+      expect(() => normalizeWindowConfig({ ...base, maxOutOfOrderness: -1 })).toThrow('non-negative integer');
+    });
+  });
+
+  describe('assignWindows', () => {
+    test('should assign a record to one tumbling window', () => {
+      expect(assignWindows(start + 90000, { windowSize: 5 * minute, slideSize: 5 * minute })).toEqual([
+        [start, start + 5 * minute],
+      ]);
+    });
+
+    test('should assign a record to every sliding window that contains it', () => {
+      const windows = assignWindows(start + 90000, { windowSize: 5 * minute, slideSize: minute });
+
+      expect(windows).toHaveLength(5);
+      expect(windows[0]).toEqual([start - 3 * minute, start + 2 * minute]);
+      expect(windows[4]).toEqual([start + minute, start + 6 * minute]);
+    });
+  });
+
+  describe('WindowStore', () => {
+    test('should pass the record time, group, values and windows to the window script', async () => {
+      const redis = createRedis();
+      const store = new WindowStore({ redis });
+
+      await store.add(createConfig(), { timestamp: new Date(start + 1000).toISOString(), host: 'a', value: '42.5' });
+
+      expect(redis.windowAdd).toHaveBeenCalledWith(
+        'rdp:window:cpu',
+        start + 1000,
+        24 * 60 * minute,
+        0,
+        0,
+        '["a"]',
+        1,
+        'value',
+        '42.5',
+        start,
+        start + 5 * minute
+      );
+      expect(store.getMetrics()).toEqual({ records: 1, late: 0, updated: 0, invalid: 0, closed: 0 });
+    });
+
+    test('should build results for the windows closed by the script', async () => {
+      const redis = createRedis([
+        [
+          1,
+          0,
+          closedWindow(
+            start,
+            ['a'],
+            ['count', '3', 'value:count', '3', 'value:n', '2', 'value:sum', '30', 'value:max', '20']
+          ),
+          [],
+        ],
+      ]);
+      const store = new WindowStore({ redis });
+
+      const { windows } = await store.add(createConfig(), { timestamp: start + 5 * minute, host: 'a', value: 1 });
+
+      expect(windows).toEqual([
+        {
+          avgValue: 15,
+          maxValue: 20,
+          samples: 3,
+          host: 'a',
+          windowStart: new Date(start).toISOString(),
+          windowEnd: new Date(start + 5 * minute).toISOString(),
+          count: 3,
+        },
+      ]);
+      expect(store.getMetrics().closed).toBe(1);
+    });
+
+    test('should return late records and count records without a valid time', async () => {
+      const redis = createRedis([[0, 1, [], []]]);
+      const store = new WindowStore({ redis });
+      const record = { timestamp: start, value: 1 };
+
+      const { windows, late } = await store.add(createConfig(), [record, { value: 2 }, { timestamp: 'soon', value: 3 }]);
+
+      expect(windows).toEqual([]);
+      expect(late).toEqual([record]);
+      expect(redis.windowAdd).toHaveBeenCalledTimes(1);
+      expect(store.getMetrics()).toEqual({ records: 0, late: 1, updated: 0, invalid: 2, closed: 0 });
+    });
+
+    test('should pass the watermark delay and allowed lateness and mark updated windows', async () => {
+      const redis = createRedis([[0, 0, [], closedWindow(start, ['a'], ['count', '4'])]]);
+      const store = new WindowStore({ redis });
+      const config = createConfig({ maxOutOfOrderness: minute, latePolicy: 'update', allowedLateness: 2 * minute });
+
+      const { windows, late } = await store.add(config, { timestamp: start, host: 'a' });
+
+      expect(redis.windowAdd.mock.calls[0].slice(3, 5)).toEqual([minute, 2 * minute]);
+      expect(windows).toEqual([expect.objectContaining({ host: 'a', count: 4, updated: true })]);
+      expect(late).toEqual([]);
+      expect(store.getMetrics()).toMatchObject({ records: 1, late: 0, updated: 1 });
+    });
+
+    test('should register the window script on clients that do not have it', () => {
+      const redis = { defineCommand: jest.fn() };
+      const store = new WindowStore({ redis });
+
+      store._getRedis();
+
+      expect(redis.defineCommand).toHaveBeenCalledWith('windowAdd', { numberOfKeys: 1, lua: expect.any(String) });
+    });
+  });
+
+  describe('window step', () => {
+    const steps = [
+      {
+        type: 'window',
+        config: { key: 'cpu', timeField: 'timestamp', windowSize: 5 * minute, groupBy: 'host' },
+      },
+    ];
+
+    test('should output the closed windows and stop the pipeline while windows are open', async () => {
+      const redis = createRedis([
+        [1, 0, [], []],
+        [1, 0, closedWindow(start, ['a'], ['count', '1']), []],
+      ]);
+      const dataProcessor = createDataProcessor({ windowStore: new WindowStore({ redis }) });
+      const pipeline = dataProcessor.compilePipeline(steps);
+
+      await expect(dataProcessor.processItem({ timestamp: start, host: 'a' }, { pipeline })).resolves.toBeNull();
+      await expect(dataProcessor.processItem({ timestamp: start + 5 * minute, host: 'a' }, { pipeline })).resolves.toEqual([
+        {
+          host: 'a',
+          windowStart: new Date(start).toISOString(),
+          windowEnd: new Date(start + 5 * minute).toISOString(),
+          count: 1,
+        },
+      ]);
+    });
+
+    test('should report late records and write them to the late queue', async () => {
+      const redis = createRedis([[0, 1, [], []]]);
+      const sink = { write: jest.fn().mockResolvedValue() };
+      const sinkManager = { acquire: jest.fn().mockReturnValue(sink) };
+      const dataProcessor = createDataProcessor({ windowStore: new WindowStore({ redis }), sinkManager });
+      const pipeline = dataProcessor.compilePipeline([
+        { type: 'window', config: { ...steps[0].config, latePolicy: 'queue', lateQueue: 'late-metrics' } },
+      ]);
+      const lateRecords = jest.fn();
+      dataProcessor.on('lateRecords', lateRecords);
+      const record = { timestamp: start, host: 'a' };
+
+      await expect(dataProcessor.processItem(record, { pipeline, pipelineName: 'system-metrics' })).resolves.toBeNull();
+
+      expect(lateRecords).toHaveBeenCalledWith({ pipeline: 'system-metrics', step: 'window', policy: 'queue', count: 1 });
+      expect(sinkManager.acquire).toHaveBeenCalledWith({ sink: 'queue', queue: 'late-metrics' });
+      expect(sink.write).toHaveBeenCalledWith([record]);
+    });
+
+    test('should skip windows without a window store', async () => {
+      const dataProcessor = createDataProcessor();
+      const trace = [];
+
+      const result = await dataProcessor.processItem(
+        { timestamp: start },
+        { pipeline: dataProcessor.compilePipeline(steps), trace }
+      );
+
+      expect(result).toBeNull();
+      expect(trace[0]).toMatchObject({ type: 'window', skipped: true, stopped: true });
+    });
+
+    test('should reject invalid window configurations when compiling', () => {
+      const dataProcessor = createDataProcessor();
+
+      expect(() => dataProcessor.compilePipeline([{ type: 'window', config: { timeField: 'timestamp' } }])).toThrow(
+        'Window windowSize must be a positive integer'
+      );
+    });
+  });
+});